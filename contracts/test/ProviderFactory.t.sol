@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.25;
+
+import "forge-std/Test.sol";
+import {ProviderFactory} from "../src/ProviderFactory.sol";
+import {SimpleProviderContract} from "../src/ProviderContractInterface.sol";
+import {X402InsuranceV8} from "../src/X402InsuranceV8.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+contract MockUSDC is ERC20 {
+    constructor() ERC20("USD Coin", "USDC") {
+        _mint(msg.sender, 1000000 * 10**6); // 1M USDC
+    }
+
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+}
+
+contract ProviderFactoryTest is Test {
+    ProviderFactory public factory;
+    X402InsuranceV8 public insurance;
+    MockUSDC public usdc;
+
+    address public owner = address(this);
+    address public user1 = address(0x1111);
+    address public user2 = address(0x2222);
+
+    uint256 constant MIN_DEPOSIT = 10 * 10**6;     // 10 USDC
+
+    event ProviderCreated(address indexed owner, address indexed providerContract, uint256 initialDeposit);
+
+    function setUp() public {
+        // 部署合约
+        usdc = new MockUSDC();
+        insurance = new X402InsuranceV8(address(usdc), owner);
+        factory = new ProviderFactory(address(insurance), address(usdc));
+
+        // 分发USDC给测试账户
+        usdc.transfer(user1, 10000 * 10**6);  // 10000 USDC
+        usdc.transfer(user2, 10000 * 10**6);  // 10000 USDC
+
+        // 授权工厂
+        vm.prank(user1);
+        usdc.approve(address(factory), type(uint256).max);
+        vm.prank(user2);
+        usdc.approve(address(factory), type(uint256).max);
+    }
+
+    function _deposits(uint256 a, uint256 b, uint256 c) internal pure returns (uint256[] memory deposits) {
+        deposits = new uint256[](3);
+        deposits[0] = a;
+        deposits[1] = b;
+        deposits[2] = c;
+    }
+
+    function _assertRegistered(address providerContract, address expectedOwner, uint256 deposit) internal view {
+        assertEq(SimpleProviderContract(providerContract).owner(), expectedOwner);
+
+        (bool isActive, uint256 poolBalance, , , , , ) = insurance.getProviderInfo(providerContract);
+        assertTrue(isActive);
+        assertEq(poolBalance, deposit);
+    }
+
+    // ============ 单个创建测试 ============
+
+    function test_CreateProvider_Success() public {
+        address expected = computeCreateAddress(address(factory), vm.getNonce(address(factory)));
+
+        vm.expectEmit(true, true, false, true);
+        emit ProviderCreated(user1, expected, MIN_DEPOSIT);
+
+        vm.prank(user1);
+        address providerContract = factory.createProvider(MIN_DEPOSIT);
+
+        assertEq(providerContract, expected);
+        _assertRegistered(providerContract, user1, MIN_DEPOSIT);
+
+        assertEq(factory.getUserProviders(user1).length, 1);
+        assertEq(factory.getAllProviders().length, 1);
+    }
+
+    function test_CreateProvider_RevertsBelowMinimum() public {
+        vm.prank(user1);
+        vm.expectRevert("Minimum 10 USDC required");
+        factory.createProvider(MIN_DEPOSIT - 1);
+    }
+
+    function test_CreateProvider_Sequential() public {
+        uint256 balanceBefore = usdc.balanceOf(user1);
+
+        // SDK 的逐个创建：一次授权，多笔 createProvider
+        vm.startPrank(user1);
+        address first = factory.createProvider(MIN_DEPOSIT);
+        address second = factory.createProvider(50 * 10**6);
+        vm.stopPrank();
+
+        vm.prank(user2);
+        factory.createProvider(MIN_DEPOSIT);
+
+        assertTrue(first != second);
+        _assertRegistered(first, user1, MIN_DEPOSIT);
+        _assertRegistered(second, user1, 50 * 10**6);
+        assertEq(usdc.balanceOf(user1), balanceBefore - 60 * 10**6);
+
+        address[] memory userProviders = factory.getUserProviders(user1);
+        assertEq(userProviders.length, 2);
+        assertEq(userProviders[1], second);
+
+        // 已部署的工厂不统计用户数，getStats 的用户数等于 Provider 数
+        (uint256 totalProviders, uint256 totalUsers) = factory.getStats();
+        assertEq(totalProviders, 3);
+        assertEq(totalUsers, 3);
+    }
+
+    // ============ 批量创建测试 ============
+
+    function test_CreateMultipleProviders_RevertsForExternalCaller() public {
+        uint256 balanceBefore = usdc.balanceOf(user1);
+
+        // 内部经 this.createProvider 转发，msg.sender 是工厂自身，没有 USDC 授权
+        // SDK 预检到该失败后改为逐个 createProvider
+        vm.prank(user1);
+        vm.expectRevert();
+        factory.createMultipleProviders(_deposits(MIN_DEPOSIT, MIN_DEPOSIT, MIN_DEPOSIT));
+
+        assertEq(usdc.balanceOf(user1), balanceBefore);
+        assertEq(factory.getAllProviders().length, 0);
+        assertEq(factory.getUserProviders(address(factory)).length, 0);
+    }
+
+    function test_CreateMultipleProviders_Empty() public {
+        vm.prank(user1);
+        address[] memory providers = factory.createMultipleProviders(new uint256[](0));
+
+        assertEq(providers.length, 0);
+        assertEq(factory.getAllProviders().length, 0);
+    }
+}
@@ -0,0 +1,262 @@
+/**
+ * x402 自动支付的预算与策略
+ *
+ * 在签名之前检查：单次上限、每个 host 每日上限、每日总上限、payTo 白名单/黑名单、
+ * 是否要求 Provider 有保险，以及 dry-run（只评估不支付）。
+ * 违反策略时抛出 BudgetPolicyError，此时尚未签名任何东西。
+ *
+ * 已花费金额优先从收据存储（receipt-store.js）统计，进程重启后仍然有效；
+ * 没有收据存储时只统计本进程内的支付。每日上限按 UTC 自然日计算。
+ *
+ * 金额上限按代币分别计算：maxPerRequest / maxPerHostPerDay / maxPerDay 适用于 budgetAssets
+ * 中的代币（通常是各网络的 USDC，共用一份额度），其他代币在 assetCaps 中单独配置；
+ * 两处都没有配置的网络 / 代币一律拒绝（ASSET_NOT_ALLOWED），避免绕过上限。
+ * 只有完全没有配置金额上限（也没有列出任何代币）的策略才接受任意代币。
+ */
+
+const { ethers } = require('ethers');
+const { ReceiptStatus } = require('./receipt-store');
+
+// 违反类型
+const BudgetViolation = {
+    PER_REQUEST_LIMIT: 'PER_REQUEST_LIMIT',   // 超过单次上限
+    HOST_DAILY_LIMIT: 'HOST_DAILY_LIMIT',     // 超过该 host 的每日上限
+    DAILY_LIMIT: 'DAILY_LIMIT',               // 超过每日总上限
+    PAYTO_DENIED: 'PAYTO_DENIED',             // payTo 在黑名单中
+    PAYTO_NOT_ALLOWED: 'PAYTO_NOT_ALLOWED',   // 设置了白名单且 payTo 不在其中
+    UNINSURED_PROVIDER: 'UNINSURED_PROVIDER', // 要求保险但 Provider 未激活
+    ASSET_NOT_ALLOWED: 'ASSET_NOT_ALLOWED',   // 网络 / 代币不在 budgetAssets 或 assetCaps 中
+    DRY_RUN: 'DRY_RUN'                        // dry-run 模式，不支付
+};
+
+// 计入花费的收据状态（已签名发出的支付）
+const SPENT_STATUSES = [ReceiptStatus.PAID, ReceiptStatus.DELIVERED, ReceiptStatus.FAILED];
+
+const DEFAULT_BUDGET = {
+    maxPerRequest: null,      // 代币单位（如 '1' USDC），null 不限制
+    maxPerHostPerDay: null,
+    maxPerDay: null,
+    budgetAssets: [],         // 上面三项适用的代币，'<x402 网络名>:<代币地址>'
+    assetCaps: {},            // 其他代币：'<网络>:<代币地址>' → { maxPerRequest, maxPerHostPerDay, maxPerDay }
+    allowPayTo: [],           // 非空时只向这些地址付款
+    denyPayTo: [],
+    requireInsured: false,
+    dryRun: false
+};
+
+class BudgetPolicyError extends Error {
+    /**
+     * @param {string} code - BudgetViolation，多个违反时为第一个
+     * @param {string} message
+     * @param {Object} details - { violations, payment }
+     */
+    constructor(code, message, { violations = [], payment = null } = {}) {
+        super(message);
+        this.name = 'BudgetPolicyError';
+        this.code = code;
+        this.violations = violations;
+        this.payment = payment;
+    }
+}
+
+// 不同精度的代币金额统一换算到 18 位小数后比较
+const SCALE = 18;
+const DEFAULT_GROUP = 'default';
+
+const toScaled = value => ethers.parseUnits(String(value), SCALE);
+const scale = (amount, decimals) => BigInt(amount) * 10n ** BigInt(SCALE - decimals);
+const formatScaled = units => ethers.formatUnits(units, SCALE);
+const assetKey = (network, asset) => `${network}:${String(asset).toLowerCase()}`;
+
+function startOfUtcDay(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+class BudgetPolicy {
+    /**
+     * @param {Object} [config] - 见 DEFAULT_BUDGET
+     * @param {Object} [deps]
+     * @param {ReceiptStore} [deps.receipts] - 用于统计已花费金额
+     */
+    constructor(config = {}, { receipts = null } = {}) {
+        this.config = { ...DEFAULT_BUDGET, ...config };
+        this.receipts = receipts;
+        this.ledger = [];            // 无收据存储时：本进程内的支付 { at, host, group, amount }
+        this.pending = new Map();    // 已授权但尚未记录的支付，避免并发请求同时通过上限
+        this.nextId = 0;
+
+        const normalize = list => new Set((list || []).map(address => address.toLowerCase()));
+        this.allowPayTo = normalize(this.config.allowPayTo);
+        this.denyPayTo = normalize(this.config.denyPayTo);
+
+        // 代币 → 额度分组（budgetAssets 共用 default 分组）
+        this.groups = new Map();
+        for (const key of this.config.budgetAssets || []) {
+            const [network, asset] = key.split(':');
+            this.groups.set(assetKey(network, asset), DEFAULT_GROUP);
+        }
+        this.assetCaps = new Map();
+        for (const [key, caps] of Object.entries(this.config.assetCaps || {})) {
+            const [network, asset] = key.split(':');
+            this.groups.set(assetKey(network, asset), assetKey(network, asset));
+            this.assetCaps.set(assetKey(network, asset), caps);
+        }
+
+        // 没有任何金额上限时不限制代币，否则未配置的代币一律拒绝
+        const { maxPerRequest, maxPerHostPerDay, maxPerDay } = this.config;
+        this.unrestricted = this.groups.size === 0 &&
+            [maxPerRequest, maxPerHostPerDay, maxPerDay].every(cap => cap == null);
+    }
+
+    /**
+     * 代币所属的额度分组和上限，未配置时为 null（unrestricted 策略之外会被拒绝）
+     * @private
+     */
+    _capGroup(network, asset) {
+        const group = this.groups.get(assetKey(network, asset));
+        if (!group) return null;
+
+        if (group === DEFAULT_GROUP) {
+            const { maxPerRequest, maxPerHostPerDay, maxPerDay } = this.config;
+            return { group, caps: { maxPerRequest, maxPerHostPerDay, maxPerDay } };
+        }
+        return { group, caps: this.assetCaps.get(group) };
+    }
+
+    /**
+     * 签名前检查一次支付
+     *
+     * @param {Object} payment
+     * @param {string} payment.url - 请求URL
+     * @param {string} payment.payTo - 收款地址
+     * @param {string|bigint} payment.amount - 金额（代币最小单位，即 maxAmountRequired）
+     * @param {string} payment.network - x402 网络名
+     * @param {string} payment.asset - 代币地址
+     * @param {number} payment.decimals - 代币精度（协商时读取）
+     * @param {Object} [payment.insurance] - checkProviderInsurance 的报告（requireInsured 时需要）
+     * @returns {Promise<Object>} 授权凭证，支付记录后调用 settle()，放弃支付时调用 release()
+     * @throws {BudgetPolicyError}
+     */
+    async authorize({ url, payTo, amount, network, asset, decimals, insurance }) {
+        const host = new URL(url).host;
+        const units = scale(amount, decimals);
+        const payment = { url, host, payTo, network, asset, amount: ethers.formatUnits(amount, decimals) };
+        const capGroup = this._capGroup(network, asset);
+        const violations = [];
+        const violate = (code, message) => violations.push({ code, message });
+
+        const address = String(payTo).toLowerCase();
+        if (this.denyPayTo.has(address)) {
+            violate(BudgetViolation.PAYTO_DENIED, `payTo ${payTo} is on the deny list`);
+        }
+        if (this.allowPayTo.size > 0 && !this.allowPayTo.has(address)) {
+            violate(BudgetViolation.PAYTO_NOT_ALLOWED, `payTo ${payTo} is not on the allow list`);
+        }
+
+        if (this.config.requireInsured && !(insurance && insurance.isActive)) {
+            violate(BudgetViolation.UNINSURED_PROVIDER, `provider ${payTo} has no active insurance`);
+        }
+
+        if (!capGroup && !this.unrestricted) {
+            violate(BudgetViolation.ASSET_NOT_ALLOWED,
+                `${network}:${asset} is not in budgetAssets or assetCaps`);
+        }
+
+        const { maxPerRequest, maxPerHostPerDay, maxPerDay } = capGroup ? capGroup.caps : {};
+        if (maxPerRequest != null && units > toScaled(maxPerRequest)) {
+            violate(BudgetViolation.PER_REQUEST_LIMIT,
+                `price ${payment.amount} exceeds per-request limit ${maxPerRequest} (${network}:${asset})`);
+        }
+
+        if (maxPerHostPerDay != null || maxPerDay != null) {
+            const spent = await this.getSpentToday(capGroup.group);
+            const hostSpent = spent.byHost[host] || 0n;
+
+            if (maxPerHostPerDay != null && hostSpent + units > toScaled(maxPerHostPerDay)) {
+                violate(BudgetViolation.HOST_DAILY_LIMIT,
+                    `${host} spent ${formatScaled(hostSpent)} today, limit ${maxPerHostPerDay} (${network}:${asset})`);
+            }
+            if (maxPerDay != null && spent.total + units > toScaled(maxPerDay)) {
+                violate(BudgetViolation.DAILY_LIMIT,
+                    `spent ${formatScaled(spent.total)} today, limit ${maxPerDay} (${network}:${asset})`);
+            }
+        }
+
+        if (violations.length > 0) {
+            throw new BudgetPolicyError(
+                violations[0].code,
+                `Budget policy rejected payment: ${violations.map(v => v.message).join('; ')}`,
+                { violations, payment }
+            );
+        }
+
+        if (this.config.dryRun) {
+            throw new BudgetPolicyError(
+                BudgetViolation.DRY_RUN,
+                `Dry run: would pay ${payment.amount} (${network}:${asset}) to ${payTo} for ${url}`,
+                { payment }
+            );
+        }
+
+        const reservation = { id: ++this.nextId, at: new Date(), host, group: capGroup && capGroup.group, amount: units };
+        this.pending.set(reservation.id, reservation);
+        return reservation;
+    }
+
+    /**
+     * 支付已发出（签名并发送）
+     */
+    settle(reservation) {
+        if (!this.pending.delete(reservation.id)) return;
+        // 有收据存储时花费由收据统计
+        if (!this.receipts) this.ledger.push(reservation);
+    }
+
+    /**
+     * 放弃支付（签名前失败等）
+     */
+    release(reservation) {
+        this.pending.delete(reservation.id);
+    }
+
+    /**
+     * 今日（UTC）某额度分组已花费的金额，含已授权未记录的支付
+     *
+     * 收据缺少 network / decimals 时按 Base Sepolia USDC（6 位）统计（早期收据只有 USDC）
+     *
+     * @param {string} [group='default'] - budgetAssets 的分组，或 assetCaps 中的 '<网络>:<代币地址>'
+     * @returns {Promise<{total: bigint, byHost: Object<string, bigint>}>} 18 位小数的定点数
+     */
+    async getSpentToday(group = DEFAULT_GROUP) {
+        const since = startOfUtcDay();
+        let entries;
+
+        if (this.receipts) {
+            const receipts = await this.receipts.query({ from: since, status: SPENT_STATUSES });
+            entries = receipts.map(receipt => ({
+                host: receipt.host,
+                group: receipt.asset ? this.groups.get(assetKey(receipt.network || 'base-sepolia', receipt.asset)) : DEFAULT_GROUP,
+                amount: scale(receipt.amount, receipt.decimals ?? 6)
+            }));
+        } else {
+            entries = this.ledger.filter(entry => entry.at >= since);
+        }
+
+        const byHost = {};
+        let total = 0n;
+        for (const entry of [...entries, ...this.pending.values()]) {
+            if (entry.group !== group) continue;
+            byHost[entry.host] = (byHost[entry.host] || 0n) + entry.amount;
+            total += entry.amount;
+        }
+
+        return { total, byHost };
+    }
+}
+
+module.exports = {
+    BudgetPolicy,
+    BudgetPolicyError,
+    BudgetViolation,
+    DEFAULT_BUDGET
+};
@@ -0,0 +1,103 @@
+/**
+ * 按 Provider 的熔断器
+ *
+ * 连续失败达到阈值后熔断（open），冷却期内直接跳过该 Provider；
+ * 冷却结束后放行一次试探请求（half-open），成功则恢复，失败则重新熔断。
+ * 状态只保存在进程内。
+ */
+
+const CircuitState = {
+    CLOSED: 'closed',         // 正常
+    OPEN: 'open',             // 熔断中，跳过
+    HALF_OPEN: 'half-open'    // 冷却结束，允许一次试探
+};
+
+const DEFAULT_BREAKER = {
+    failureThreshold: 3,      // 连续失败多少次后熔断
+    cooldownMs: 60000         // 熔断持续时间
+};
+
+class CircuitBreaker {
+    /**
+     * @param {Object} [config] - 见 DEFAULT_BREAKER
+     */
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_BREAKER, ...config };
+        this.circuits = new Map();   // key → { failures, openedAt, probing }
+    }
+
+    /**
+     * 当前状态
+     * @param {string} key - 如 Provider 地址
+     */
+    getState(key) {
+        const circuit = this.circuits.get(this._key(key));
+        if (!circuit || circuit.openedAt === null) return CircuitState.CLOSED;
+        if (Date.now() - circuit.openedAt < this.config.cooldownMs) return CircuitState.OPEN;
+        return CircuitState.HALF_OPEN;
+    }
+
+    /**
+     * 是否允许请求（half-open 时只放行一次试探，直到记录结果）
+     */
+    allow(key) {
+        const state = this.getState(key);
+        if (state === CircuitState.CLOSED) return true;
+        if (state === CircuitState.OPEN) return false;
+
+        const circuit = this.circuits.get(this._key(key));
+        if (circuit.probing) return false;
+        circuit.probing = true;
+        return true;
+    }
+
+    /**
+     * 结束试探但不记录结果（请求未真正到达 Provider，如支付选项不被接受）
+     */
+    release(key) {
+        const circuit = this.circuits.get(this._key(key));
+        if (circuit) circuit.probing = false;
+    }
+
+    recordSuccess(key) {
+        this.circuits.delete(this._key(key));
+    }
+
+    recordFailure(key) {
+        const id = this._key(key);
+        const circuit = this.circuits.get(id) || { failures: 0, openedAt: null, probing: false };
+
+        circuit.failures++;
+        // 试探失败或达到阈值：重新开始冷却
+        if (circuit.probing || circuit.failures >= this.config.failureThreshold) {
+            circuit.openedAt = Date.now();
+        }
+        circuit.probing = false;
+
+        this.circuits.set(id, circuit);
+    }
+
+    /**
+     * 所有非正常状态的 key
+     * @returns {Object[]} [{ key, state, failures, retryAt }]
+     */
+    snapshot() {
+        return [...this.circuits.entries()].map(([key, circuit]) => ({
+            key,
+            state: this.getState(key),
+            failures: circuit.failures,
+            retryAt: circuit.openedAt === null ? null : new Date(circuit.openedAt + this.config.cooldownMs).toISOString()
+        }));
+    }
+
+    /** @private */
+    _key(key) {
+        return String(key).toLowerCase();
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    CircuitState,
+    DEFAULT_BREAKER
+};
@@ -5,10 +5,17 @@
  * 1. 查询所有认证的Provider
  * 2. 选择一个Provider进行支付
  * 3. 验证Provider的保险状态
+ * 4. Provider失败时切换到下一个提供相同服务的Provider（按Provider熔断）
  */
 
 const axios = require('axios');
 const { ethers } = require('ethers');
+const { abi: INSURANCE_ABI } = require('../frontend/abi/X402InsuranceV8.json');
+const { createExactPayment, decodePaymentResponse, verifySettlement, NETWORK_CHAIN_IDS } = require('./x402-payment');
+const { createReceiptStore, ReceiptStatus } = require('./receipt-store');
+const { PaymentNegotiator, NegotiationError, summarizeRejections } = require('./payment-negotiation');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { CLAIM_REASON, classifyFailure } = require('./simplest-client');
 
 // ============ 配置 ============
 const CONFIG = {
@@ -25,15 +32,76 @@ const CONFIG = {
     INSURANCE_ADDRESS: '0x...insurance-address...',
 
     // USDC地址（Base Sepolia）
-    USDC_ADDRESS: '0x036CbD53842c5426634e7929541eC2318f3dCF7e'
+    USDC_ADDRESS: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+
+    // 支付收据（见 receipt-store.js）：{ type: 'json' | 'sqlite' | 'memory', path }，false 不记录
+    RECEIPTS: { type: 'json', path: './.x402/receipts.json' },
+
+    // 402 多选项协商（见 payment-negotiation.js）
+    NEGOTIATION: {
+        schemes: ['exact'],
+        rpcUrls: {
+            'base-sepolia': 'https://sepolia.base.org'
+        },
+        maxPrice: null,
+        minTimeoutSeconds: 10,
+        requireInsured: false,
+        strategy: 'insured-first'
+    },
+
+    // Provider 故障切换
+    FAILOVER: {
+        maxAttempts: 3,           // 最多尝试几个Provider
+        requestTimeout: 30000,    // 单次请求超时（毫秒）
+        failureThreshold: 3,      // 连续失败多少次后熔断该Provider
+        cooldownMs: 60000,        // 熔断期间跳过该Provider
+        retryAfterPaidFailure: false  // 已支付但未索赔的失败是否仍切换（会再次付款）
+    },
+
+    // 自动索赔（默认关闭）：付费后的请求失败时发起 V8 索赔，再切换Provider
+    AUTO_CLAIM: {
+        enabled: false,
+        executeAfterDispute: true,
+        storagePath: './.x402/claims.json'
+    }
 };
 
+/**
+ * 服务路径或描述包含关键字
+ */
+function matchesService(service, keyword) {
+    return service.path.includes(keyword) || service.description.includes(keyword);
+}
+
 // ============ 带Registry的Client ============
 class X402ClientWithRegistry {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object|ReceiptStore|false} [options.receipts] - 收据存储配置或实例，默认 CONFIG.RECEIPTS
+     * @param {Object} [options.negotiation] - 覆盖 CONFIG.NEGOTIATION 中的字段
+     * @param {Object} [options.failover] - 覆盖 CONFIG.FAILOVER 中的字段
+     * @param {Object} [options.autoClaim] - 覆盖 CONFIG.AUTO_CLAIM 中的字段
+     */
+    constructor(options = {}) {
         this.provider = new ethers.JsonRpcProvider(CONFIG.RPC_URL);
         this.wallet = new ethers.Wallet(CONFIG.PRIVATE_KEY, this.provider);
         this.address = this.wallet.address;
+        this.receipts = createReceiptStore(options.receipts ?? CONFIG.RECEIPTS);
+        this.negotiator = new PaymentNegotiator(
+            {
+                insuranceDeployments: {
+                    'base-sepolia': { insuranceAddress: CONFIG.INSURANCE_ADDRESS, usdcAddress: CONFIG.USDC_ADDRESS }
+                },
+                ...CONFIG.NEGOTIATION,
+                ...options.negotiation
+            },
+            { address: this.address, checkInsurance: (payTo, amount, target) => this.checkProviderInsurance(payTo, target) }
+        );
+        this.failover = { ...CONFIG.FAILOVER, ...options.failover };
+        this.autoClaim = { ...CONFIG.AUTO_CLAIM, ...options.autoClaim };
+        this.breaker = new CircuitBreaker(this.failover);
+        this.insuranceSDKs = new Map();     // x402 网络名 → 该网络 V8 的保险SDK
+        this.claimStorage = null;
     }
 
     /**
@@ -51,14 +119,14 @@ class X402ClientWithRegistry {
 
                 // 显示Provider信息
                 providers.forEach(p => {
-                    console.log(`🏢 ${p.name}`);
+                    console.log(`🏢 ${p.name || p.address}`);
                     console.log(`   地址: ${p.address}`);
-                    console.log(`   API: ${p.apiEndpoint}`);
+                    console.log(`   API: ${p.apiEndpoint ?? '未登记'}`);
                     console.log(`   等级: ${p.tier} | 余额: ${p.poolBalance} USDC`);
                     console.log(`   成功率: ${p.successRate}%`);
                     console.log(`   服务:`);
                     p.services.forEach(s => {
-                        console.log(`     - ${s.path} (${s.price} USDC): ${s.description}`);
+                        console.log(`     - ${s.path} (${s.price} USDC/${s.pricingUnit}): ${s.description}`);
                     });
                     console.log('');
                 });
@@ -76,14 +144,17 @@ class X402ClientWithRegistry {
 
     /**
      * 2. 搜索特定类型的Provider
+     *
+     * filters 可选：category、tag、maxPrice、pricingUnit、tier、minTier、network、sort 等，
+     * 返回的Provider只包含匹配的服务
      */
-    async searchProviders(query) {
+    async searchProviders(query, filters = {}) {
         try {
             console.log(`🔍 搜索: "${query}"`);
 
-            const response = await axios.get(
-                `${CONFIG.REGISTRY_API}/api/providers/search/${encodeURIComponent(query)}`
-            );
+            const response = await axios.get(`${CONFIG.REGISTRY_API}/api/providers/search`, {
+                params: { q: query, ...filters }
+            });
 
             if (response.data.success) {
                 const providers = response.data.providers;
@@ -137,14 +208,29 @@ class X402ClientWithRegistry {
      * 4. 选择最佳Provider
      */
     async selectBestProvider(service) {
+        const ranked = await this.rankProviders(service);
+
+        if (ranked.length === 0) {
+            console.log('⚠️  没有找到合适的Provider');
+            return null;
+        }
+
+        const best = ranked[0];
+        console.log(`🏆 选择最佳Provider: ${best.name} (${best.tier}, ${best.successRate}%)\n`);
+
+        return best;
+    }
+
+    /**
+     * 提供该服务的Provider，按成功率 > 等级 > 余额排序
+     */
+    async rankProviders(service) {
         const providers = await this.getProviderList();
 
         // 筛选提供该服务的Provider
         const validProviders = providers.filter(p => {
             // 检查是否提供该服务
-            const hasService = p.services.some(s =>
-                s.path.includes(service) || s.description.includes(service)
-            );
+            const hasService = p.services.some(s => matchesService(s, service));
 
             // 检查余额是否充足
             const hasBalance = parseFloat(p.poolBalance) >= 10;
@@ -155,11 +241,6 @@ class X402ClientWithRegistry {
             return hasService && hasBalance && hasGoodRate;
         });
 
-        if (validProviders.length === 0) {
-            console.log('⚠️  没有找到合适的Provider');
-            return null;
-        }
-
         // 按成功率和等级排序
         validProviders.sort((a, b) => {
             // 优先级：成功率 > 等级 > 余额
@@ -175,14 +256,14 @@ class X402ClientWithRegistry {
             return parseFloat(b.poolBalance) - parseFloat(a.poolBalance);
         });
 
-        const best = validProviders[0];
-        console.log(`🏆 选择最佳Provider: ${best.name} (${best.tier}, ${best.successRate}%)\n`);
-
-        return best;
+        return validProviders;
     }
 
     /**
      * 5. 使用选定的Provider进行支付
+     *
+     * 失败时抛出的错误带有 error.paid（是否已发送支付）；
+     * 开启自动索赔时，付费后失败的错误带有 error.claim 或 error.claimError
      */
     async payToProvider(provider, servicePath) {
         try {
@@ -197,38 +278,103 @@ class X402ClientWithRegistry {
             console.log(`   Provider: ${provider.name}`);
             console.log(`   地址: ${provider.address}`);
 
-            // 第一次请求
+            // 第一次请求（402 以外的错误状态码直接抛出，便于切换Provider）
             let response = await axios.get(apiUrl, {
-                validateStatus: status => true
+                validateStatus: status => status < 400 || status === 402,
+                timeout: this.failover.requestTimeout
             });
 
             if (response.status === 402) {
                 console.log('   需要支付...');
 
-                const paymentInfo = response.data.accepts[0];
+                // 从所有支付选项中选择一个
+                let negotiation;
+                try {
+                    negotiation = await this.negotiator.negotiate(response.data);
+                } catch (error) {
+                    if (error instanceof NegotiationError) {
+                        await this._recordReceipt({
+                            url: apiUrl,
+                            client: this.address,
+                            provider: provider.name,
+                            negotiation: response.data,
+                            status: ReceiptStatus.REJECTED,
+                            rejectedOffers: summarizeRejections(error.rejected),
+                            error: error.message
+                        });
+                    }
+                    throw error;
+                }
+
+                const { selected, rejected } = negotiation;
+                const paymentInfo = selected.offer;
+                console.log(`   选择选项 #${selected.index}: ${selected.price} (${selected.network})`);
+                rejected.forEach(r => console.log(`   跳过选项 #${r.index}: ${r.reasons.map(reason => reason.message).join(', ')}`));
+
+                const receipt = await this._recordReceipt({
+                    url: apiUrl,
+                    method: 'GET',
+                    client: this.address,
+                    provider: provider.name,
+                    negotiation: response.data,
+                    offer: selected.index,
+                    rejectedOffers: summarizeRejections(rejected),
+                    payTo: paymentInfo.payTo,
+                    amount: paymentInfo.maxAmountRequired,
+                    asset: paymentInfo.asset,
+                    network: paymentInfo.network
+                });
 
-                // 验证是否是我们认证的Provider
-                if (paymentInfo.insuranceProtected) {
+                // 验证是否是我们认证的Provider（协商时查询过 V8 的以链上结果为准）
+                if (selected.insured ?? paymentInfo.insuranceProtected) {
                     console.log('   ✅ Provider有保险保护');
                 } else {
                     console.log('   ⚠️  Provider无保险保护');
                 }
 
                 // 创建支付
-                const payment = await this.createPayment(
-                    paymentInfo.payTo,
-                    paymentInfo.maxAmountRequired
-                );
+                const payment = await this.createPayment(paymentInfo, response.data.x402Version);
+                await this._updateReceipt(receipt, {
+                    status: ReceiptStatus.PAID,
+                    payment,
+                    paymentPayload: JSON.parse(Buffer.from(payment, 'base64').toString('utf8'))
+                });
 
                 // 带支付信息重新请求
-                response = await axios.get(apiUrl, {
-                    headers: {
-                        'X-PAYMENT': payment
-                    }
+                try {
+                    response = await axios.get(apiUrl, {
+                        headers: {
+                            'X-PAYMENT': payment
+                        },
+                        timeout: this.failover.requestTimeout
+                    });
+                } catch (error) {
+                    error.paid = true;
+                    await this._claimFailure(error, { url: apiUrl, method: 'GET', payment, paymentInfo });
+                    await this._updateReceipt(receipt, {
+                        status: ReceiptStatus.FAILED,
+                        responseStatus: error.response ? error.response.status : null,
+                        settlement: error.settlement || null,
+                        error: error.message,
+                        claim: error.claim || null,
+                        commitment: error.claim ? error.claim.commitment : null
+                    });
+                    throw error;
+                }
+
+                this.lastPaymentResponse = decodePaymentResponse(response.headers['x-payment-response']);
+                await this._updateReceipt(receipt, {
+                    status: ReceiptStatus.DELIVERED,
+                    responseStatus: response.status,
+                    paymentResponse: this.lastPaymentResponse
                 });
 
                 if (response.status === 200) {
-                    console.log('   ✅ 支付成功！\n');
+                    console.log('   ✅ 支付成功！');
+                    if (this.lastPaymentResponse && this.lastPaymentResponse.transaction) {
+                        console.log(`   结算交易: ${this.lastPaymentResponse.transaction}`);
+                    }
+                    console.log('');
                     return response.data;
                 }
             }
@@ -242,30 +388,244 @@ class X402ClientWithRegistry {
     }
 
     /**
-     * 创建支付签名
+     * 6. 请求服务，失败时切换到下一个提供相同服务路径的Provider
+     *
+     * 支付前失败（不可达、5xx、无可用支付选项）会切换；支付后失败只有已发起索赔（error.claim）
+     * 或 retryAfterPaidFailure 为 true 时才切换，否则停止，避免重复付款却无法追回。
+     * 连续失败的Provider在冷却期内被跳过。
+     *
+     * @param {string} service - 服务关键字，同 selectBestProvider
+     * @param {Object} [options]
+     * @param {string} [options.path] - 服务路径，默认取排名第一的Provider匹配的服务
+     * @param {boolean} [options.retryAfterPaidFailure] - 默认 CONFIG.FAILOVER.retryAfterPaidFailure
+     * @returns {Promise<Object>} { data, provider, path, attempts }
+     * @throws {Error} code 为 ALL_PROVIDERS_FAILED 或 PAID_REQUEST_FAILED（已支付未索赔，未切换），error.attempts 为每次尝试的结果
      */
-    async createPayment(to, amount) {
-        const payment = {
-            from: this.address,
-            to: to,
-            amount: amount,
-            asset: CONFIG.USDC_ADDRESS,
-            network: 'base-sepolia',
-            nonce: Date.now(),
-            timestamp: Math.floor(Date.now() / 1000)
+    async requestWithFailover(service, { path, retryAfterPaidFailure = this.failover.retryAfterPaidFailure } = {}) {
+        const ranked = await this.rankProviders(service);
+
+        if (!path) {
+            const matched = ranked.length > 0 && ranked[0].services.find(s => matchesService(s, service));
+            path = matched && matched.path;
+        }
+
+        const candidates = ranked.filter(p => p.services.some(s => s.path === path));
+        const attempts = [];
+        let tried = 0;
+
+        for (const provider of candidates) {
+            if (tried >= this.failover.maxAttempts) break;
+
+            if (!this.breaker.allow(provider.address)) {
+                console.log(`⏭️  跳过熔断中的Provider: ${provider.name}`);
+                attempts.push({ provider: provider.address, name: provider.name, skipped: true });
+                continue;
+            }
+
+            tried++;
+            try {
+                const data = await this.payToProvider(provider, path);
+                this.breaker.recordSuccess(provider.address);
+                attempts.push({ provider: provider.address, name: provider.name, success: true });
+                return { data, provider, path, attempts };
+
+            } catch (error) {
+                // 支付选项不被接受不代表Provider故障，不计入熔断（结束 half-open 试探）
+                if (error instanceof NegotiationError) {
+                    this.breaker.release(provider.address);
+                } else {
+                    this.breaker.recordFailure(provider.address);
+                }
+
+                attempts.push({
+                    provider: provider.address,
+                    name: provider.name,
+                    error: error.message,
+                    paid: Boolean(error.paid),
+                    claim: error.claim || null
+                });
+
+                if (error.paid && !error.claim && !retryAfterPaidFailure) {
+                    console.log(`⛔ ${provider.name} 付费请求失败且未索赔，停止切换以免重复付款`);
+                    const stop = new Error(`Paid request to ${provider.name} failed without a claim: ${error.message}`);
+                    stop.code = 'PAID_REQUEST_FAILED';
+                    stop.cause = error;
+                    stop.attempts = attempts;
+                    throw stop;
+                }
+                console.log(`🔁 ${provider.name} 失败${error.paid ? '（已支付）' : ''}，尝试下一个Provider`);
+            }
+        }
+
+        const error = new Error(`All providers failed for ${path || service} (${tried} tried, ${attempts.length - tried} skipped)`);
+        error.code = 'ALL_PROVIDERS_FAILED';
+        error.attempts = attempts;
+        throw error;
+    }
+
+    /**
+     * 为一次付费请求发起索赔（commitment 由支付载荷派生，同一笔支付不会重复索赔）
+     *
+     * 收据的 path 取请求URL的 pathname + search（不含 Provider 的协议和主机），与 simplest-client.js 经 commitment.js 规范化后的形式相同
+     *
+     * @param {Object} params - { url, method = 'GET', payment, network = 'base-sepolia', reason }，索赔发往 network 的 V8
+     * @returns {Promise<Object>} { commitment, txHash, existing, url, path, network, provider, amount, reason, reasonName, disputeDeadline, status }
+     */
+    async fileClaim({ url, method = 'GET', payment, network = 'base-sepolia', reason }) {
+        const sdk = await this._getInsuranceSDK(network);
+        if (!sdk) throw new Error(`No X402InsuranceV8 deployment configured on ${network}`);
+
+        const { pathname, search } = new URL(url);
+        const path = pathname + search;
+        const claim = await sdk.initiateClaim({ receipt: { method, path, payment }, reason });
+
+        if (this.autoClaim.executeAfterDispute) {
+            sdk.watchAndExecute(claim.commitment).catch(error => {
+                console.log('⚠️  自动执行索赔失败:', claim.commitment, error.message);
+            });
+        }
+
+        return {
+            commitment: claim.commitment,
+            txHash: claim.txHash,
+            existing: claim.existing,
+            url,
+            path,
+            network,
+            provider: claim.provider,
+            amount: claim.requestedAmount,
+            reason,
+            reasonName: Object.keys(CLAIM_REASON).find(key => CLAIM_REASON[key] === reason),
+            disputeDeadline: claim.disputeDeadline.toISOString(),
+            status: claim.status
         };
+    }
 
-        const message = ethers.solidityPackedKeccak256(
-            ['address', 'address', 'uint256', 'uint256'],
-            [payment.from, payment.to, payment.amount, payment.nonce]
-        );
+    /**
+     * 付费后失败：确认支付已结算后按失败类型自动索赔，结果写入 error.settlement / error.claim / error.claimError
+     * @private
+     */
+    async _claimFailure(error, { url, method, payment, paymentInfo }) {
+        const reason = classifyFailure(error);
+        if (!this.autoClaim.enabled || reason === null) return;
+
+        const network = paymentInfo.network || 'base-sepolia';
+        const target = this.negotiator.insuranceTarget({ network, asset: paymentInfo.asset || CONFIG.USDC_ADDRESS, amount: null });
+        if (!target || !target.insuredAsset) {
+            console.log(`   ℹ️  ${network} 上没有承保该代币的 V8 部署，不发起索赔`);
+            return;
+        }
+
+        error.settlement = await verifySettlement(payment, { asset: CONFIG.USDC_ADDRESS, network, ...paymentInfo }, {
+            paymentResponse: error.response ? decodePaymentResponse(error.response.headers['x-payment-response']) : null,
+            provider: this._providerFor(network)
+        });
+        if (!error.settlement.settled) {
+            console.log('   ℹ️  支付未结算，不发起索赔');
+            return;
+        }
 
-        const signature = await this.wallet.signMessage(ethers.getBytes(message));
+        try {
+            error.claim = await this.fileClaim({ url, method, payment, network, reason });
+            console.log(`   🛡️  已自动发起索赔 (${error.claim.reasonName}): ${error.claim.commitment}`);
+        } catch (claimError) {
+            error.claimError = claimError;
+            console.log('   ⚠️  自动索赔失败:', claimError.message);
+        }
+    }
 
-        return Buffer.from(JSON.stringify({
-            ...payment,
-            signature
-        })).toString('base64');
+    /**
+     * 某网络的 RPC（协商配置的 rpcUrls，Base Sepolia 默认用 CONFIG.RPC_URL）
+     * @private
+     */
+    _providerFor(network) {
+        return this.negotiator.getProvider(network) || (network === 'base-sepolia' ? this.provider : null);
+    }
+
+    /**
+     * 按需加载某网络 V8 的保险SDK（ESM），网络没有 V8 部署或 RPC 时为 null
+     * @private
+     */
+    async _getInsuranceSDK(network = 'base-sepolia') {
+        const deployment = this.negotiator.getInsuranceDeployment(network);
+        const provider = this._providerFor(network);
+        if (!deployment || !provider || !NETWORK_CHAIN_IDS[network]) return null;
+
+        if (!this.insuranceSDKs.has(network)) {
+            const { default: X402InsuranceSDK } = await import('../frontend/sdk/X402InsuranceSDK.js');
+            const { createFileStorage } = await import('../frontend/sdk/storage-node.js');
+            // 各网络的执行队列共用一个文件（按 chainId 和合约地址区分）
+            this.claimStorage = this.claimStorage || createFileStorage(this.autoClaim.storagePath);
+
+            this.insuranceSDKs.set(network, new X402InsuranceSDK(this.wallet.connect(provider), {
+                network: {
+                    name: network,
+                    chainId: NETWORK_CHAIN_IDS[network],
+                    rpcUrl: this.negotiator.config.rpcUrls[network] || CONFIG.RPC_URL,
+                    insuranceAddress: deployment.insuranceAddress,
+                    usdcAddress: deployment.usdcAddress
+                },
+                executor: { storage: this.claimStorage }
+            }));
+        }
+        return this.insuranceSDKs.get(network);
+    }
+
+    /**
+     * 查询 payTo 在支付网络的 V8 中是否有激活的保险
+     *
+     * @param {string} address - payTo
+     * @param {Object} [target] - { network = 'base-sepolia', deployment, provider }，deployment 默认取协商配置 insuranceDeployments
+     * @returns {Promise<Object>} { checked, isActive, tier }，该网络没有 V8 部署或查询失败时 checked 为 false
+     */
+    async checkProviderInsurance(address, { network = 'base-sepolia', deployment, provider } = {}) {
+        deployment = deployment || this.negotiator.getInsuranceDeployment(network);
+        provider = provider || this._providerFor(network);
+        if (!deployment || !provider) {
+            return { checked: false, isActive: false, error: `No X402InsuranceV8 deployment configured on ${network}` };
+        }
+
+        try {
+            const insurance = new ethers.Contract(deployment.insuranceAddress, INSURANCE_ABI, provider);
+            const info = await insurance.getProviderInfo(address);
+            return { checked: true, isActive: info.isActive, tier: Number(info.tier) };
+        } catch (error) {
+            return { checked: false, isActive: false, error: error.message };
+        }
+    }
+
+    /** @private */
+    async _recordReceipt(entry) {
+        if (!this.receipts) return null;
+        return await this.receipts.record(entry);
+    }
+
+    /** @private */
+    async _updateReceipt(receipt, patch) {
+        if (!this.receipts || !receipt) return;
+        await this.receipts.update(receipt.id, patch);
+    }
+
+    /**
+     * 创建 x402 "exact" 支付（EIP-3009 transferWithAuthorization）
+     *
+     * @param {Object} paymentInfo - 402 响应 accepts[] 中的支付要求
+     * @param {number} [x402Version] - 402 响应中的协议版本
+     * @returns {Promise<string>} base64 编码的 X-PAYMENT
+     */
+    async createPayment(paymentInfo, x402Version) {
+        const requirements = {
+            network: 'base-sepolia',
+            asset: CONFIG.USDC_ADDRESS,
+            ...paymentInfo
+        };
+
+        // 其他网络的代币 domain 需从对应网络读取
+        const provider = this.negotiator.getProvider(requirements.network);
+        const signer = provider ? this.wallet.connect(provider) : this.wallet;
+
+        const { header } = await createExactPayment(signer, requirements, { x402Version });
+        return header;
     }
 }
 
@@ -305,12 +665,12 @@ async function demonstrateRegistry() {
             console.log('⚠️  请先配置私钥才能进行支付');
             console.log('   编辑 CONFIG.PRIVATE_KEY');
         } else {
-            // 选择一个服务进行支付
+            // 选择一个服务进行支付，失败时自动切换到下一个提供相同服务的Provider
             const service = bestProvider.services[0];
             if (service) {
                 try {
-                    const result = await client.payToProvider(bestProvider, service.path);
-                    console.log('📊 获得数据:', result);
+                    const result = await client.requestWithFailover('weather', { path: service.path });
+                    console.log(`📊 获得数据（${result.provider.name}，尝试 ${result.attempts.length} 次）:`, result.data);
                 } catch (error) {
                     console.log('支付演示跳过（需要真实Provider运行）');
                 }
@@ -381,7 +741,8 @@ if (require.main === module) {
       GET http://localhost:3005/api/providers
 
    2. 搜索特定服务:
-      GET http://localhost:3005/api/providers/search/weather
+      GET http://localhost:3005/api/providers/search?q=weather&category=weather&maxPrice=0.5&network=base-sepolia
+      GET http://localhost:3005/api/services?pricingUnit=token&sort=price  (按服务列出，带分面计数)
 
    3. 检查Provider健康:
       GET http://localhost:3005/api/providers/:address/health
@@ -389,6 +750,10 @@ if (require.main === module) {
    4. 获取特定Provider信息:
       GET http://localhost:3005/api/providers/:address
 
+   5. 故障切换:
+      client.requestWithFailover('weather') 按排名依次尝试提供相同服务路径的Provider，
+      连续失败的Provider熔断冷却（CONFIG.FAILOVER）；已支付的失败只有索赔后才切换
+
    优势：
    - Client可以发现所有认证的Provider
    - 可以比较价格和服务质量
@@ -29,9 +29,9 @@ async function showAllProviders() {
             console.log(`找到 ${providers.length} 个认证的Provider：\n`);
 
             providers.forEach((p, index) => {
-                console.log(`${index + 1}. ${p.name}`);
+                console.log(`${index + 1}. ${p.name || p.address}`);
                 console.log(`   地址: ${p.address}`);
-                console.log(`   API端点: ${p.apiEndpoint}`);
+                console.log(`   API端点: ${p.apiEndpoint ?? '未登记'}`);
                 console.log(`   等级: ${p.tier}`);
                 console.log(`   保险池余额: ${p.poolBalance} USDC`);
                 console.log(`   成功率: ${p.successRate}%`);
@@ -40,7 +40,7 @@ async function showAllProviders() {
                 p.services.forEach(s => {
                     console.log(`     • ${s.description}`);
                     console.log(`       路径: ${s.path}`);
-                    console.log(`       价格: ${s.price} USDC`);
+                    console.log(`       价格: ${s.price} USDC/${s.pricingUnit}`);
                 });
                 console.log('');
             });
@@ -61,9 +61,9 @@ async function searchService(keyword) {
     console.log(`🔍 搜索包含"${keyword}"的服务...\n`);
 
     try {
-        const response = await axios.get(
-            `${REGISTRY_API}/api/providers/search/${encodeURIComponent(keyword)}`
-        );
+        const response = await axios.get(`${REGISTRY_API}/api/providers/search`, {
+            params: { q: keyword }
+        });
 
         if (response.data.success) {
             const providers = response.data.providers;
@@ -73,12 +73,10 @@ async function searchService(keyword) {
             } else {
                 console.log(`找到 ${providers.length} 个相关Provider：\n`);
                 providers.forEach(p => {
-                    console.log(`• ${p.name} (${p.apiEndpoint})`);
-                    const relevantServices = p.services.filter(s =>
-                        s.description.includes(keyword) || s.path.includes(keyword)
-                    );
-                    relevantServices.forEach(s => {
-                        console.log(`  - ${s.description} (${s.price} USDC)`);
+                    console.log(`• ${p.name || p.address} (${p.apiEndpoint ?? '未登记'})`);
+                    // 结果只包含匹配的服务
+                    p.services.forEach(s => {
+                        console.log(`  - ${s.description} (${s.price} USDC/${s.pricingUnit})`);
                     });
                 });
                 console.log('');
@@ -252,7 +250,7 @@ async function simulateClientDecision() {
     console.log('步骤4: 评估各Provider：');
 
     for (const p of weatherProviders) {
-        console.log(`\n   正在评估: ${p.name}`);
+        console.log(`\n   正在评估: ${p.name || p.address}`);
         console.log(`   - 等级: ${p.tier}`);
         console.log(`   - 成功率: ${p.successRate}%`);
         console.log(`   - 保险池: ${p.poolBalance} USDC`);
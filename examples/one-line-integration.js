@@ -30,8 +30,8 @@ app.get('/new-way', async (req, res) => {
 
 // ============ 方式3：更简单的包装 ============
 
-// 创建一个全局函数
-global.x402 = url => require('./simplest-client').payAndGet(url);
+// 创建一个全局函数（options 同 payAndGet，如 { budget: { maxPerRequest: '0.1' } }）
+global.x402 = (url, options) => require('./simplest-client').payAndGet(url, options);
 
 // 现在在任何地方都可以使用
 async function myApp() {
@@ -54,6 +54,61 @@ require('./simplest-client')
 // 在支持top-level await的环境中
 // const data = await require('./simplest-client').payAndGet('http://localhost:3001/api/weather');
 
+// ============ 方式6：预算保护 ============
+
+// 默认按 simplest-client.js 中 CONFIG.BUDGET 限制花费，超出时在签名前抛出 BudgetPolicyError
+async function guardedApp() {
+    const { BudgetPolicyError, BudgetViolation } = require('./simplest-client');
+
+    try {
+        return await x402('http://localhost:3004/api/ai/text', {
+            budget: { maxPerRequest: '0.05', maxPerDay: '2', denyPayTo: ['0x0000000000000000000000000000000000000bad'] }
+        });
+    } catch (error) {
+        if (error instanceof BudgetPolicyError) {
+            // 未签名、未支付
+            console.log('已拦截:', error.code, error.code === BudgetViolation.DAILY_LIMIT ? '今日预算已用完' : error.message);
+            return null;
+        }
+        throw error;
+    }
+}
+
+// 先演练：dry-run 只评估策略，不签名
+// await x402(url, { budget: { dryRun: true } });  // 抛出 code 为 DRY_RUN 的 BudgetPolicyError
+
+// ============ 方式7：x402Fetch（与 fetch 签名一致）============
+
+// 任意方法和请求体，402 时自动支付并重试，返回标准 Response
+async function fetchApp() {
+    const { x402Fetch } = require('./x402-fetch');
+
+    const response = await x402Fetch('http://localhost:3004/api/ai/text', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ prompt: 'hello' })
+    });
+
+    if (!response.ok && response.x402 && response.x402.claim) {
+        // 付费后服务失败，已自动索赔
+        console.log('已索赔:', response.x402.claim.commitment);
+    }
+    return await response.json();
+}
+
+// ============ 方式8：已有 axios 代码 ============
+
+// 安装拦截器后原有代码不用改，402 自动支付
+function axiosApp() {
+    const axios = require('axios');
+    const { attachX402Interceptor } = require('./x402-fetch');
+
+    const api = axios.create({ baseURL: 'http://localhost:3004' });
+    const eject = attachX402Interceptor(api);  // 可传 { client } 使用单独的钱包/预算
+
+    return api.post('/api/ai/text', { prompt: 'hello' }).then(res => res.data).finally(eject);
+}
+
 // ============ 集成难度对比 ============
 
 console.log(`
@@ -64,8 +119,9 @@ const data = await fetch(url).then(r => r.json());
 
 X402支付请求:
 const data = await x402(url);
+const data = await x402Fetch(url, init).then(r => r.json());
 
-区别：只是把 fetch 换成 x402！
+区别：只是把 fetch 换成 x402 / x402Fetch！
 
 就是这么简单！
 `);
@@ -74,7 +130,7 @@ const data = await x402(url);
 
 module.exports = {
     // 最简单的导出，用户只需要这一个函数
-    pay: url => require('./simplest-client').payAndGet(url)
+    pay: (url, options) => require('./simplest-client').payAndGet(url, options)
 };
 
 // 用户使用：
@@ -0,0 +1,350 @@
+/**
+ * 402 多选项协商
+ *
+ * 服务端可以在 accepts 中给出多个支付选项（不同网络、代币或 scheme）。
+ * 这里逐项检查：scheme 是否支持、网络是否配置了 RPC、价格上限、maxTimeoutSeconds、
+ * 钱包在该网络/代币上的余额，以及 payTo 是否在该网络的 V8 中有激活的保险（V8 只承保其 USDC）；
+ * 再按策略从剩下的选项中选出一个，并记录其余选项被拒绝的原因。
+ */
+
+const { ethers } = require('ethers');
+const { EXACT_SCHEME, NETWORK_CHAIN_IDS } = require('./x402-payment');
+
+// 选项被拒绝的原因
+const RejectionReason = {
+    INVALID_OFFER: 'INVALID_OFFER',               // 缺少 payTo / asset / maxAmountRequired
+    UNSUPPORTED_SCHEME: 'UNSUPPORTED_SCHEME',     // 不支持的 scheme
+    UNSUPPORTED_NETWORK: 'UNSUPPORTED_NETWORK',   // 未知网络或未配置 RPC
+    PRICE_TOO_HIGH: 'PRICE_TOO_HIGH',             // 超过 maxPrice
+    TIMEOUT_TOO_SHORT: 'TIMEOUT_TOO_SHORT',       // maxTimeoutSeconds 不足以完成请求
+    INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE', // 该网络/代币余额不足
+    UNINSURED: 'UNINSURED',                       // 要求保险但 payTo 未激活
+    NOT_SELECTED: 'NOT_SELECTED'                  // 可用，但策略选择了其他选项
+};
+
+const DEFAULT_NEGOTIATION = {
+    schemes: [EXACT_SCHEME],
+    rpcUrls: {},                 // x402 网络名 → RPC URL，未配置的网络不会被选择
+    maxPrice: null,              // 单个选项最高价格（代币单位，如 '1' USDC），null 不限制
+    minTimeoutSeconds: 10,       // maxTimeoutSeconds 低于此值的选项不选
+    requireInsured: false,       // 只选择 payTo 有激活保险的选项
+    insuranceDeployments: {},    // x402 网络名 → { insuranceAddress, usdcAddress }，没有部署的网络不查询保险
+    strategy: 'insured-first'    // 见 NegotiationStrategies，或自定义函数
+};
+
+class NegotiationError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object[]} rejected - [{ index, offer, reasons: [{ code, message }] }]
+     */
+    constructor(message, rejected = []) {
+        super(message);
+        this.name = 'NegotiationError';
+        this.code = 'NO_ACCEPTABLE_OFFER';
+        this.rejected = rejected;
+    }
+}
+
+// ============ 策略 ============
+
+const byPrice = (a, b) => a.price - b.price;
+const byTimeout = (a, b) => b.timeoutSeconds - a.timeoutSeconds;
+
+/**
+ * 内置策略：(candidates) => candidate，candidates 为通过检查的选项（按 accepts 原顺序）
+ */
+const NegotiationStrategies = {
+    // 有保险优先，其次价格最低，再次超时时间最长
+    'insured-first': candidates => [...candidates].sort((a, b) =>
+        Number(b.insured === true) - Number(a.insured === true) || byPrice(a, b) || byTimeout(a, b))[0],
+
+    // 价格最低，其次超时时间最长
+    'cheapest': candidates => [...candidates].sort((a, b) => byPrice(a, b) || byTimeout(a, b))[0],
+
+    // 服务端给出的顺序
+    'first': candidates => candidates[0]
+};
+
+/**
+ * 优先使用指定网络（按列表顺序），同一网络内交给 fallback 策略
+ *
+ * @param {string[]} networks - 如 ['base', 'base-sepolia']
+ * @param {string|Function} [fallback='insured-first']
+ */
+function preferNetworks(networks, fallback = 'insured-first') {
+    const rank = candidate => {
+        const index = networks.indexOf(candidate.network);
+        return index === -1 ? networks.length : index;
+    };
+
+    return candidates => {
+        const best = Math.min(...candidates.map(rank));
+        return resolveStrategy(fallback)(candidates.filter(candidate => rank(candidate) === best));
+    };
+}
+
+function resolveStrategy(strategy) {
+    if (typeof strategy === 'function') return strategy;
+
+    const resolved = NegotiationStrategies[strategy];
+    if (!resolved) throw new Error(`Unknown negotiation strategy: ${strategy}`);
+    return resolved;
+}
+
+// ============ 协商 ============
+
+const ERC20_ABI = [
+    'function balanceOf(address) view returns (uint256)',
+    'function decimals() view returns (uint8)'
+];
+
+class PaymentNegotiator {
+    /**
+     * @param {Object} [config] - 见 DEFAULT_NEGOTIATION
+     * @param {Object} deps
+     * @param {string} deps.address - 付款钱包地址
+     * @param {Function} [deps.checkInsurance] - (payTo, amount, { network, deployment, provider }) => Promise<{ checked, isActive }>，
+     *   如 SuperSimpleX402Client.checkProviderInsurance；不传时不评估保险。
+     *   amount 为 USDC 最小单位，选项的代币不是该网络 V8 的 USDC 时为 null
+     */
+    constructor(config = {}, { address, checkInsurance = null } = {}) {
+        this.config = { ...DEFAULT_NEGOTIATION, ...config };
+        this.address = address;
+        this.checkInsurance = checkInsurance;
+        this.strategy = resolveStrategy(this.config.strategy);
+        this.providers = new Map();
+    }
+
+    /**
+     * 某网络的 RPC Provider（未配置时为 null）
+     */
+    getProvider(network) {
+        const rpcUrl = this.config.rpcUrls[network];
+        if (!rpcUrl || !NETWORK_CHAIN_IDS[network]) return null;
+
+        if (!this.providers.has(network)) {
+            this.providers.set(network, new ethers.JsonRpcProvider(rpcUrl, NETWORK_CHAIN_IDS[network], { staticNetwork: true }));
+        }
+        return this.providers.get(network);
+    }
+
+    /**
+     * 某网络的 V8 部署 { insuranceAddress, usdcAddress }（未配置时为 null）
+     */
+    getInsuranceDeployment(network) {
+        const deployment = this.config.insuranceDeployments[network];
+        return deployment && deployment.insuranceAddress && deployment.usdcAddress ? deployment : null;
+    }
+
+    /**
+     * 选项对应的保险查询参数：该网络没有 V8 部署时为 null；
+     * 代币不是 V8 承保的 USDC 时 amount 为 null（金额单位不同，不能与保险池比较）
+     *
+     * @param {Object} option - { network, asset, amount }（候选项或 402 offer 换算后的字段）
+     * @returns {Object|null} { network, deployment, provider, amount, insuredAsset }
+     */
+    insuranceTarget({ network, asset, amount }) {
+        const deployment = this.getInsuranceDeployment(network);
+        if (!deployment) return null;
+
+        const insuredAsset = String(asset).toLowerCase() === deployment.usdcAddress.toLowerCase();
+        return {
+            network,
+            deployment,
+            provider: this.getProvider(network),
+            amount: insuredAsset ? amount : null,
+            insuredAsset
+        };
+    }
+
+    /**
+     * 评估 402 响应中的所有选项并选择一个
+     *
+     * @param {Object} body - 402 响应体 { x402Version, accepts }
+     * @returns {Promise<Object>} { selected, candidates, rejected }；
+     *   selected 为 { index, offer, network, asset, payTo, amount, price, decimals, balance, timeoutSeconds, insured, insurance }
+     * @throws {NegotiationError} 没有可用选项
+     */
+    async negotiate(body) {
+        const offers = body && Array.isArray(body.accepts) ? body.accepts : [];
+        const rejected = [];
+        const balances = new Map();   // 同一网络/代币只查询一次
+        let candidates = [];
+
+        for (const [index, offer] of offers.entries()) {
+            const { reasons, candidate } = await this._evaluate(offer, balances);
+            if (candidate) {
+                candidates.push({ index, ...candidate });
+            } else {
+                rejected.push({ index, offer, reasons });
+            }
+        }
+
+        // 只有一个选项且不要求保险时不必查询保险
+        if (this.checkInsurance && (this.config.requireInsured || candidates.length > 1)) {
+            await this._checkInsurance(candidates);
+
+            if (this.config.requireInsured) {
+                for (const candidate of candidates.filter(c => !c.insured)) {
+                    rejected.push({
+                        index: candidate.index,
+                        offer: candidate.offer,
+                        reasons: [{ code: RejectionReason.UNINSURED, message: `payTo ${candidate.payTo} has no active insurance` }]
+                    });
+                }
+                candidates = candidates.filter(c => c.insured);
+            }
+        }
+
+        if (candidates.length === 0) {
+            const summary = rejected.map(r => `#${r.index}: ${r.reasons.map(reason => reason.message).join(', ')}`);
+            throw new NegotiationError(
+                `No acceptable payment option${summary.length ? ` (${summary.join('; ')})` : ': empty accepts'}`,
+                rejected
+            );
+        }
+
+        const selected = this.strategy(candidates) || candidates[0];
+        for (const candidate of candidates.filter(c => c !== selected)) {
+            rejected.push({
+                index: candidate.index,
+                offer: candidate.offer,
+                reasons: [{ code: RejectionReason.NOT_SELECTED, message: `strategy preferred option #${selected.index}` }]
+            });
+        }
+
+        rejected.sort((a, b) => a.index - b.index);
+        return { selected, candidates, rejected };
+    }
+
+    /**
+     * 检查单个选项
+     * @returns {Promise<{reasons: Object[], candidate: Object|null}>} 通过时 reasons 为空
+     * @private
+     */
+    async _evaluate(offer, balances) {
+        const reasons = [];
+        const reject = (code, message) => reasons.push({ code, message });
+
+        if (!offer || !offer.payTo || !offer.asset || offer.maxAmountRequired == null) {
+            reject(RejectionReason.INVALID_OFFER, 'missing payTo, asset or maxAmountRequired');
+            return { reasons, candidate: null };
+        }
+
+        const scheme = offer.scheme || EXACT_SCHEME;
+        if (!this.config.schemes.includes(scheme)) {
+            reject(RejectionReason.UNSUPPORTED_SCHEME, `scheme ${scheme} not supported`);
+        }
+
+        const provider = this.getProvider(offer.network);
+        if (!provider) {
+            reject(RejectionReason.UNSUPPORTED_NETWORK, `network ${offer.network} not configured`);
+        }
+
+        const timeoutSeconds = Number(offer.maxTimeoutSeconds || 60);
+        if (timeoutSeconds < this.config.minTimeoutSeconds) {
+            reject(RejectionReason.TIMEOUT_TOO_SHORT,
+                `maxTimeoutSeconds ${timeoutSeconds} below ${this.config.minTimeoutSeconds}`);
+        }
+
+        if (reasons.length > 0) return { reasons, candidate: null };
+
+        const amount = BigInt(offer.maxAmountRequired);
+        const token = await this._readToken(provider, offer.network, offer.asset, balances);
+        const price = Number(ethers.formatUnits(amount, token.decimals));
+
+        if (this.config.maxPrice != null && price > Number(this.config.maxPrice)) {
+            reject(RejectionReason.PRICE_TOO_HIGH, `price ${price} exceeds ${this.config.maxPrice}`);
+        }
+
+        // 余额查询失败时不拒绝，交给 facilitator 结算时判断
+        if (token.balance !== null && token.balance < amount) {
+            reject(RejectionReason.INSUFFICIENT_BALANCE,
+                `balance ${ethers.formatUnits(token.balance, token.decimals)} on ${offer.network} below price ${price}`);
+        }
+
+        if (reasons.length > 0) return { reasons, candidate: null };
+
+        const candidate = {
+            offer,
+            scheme,
+            network: offer.network,
+            asset: offer.asset,
+            payTo: offer.payTo,
+            amount: amount.toString(),
+            price,
+            decimals: token.decimals,
+            balance: token.balance === null ? null : ethers.formatUnits(token.balance, token.decimals),
+            timeoutSeconds,
+            insured: null,
+            insurance: null
+        };
+        return { reasons, candidate };
+    }
+
+    /** @private */
+    async _readToken(provider, network, asset, balances) {
+        const key = `${network}:${asset.toLowerCase()}`;
+
+        if (!balances.has(key)) {
+            const token = new ethers.Contract(asset, ERC20_ABI, provider);
+            balances.set(key, Promise.all([
+                token.balanceOf(this.address).catch(() => null),
+                token.decimals().then(Number).catch(() => 6)   // USDC
+            ]).then(([balance, decimals]) => ({ balance, decimals })));
+        }
+        return balances.get(key);
+    }
+
+    /**
+     * 按网络和 payTo 查询保险（相同查询只执行一次）
+     *
+     * 网络没有 V8 部署时不查询；代币不是 V8 承保的 USDC 时索赔金额无法对应，insured 为 false
+     * @private
+     */
+    async _checkInsurance(candidates) {
+        const reports = new Map();
+
+        for (const candidate of candidates) {
+            const target = this.insuranceTarget(candidate);
+            if (!target) {
+                candidate.insurance = null;
+                candidate.insured = false;
+                continue;
+            }
+
+            const { network, deployment, provider, amount } = target;
+            const key = `${network}:${candidate.payTo.toLowerCase()}:${amount}`;
+            if (!reports.has(key)) {
+                reports.set(key, this.checkInsurance(candidate.payTo, amount, { network, deployment, provider }));
+            }
+            candidate.insurance = await reports.get(key);
+            candidate.insured = target.insuredAsset &&
+                Boolean(candidate.insurance && candidate.insurance.checked !== false && candidate.insurance.isActive);
+        }
+    }
+}
+
+/**
+ * 被拒绝的选项 → 收据中保存的摘要
+ */
+function summarizeRejections(rejected) {
+    return rejected.map(({ index, offer, reasons }) => ({
+        index,
+        network: offer && offer.network,
+        scheme: offer && offer.scheme,
+        payTo: offer && offer.payTo,
+        amount: offer && offer.maxAmountRequired,
+        reasons
+    }));
+}
+
+module.exports = {
+    PaymentNegotiator,
+    NegotiationError,
+    NegotiationStrategies,
+    RejectionReason,
+    DEFAULT_NEGOTIATION,
+    preferNetworks,
+    summarizeRejections
+};
@@ -0,0 +1,398 @@
+/**
+ * 支付与索赔收据存储（Node.js）
+ *
+ * 记录每次 402 协商、发送的支付载荷、响应状态以及由此产生的索赔，
+ * 可按条件查询，并导出 CSV / JSON 用于对账和争议举证。
+ *
+ * 后端：
+ * - json：单个 JSON 文件（默认，无额外依赖）
+ * - sqlite：需要 npm install better-sqlite3
+ * - memory：仅进程内（测试用）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 收据状态
+const ReceiptStatus = {
+    NEGOTIATED: 'negotiated',   // 收到 402，尚未支付
+    REJECTED: 'rejected',       // 策略拒绝支付（未签名）
+    PAID: 'paid',               // 已发送 X-PAYMENT，等待响应
+    DELIVERED: 'delivered',     // 付费请求成功
+    FAILED: 'failed'            // 付费请求失败（可能已索赔）
+};
+
+const CSV_COLUMNS = [
+    'id', 'createdAt', 'updatedAt', 'client', 'method', 'url', 'host', 'payTo', 'amount',
+    'asset', 'network', 'status', 'responseStatus', 'settlementTx', 'commitment',
+    'claimReason', 'claimTx', 'error'
+];
+
+// ============ 通用工具 ============
+
+/**
+ * 创建新收据（补全 id、时间戳和 host）
+ */
+function newReceipt(entry) {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+        status: ReceiptStatus.NEGOTIATED,
+        method: 'GET',
+        host: entry.url ? new URL(entry.url).host : null,
+        commitment: null,
+        claim: null,
+        ...entry
+    };
+}
+
+/**
+ * 收据是否满足查询条件
+ *
+ * @param {Object} receipt
+ * @param {Object} filter - { host, url, payTo, status, commitment, hasClaim, from, to }
+ */
+function matchReceipt(receipt, filter = {}) {
+    const same = (a, b) => String(a || '').toLowerCase() === String(b).toLowerCase();
+
+    if (filter.host && !same(receipt.host, filter.host)) return false;
+    if (filter.url && receipt.url !== filter.url) return false;
+    if (filter.payTo && !same(receipt.payTo, filter.payTo)) return false;
+    if (filter.commitment && !same(receipt.commitment, filter.commitment)) return false;
+    if (filter.status) {
+        const statuses = [].concat(filter.status);
+        if (!statuses.includes(receipt.status)) return false;
+    }
+    if (filter.hasClaim !== undefined && Boolean(receipt.claim) !== Boolean(filter.hasClaim)) return false;
+    if (filter.from && receipt.createdAt < new Date(filter.from).toISOString()) return false;
+    if (filter.to && receipt.createdAt > new Date(filter.to).toISOString()) return false;
+
+    return true;
+}
+
+/**
+ * 收据 → CSV 行（嵌套字段展开为常用列）
+ */
+function toCsvRow(receipt) {
+    const flat = {
+        ...receipt,
+        settlementTx: receipt.paymentResponse && receipt.paymentResponse.transaction,
+        claimReason: receipt.claim && receipt.claim.reasonName,
+        claimTx: receipt.claim && receipt.claim.txHash
+    };
+
+    return CSV_COLUMNS.map(column => {
+        const value = flat[column];
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+/**
+ * 导出为字符串
+ * @param {Object[]} receipts
+ * @param {string} format - 'json' | 'csv'
+ */
+function formatReceipts(receipts, format) {
+    if (format === 'csv') {
+        return [CSV_COLUMNS.join(','), ...receipts.map(toCsvRow)].join('\n') + '\n';
+    }
+    if (format === 'json') {
+        return JSON.stringify(receipts, null, 2);
+    }
+    throw new Error(`Unsupported export format: ${format}`);
+}
+
+// ============ 存储基类 ============
+
+class ReceiptStore {
+    /**
+     * 记录一条新收据
+     * @param {Object} entry - { url, method, client, negotiation, payTo, amount, asset, network, ... }
+     * @returns {Promise<Object>} 保存后的收据（含 id）
+     */
+    async record(entry) {
+        const receipt = newReceipt(entry);
+        await this._insert(receipt);
+        return receipt;
+    }
+
+    /**
+     * 更新收据
+     * @param {string} id
+     * @param {Object} patch - 需要合并的字段
+     * @returns {Promise<Object|null>}
+     */
+    async update(id, patch) {
+        const receipt = await this.get(id);
+        if (!receipt) return null;
+
+        const updated = { ...receipt, ...patch, id, updatedAt: new Date().toISOString() };
+        await this._replace(updated);
+        return updated;
+    }
+
+    /**
+     * 查询收据，按时间倒序
+     * @param {Object} [filter] - { host, url, payTo, status, commitment, hasClaim, from, to, limit }
+     */
+    async query(filter = {}) {
+        const receipts = (await this._select(filter))
+            .filter(receipt => matchReceipt(receipt, filter))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return filter.limit ? receipts.slice(0, filter.limit) : receipts;
+    }
+
+    /**
+     * 导出收据
+     *
+     * @param {string} format - 'json' | 'csv'
+     * @param {Object} [filter] - 同 query；filter.path 指定时同时写入文件
+     * @returns {Promise<string>}
+     */
+    async export(format, filter = {}) {
+        const output = formatReceipts(await this.query(filter), format);
+
+        if (filter.path) {
+            await fs.promises.mkdir(path.dirname(filter.path), { recursive: true });
+            await fs.promises.writeFile(filter.path, output);
+        }
+        return output;
+    }
+
+    async close() {}
+}
+
+// ============ 内存 ============
+
+class MemoryReceiptStore extends ReceiptStore {
+    constructor() {
+        super();
+        this.receipts = new Map();
+    }
+
+    async get(id) {
+        return this.receipts.get(id) || null;
+    }
+
+    async _insert(receipt) {
+        this.receipts.set(receipt.id, receipt);
+    }
+
+    async _replace(receipt) {
+        this.receipts.set(receipt.id, receipt);
+    }
+
+    async _select() {
+        return [...this.receipts.values()];
+    }
+}
+
+// ============ JSON 文件 ============
+
+class JsonReceiptStore extends MemoryReceiptStore {
+    /**
+     * @param {string} filePath - 如 './.x402/receipts.json'
+     */
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.loaded = null;
+        this.writing = Promise.resolve();
+    }
+
+    async get(id) {
+        await this._load();
+        return super.get(id);
+    }
+
+    async _insert(receipt) {
+        await this._load();
+        await super._insert(receipt);
+        await this._save();
+    }
+
+    async _replace(receipt) {
+        await this._load();
+        await super._replace(receipt);
+        await this._save();
+    }
+
+    async _select() {
+        await this._load();
+        return super._select();
+    }
+
+    async close() {
+        await this.writing;
+    }
+
+    /** @private */
+    _load() {
+        if (!this.loaded) {
+            this.loaded = fs.promises.readFile(this.filePath, 'utf8')
+                .then(text => {
+                    for (const receipt of JSON.parse(text)) this.receipts.set(receipt.id, receipt);
+                })
+                .catch(error => {
+                    if (error.code !== 'ENOENT') throw error;
+                });
+        }
+        return this.loaded;
+    }
+
+    /**
+     * 写入临时文件后重命名，避免进程中断时损坏文件
+     * @private
+     */
+    _save() {
+        this.writing = this.writing.then(async () => {
+            const tmp = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmp, JSON.stringify([...this.receipts.values()], null, 2));
+            await fs.promises.rename(tmp, this.filePath);
+        });
+        return this.writing;
+    }
+}
+
+// ============ SQLite ============
+
+class SqliteReceiptStore extends ReceiptStore {
+    /**
+     * @param {string} filePath - 数据库文件，如 './.x402/receipts.db'
+     */
+    constructor(filePath) {
+        super();
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch {
+            throw new Error('SQLite receipt store requires better-sqlite3: npm install better-sqlite3');
+        }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS receipts (
+                id TEXT PRIMARY KEY,
+                created_at TEXT NOT NULL,
+                host TEXT,
+                pay_to TEXT,
+                status TEXT NOT NULL,
+                commitment TEXT,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS receipts_created_at ON receipts (created_at);
+            CREATE INDEX IF NOT EXISTS receipts_pay_to ON receipts (pay_to);
+            CREATE INDEX IF NOT EXISTS receipts_commitment ON receipts (commitment);
+        `);
+    }
+
+    async get(id) {
+        const row = this.db.prepare('SELECT data FROM receipts WHERE id = ?').get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async _insert(receipt) {
+        this.db.prepare(`
+            INSERT INTO receipts (id, created_at, host, pay_to, status, commitment, data)
+            VALUES (@id, @createdAt, @host, @payTo, @status, @commitment, @data)
+        `).run(this._row(receipt));
+    }
+
+    async _replace(receipt) {
+        this.db.prepare(`
+            UPDATE receipts
+            SET host = @host, pay_to = @payTo, status = @status, commitment = @commitment, data = @data
+            WHERE id = @id
+        `).run(this._row(receipt));
+    }
+
+    /**
+     * 索引列先在 SQL 中过滤，其余条件由 matchReceipt 处理
+     */
+    async _select(filter) {
+        const where = [];
+        const params = {};
+
+        if (filter.payTo) {
+            where.push('pay_to = @payTo');
+            params.payTo = filter.payTo.toLowerCase();
+        }
+        if (filter.commitment) {
+            where.push('commitment = @commitment');
+            params.commitment = filter.commitment.toLowerCase();
+        }
+        if (filter.from) {
+            where.push('created_at >= @from');
+            params.from = new Date(filter.from).toISOString();
+        }
+        if (filter.to) {
+            where.push('created_at <= @to');
+            params.to = new Date(filter.to).toISOString();
+        }
+
+        const sql = `SELECT data FROM receipts${where.length ? ` WHERE ${where.join(' AND ')}` : ''}`;
+        return this.db.prepare(sql).all(params).map(row => JSON.parse(row.data));
+    }
+
+    async close() {
+        this.db.close();
+    }
+
+    /** @private */
+    _row(receipt) {
+        return {
+            id: receipt.id,
+            createdAt: receipt.createdAt,
+            host: receipt.host,
+            payTo: receipt.payTo ? receipt.payTo.toLowerCase() : null,
+            status: receipt.status,
+            commitment: receipt.commitment ? receipt.commitment.toLowerCase() : null,
+            data: JSON.stringify(receipt)
+        };
+    }
+}
+
+// ============ 工厂 ============
+
+/**
+ * 创建收据存储
+ *
+ * @param {Object|ReceiptStore|false} config - { type: 'json' | 'sqlite' | 'memory', path }，
+ *   传入已有的存储实例时原样返回，false 表示不记录
+ * @returns {ReceiptStore|null}
+ */
+function createReceiptStore(config) {
+    if (!config) return null;
+    if (config instanceof ReceiptStore) return config;
+
+    switch (config.type || 'json') {
+        case 'json':
+            return new JsonReceiptStore(config.path || './.x402/receipts.json');
+        case 'sqlite':
+            return new SqliteReceiptStore(config.path || './.x402/receipts.db');
+        case 'memory':
+            return new MemoryReceiptStore();
+        default:
+            throw new Error(`Unknown receipt store type: ${config.type}`);
+    }
+}
+
+module.exports = {
+    ReceiptStatus,
+    ReceiptStore,
+    MemoryReceiptStore,
+    JsonReceiptStore,
+    SqliteReceiptStore,
+    createReceiptStore,
+    formatReceipts
+};
@@ -6,6 +6,11 @@
 
 const axios = require('axios');
 const { ethers } = require('ethers');
+const { abi: INSURANCE_ABI } = require('../frontend/abi/X402InsuranceV8.json');
+const { createExactPayment, decodePaymentResponse, verifySettlement, NETWORK_CHAIN_IDS } = require('./x402-payment');
+const { createReceiptStore, ReceiptStatus } = require('./receipt-store');
+const { BudgetPolicy, BudgetPolicyError, BudgetViolation } = require('./budget-policy');
+const { PaymentNegotiator, NegotiationError, summarizeRejections } = require('./payment-negotiation');
 
 // ============ 配置（只需要改这里）============
 const CONFIG = {
@@ -19,22 +24,108 @@ const CONFIG = {
     INSURANCE_ADDRESS: '0x...insurance-address...',
 
     // USDC地址（Base Sepolia）
-    USDC_ADDRESS: '0x036CbD53842c5426634e7929541eC2318f3dCF7e'
+    USDC_ADDRESS: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+
+    // 保险检查策略（收到402后、支付前执行）
+    INSURANCE_POLICY: {
+        mode: 'warn',                  // 'warn' 不满足只提示 | 'require' 不满足则拒绝支付 | 'off' 不检查
+        requireActive: true,           // Provider 必须已注册且激活
+        minTier: 1,                    // 最低等级（1 Bronze / 2 Silver / 3 Gold）
+        requireFullCoverage: false,    // 可用余额必须覆盖本次价格（否则索赔会部分支付/延期补偿）
+        allowWarnings: true,           // 是否接受 canAcceptService 返回的 Warning
+        maxPendingCompensations: null  // 待补偿总额上限（USDC），null 不限制
+    },
+
+    // 自动索赔（默认关闭）：付费后的请求失败、且支付已在链上结算时自动发起 V8 索赔
+    AUTO_CLAIM: {
+        enabled: false,
+        timeout: 30000,                      // 付费请求超时（毫秒），超时按 SERVICE_TIMEOUT 索赔
+        executeAfterDispute: true,           // 争议期结束后自动 executeClaim（进程需保持运行）
+        storagePath: './.x402/claims.json'   // 待执行索赔队列，重启后用 resumeClaims() 恢复
+    },
+
+    // 支付与索赔收据（见 receipt-store.js）：{ type: 'json' | 'sqlite' | 'memory', path }，false 不记录
+    RECEIPTS: { type: 'json', path: './.x402/receipts.json' },
+
+    // 预算与支付策略（见 budget-policy.js），违反时在签名前抛出 BudgetPolicyError
+    BUDGET: {
+        maxPerRequest: '1',            // 单次最多支付（USDC），null 不限制
+        maxPerHostPerDay: '10',        // 每个 host 每日上限（UTC）
+        maxPerDay: '50',               // 每日总上限（UTC）
+                                       // 以上三项适用于 Base Sepolia USDC（budgetAssets）
+        assetCaps: {},                 // 其他代币：'<网络>:<代币地址>' → { maxPerRequest, ... }，未配置的代币拒绝支付
+        allowPayTo: [],                // 非空时只向这些地址付款
+        denyPayTo: [],                 // 永不付款的地址
+        requireInsured: false,         // 只向保险已激活的 Provider 付款
+        dryRun: false                  // 只评估，不签名不支付
+    },
+
+    // 402 多选项协商（见 payment-negotiation.js）：从 accepts 中选择一个支付选项
+    NEGOTIATION: {
+        schemes: ['exact'],
+        rpcUrls: {                     // 可支付的网络，用于查询余额和代币信息
+            'base-sepolia': 'https://sepolia.base.org'
+        },
+        maxPrice: null,                // 单个选项最高价格，null 不限制
+        minTimeoutSeconds: 10,         // 拒绝 maxTimeoutSeconds 过短的选项
+        strategy: 'insured-first'      // 'insured-first' | 'cheapest' | 'first' | (candidates) => candidate
+    }
+};
+
+const TIER_NAMES = ['None', 'Bronze', 'Silver', 'Gold'];
+
+// 与合约 ClaimReason 一致
+const CLAIM_REASON = {
+    NOT_DELIVERED: 0,
+    SERVICE_TIMEOUT: 1,
+    PARTIAL_DELIVERY: 2
 };
 
 // ============ 超简单的X402 Client ============
 class SuperSimpleX402Client {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.insurancePolicy] - 覆盖 CONFIG.INSURANCE_POLICY 中的字段
+     * @param {Object} [options.autoClaim] - 覆盖 CONFIG.AUTO_CLAIM 中的字段
+     * @param {Object|ReceiptStore|false} [options.receipts] - 收据存储配置或实例，默认 CONFIG.RECEIPTS
+     * @param {Object} [options.budget] - 覆盖 CONFIG.BUDGET 中的字段
+     * @param {Object} [options.negotiation] - 覆盖 CONFIG.NEGOTIATION 中的字段（requireInsured 默认同 budget）
+     */
+    constructor(options = {}) {
         // 初始化钱包
         this.provider = new ethers.JsonRpcProvider(CONFIG.RPC_URL);
         this.wallet = new ethers.Wallet(CONFIG.PRIVATE_KEY, this.provider);
         this.address = this.wallet.address;
+        this.insurancePolicy = { ...CONFIG.INSURANCE_POLICY, ...options.insurancePolicy };
+        this.autoClaim = { ...CONFIG.AUTO_CLAIM, ...options.autoClaim };
+        this.insuranceSDKs = new Map();     // x402 网络名 → 该网络 V8 的保险SDK
+        this.claimStorage = null;
+        this.receipts = createReceiptStore(options.receipts ?? CONFIG.RECEIPTS);
+        this.budget = new BudgetPolicy(
+            { budgetAssets: [`base-sepolia:${CONFIG.USDC_ADDRESS}`], ...CONFIG.BUDGET, ...options.budget },
+            { receipts: this.receipts }
+        );
+        this.negotiator = new PaymentNegotiator(
+            {
+                requireInsured: this.budget.config.requireInsured,
+                insuranceDeployments: {
+                    'base-sepolia': { insuranceAddress: CONFIG.INSURANCE_ADDRESS, usdcAddress: CONFIG.USDC_ADDRESS }
+                },
+                ...CONFIG.NEGOTIATION,
+                ...options.negotiation
+            },
+            { address: this.address, checkInsurance: (payTo, amount, target) => this.checkProviderInsurance(payTo, amount, target) }
+        );
 
         console.log('Client初始化成功，地址:', this.address);
     }
 
     /**
      * 请求付费API（全自动处理）
+     *
+     * 超出预算或违反支付策略时在签名前抛出 BudgetPolicyError；
+     * 开启自动索赔时，付费后请求失败抛出的错误带有 error.claim（索赔收据），
+     * 索赔本身失败时带有 error.claimError
      */
     async request(url) {
         try {
@@ -45,38 +136,32 @@ class SuperSimpleX402Client {
                 validateStatus: status => true // 接受所有状态码
             });
 
-            // Step 2: 如果需要支付（返回402）
+            // Step 2: 如果需要支付（返回402），检查保险与预算后签名
             if (response.status === 402) {
-                console.log('💳 需要支付，金额:', response.data.accepts[0].maxAmountRequired / 1000000, 'USDC');
-
-                // 获取支付信息
-                const paymentInfo = response.data.accepts[0];
-                const provider = paymentInfo.payTo;
-                const amount = paymentInfo.maxAmountRequired;
-
-                // Step 3: 检查Provider保险（可选但推荐）
-                const hasInsurance = await this.checkProviderInsurance(provider);
-                if (hasInsurance) {
-                    console.log('✅ Provider已认证，有保险保护');
-                } else {
-                    console.log('⚠️  Provider未认证，无保险保护');
-                    // 可以选择是否继续
-                }
+                const paid = await this.preparePayment(url, response.data);
 
-                // Step 4: 创建支付
-                const payment = await this.createPayment(provider, amount);
-
-                // Step 5: 带支付信息重新请求
+                // Step 3: 带支付信息重新请求
                 console.log('🔄 发送支付...');
-                response = await axios.get(url, {
-                    headers: {
-                        'X-PAYMENT': payment
-                    }
-                });
+                try {
+                    response = await axios.get(url, {
+                        headers: {
+                            'X-PAYMENT': paid.payment
+                        },
+                        timeout: this.autoClaim.timeout
+                    });
+                } catch (error) {
+                    throw await this.failPayment(paid, error);
+                }
 
-                if (response.status === 200) {
-                    console.log('✅ 支付成功，获得数据！');
+                if (isMalformedResponse(response)) {
+                    const error = new Error(`Malformed response body from ${url}`);
+                    error.code = 'MALFORMED_RESPONSE';
+                    error.response = response;
+                    throw await this.failPayment(paid, error);
                 }
+
+                // Step 4: 读取结算结果
+                await this.completePayment(paid, response.status, response.headers['x-payment-response']);
             }
 
             return response.data;
@@ -88,59 +173,406 @@ class SuperSimpleX402Client {
     }
 
     /**
-     * 检查Provider是否有保险
+     * 处理 402 响应：选择支付选项、记录协商、检查保险与预算、签名支付
+     *
+     * request()、x402Fetch 和 axios 拦截器共用
+     *
+     * @param {string} url - 请求URL
+     * @param {Object} body - 402 响应体 { x402Version, accepts }
+     * @param {Object} [options]
+     * @param {string} [options.method='GET'] - HTTP 方法（用于收据和索赔 commitment）
+     * @returns {Promise<Object>} { url, method, payment, paymentInfo, receipt, negotiation }，payment 为 X-PAYMENT 头
+     * @throws {NegotiationError} accepts 中没有可用的支付选项（未签名）
+     * @throws {BudgetPolicyError} 超出预算或违反支付策略（未签名）
      */
-    async checkProviderInsurance(providerAddress) {
+    async preparePayment(url, body, { method = 'GET' } = {}) {
+        if (!body || !Array.isArray(body.accepts) || body.accepts.length === 0) {
+            throw new Error(`Invalid 402 response from ${url}: missing accepts`);
+        }
+
+        // 从所有支付选项中选择一个
+        let negotiation;
         try {
-            // 简化的ABI，只需要查询功能
-            const abi = [
-                "function getProviderInfo(address) view returns (uint256, uint256, uint256, uint8, bool, uint256)"
-            ];
+            negotiation = await this.negotiator.negotiate(body);
+        } catch (error) {
+            if (error instanceof NegotiationError) {
+                await this._recordReceipt({
+                    url,
+                    method,
+                    client: this.address,
+                    negotiation: body,
+                    status: ReceiptStatus.REJECTED,
+                    rejectedOffers: summarizeRejections(error.rejected),
+                    error: error.message
+                });
+            }
+            throw error;
+        }
+
+        const { selected, rejected } = negotiation;
+        const paymentInfo = selected.offer;
+        const provider = paymentInfo.payTo;
+        const amount = paymentInfo.maxAmountRequired;
+        console.log('💳 需要支付，金额:', selected.price, `(${selected.network} ${selected.asset}, 选项 #${selected.index})`);
+        if (rejected.length > 0) {
+            console.log(`   未选择其他 ${rejected.length} 个选项:`, rejected.map(r => `#${r.index} ${r.reasons[0].code}`).join(', '));
+        }
 
-            const insurance = new ethers.Contract(CONFIG.INSURANCE_ADDRESS, abi, this.provider);
-            const info = await insurance.getProviderInfo(providerAddress);
+        const receipt = await this._recordReceipt({
+            url,
+            method,
+            client: this.address,
+            negotiation: body,
+            offer: selected.index,
+            rejectedOffers: summarizeRejections(rejected),
+            payTo: provider,
+            amount,
+            asset: paymentInfo.asset,
+            network: paymentInfo.network,
+            decimals: selected.decimals
+        });
+
+        // 检查Provider在该网络 V8 中的保险，按策略决定是否支付（协商时已查询过的直接复用）
+        let report = selected.insurance;
+        if (!report && (this.insurancePolicy.mode !== 'off' || this.budget.config.requireInsured)) {
+            const target = this.negotiator.insuranceTarget(selected) || { network: selected.network, amount: null };
+            report = await this.checkProviderInsurance(provider, target.amount, target);
+        }
+
+        if (this.insurancePolicy.mode !== 'off') {
+            const decision = evaluateInsurancePolicy(report, this.insurancePolicy);
+
+            if (decision.violations.length === 0) {
+                console.log(`✅ Provider已认证（${report.tierName}），可用保险金 ${report.available} USDC`);
+            } else if (decision.pay) {
+                console.log('⚠️  保险检查未通过，仍继续支付:', decision.violations.join('; '));
+            } else {
+                const error = new Error(`Insurance policy rejected payment: ${decision.violations.join('; ')}`);
+                error.code = 'INSURANCE_POLICY_REJECTED';
+                error.report = report;
+                await this._updateReceipt(receipt, { status: ReceiptStatus.REJECTED, error: error.message });
+                throw error;
+            }
+        }
 
-            const isActive = info[4]; // 第5个返回值是isActive
-            return isActive;
+        // 预算检查（签名之前）
+        let reservation;
+        try {
+            reservation = await this.budget.authorize({
+                url,
+                payTo: provider,
+                amount,
+                network: selected.network,
+                asset: selected.asset,
+                decimals: selected.decimals,
+                insurance: report
+            });
+        } catch (error) {
+            await this._updateReceipt(receipt, { status: ReceiptStatus.REJECTED, error: error.message });
+            throw error;
+        }
+
+        // 创建支付（EIP-3009 授权，由 facilitator 结算）
+        let payment;
+        try {
+            payment = await this.createPayment(paymentInfo, body.x402Version);
+            await this._updateReceipt(receipt, {
+                status: ReceiptStatus.PAID,
+                payment,
+                paymentPayload: JSON.parse(Buffer.from(payment, 'base64').toString('utf8'))
+            });
+        } catch (error) {
+            this.budget.release(reservation);
+            throw error;
+        }
+        this.budget.settle(reservation);
+
+        return { url, method, payment, paymentInfo, receipt, negotiation };
+    }
+
+    /**
+     * 付费请求成功：记录结算结果
+     *
+     * @param {Object} paid - preparePayment 的返回值
+     * @param {number} status - 响应状态码
+     * @param {string} [paymentResponseHeader] - X-PAYMENT-RESPONSE 头
+     */
+    async completePayment(paid, status, paymentResponseHeader) {
+        this.lastPaymentResponse = decodePaymentResponse(paymentResponseHeader);
+
+        await this._updateReceipt(paid.receipt, {
+            status: ReceiptStatus.DELIVERED,
+            responseStatus: status,
+            paymentResponse: this.lastPaymentResponse
+        });
+
+        console.log('✅ 支付成功，获得数据！');
+        if (this.lastPaymentResponse && this.lastPaymentResponse.transaction) {
+            console.log('   结算交易:', this.lastPaymentResponse.transaction);
+        }
+    }
+
+    /**
+     * 付费请求失败：确认支付已结算后按失败类型自动索赔并记录，返回（附带索赔结果的）原错误
+     *
+     * 未结算的支付不会扣款，不发起索赔（error.settlement.settled 为 false）
+     *
+     * @param {Object} paid - preparePayment 的返回值
+     * @param {Error} error - error.response 为 { status, headers }（可选）
+     * @returns {Promise<Error>}
+     */
+    async failPayment(paid, error) {
+        const reason = classifyFailure(error);
+        const paymentResponse = error.response ? decodePaymentResponse(error.response.headers['x-payment-response']) : null;
+
+        const network = paid.paymentInfo.network || 'base-sepolia';
+
+        if (this.autoClaim.enabled && reason !== null) {
+            if (this._claimDeployment(paid.paymentInfo)) {
+                error.settlement = await this.verifySettlement(paid, paymentResponse);
+            } else {
+                console.log(`ℹ️  ${network} 上没有承保该代币的 V8 部署，不发起索赔`);
+            }
+        }
+
+        if (error.settlement && !error.settlement.settled) {
+            console.log('ℹ️  支付未结算，不发起索赔', error.settlement.error ? `(${error.settlement.error})` : '');
+        } else if (error.settlement) {
+            try {
+                error.claim = await this.fileClaim({ url: paid.url, method: paid.method, payment: paid.payment, network, reason });
+                console.log(`🛡️  已自动发起索赔 (${error.claim.reasonName}):`, error.claim.commitment);
+            } catch (claimError) {
+                error.claimError = claimError;
+                console.log('⚠️  自动索赔失败:', claimError.message);
+            }
+        }
+
+        await this._updateReceipt(paid.receipt, {
+            status: ReceiptStatus.FAILED,
+            responseStatus: error.response ? error.response.status : null,
+            paymentResponse,
+            settlement: error.settlement || null,
+            error: error.message,
+            claim: error.claim || null,
+            commitment: error.claim ? error.claim.commitment : null
+        });
+
+        return error;
+    }
+
+    /**
+     * 确认付费请求的支付是否已结算（见 x402-payment.js verifySettlement）
+     *
+     * @param {Object} paid - preparePayment 的返回值
+     * @param {Object} [paymentResponse] - 解码后的 X-PAYMENT-RESPONSE
+     */
+    async verifySettlement(paid, paymentResponse) {
+        const network = paid.paymentInfo.network || 'base-sepolia';
+        return await verifySettlement(paid.payment, { asset: CONFIG.USDC_ADDRESS, network, ...paid.paymentInfo }, {
+            paymentResponse,
+            provider: this._providerFor(network)
+        });
+    }
+
+    /**
+     * 查询Provider在某网络 V8 中的保险覆盖情况
+     *
+     * @param {string} providerAddress - Provider地址（402 响应中的 payTo）
+     * @param {string|bigint} [amount] - 本次价格（USDC最小单位），用于 canAcceptService；非 V8 承保的代币传 null
+     * @param {Object} [target]
+     * @param {string} [target.network='base-sepolia'] - 支付网络
+     * @param {Object} [target.deployment] - { insuranceAddress, usdcAddress }，默认取协商配置 insuranceDeployments
+     * @param {ethers.Provider} [target.provider] - 该网络的 RPC
+     * @returns {Promise<Object>} 覆盖报告，金额均为 USDC 字符串；该网络没有 V8 部署或查询失败时 checked 为 false
+     */
+    async checkProviderInsurance(providerAddress, amount, { network = 'base-sepolia', deployment, provider } = {}) {
+        const report = { provider: providerAddress, network, price: null, checked: false, error: null };
+        if (amount != null) report.price = ethers.formatUnits(amount, 6);
+
+        deployment = deployment || this.negotiator.getInsuranceDeployment(network);
+        provider = provider || this._providerFor(network);
+        if (!deployment || !provider) {
+            return { ...report, error: `No X402InsuranceV8 deployment configured on ${network}` };
+        }
+
+        try {
+            const insurance = new ethers.Contract(deployment.insuranceAddress, INSURANCE_ABI, provider);
+            const [info, pending, verdict] = await Promise.all([
+                insurance.getProviderInfo(providerAddress),
+                insurance.getProviderPendingCompensations(providerAddress),
+                amount != null ? insurance.canAcceptService(providerAddress, amount) : null
+            ]);
+
+            const available = info.poolBalance > info.totalLocked ? info.poolBalance - info.totalLocked : 0n;
+
+            return {
+                ...report,
+                checked: true,
+                isActive: info.isActive,
+                tier: Number(info.tier),
+                tierName: TIER_NAMES[Number(info.tier)] || 'Unknown',
+                poolBalance: ethers.formatUnits(info.poolBalance, 6),
+                locked: ethers.formatUnits(info.totalLocked, 6),
+                available: ethers.formatUnits(available, 6),
+                pendingCompensations: {
+                    count: pending.commitments.length,
+                    total: ethers.formatUnits(pending.totalAmount, 6)
+                },
+                successfulServices: Number(info.successfulServices),
+                failedServices: Number(info.failedServices),
+                // V8 在余额不足时仍返回 true，reason 以 "Warning:" 开头表示可能部分支付
+                canAcceptService: verdict && { canAccept: verdict.canAccept, reason: verdict.reason },
+                fullyCovered: amount != null ? available >= BigInt(amount) : null
+            };
 
         } catch (error) {
             console.log('无法查询保险状态:', error.message);
-            return false;
+            return { ...report, error: error.message };
         }
     }
 
     /**
-     * 创建支付签名
+     * 为一次付费请求发起索赔
+     *
+     * commitment 由支付载荷派生（同一笔支付重复调用不会重复索赔）
+     *
+     * @param {Object} params
+     * @param {string} params.url - 付费请求的URL
+     * @param {string} [params.method='GET'] - HTTP 方法
+     * @param {string} params.payment - 发送的 X-PAYMENT 头
+     * @param {string} [params.network='base-sepolia'] - 支付网络，索赔发往该网络的 V8
+     * @param {number} params.reason - CLAIM_REASON
+     * @returns {Promise<Object>} 索赔收据 { commitment, txHash, existing, url, network, provider, amount, reason, reasonName, disputeDeadline, status }
      */
-    async createPayment(to, amount) {
-        // 创建支付对象
-        const payment = {
-            from: this.address,
-            to: to,
-            amount: amount,
-            asset: CONFIG.USDC_ADDRESS,
-            network: 'base-sepolia',
-            nonce: Date.now(),
-            timestamp: Math.floor(Date.now() / 1000)
+    async fileClaim({ url, method = 'GET', payment, network = 'base-sepolia', reason }) {
+        const sdk = await this._getInsuranceSDK(network);
+        if (!sdk) throw new Error(`No X402InsuranceV8 deployment configured on ${network}`);
+
+        const claim = await sdk.initiateClaim({ receipt: { method, path: url, payment }, reason });
+
+        if (this.autoClaim.executeAfterDispute) {
+            // 后台等待争议期结束，Provider 提出争议时正常结束
+            sdk.watchAndExecute(claim.commitment).catch(error => {
+                console.log('⚠️  自动执行索赔失败:', claim.commitment, error.message);
+            });
+        }
+
+        return {
+            commitment: claim.commitment,
+            txHash: claim.txHash,
+            existing: claim.existing,
+            url,
+            network,
+            provider: claim.provider,
+            amount: claim.requestedAmount,
+            reason,
+            reasonName: Object.keys(CLAIM_REASON).find(key => CLAIM_REASON[key] === reason),
+            disputeDeadline: claim.disputeDeadline.toISOString(),
+            status: claim.status
         };
+    }
 
-        // 创建签名消息
-        const message = ethers.solidityPackedKeccak256(
-            ['address', 'address', 'uint256', 'uint256'],
-            [payment.from, payment.to, payment.amount, payment.nonce]
-        );
+    /**
+     * 恢复上次进程退出前尚未执行的索赔（所有配置了 V8 部署的网络）
+     */
+    async resumeClaims() {
+        const results = [];
+        for (const network of Object.keys(this.negotiator.config.insuranceDeployments)) {
+            const sdk = await this._getInsuranceSDK(network);
+            if (sdk) results.push(...await sdk.resumePendingExecutions());
+        }
+        return results;
+    }
+
+    /**
+     * 某网络的 RPC（协商配置的 rpcUrls，Base Sepolia 默认用 CONFIG.RPC_URL）
+     * @private
+     */
+    _providerFor(network) {
+        return this.negotiator.getProvider(network) || (network === 'base-sepolia' ? this.provider : null);
+    }
+
+    /** @private */
+    async _recordReceipt(entry) {
+        if (!this.receipts) return null;
+        return await this.receipts.record(entry);
+    }
+
+    /** @private */
+    async _updateReceipt(receipt, patch) {
+        if (!this.receipts || !receipt) return;
+        await this.receipts.update(receipt.id, patch);
+    }
+
+    /**
+     * 支付所在网络承保该代币的 V8 部署（没有时不能索赔）
+     * @private
+     */
+    _claimDeployment(paymentInfo) {
+        const target = this.negotiator.insuranceTarget({
+            network: paymentInfo.network || 'base-sepolia',
+            asset: paymentInfo.asset || CONFIG.USDC_ADDRESS,
+            amount: null
+        });
+        return target && target.insuredAsset ? target.deployment : null;
+    }
 
-        // 签名
-        const signature = await this.wallet.signMessage(ethers.getBytes(message));
+    /**
+     * 按需加载某网络 V8 的保险SDK（ESM），网络没有 V8 部署或 RPC 时为 null
+     * 各网络的执行队列共用 CONFIG.AUTO_CLAIM.storagePath（按 chainId 和合约地址区分）
+     * @private
+     */
+    async _getInsuranceSDK(network = 'base-sepolia') {
+        const deployment = this.negotiator.getInsuranceDeployment(network);
+        const provider = this._providerFor(network);
+        if (!deployment || !provider || !NETWORK_CHAIN_IDS[network]) return null;
+
+        if (!this.insuranceSDKs.has(network)) {
+            const { default: X402InsuranceSDK } = await import('../frontend/sdk/X402InsuranceSDK.js');
+            const { createFileStorage } = await import('../frontend/sdk/storage-node.js');
+            this.claimStorage = this.claimStorage || createFileStorage(this.autoClaim.storagePath);
+
+            this.insuranceSDKs.set(network, new X402InsuranceSDK(this.wallet.connect(provider), {
+                network: {
+                    name: network,
+                    chainId: NETWORK_CHAIN_IDS[network],
+                    rpcUrl: this.negotiator.config.rpcUrls[network] || CONFIG.RPC_URL,
+                    insuranceAddress: deployment.insuranceAddress,
+                    usdcAddress: deployment.usdcAddress
+                },
+                executor: {
+                    storage: this.claimStorage,
+                    onEvent: (type, detail) => {
+                        if (type !== 'scheduled' && type !== 'executing') {
+                            console.log(`🛡️  索赔 ${detail.commitment}: ${type}`);
+                        }
+                    }
+                }
+            }));
+        }
+        return this.insuranceSDKs.get(network);
+    }
 
-        // 组合支付数据
-        const signedPayment = {
-            ...payment,
-            signature: signature
+    /**
+     * 创建 x402 "exact" 支付（X-PAYMENT 头）
+     *
+     * @param {Object} paymentInfo - 402 响应 accepts[] 中的支付要求
+     * @param {number} [x402Version] - 402 响应中的协议版本
+     * @returns {Promise<string>} base64 编码的支付载荷
+     */
+    async createPayment(paymentInfo, x402Version) {
+        const requirements = {
+            network: 'base-sepolia',
+            asset: CONFIG.USDC_ADDRESS,
+            ...paymentInfo
         };
 
-        // 编码为Base64
-        return Buffer.from(JSON.stringify(signedPayment)).toString('base64');
+        // 其他网络的代币 domain 需从对应网络读取
+        const provider = this.negotiator.getProvider(requirements.network);
+        const signer = provider ? this.wallet.connect(provider) : this.wallet;
+
+        const { header } = await createExactPayment(signer, requirements, { x402Version });
+        return header;
     }
 
     /**
@@ -171,18 +603,119 @@ async function example() {
     // 就这么简单！
 }
 
+// ============ 失败分类 ============
+
+/**
+ * 付费请求的失败类型 → 索赔原因，不应索赔（如 4xx）时返回 null
+ */
+function classifyFailure(error) {
+    if (error.code === 'MALFORMED_RESPONSE') return CLAIM_REASON.PARTIAL_DELIVERY;
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return CLAIM_REASON.SERVICE_TIMEOUT;
+    if (error.name === 'TimeoutError') return CLAIM_REASON.SERVICE_TIMEOUT;  // x402Fetch 超时
+    if (error.name === 'AbortError' || error.code === 'ERR_CANCELED') return null;  // 调用方主动取消
+
+    // 服务端错误或连接中断：服务未交付
+    if (!error.response) return CLAIM_REASON.NOT_DELIVERED;
+    if (error.response.status >= 500) return CLAIM_REASON.NOT_DELIVERED;
+
+    return null;
+}
+
+/**
+ * 成功状态码、Content-Type 声明了响应体，但响应体为空或 JSON 无法解析（axios 解析失败时返回原始字符串）
+ *
+ * 204/205 或没有 Content-Type 的空响应不算异常
+ */
+function isMalformedResponse(response) {
+    const contentType = String(response.headers['content-type'] || '');
+    if (!contentType || response.status === 204 || response.status === 205) return false;
+
+    if (response.data === undefined || response.data === null || response.data === '') return true;
+    return contentType.includes('json') && typeof response.data === 'string';
+}
+
+// ============ 保险策略 ============
+
+/**
+ * 按策略评估覆盖报告
+ *
+ * @param {Object} report - checkProviderInsurance 的返回值
+ * @param {Object} [policy] - 默认 CONFIG.INSURANCE_POLICY
+ * @returns {{pay: boolean, violations: string[]}} pay 为 false 时不应支付
+ */
+function evaluateInsurancePolicy(report, policy = CONFIG.INSURANCE_POLICY) {
+    const violations = [];
+
+    if (!report.checked) {
+        violations.push(`insurance status unavailable (${report.error})`);
+    } else {
+        if (policy.requireActive && !report.isActive) {
+            violations.push('provider is not insured');
+        }
+        if (report.tier < (policy.minTier || 0)) {
+            violations.push(`tier ${report.tierName} below minimum ${TIER_NAMES[policy.minTier] || policy.minTier}`);
+        }
+        if (policy.requireFullCoverage && report.fullyCovered === false) {
+            violations.push(`available ${report.available} USDC does not cover price ${report.price} USDC`);
+        }
+
+        const verdict = report.canAcceptService;
+        if (verdict && !verdict.canAccept) {
+            violations.push(`canAcceptService: ${verdict.reason}`);
+        } else if (verdict && !policy.allowWarnings && verdict.reason !== 'OK') {
+            violations.push(`canAcceptService: ${verdict.reason}`);
+        }
+
+        if (policy.maxPendingCompensations != null &&
+            Number(report.pendingCompensations.total) > Number(policy.maxPendingCompensations)) {
+            violations.push(`pending compensations ${report.pendingCompensations.total} USDC exceed ${policy.maxPendingCompensations} USDC`);
+        }
+    }
+
+    return { pay: policy.mode !== 'require' || violations.length === 0, violations };
+}
+
 // ============ 更简单的封装 ============
 
+let defaultClient = null;
+
+/**
+ * 进程内共享的 Client（同一钱包、收据存储和预算），payAndGet / x402Fetch 默认使用
+ */
+function getDefaultClient() {
+    defaultClient = defaultClient || new SuperSimpleX402Client();
+    return defaultClient;
+}
+
 /**
  * 一行代码完成支付请求！
+ *
+ * 不传 options 时复用同一个 Client，预算在多次调用间累计
  */
-async function payAndGet(url) {
-    const client = new SuperSimpleX402Client();
-    return await client.request(url);
+async function payAndGet(url, options) {
+    if (options) {
+        return await new SuperSimpleX402Client(options).request(url);
+    }
+
+    return await getDefaultClient().request(url);
 }
 
 // 使用：
 // const data = await payAndGet('https://api.provider.com/data');
+// 只向有足额保险的 Provider 付款：
+// const data = await payAndGet(url, { insurancePolicy: { mode: 'require', requireFullCoverage: true } });
+// 限制单次与每日花费（超出时抛出 BudgetPolicyError，不会签名）：
+// const data = await payAndGet(url, { budget: { maxPerRequest: '0.1', maxPerDay: '5' } });
+// 服务端给出多个支付选项时选最便宜的（被拒绝选项的原因记录在收据 rejectedOffers 中）：
+// （其他网络的代币需加入 budgetAssets 或 assetCaps，否则预算策略以 ASSET_NOT_ALLOWED 拒绝）
+// const data = await payAndGet(url, {
+//     negotiation: { strategy: 'cheapest', rpcUrls: { 'base': 'https://mainnet.base.org', 'base-sepolia': 'https://sepolia.base.org' } },
+//     budget: { budgetAssets: [`base-sepolia:${CONFIG.USDC_ADDRESS}`, 'base:0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'] }
+// });
+// 导出本月账单：
+// await client.receipts.export('csv', { from: '2026-10-01', path: './october.csv' });
+// 付费后请求失败时自动索赔：
+// try { await payAndGet(url, { autoClaim: { enabled: true } }); } catch (e) { console.log(e.claim); }
 
 // ============ Provider认证检查工具 ============
 
@@ -198,8 +731,12 @@ async function checkProviders(providerList) {
     }
 
     console.log('\n🔍 Provider认证状态:');
-    for (const [address, isInsured] of Object.entries(results)) {
-        console.log(`${address}: ${isInsured ? '✅ 已认证' : '❌ 未认证'}`);
+    for (const [address, report] of Object.entries(results)) {
+        if (report.isActive) {
+            console.log(`${address}: ✅ 已认证（${report.tierName}，可用 ${report.available} USDC，待补偿 ${report.pendingCompensations.total} USDC）`);
+        } else {
+            console.log(`${address}: ❌ 未认证`);
+        }
     }
 
     return results;
@@ -209,6 +746,13 @@ async function checkProviders(providerList) {
 
 module.exports = {
     SuperSimpleX402Client,
+    CLAIM_REASON,
+    evaluateInsurancePolicy,
+    classifyFailure,
+    BudgetPolicyError,
+    BudgetViolation,
+    NegotiationError,
+    getDefaultClient,
     payAndGet,
     checkProviders
 };
@@ -252,7 +796,7 @@ if (require.main === module) {
    1. 安装依赖:
       npm install axios ethers
 
-   2. 复制这个文件到您的项目
+   2. 复制这个文件和 x402-payment.js 到您的项目
 
    3. 修改CONFIG配置:
       - PRIVATE_KEY: 您的钱包私钥
@@ -269,10 +813,15 @@ if (require.main === module) {
    A: 访问 https://faucet.x402.io
 
    Q: 如何知道Provider是否认证？
-   A: checkProviderInsurance()会自动检查
+   A: checkProviderInsurance()会自动检查，并返回可用保险金、锁定金额、
+      待补偿、等级以及本次价格的 canAcceptService 结果
+
+   Q: 如何只向有保险的Provider付款？
+   A: 把 CONFIG.INSURANCE_POLICY.mode 改为 'require'
 
    Q: 支付失败怎么办？
-   A: 24小时后自动退款
+   A: 开启 CONFIG.AUTO_CLAIM.enabled 后，付费请求返回 5xx、超时或响应体损坏时
+      会自动发起索赔（error.claim），争议期结束后自动执行
 
    Q: 需要支付保险费吗？
    A: 不需要！完全免费
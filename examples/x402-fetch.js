@@ -0,0 +1,186 @@
+/**
+ * x402Fetch 与 axios 拦截器
+ *
+ * x402Fetch(input, init) 与 WHATWG fetch 签名一致，支持任意方法和请求体：
+ * 收到 402 时按 SuperSimpleX402Client 的保险策略和预算签名支付，再带 X-PAYMENT 透明重试。
+ * attachX402Interceptor 让已有的 axios 代码无需改写即可自动支付。
+ *
+ * 默认共用 getDefaultClient()（同一钱包、收据存储和预算）。
+ * 付费后请求失败（5xx、超时、连接中断）按 CONFIG.AUTO_CLAIM 自动索赔；
+ * 与 request() 不同，这里不读取响应体，因此不做 MALFORMED_RESPONSE 检查。
+ */
+
+const { getDefaultClient } = require('./simplest-client');
+
+// ============ fetch ============
+
+/**
+ * 创建绑定到指定 Client 的 x402Fetch
+ *
+ * @param {SuperSimpleX402Client} [client] - 默认 getDefaultClient()
+ * @param {Object} [options]
+ * @param {Function} [options.fetch] - 底层 fetch，默认 globalThis.fetch
+ * @returns {Function} (input, init) => Promise<Response>
+ */
+function createX402Fetch(client, { fetch: baseFetch = globalThis.fetch } = {}) {
+    if (typeof baseFetch !== 'function') {
+        throw new Error('x402Fetch requires a fetch implementation (Node.js >= 18)');
+    }
+
+    /**
+     * 付费请求成功时 response.x402 = { payment, receipt, paymentResponse }；
+     * 付费后返回错误状态码时仍返回 Response，response.x402 = { payment, receipt, error, claim, claimError }
+     *
+     * @param {RequestInfo|URL} input
+     * @param {RequestInit} [init]
+     * @returns {Promise<Response>}
+     * @throws {BudgetPolicyError} 超出预算或违反支付策略（未签名）
+     */
+    return async function x402Fetch(input, init) {
+        const paying = client || getDefaultClient();
+        const request = new Request(input, init);
+        const retry = request.clone(); // 请求体只能读取一次，保留一份用于重试
+
+        const response = await baseFetch(request);
+        if (response.status !== 402) return response;
+
+        const body = await response.json().catch(() => null);
+        const paid = await paying.preparePayment(request.url, body, { method: request.method });
+
+        const headers = new Headers(retry.headers);
+        headers.set('X-PAYMENT', paid.payment);
+
+        let paidResponse;
+        const timeout = paying.autoClaim.enabled ? withTimeout(retry.signal, paying.autoClaim.timeout) : null;
+        try {
+            paidResponse = await baseFetch(new Request(retry, {
+                headers,
+                signal: timeout ? timeout.signal : retry.signal
+            }));
+        } catch (error) {
+            throw await paying.failPayment(paid, error);
+        } finally {
+            if (timeout) timeout.clear();
+        }
+
+        if (paidResponse.ok) {
+            await paying.completePayment(paid, paidResponse.status, paidResponse.headers.get('x-payment-response'));
+            paidResponse.x402 = { payment: paid.payment, receipt: paid.receipt, paymentResponse: paying.lastPaymentResponse };
+            return paidResponse;
+        }
+
+        const error = new Error(`Paid request failed with status ${paidResponse.status}: ${request.method} ${request.url}`);
+        error.response = { status: paidResponse.status, headers: Object.fromEntries(paidResponse.headers) };
+        await paying.failPayment(paid, error);
+
+        paidResponse.x402 = {
+            payment: paid.payment,
+            receipt: paid.receipt,
+            error,
+            claim: error.claim || null,
+            claimError: error.claimError || null
+        };
+        return paidResponse;
+    };
+}
+
+/**
+ * 等待响应头的超时（收到响应头后清除，不影响读取响应体）
+ *
+ * 超时以 TimeoutError 中止，classifyFailure 归为 SERVICE_TIMEOUT；调用方的 signal 照常生效
+ */
+function withTimeout(signal, ms) {
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+
+    if (signal.aborted) abort();
+    signal.addEventListener('abort', abort, { once: true });
+
+    const timer = setTimeout(() => {
+        controller.abort(new DOMException(`Paid request timed out after ${ms}ms`, 'TimeoutError'));
+    }, ms);
+
+    return {
+        signal: controller.signal,
+        clear: () => {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', abort);
+        }
+    };
+}
+
+// 使用共享 Client 的 x402Fetch
+const x402Fetch = createX402Fetch();
+
+// ============ axios ============
+
+/**
+ * 为 axios 实例安装 402 自动支付拦截器
+ *
+ * 无论 validateStatus 是否放行 402 都会处理；重试请求保留原方法、请求体和 headers。
+ *
+ * @param {AxiosInstance} instance - axios 或 axios.create() 的返回值
+ * @param {Object} [options]
+ * @param {SuperSimpleX402Client} [options.client] - 默认 getDefaultClient()
+ * @returns {Function} 卸载拦截器
+ */
+function attachX402Interceptor(instance, { client } = {}) {
+    const pay = async (response) => {
+        const paying = client || getDefaultClient();
+        const config = response.config;
+        const url = instance.getUri(config);
+        const method = (config.method || 'get').toUpperCase();
+
+        const paid = await paying.preparePayment(url, response.data, { method });
+
+        let paidResponse;
+        try {
+            paidResponse = await instance.request({
+                ...config,
+                headers: { ...toPlainHeaders(config.headers), 'X-PAYMENT': paid.payment },
+                timeout: config.timeout || (paying.autoClaim.enabled ? paying.autoClaim.timeout : 0),
+                __x402Retried: true
+            });
+        } catch (error) {
+            throw await paying.failPayment(paid, error);
+        }
+
+        if (paidResponse.status === 402) {
+            // validateStatus 放行了 402：支付被拒绝
+            const error = new Error(`Payment rejected: ${method} ${url}`);
+            error.response = paidResponse;
+            throw await paying.failPayment(paid, error);
+        }
+
+        await paying.completePayment(paid, paidResponse.status, paidResponse.headers['x-payment-response']);
+        return paidResponse;
+    };
+
+    const id = instance.interceptors.response.use(
+        response => {
+            if (response.status !== 402 || response.config.__x402Retried) return response;
+            return pay(response);
+        },
+        error => {
+            const { response, config } = error;
+            if (!response || response.status !== 402 || !config || config.__x402Retried) throw error;
+            return pay(response);
+        }
+    );
+
+    return () => instance.interceptors.response.eject(id);
+}
+
+/**
+ * AxiosHeaders → 普通对象
+ */
+function toPlainHeaders(headers) {
+    if (!headers) return {};
+    return typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+}
+
+module.exports = {
+    x402Fetch,
+    createX402Fetch,
+    attachX402Interceptor
+};
@@ -0,0 +1,162 @@
+/**
+ * x402 "exact" 支付载荷（EIP-3009 transferWithAuthorization）
+ *
+ * 生成 facilitator 可以直接结算的 X-PAYMENT 头，并解析服务端返回的 X-PAYMENT-RESPONSE。
+ * simplest-client.js 和 client-with-registry.js 共用。
+ */
+
+const { ethers } = require('ethers');
+
+const X402_VERSION = 1;
+const EXACT_SCHEME = 'exact';
+
+// x402 网络名 → chainId
+const NETWORK_CHAIN_IDS = {
+    'base': 8453,
+    'base-sepolia': 84532,
+    'avalanche': 43114,
+    'avalanche-fuji': 43113,
+    'polygon': 137,
+    'polygon-amoy': 80002
+};
+
+// EIP-3009 类型定义
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+    TransferWithAuthorization: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'validAfter', type: 'uint256' },
+        { name: 'validBefore', type: 'uint256' },
+        { name: 'nonce', type: 'bytes32' }
+    ]
+};
+
+// 容忍客户端与链上时间的偏差
+const CLOCK_SKEW_SECONDS = 600;
+
+/**
+ * 代币的 EIP-712 domain（优先使用 402 响应 extra 中的 name/version，否则从链上读取）
+ */
+async function resolveTokenDomain(requirements, signer) {
+    const extra = requirements.extra || {};
+    let { name, version } = extra;
+
+    if (!name || !version) {
+        const token = new ethers.Contract(requirements.asset, [
+            'function name() view returns (string)',
+            'function version() view returns (string)'
+        ], signer.provider);
+
+        name = name || await token.name();
+        version = version || await token.version().catch(() => '1');
+    }
+
+    const chainId = NETWORK_CHAIN_IDS[requirements.network];
+    if (!chainId) {
+        throw new Error(`Unsupported x402 network: ${requirements.network}`);
+    }
+
+    return { name, version, chainId, verifyingContract: requirements.asset };
+}
+
+/**
+ * 按 402 响应中的支付要求创建 "exact" 支付载荷
+ *
+ * @param {ethers.Wallet} signer - 付款钱包
+ * @param {Object} requirements - 402 响应 accepts[] 中的一项（scheme/network/maxAmountRequired/payTo/asset/maxTimeoutSeconds/extra）
+ * @param {Object} [options]
+ * @param {number} [options.x402Version=1] - 402 响应中的 x402Version
+ * @returns {Promise<{header: string, payment: Object}>} header 为 base64 编码的 X-PAYMENT
+ */
+async function createExactPayment(signer, requirements, { x402Version = X402_VERSION } = {}) {
+    if (requirements.scheme && requirements.scheme !== EXACT_SCHEME) {
+        throw new Error(`Unsupported payment scheme: ${requirements.scheme}`);
+    }
+    if (!requirements.asset || !requirements.payTo) {
+        throw new Error('Payment requirements missing asset or payTo');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const authorization = {
+        from: await signer.getAddress(),
+        to: ethers.getAddress(requirements.payTo),
+        value: BigInt(requirements.maxAmountRequired).toString(),
+        validAfter: String(now - CLOCK_SKEW_SECONDS),
+        validBefore: String(now + (requirements.maxTimeoutSeconds || 60)),
+        nonce: ethers.hexlify(ethers.randomBytes(32))
+    };
+
+    const domain = await resolveTokenDomain(requirements, signer);
+    const signature = await signer.signTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, authorization);
+
+    const payment = {
+        x402Version,
+        scheme: EXACT_SCHEME,
+        network: requirements.network,
+        payload: { signature, authorization }
+    };
+
+    return { header: Buffer.from(JSON.stringify(payment)).toString('base64'), payment };
+}
+
+/**
+ * 解析 X-PAYMENT-RESPONSE 头
+ *
+ * @param {string} header - base64 编码的结算结果
+ * @returns {Object|null} { success, transaction, network, payer, errorReason }，无法解析时为 null
+ */
+function decodePaymentResponse(header) {
+    if (!header) return null;
+
+    try {
+        return JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 确认支付是否已在链上结算
+ *
+ * facilitator 只在服务端处理成功后结算，处理失败时授权不会被使用，此时不应索赔。
+ * 结算证明（任一即可）：X-PAYMENT-RESPONSE 中的结算交易，或代币 authorizationState(from, nonce) 为 true。
+ *
+ * @param {Object|string} payment - X-PAYMENT 头或解码后的支付载荷
+ * @param {Object} requirements - 选中的支付要求（需要 asset）
+ * @param {Object} [options]
+ * @param {Object} [options.paymentResponse] - 解码后的 X-PAYMENT-RESPONSE
+ * @param {ethers.Provider} [options.provider] - 支付网络的 RPC，用于查询 authorizationState
+ * @returns {Promise<Object>} { settled, transaction, source, error }，source 为 'payment-response' | 'authorization-state' | null
+ */
+async function verifySettlement(payment, requirements, { paymentResponse, provider } = {}) {
+    if (paymentResponse && paymentResponse.success !== false && paymentResponse.transaction) {
+        return { settled: true, transaction: paymentResponse.transaction, source: 'payment-response', error: null };
+    }
+    if (!provider) {
+        return { settled: false, transaction: null, source: null, error: `No RPC configured for ${requirements.network}` };
+    }
+
+    try {
+        const payload = typeof payment === 'string' ? JSON.parse(Buffer.from(payment, 'base64').toString('utf8')) : payment;
+        const { from, nonce } = payload.payload.authorization;
+        const token = new ethers.Contract(requirements.asset, [
+            'function authorizationState(address authorizer, bytes32 nonce) view returns (bool)'
+        ], provider);
+
+        const used = await token.authorizationState(from, nonce);
+        return { settled: used, transaction: null, source: used ? 'authorization-state' : null, error: null };
+    } catch (error) {
+        return { settled: false, transaction: null, source: null, error: error.shortMessage || error.message };
+    }
+}
+
+module.exports = {
+    X402_VERSION,
+    EXACT_SCHEME,
+    NETWORK_CHAIN_IDS,
+    TRANSFER_WITH_AUTHORIZATION_TYPES,
+    createExactPayment,
+    decodePaymentResponse,
+    verifySettlement
+};
@@ -0,0 +1,48 @@
+/**
+ * 构建 SDK 的 CommonJS 版本（dist/cjs）
+ *
+ * 每个 sdk/*.js 单独输出一个 CJS 文件，模块之间的相对引用保持不变，
+ * 这样 require('@x402/insurance-sdk') 与 require('@x402/insurance-sdk/provider')
+ * 共享同一份 errors / networks 等模块（instanceof、registerNetwork 在两个入口间一致）。
+ * ABI JSON 内联进引用它的文件；ethers、react 等依赖保持外部引用。
+ */
+
+import { build } from 'esbuild';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const outdir = path.join(root, 'dist/cjs');
+
+// SDK 内部模块不打包，保留为 require('./xxx.js')
+const keepSiblingModules = {
+  name: 'keep-sibling-modules',
+  setup(build) {
+    build.onResolve({ filter: /^\.\/[^/]+\.js$/ }, args => {
+      if (args.kind === 'entry-point') return null;
+      return { path: args.path, external: true };
+    });
+  }
+};
+
+const entryPoints = (await fs.readdir(path.join(root, 'sdk')))
+  .filter(file => file.endsWith('.js'))
+  .map(file => path.join(root, 'sdk', file));
+
+await fs.rm(outdir, { recursive: true, force: true });
+
+await build({
+  entryPoints,
+  outdir,
+  bundle: true,
+  format: 'cjs',
+  platform: 'node',
+  target: 'node18',
+  packages: 'external',
+  plugins: [keepSiblingModules],
+  logLevel: 'info'
+});
+
+// dist/cjs 下的 .js 按 CommonJS 解析（包本身是 "type": "module"）
+await fs.writeFile(path.join(outdir, 'package.json'), JSON.stringify({ type: 'commonjs' }, null, 2) + '\n');
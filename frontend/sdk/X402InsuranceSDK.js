@@ -4,42 +4,37 @@
  */
 
 import { ethers } from 'ethers';
-
-// 合约地址和ABI
-const CONTRACT_ADDRESS = '0x72486eF40BB3729298369d608de85c612adb223e';
-const USDC_ADDRESS = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
-const RPC_URL = 'https://sepolia.base.org';
-
-// 简化的ABI
-const INSURANCE_ABI = [
-  'function registerOrReactivate(uint256 amount)',
-  'function depositAdditional(uint256 amount)',
-  'function withdraw(uint256 amount)',
-  'function withdrawAllAndDeactivate()',
-  'function initiateClaim(bytes32 commitment, address provider, uint256 amount, uint8 reason)',
-  'function executeClaim(bytes32 commitment)',
-  'function disputeClaim(bytes32 commitment, string memory evidence)',
-  'function getProviderInfo(address provider) view returns (bool isActive, uint256 poolBalance, uint256 totalLocked, uint256 successfulServices, uint256 failedServices, uint8 tier, uint256 registeredAt)',
-  'function getClaimInfo(bytes32 commitment) view returns (address client, address provider, uint256 requestedAmount, uint256 paidAmount, uint256 pendingAmount, uint256 initiatedAt, uint256 disputeDeadline, uint8 reason, uint8 status)',
-  'function getProviderPendingCompensations(address provider) view returns (bytes32[] memory commitments, uint256[] memory amounts, uint256 totalAmount)',
-  'function canAcceptService(address provider, uint256 serviceAmount) view returns (bool canAccept, string memory reason)',
-  'function totalProviderPools() view returns (uint256)',
-  'function emergencyPool() view returns (uint256)',
-  'function platformInsuranceFund() view returns (uint256)',
-  'function totalPendingCompensations() view returns (uint256)',
-  'function MIN_POOL_BALANCE() view returns (uint256)',
-  'function PENALTY_RATE() view returns (uint256)',
-  'function MAX_EXPOSURE_RATIO() view returns (uint256)',
-  'event ProviderRegistered(address indexed provider, uint256 amount)',
-  'event ClaimInitiated(bytes32 indexed commitment, address indexed client, address indexed provider, uint256 amount)',
-  'event ClaimExecuted(bytes32 indexed commitment, uint256 paidAmount, uint256 pendingAmount)',
-  'event CompensationPaid(bytes32 indexed commitment, address indexed client, uint256 amount)'
-];
+import { NETWORKS, DEFAULT_NETWORK, resolveNetwork } from './networks.js';
+import { connect, addChain, getInjectedProvider } from './connector.js';
+import { TxStage, sendTransaction, combineProgress } from './transactions.js';
+import {
+  ErrorCode,
+  X402InsuranceError,
+  decodeInsuranceError,
+  MIN_POOL_BALANCE,
+  MAX_POOL_BALANCE
+} from './errors.js';
+import { deriveCommitment, createPaymentReceipt, verifyCommitment } from './commitment.js';
+import { ClaimHistoryIndexer } from './history.js';
+import { ClaimAutoExecutor } from './executor.js';
+import { ApprovalMode, resolveApprovalPolicy, ensureAllowance } from './approval.js';
+import insuranceArtifact from '../abi/X402InsuranceV8.json' with { type: 'json' };
+
+// 默认网络（Base Sepolia）的合约地址，保留以兼容旧代码
+const CONTRACT_ADDRESS = NETWORKS[DEFAULT_NETWORK].insuranceAddress;
+const USDC_ADDRESS = NETWORKS[DEFAULT_NETWORK].usdcAddress;
+
+// 完整的 V8 ABI（frontend/abi/X402InsuranceV8.json，与脚本、示例共用）
+const INSURANCE_ABI = insuranceArtifact.abi;
 
 const USDC_ABI = [
   'function approve(address spender, uint256 amount) returns (bool)',
   'function balanceOf(address owner) view returns (uint256)',
-  'function allowance(address owner, address spender) view returns (uint256)'
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'function nonces(address owner) view returns (uint256)',
+  'function name() view returns (string)',
+  'function version() view returns (string)'
 ];
 
 // 索赔原因枚举
@@ -59,172 +54,294 @@ const ClaimStatus = {
 };
 
 class X402InsuranceSDK {
-  constructor(signerOrProvider) {
+  /**
+   * @param {ethers.Signer|ethers.Provider} [signerOrProvider] - 不传则使用网络配置的RPC只读连接
+   * @param {Object} [options]
+   * @param {string|number|Object} [options.network] - 网络名称、chainId 或完整网络配置
+   *   （chainId, rpcUrl, insuranceAddress, usdcAddress, explorerUrl），默认 Base Sepolia
+   * @param {number} [options.confirmations=1] - 写操作默认等待的确认数
+   * @param {Function} [options.onProgress] - 所有写操作共用的进度回调 (stage, detail)
+   * @param {Object} [options.history] - 历史索引配置 { storage, chunkSize, startBlock, reorgDepth }
+   * @param {Object} [options.executor] - 自动执行器配置 { storage, pollInterval, margin, maxAttempts, onEvent }
+   * @param {string|Object} [options.approval] - USDC 授权策略（见 approval.js），
+   *   'exact' | 'buffered' | 'unlimited' | 'permit' 或 { mode, buffer, permitDeadline, relayPermit }，默认 buffered（2 倍）
+   */
+  constructor(signerOrProvider, options = {}) {
+    this.network = resolveNetwork(options.network);
+    this.confirmations = options.confirmations ?? 1;
+    this.onProgress = options.onProgress || null;
+    this.approvalPolicy = resolveApprovalPolicy(options.approval);
+
+    if (!this.network.insuranceAddress || !this.network.usdcAddress) {
+      throw new Error(`Insurance contracts not configured for network ${this.network.name}`);
+    }
+
     if (signerOrProvider) {
       this.provider = signerOrProvider.provider || signerOrProvider;
       this.signer = signerOrProvider.provider ? signerOrProvider : null;
     } else {
-      this.provider = new ethers.JsonRpcProvider(RPC_URL);
+      this.provider = new ethers.JsonRpcProvider(this.network.rpcUrl, this.network.chainId);
       this.signer = null;
     }
 
     this.contract = new ethers.Contract(
-      CONTRACT_ADDRESS,
+      this.network.insuranceAddress,
       INSURANCE_ABI,
       this.signer || this.provider
     );
 
     this.usdcContract = new ethers.Contract(
-      USDC_ADDRESS,
+      this.network.usdcAddress,
       USDC_ABI,
       this.signer || this.provider
     );
+
+    this.history = new ClaimHistoryIndexer(this.contract, this.network, options.history);
+    this.executorOptions = options.executor || {};
+    this.executor = null;
   }
 
   // ==================== 连接钱包 ====================
 
   /**
-   * 连接MetaMask钱包
+   * 连接钱包
+   *
+   * 默认使用浏览器注入的钱包，也可以传入任意 EIP-1193 Provider、EIP-6963 钱包标识、
+   * 私钥或现成的 Signer（见 connector.js）
+   *
+   * @param {string|number|Object} [network] - 目标网络，默认 Base Sepolia
+   * @param {Object} [options] - 连接参数 { wallet, rdns, privateKey, signer, rpcUrl, switchChain }
+   *   与其他构造参数（confirmations、onProgress、approval……）
    */
-  static async connectWallet() {
-    if (typeof window === 'undefined' || !window.ethereum) {
-      throw new Error('MetaMask not installed');
-    }
-
-    await window.ethereum.request({ method: 'eth_requestAccounts' });
-
-    const provider = new ethers.BrowserProvider(window.ethereum);
-    const signer = await provider.getSigner();
+  static async connectWallet(network = DEFAULT_NETWORK, options = {}) {
+    const { wallet, rdns, privateKey, signer, rpcUrl, switchChain, ...sdkOptions } = options;
+    const connection = await connect({ network, wallet, rdns, privateKey, signer, rpcUrl, switchChain });
+
+    const sdk = new X402InsuranceSDK(connection.signer, { ...sdkOptions, network: connection.network });
+    // 保留 EIP-1193 Provider，便于监听账户 / 网络变化
+    sdk.wallet = connection.wallet;
+    return sdk;
+  }
 
-    // 切换到Base Sepolia网络
-    try {
-      await window.ethereum.request({
-        method: 'wallet_switchEthereumChain',
-        params: [{ chainId: '0x14a34' }] // 84532 in hex
-      });
-    } catch (error) {
-      if (error.code === 4902) {
-        await X402InsuranceSDK.addBaseSepoliaNetwork();
-      }
+  /**
+   * 添加网络到钱包
+   * @param {string|number|Object} network - 网络名称、chainId 或网络配置
+   * @param {Object} [wallet] - EIP-1193 Provider，默认 window.ethereum
+   */
+  static async addNetwork(network, wallet = getInjectedProvider()) {
+    if (!wallet) {
+      throw new X402InsuranceError(ErrorCode.WALLET_NOT_CONNECTED, 'No EIP-1193 wallet found');
     }
-
-    return new X402InsuranceSDK(signer);
+    await addChain(wallet, network);
   }
 
   /**
    * 添加Base Sepolia网络到MetaMask
    */
   static async addBaseSepoliaNetwork() {
-    await window.ethereum.request({
-      method: 'wallet_addEthereumChain',
-      params: [{
-        chainId: '0x14a34',
-        chainName: 'Base Sepolia',
-        nativeCurrency: {
-          name: 'Ethereum',
-          symbol: 'ETH',
-          decimals: 18
-        },
-        rpcUrls: ['https://sepolia.base.org'],
-        blockExplorerUrls: ['https://sepolia.basescan.org']
-      }]
-    });
+    await X402InsuranceSDK.addNetwork('base-sepolia');
   }
 
   // ==================== Provider功能 ====================
 
+  /*
+   * 所有写操作都接受可选的 options 参数：
+   * - onProgress(stage, detail): 进度回调，stage 见 TxStage，detail.action 区分授权与主交易
+   * - confirmations: 本次操作等待的确认数（默认取构造参数）
+   * - simulate: 是否在签名前用 staticCall 预检（默认 true），也控制 registerProvider / depositAdditional 授权前的状态预检
+   * - approval: 本次操作的 USDC 授权策略（仅 registerProvider / depositAdditional），覆盖构造参数
+   *
+   * 失败时统一抛出 X402InsuranceError（见 errors.js）
+   */
+
   /**
    * 注册或重新激活Provider
    * @param {string} amount - USDC金额（如 "100"）
+   * @param {Object} [options] - { onProgress, confirmations }
    */
-  async registerProvider(amount) {
-    if (!this.signer) throw new Error('Wallet not connected');
+  async registerProvider(amount, options = {}) {
+    this._requireSigner();
 
     const parsedAmount = ethers.parseUnits(amount.toString(), 6);
 
+    // 授权前先做本地校验，避免白白发出授权交易
+    if (parsedAmount < MIN_POOL_BALANCE) {
+      throw decodeInsuranceError({ reason: 'Insufficient initial deposit' }, { amount: amount.toString() });
+    }
+    if (parsedAmount > MAX_POOL_BALANCE) {
+      throw decodeInsuranceError({ reason: 'Exceeds maximum pool balance' }, { amount: amount.toString() });
+    }
+
+    await this._preflightDeposit('registerProvider', parsedAmount, options);
+
     // 检查并授权USDC
-    await this.approveUSDC(parsedAmount);
+    await this.approveUSDC(parsedAmount, options);
 
     // 注册Provider
-    const tx = await this.contract.registerOrReactivate(parsedAmount);
-    await tx.wait();
+    const { hash } = await this._write(
+      'registerProvider',
+      this.contract.registerOrReactivate,
+      [parsedAmount],
+      options
+    );
 
-    return tx.hash;
+    return hash;
   }
 
   /**
    * 追加保险金
    * @param {string} amount - USDC金额
+   * @param {Object} [options] - { onProgress, confirmations }
    */
-  async depositAdditional(amount) {
-    if (!this.signer) throw new Error('Wallet not connected');
+  async depositAdditional(amount, options = {}) {
+    this._requireSigner();
 
     const parsedAmount = ethers.parseUnits(amount.toString(), 6);
-    await this.approveUSDC(parsedAmount);
+    await this._preflightDeposit('depositAdditional', parsedAmount, options);
+    await this.approveUSDC(parsedAmount, options);
+
+    const { hash } = await this._write(
+      'depositAdditional',
+      this.contract.depositAdditional,
+      [parsedAmount],
+      options
+    );
+
+    return hash;
+  }
 
-    const tx = await this.contract.depositAdditional(parsedAmount);
-    await tx.wait();
+  /**
+   * 授权前预检：Provider状态、池上限和钱包余额不满足时直接报错，避免白白发出授权交易
+   * （options.simulate 为 false 时跳过，与 staticCall 预检一致）
+   * @private
+   */
+  async _preflightDeposit(action, amount, options) {
+    if (options.simulate === false) return;
+
+    const address = await this.signer.getAddress();
+    const [info, balance] = await Promise.all([
+      this.contract.getProviderInfo(address),
+      this.usdcContract.balanceOf(address)
+    ]);
+    const context = { action, amount: ethers.formatUnits(amount, 6) };
 
-    return tx.hash;
+    if (action === 'depositAdditional') {
+      if (!info.isActive) {
+        throw decodeInsuranceError({ reason: 'Provider not active' }, context);
+      }
+      if (info.poolBalance + amount > MAX_POOL_BALANCE) {
+        throw decodeInsuranceError({ reason: 'Exceeds maximum' }, {
+          ...context,
+          poolBalance: ethers.formatUnits(info.poolBalance, 6)
+        });
+      }
+    }
+
+    if (balance < amount) {
+      throw decodeInsuranceError({ reason: 'ERC20: transfer amount exceeds balance' }, {
+        ...context,
+        balance: ethers.formatUnits(balance, 6)
+      });
+    }
   }
 
   /**
    * 提取资金
    * @param {string} amount - USDC金额
+   * @param {Object} [options] - { onProgress, confirmations }
    */
-  async withdraw(amount) {
-    if (!this.signer) throw new Error('Wallet not connected');
+  async withdraw(amount, options = {}) {
+    this._requireSigner();
 
     const parsedAmount = ethers.parseUnits(amount.toString(), 6);
-    const tx = await this.contract.withdraw(parsedAmount);
-    await tx.wait();
+    const { hash } = await this._write(
+      'withdraw',
+      this.contract.withdraw,
+      [parsedAmount],
+      options
+    );
 
-    return tx.hash;
+    return hash;
   }
 
   /**
    * 提取全部并停用
+   * @param {Object} [options] - { onProgress, confirmations }
    */
-  async withdrawAll() {
-    if (!this.signer) throw new Error('Wallet not connected');
-
-    const tx = await this.contract.withdrawAllAndDeactivate();
-    await tx.wait();
+  async withdrawAll(options = {}) {
+    this._requireSigner();
+
+    const { hash } = await this._write(
+      'withdrawAll',
+      this.contract.withdrawAllAndDeactivate,
+      [],
+      options
+    );
 
-    return tx.hash;
+    return hash;
   }
 
   // ==================== 索赔功能 ====================
 
   /**
    * 发起索赔
+   *
+   * commitment 由支付收据确定性派生（见 commitment.js），同一笔支付重复调用
+   * 不会产生第二个索赔，而是直接返回已存在的索赔（existing: true）
+   *
    * @param {Object} params
-   * @param {string} params.provider - Provider地址
-   * @param {string} params.amount - 索赔金额
+   * @param {Object} [params.receipt] - 支付收据 { method, path, payment, payTo, amount, nonce }
+   * @param {string} [params.commitment] - 已知的 commitment（与 receipt 二选一）
+   * @param {string} [params.provider] - Provider地址，缺省为 receipt.payTo
+   * @param {string} [params.amount] - 索赔金额（USDC），缺省为 receipt 中的支付金额（只有 commitment 时必填）
    * @param {number} params.reason - 索赔原因（0-2）
+   * @param {Object} [options] - { onProgress, confirmations }
    */
-  async initiateClaim({ provider, amount, reason = 0 }) {
-    if (!this.signer) throw new Error('Wallet not connected');
+  async initiateClaim({ receipt, commitment, provider, amount, reason = 0 }, options = {}) {
+    this._requireSigner();
 
-    const commitment = ethers.keccak256(
-      ethers.toUtf8Bytes(`claim-${Date.now()}-${Math.random()}`)
-    );
-    const parsedAmount = ethers.parseUnits(amount.toString(), 6);
+    if (!commitment) {
+      if (!receipt) {
+        throw new Error('initiateClaim requires a payment receipt or commitment');
+      }
+      commitment = deriveCommitment(receipt);
+    }
 
-    const tx = await this.contract.initiateClaim(
-      commitment,
-      provider,
-      parsedAmount,
-      reason
+    provider = provider || (receipt && createPaymentReceipt(receipt).payTo);
+    if (!provider) throw new Error('initiateClaim requires a provider address');
+
+    if (amount === undefined && !receipt) {
+      throw new Error('initiateClaim requires an amount or a payment receipt');
+    }
+    const parsedAmount = amount !== undefined
+      ? ethers.parseUnits(amount.toString(), 6)
+      : BigInt(createPaymentReceipt(receipt).amount);
+
+    // 幂等：同一 commitment 已有索赔时直接返回
+    const existing = await this.contract.getClaimInfo(commitment);
+    if (existing.initiatedAt > 0n) {
+      return {
+        commitment,
+        txHash: null,
+        existing: true,
+        ...(await this.getClaimInfo(commitment))
+      };
+    }
+
+    const { hash } = await this._write(
+      'initiateClaim',
+      this.contract.initiateClaim,
+      [commitment, provider, parsedAmount, reason],
+      options
     );
-    await tx.wait();
 
     // 获取索赔详情
     const claimInfo = await this.getClaimInfo(commitment);
 
     return {
       commitment,
-      txHash: tx.hash,
+      txHash: hash,
+      existing: false,
       ...claimInfo
     };
   }
@@ -232,28 +349,72 @@ class X402InsuranceSDK {
   /**
    * 执行索赔（争议期后）
    * @param {string} commitment - 索赔ID
+   * @param {Object} [options] - { onProgress, confirmations }
+   */
+  async executeClaim(commitment, options = {}) {
+    this._requireSigner();
+
+    const { hash } = await this._write(
+      'executeClaim',
+      this.contract.executeClaim,
+      [commitment],
+      options
+    );
+
+    return hash;
+  }
+
+  /**
+   * 等待争议期结束后自动执行索赔
+   *
+   * 队列会持久化（浏览器 localStorage / Node 文件存储），页面刷新或进程重启后
+   * 调用 resumePendingExecutions() 即可继续；Provider提出争议或索赔被拒绝时正常结束
+   *
+   * @param {string} commitment - 索赔ID
+   * @param {Object} [options] - 传给 executeClaim 的 { onProgress, confirmations }
+   * @returns {Promise<{commitment: string, outcome: string, txHash?: string}>}
    */
-  async executeClaim(commitment) {
-    if (!this.signer) throw new Error('Wallet not connected');
+  async watchAndExecute(commitment, options = {}) {
+    this._requireSigner();
+    return await this._getExecutor().watchAndExecute(commitment, options);
+  }
 
-    const tx = await this.contract.executeClaim(commitment);
-    await tx.wait();
+  /**
+   * 恢复持久化队列中尚未执行的索赔
+   * @param {Object} [options] - 传给 executeClaim 的 { onProgress, confirmations }
+   */
+  async resumePendingExecutions(options = {}) {
+    this._requireSigner();
+    return await this._getExecutor().start(options);
+  }
 
-    return tx.hash;
+  /**
+   * @private
+   */
+  _getExecutor() {
+    if (!this.executor) {
+      this.executor = new ClaimAutoExecutor(this, this.executorOptions);
+    }
+    return this.executor;
   }
 
   /**
    * 争议索赔
    * @param {string} commitment - 索赔ID
    * @param {string} evidence - 证据说明
+   * @param {Object} [options] - { onProgress, confirmations }
    */
-  async disputeClaim(commitment, evidence) {
-    if (!this.signer) throw new Error('Wallet not connected');
-
-    const tx = await this.contract.disputeClaim(commitment, evidence);
-    await tx.wait();
+  async disputeClaim(commitment, evidence, options = {}) {
+    this._requireSigner();
+
+    const { hash } = await this._write(
+      'disputeClaim',
+      this.contract.disputeClaim,
+      [commitment, evidence],
+      options
+    );
 
-    return tx.hash;
+    return hash;
   }
 
   // ==================== 查询功能 ====================
@@ -368,6 +529,65 @@ class X402InsuranceSDK {
     };
   }
 
+  // ==================== 历史查询 ====================
+
+  /*
+   * 历史查询基于本地缓存的事件索引（见 history.js），首次调用会从V8部署区块开始分段扫描，
+   * 之后只增量同步新区块。options: { page, pageSize, sync }
+   */
+
+  /**
+   * 查询Client发起的历史索赔
+   * @param {string} address - Client地址
+   * @param {Object} [options] - { page, pageSize }
+   */
+  async getClaimsByClient(address, options = {}) {
+    return await this.history.getClaimsByClient(address, options);
+  }
+
+  /**
+   * 查询Provider收到的历史索赔
+   * @param {string} address - Provider地址
+   * @param {Object} [options] - { page, pageSize }
+   */
+  async getClaimsByProvider(address, options = {}) {
+    return await this.history.getClaimsByProvider(address, options);
+  }
+
+  /**
+   * 查询索赔的赔付与延迟补偿记录
+   * @param {string} commitment - 索赔ID
+   */
+  async getCompensationHistory(commitment, options = {}) {
+    return await this.history.getCompensationHistory(commitment, options);
+  }
+
+  /**
+   * 索赔是否已执行过（以 ClaimExecuted 事件为准）
+   *
+   * V8 不阻止对 PARTIAL 索赔重复执行，再次执行会重复支付 paidAmount；
+   * 本地历史中找不到该索赔时无法确认，按已执行处理
+   *
+   * @param {string} commitment - 索赔ID
+   * @returns {Promise<{executed: boolean, transactionHash: string|null}>}
+   */
+  async getExecutionState(commitment) {
+    const history = await this.history.getCompensationHistory(commitment);
+    if (!history) return { executed: true, transactionHash: null };
+
+    const [execution] = history.executions;
+    return { executed: Boolean(execution), transactionHash: execution ? execution.transactionHash : null };
+  }
+
+  /**
+   * 查询Provider的资金变动记录
+   * @param {string} address - Provider地址
+   * @param {Object} [options] - { page, pageSize }
+   */
+  async getProviderHistory(address, options = {}) {
+    return await this.history.getProviderHistory(address, options);
+  }
+
   // ==================== 事件监听 ====================
 
   /**
@@ -424,18 +644,112 @@ class X402InsuranceSDK {
 
   // ==================== 工具函数 ====================
 
+  /**
+   * 发送写交易并报告进度（实例回调与本次回调都会收到）
+   *
+   * @param {string} action - 操作名称
+   * @param {ethers.BaseContractMethod} method - 合约方法（如 this.contract.withdraw）
+   * @param {Array} args - 调用参数
+   * @param {Object} [options] - { onProgress, confirmations, simulate }
+   * @private
+   */
+  async _write(action, method, args, options = {}) {
+    return await sendTransaction({
+      action,
+      send: () => method(...args),
+      simulate: options.simulate === false ? null : () => method.staticCall(...args),
+      confirmations: options.confirmations ?? this.confirmations,
+      onProgress: combineProgress(this.onProgress, options.onProgress),
+      mapError: error => this._decodeError(error, action, args)
+    });
+  }
+
+  /**
+   * 解析错误并补充链上上下文（如剩余争议期、可提取金额）
+   * @private
+   */
+  async _decodeError(error, action, args) {
+    const decoded = decodeInsuranceError(error, { action });
+
+    try {
+      switch (decoded.code) {
+        case ErrorCode.STILL_IN_DISPUTE_PERIOD:
+        case ErrorCode.DISPUTE_PERIOD_ENDED: {
+          const claim = await this.contract.getClaimInfo(args[0]);
+          const deadline = Number(claim.disputeDeadline);
+          decoded.context.disputeDeadline = new Date(deadline * 1000);
+          decoded.context.remainingSeconds = Math.max(0, deadline - Math.floor(Date.now() / 1000));
+          break;
+        }
+        case ErrorCode.INSUFFICIENT_AVAILABLE_BALANCE:
+        case ErrorCode.BELOW_MINIMUM_BALANCE: {
+          const info = await this.contract.getProviderInfo(await this.signer.getAddress());
+          const available = info.poolBalance > info.totalLocked ? info.poolBalance - info.totalLocked : 0n;
+          const aboveMinimum = info.poolBalance > MIN_POOL_BALANCE ? info.poolBalance - MIN_POOL_BALANCE : 0n;
+          decoded.context.poolBalance = ethers.formatUnits(info.poolBalance, 6);
+          decoded.context.availableBalance = ethers.formatUnits(available, 6);
+          decoded.context.maxWithdrawable = ethers.formatUnits(
+            available < aboveMinimum ? available : aboveMinimum,
+            6
+          );
+          break;
+        }
+        case ErrorCode.CLAIM_ALREADY_EXISTS:
+        case ErrorCode.INVALID_CLAIM_STATUS:
+        case ErrorCode.CANNOT_DISPUTE: {
+          const claim = await this.contract.getClaimInfo(args[0]);
+          decoded.context.status = Number(claim.status);
+          break;
+        }
+        default:
+          break;
+      }
+    } catch {
+      // 上下文查询失败时保留已有信息
+    }
+
+    return decoded;
+  }
+
+  /**
+   * 检查是否已连接钱包
+   * @private
+   */
+  _requireSigner() {
+    if (!this.signer) {
+      throw new X402InsuranceError(ErrorCode.WALLET_NOT_CONNECTED, 'Wallet not connected');
+    }
+  }
+
   /**
    * 授权USDC
+   *
+   * 授权方式由策略决定（见 approval.js）：exact 只授权所需金额，buffered 按倍数多授权，
+   * unlimited 授权 MaxUint256，permit 使用 EIP-2612 签名（须配置 relayPermit，由中继提交，钱包无需发授权交易）
+   *
+   * @param {bigint} amount - 所需授权额度（6位小数）
+   * @param {Object} [options] - { onProgress, confirmations, approval }，授权交易的 detail.action 为 'approve' 或 'permit'
+   * @returns {Promise<string|null>} 授权（或 permit）交易哈希，额度已足够时返回 null
    */
-  async approveUSDC(amount) {
-    const allowance = await this.usdcContract.allowance(
-      await this.signer.getAddress(),
-      CONTRACT_ADDRESS
-    );
+  async approveUSDC(amount, options = {}) {
+    this._requireSigner();
+
+    try {
+      const { hash } = await ensureAllowance({
+        token: this.usdcContract,
+        signer: this.signer,
+        spender: this.network.insuranceAddress,
+        amount,
+        policy: resolveApprovalPolicy(this.approvalPolicy, options.approval),
+        submit: (action, method, args) => this._write(action, method, args, options),
+        onProgress: combineProgress(this.onProgress, options.onProgress)
+      });
 
-    if (allowance < amount) {
-      const tx = await this.usdcContract.approve(CONTRACT_ADDRESS, amount * 2n);
-      await tx.wait();
+      return hash;
+    } catch (error) {
+      // permit 签名 / 中继阶段的错误不经过 _write，在这里统一解析
+      if (error instanceof X402InsuranceError) throw error;
+      throw decodeInsuranceError(error, { action: 'permit' });
     }
   }
 
@@ -449,13 +763,30 @@ class X402InsuranceSDK {
 
   /**
    * 生成commitment
+   *
+   * 传入支付收据时确定性派生；传入字符串前缀时生成随机值
+   * （@deprecated 随机 commitment 无法关联到支付，重试会产生重复索赔）
+   *
+   * @param {Object|string} [receiptOrPrefix] - 支付收据或旧版前缀
    */
-  static generateCommitment(prefix = 'claim') {
+  static generateCommitment(receiptOrPrefix = 'claim') {
+    if (receiptOrPrefix && typeof receiptOrPrefix === 'object') {
+      return deriveCommitment(receiptOrPrefix);
+    }
     return ethers.keccak256(
-      ethers.toUtf8Bytes(`${prefix}-${Date.now()}-${Math.random()}`)
+      ethers.toUtf8Bytes(`${receiptOrPrefix}-${Date.now()}-${Math.random()}`)
     );
   }
 
+  /**
+   * 用保存的支付收据校验commitment
+   * @param {Object} receipt - createPaymentReceipt 生成的收据
+   * @param {string} [commitment] - 待校验的commitment，缺省为 receipt.commitment
+   */
+  static verifyCommitment(receipt, commitment) {
+    return verifyCommitment(receipt, commitment);
+  }
+
   /**
    * 计算争议期
    */
@@ -467,6 +798,16 @@ class X402InsuranceSDK {
     return 1800; // 30分钟
   }
 
+  /**
+   * 生成区块浏览器链接
+   * @param {string} hashOrAddress - 交易哈希或地址
+   */
+  getExplorerUrl(hashOrAddress) {
+    if (!this.network.explorerUrl) return null;
+    const type = hashOrAddress.length === 66 ? 'tx' : 'address';
+    return `${this.network.explorerUrl}/${type}/${hashOrAddress}`;
+  }
+
   /**
    * 获取当前账户地址
    */
@@ -478,4 +819,30 @@ class X402InsuranceSDK {
 
 // 导出
 export default X402InsuranceSDK;
-export { ClaimReason, ClaimStatus, CONTRACT_ADDRESS, USDC_ADDRESS };
\ No newline at end of file
+export {
+  X402InsuranceSDK,
+  ClaimReason,
+  ClaimStatus,
+  TxStage,
+  ApprovalMode,
+  INSURANCE_ABI,
+  USDC_ABI,
+  CONTRACT_ADDRESS,
+  USDC_ADDRESS
+};
+export { ErrorCode, X402InsuranceError, decodeInsuranceError } from './errors.js';
+export { ClaimAutoExecutor, ExecutionOutcome } from './executor.js';
+export {
+  deriveCommitment,
+  createPaymentReceipt,
+  verifyCommitment,
+  decodePaymentHeader
+} from './commitment.js';
+export { connect, discoverWallets, ensureChain, watchWallet } from './connector.js';
+export {
+  NETWORKS,
+  getNetwork,
+  registerNetwork,
+  listNetworks,
+  loadNetworksFromDeployments
+} from './networks.js';
\ No newline at end of file
@@ -4,23 +4,35 @@
  */
 
 import { ethers } from 'ethers';
-
-// 合约地址
-const FACTORY_ADDRESS = '0xbed30550aB282bED6A6ED57F23E9C99FAd8b7b76'; // ProviderFactory
-const INSURANCE_V8_ADDRESS = '0x72486eF40BB3729298369d608de85c612adb223e';
-const USDC_ADDRESS = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+import { resolveNetwork } from './networks.js';
+import { ApprovalMode, resolveApprovalPolicy, ensureAllowance } from './approval.js';
+import { ProviderContractHandle } from './provider-contract.js';
+import { connect as connectWallet } from './connector.js';
+import X402InsuranceSDK from './X402InsuranceSDK.js';
 
 // 简化的 ABI
 const FACTORY_ABI = [
   'function createProvider(uint256 initialDeposit) returns (address)',
   'function getUserProviders(address user) view returns (address[])',
   'function getAllProviders() view returns (address[])',
+  'function createMultipleProviders(uint256[] deposits) returns (address[])',
+  'function getStats() view returns (uint256 totalProviders, uint256 totalUsers)',
+  'function totalUsers() view returns (uint256)',
   'event ProviderCreated(address indexed owner, address indexed providerContract, uint256 initialDeposit)'
 ];
 
+// ProviderFactory.createProvider 的最低存款
+const MIN_FACTORY_DEPOSIT = 10n * 10n ** 6n;
+
 const USDC_ABI = [
   'function approve(address spender, uint256 amount) returns (bool)',
-  'function balanceOf(address owner) view returns (uint256)'
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'function nonces(address owner) view returns (uint256)',
+  'function name() view returns (string)',
+  'function version() view returns (string)'
 ];
 
 /**
@@ -35,53 +47,56 @@ const USDC_ABI = [
  * const provider = await sdk.becomeProvider('100');
  *
  * console.log('你的 Provider 合约:', provider.address);
+ *
+ * // 3. 管理 Provider 合约
+ * const status = await provider.contract.getStatus();
+ * await provider.contract.depositInsurance('50');
  */
 class X402ProviderSimpleSDK {
 
-  constructor(signer) {
+  /**
+   * @param {ethers.Signer} signer
+   * @param {Object} [options]
+   * @param {string|number|Object} [options.network] - 网络名称、chainId 或网络配置，默认 Base Sepolia
+   * @param {string|Object} [options.approval] - USDC 授权策略（见 approval.js），默认 exact
+   */
+  constructor(signer, options = {}) {
     this.signer = signer;
     this.provider = signer.provider;
+    this.network = resolveNetwork(options.network);
+    this.approvalPolicy = resolveApprovalPolicy({ mode: ApprovalMode.EXACT }, options.approval);
+
+    if (!this.network.factoryAddress) {
+      throw new Error(`ProviderFactory not deployed on network ${this.network.name}`);
+    }
 
-    this.factory = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, signer);
-    this.usdc = new ethers.Contract(USDC_ADDRESS, USDC_ABI, signer);
+    this.factory = new ethers.Contract(this.network.factoryAddress, FACTORY_ABI, signer);
+    this.usdc = new ethers.Contract(this.network.usdcAddress, USDC_ABI, signer);
+    this.insurance = new X402InsuranceSDK(signer, { network: this.network });
   }
 
   /**
    * 连接钱包并创建 SDK 实例
+   *
+   * @param {Object} [options] - 连接参数 { network, wallet, rdns, privateKey, signer, rpcUrl }（见 connector.js）
+   *   与其他构造参数（approval）
    * @returns {Promise<X402ProviderSimpleSDK>}
    */
-  static async connect() {
-    if (typeof window === 'undefined' || !window.ethereum) {
-      throw new Error('请安装 MetaMask');
-    }
-
-    await window.ethereum.request({ method: 'eth_requestAccounts' });
-
-    const provider = new ethers.BrowserProvider(window.ethereum);
-    const signer = await provider.getSigner();
-
-    // 切换到 Base Sepolia
-    try {
-      await window.ethereum.request({
-        method: 'wallet_switchEthereumChain',
-        params: [{ chainId: '0x14a34' }]
-      });
-    } catch (error) {
-      if (error.code === 4902) {
-        await window.ethereum.request({
-          method: 'wallet_addEthereumChain',
-          params: [{
-            chainId: '0x14a34',
-            chainName: 'Base Sepolia',
-            nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
-            rpcUrls: ['https://sepolia.base.org'],
-            blockExplorerUrls: ['https://sepolia.basescan.org']
-          }]
-        });
-      }
-    }
-
-    return new X402ProviderSimpleSDK(signer);
+  static async connect(options = {}) {
+    const { wallet, rdns, privateKey, signer, rpcUrl, switchChain, ...sdkOptions } = options;
+    const connection = await connectWallet({
+      network: options.network,
+      wallet,
+      rdns,
+      privateKey,
+      signer,
+      rpcUrl,
+      switchChain
+    });
+
+    const sdk = new X402ProviderSimpleSDK(connection.signer, { ...sdkOptions, network: connection.network });
+    sdk.wallet = connection.wallet;
+    return sdk;
   }
 
   /**
@@ -89,6 +104,8 @@ class X402ProviderSimpleSDK {
    *
    * @param {string} usdcAmount - USDC 金额（如 "100"）
    * @param {Function} onProgress - 进度回调
+   * @param {Object} [options]
+   * @param {string|Object} [options.approval] - 本次授权策略，覆盖构造参数（如 { mode: 'permit', relayPermit }）
    * @returns {Promise<Object>} Provider 信息
    *
    * @example
@@ -96,7 +113,7 @@ class X402ProviderSimpleSDK {
    *   console.log(`步骤 ${step}: ${message}`);
    * });
    */
-  async becomeProvider(usdcAmount, onProgress = () => {}) {
+  async becomeProvider(usdcAmount, onProgress = () => {}, options = {}) {
     const amount = ethers.parseUnits(usdcAmount.toString(), 6);
     const address = await this.signer.getAddress();
 
@@ -107,23 +124,14 @@ class X402ProviderSimpleSDK {
     }
 
     onProgress(2, '授权 USDC...');
-    const approveTx = await this.usdc.approve(FACTORY_ADDRESS, amount);
-    await approveTx.wait();
+    await this._approveFactory(amount, options);
 
     onProgress(3, '创建并注册 Provider 合约...');
     const createTx = await this.factory.createProvider(amount);
     const receipt = await createTx.wait();
 
     // 从事件中获取 Provider 合约地址
-    const event = receipt.logs
-      .map(log => {
-        try {
-          return this.factory.interface.parseLog(log);
-        } catch {
-          return null;
-        }
-      })
-      .find(e => e && e.name === 'ProviderCreated');
+    const [event] = this._parseCreatedEvents(receipt);
 
     if (!event) {
       throw new Error('无法找到 ProviderCreated 事件');
@@ -137,10 +145,154 @@ class X402ProviderSimpleSDK {
       address: providerAddress,
       initialDeposit: ethers.formatUnits(amount, 6),
       txHash: createTx.hash,
-      blockNumber: receipt.blockNumber
+      blockNumber: receipt.blockNumber,
+      contract: this.getProviderContract(providerAddress)
     };
   }
 
+  /**
+   * 批量成为 Provider：每个 API 产品一个独立的 Provider 合约
+   *
+   * 只授权一次（所有存款之和），工厂支持时通过 createMultipleProviders 在一笔交易中创建。
+   * 已部署工厂的 createMultipleProviders 无法由外部账户调用（内部经 this.createProvider 转发，
+   * msg.sender 变成工厂自身），预检失败时自动改为逐个 createProvider，授权仍只需一次。
+   *
+   * @param {string[]} usdcAmounts - 每个 Provider 的初始保险金（如 ['100', '50']）
+   * @param {Function} onProgress - 进度回调 (step, message)
+   * @param {Object} [options]
+   * @param {string|Object} [options.approval] - 本次授权策略，覆盖构造参数
+   * 逐个创建时中途失败，已创建的合约无法回滚：返回已完成部分（complete 为 false，error 为失败原因），
+   * totalDeposit 只计已创建的合约；第一个就失败时直接抛错。
+   *
+   * @returns {Promise<Object>} { providers: [{ address, initialDeposit, contract }], totalDeposit, txHashes, batched, complete, error }
+   *
+   * @example
+   * const { providers } = await sdk.becomeProviders(['100', '50', '50']);
+   * providers.forEach(p => console.log(p.address, p.initialDeposit));
+   */
+  async becomeProviders(usdcAmounts, onProgress = () => {}, options = {}) {
+    if (!Array.isArray(usdcAmounts) || usdcAmounts.length === 0) {
+      throw new Error('至少需要一个 Provider 存款金额');
+    }
+
+    const amounts = usdcAmounts.map(a => ethers.parseUnits(a.toString(), 6));
+    const total = amounts.reduce((sum, a) => sum + a, 0n);
+    const address = await this.signer.getAddress();
+
+    const tooSmall = usdcAmounts.find((a, i) => amounts[i] < MIN_FACTORY_DEPOSIT);
+    if (tooSmall !== undefined) {
+      throw new Error(`每个 Provider 最少 ${ethers.formatUnits(MIN_FACTORY_DEPOSIT, 6)} USDC，收到: ${tooSmall}`);
+    }
+
+    onProgress(1, '检查 USDC 余额...');
+    const balance = await this.usdc.balanceOf(address);
+    if (balance < total) {
+      throw new Error(`USDC 余额不足。需要: ${ethers.formatUnits(total, 6)}, 拥有: ${ethers.formatUnits(balance, 6)}`);
+    }
+
+    onProgress(2, `授权 USDC（共 ${ethers.formatUnits(total, 6)}）...`);
+    await this._approveFactory(total, options);
+
+    const events = [];
+    const txHashes = [];
+    let batched = true;
+    let error = null;
+
+    try {
+      await this.factory.createMultipleProviders.staticCall(amounts);
+    } catch (err) {
+      // 只有合约回滚才改为逐个创建，RPC / 网络错误照常抛出
+      if (!ethers.isError(err, 'CALL_EXCEPTION')) throw err;
+      batched = false;
+    }
+
+    if (batched) {
+      onProgress(3, `批量创建 ${amounts.length} 个 Provider 合约...`);
+      const tx = await this.factory.createMultipleProviders(amounts);
+      const receipt = await tx.wait();
+      txHashes.push(tx.hash);
+      events.push(...this._parseCreatedEvents(receipt));
+    } else {
+      for (let i = 0; i < amounts.length; i++) {
+        onProgress(3, `创建 Provider 合约 ${i + 1}/${amounts.length}...`);
+        try {
+          const tx = await this.factory.createProvider(amounts[i]);
+          txHashes.push(tx.hash);
+          const receipt = await tx.wait();
+          events.push(...this._parseCreatedEvents(receipt));
+        } catch (err) {
+          if (events.length === 0) throw err;
+          error = err;
+          break;
+        }
+      }
+    }
+
+    if (!error && events.length !== amounts.length) {
+      throw new Error(`ProviderCreated 事件数量不符：期望 ${amounts.length}，实际 ${events.length}`);
+    }
+
+    onProgress(4, error ? `部分完成：已创建 ${events.length}/${amounts.length} 个 Provider` : '完成！');
+
+    const deposited = events.reduce((sum, event) => sum + event.args.initialDeposit, 0n);
+
+    return {
+      providers: events.map(event => ({
+        address: event.args.providerContract,
+        initialDeposit: ethers.formatUnits(event.args.initialDeposit, 6),
+        contract: this.getProviderContract(event.args.providerContract)
+      })),
+      totalDeposit: ethers.formatUnits(deposited, 6),
+      txHashes,
+      batched,
+      complete: !error,
+      error
+    };
+  }
+
+  /**
+   * 工厂统计（仪表板用）
+   * @returns {Promise<Object>} { factoryAddress, totalProviders, totalUsers, myProviders }
+   */
+  async getFactoryStats() {
+    const [stats, users, mine] = await Promise.all([
+      this.factory.getStats(),
+      // 已部署的工厂没有 totalUsers()，getStats 返回的用户数等于 Provider 数，不可用
+      this.factory.totalUsers().catch(() => null),
+      this.getMyProviders()
+    ]);
+
+    return {
+      factoryAddress: this.network.factoryAddress,
+      totalProviders: Number(stats.totalProviders),
+      totalUsers: users === null ? null : Number(users),
+      myProviders: mine.length
+    };
+  }
+
+  /**
+   * 获取 Provider 合约操作句柄
+   * @param {string} address - Provider 合约地址
+   * @returns {ProviderContractHandle}
+   */
+  getProviderContract(address) {
+    return new ProviderContractHandle(address, {
+      signer: this.signer,
+      insurance: this.insurance,
+      usdc: this.usdc,
+      approval: this.approvalPolicy
+    });
+  }
+
+  /**
+   * 获取我创建的所有 Provider 合约句柄
+   * @returns {Promise<ProviderContractHandle[]>}
+   */
+  async getMyProviderContracts() {
+    const addresses = await this.getMyProviders();
+    return addresses.map(address => this.getProviderContract(address));
+  }
+
   /**
    * 获取我创建的所有 Provider
    * @returns {Promise<string[]>} Provider 合约地址数组
@@ -150,6 +302,41 @@ class X402ProviderSimpleSDK {
     return await this.factory.getUserProviders(address);
   }
 
+  /**
+   * 按授权策略授权 USDC 给工厂
+   * @private
+   */
+  async _approveFactory(amount, options) {
+    await ensureAllowance({
+      token: this.usdc,
+      signer: this.signer,
+      spender: this.network.factoryAddress,
+      amount,
+      policy: resolveApprovalPolicy(this.approvalPolicy, options.approval),
+      submit: async (action, method, args) => {
+        const tx = await method(...args);
+        await tx.wait();
+        return { hash: tx.hash };
+      }
+    });
+  }
+
+  /**
+   * 解析交易回执中的 ProviderCreated 事件
+   * @private
+   */
+  _parseCreatedEvents(receipt) {
+    return receipt.logs
+      .map(log => {
+        try {
+          return this.factory.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .filter(e => e && e.name === 'ProviderCreated');
+  }
+
   /**
    * 获取我的 USDC 余额
    * @returns {Promise<string>} USDC 余额
@@ -169,64 +356,6 @@ class X402ProviderSimpleSDK {
   }
 }
 
-// React Hook 示例
-export function useX402Provider() {
-  const [sdk, setSdk] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [progress, setProgress] = useState({ step: 0, message: '' });
-
-  const connect = async () => {
-    setLoading(true);
-    setError(null);
-    try {
-      const instance = await X402ProviderSimpleSDK.connect();
-      setSdk(instance);
-      return instance;
-    } catch (err) {
-      setError(err.message);
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const becomeProvider = async (amount) => {
-    if (!sdk) {
-      throw new Error('请先连接钱包');
-    }
-
-    setLoading(true);
-    setError(null);
-
-    try {
-      const provider = await sdk.becomeProvider(amount, (step, message) => {
-        setProgress({ step, message });
-      });
-      return provider;
-    } catch (err) {
-      setError(err.message);
-      throw err;
-    } finally {
-      setLoading(false);
-      setProgress({ step: 0, message: '' });
-    }
-  };
-
-  const getMyProviders = async () => {
-    if (!sdk) return [];
-    return await sdk.getMyProviders();
-  };
-
-  return {
-    sdk,
-    loading,
-    error,
-    progress,
-    connect,
-    becomeProvider,
-    getMyProviders
-  };
-}
-
 export default X402ProviderSimpleSDK;
+export { X402ProviderSimpleSDK, FACTORY_ABI };
+export { ProviderContractHandle, ProviderContractKind } from './provider-contract.js';
@@ -0,0 +1,169 @@
+/**
+ * X402 USDC 授权策略
+ *
+ * - exact:     只授权本次所需金额
+ * - buffered:  授权所需金额的倍数（默认 2 倍，SDK 旧行为）
+ * - unlimited: 授权 MaxUint256
+ * - permit:    EIP-2612 签名授权，不发 approve 交易
+ *
+ * V8 合约没有接受 permit 签名的入口，permit 仍需有人把签名提交到 USDC.permit()：
+ * 必须配置 relayPermit 由中继代为提交（用户无需为授权付 gas）。由钱包自己提交 permit
+ * 和直接 approve 一样要发交易，还多一次签名，因此未配置中继时直接报错。
+ */
+
+import { ethers } from 'ethers';
+import { TxStage } from './transactions.js';
+import { X402InsuranceError, ErrorCode } from './errors.js';
+
+const ApprovalMode = {
+  EXACT: 'exact',
+  BUFFERED: 'buffered',
+  UNLIMITED: 'unlimited',
+  PERMIT: 'permit'
+};
+
+const DEFAULT_APPROVAL_POLICY = {
+  mode: ApprovalMode.BUFFERED,
+  buffer: 2,               // buffered 模式的倍数
+  permitDeadline: 1800,    // permit 有效期（秒）
+  relayPermit: null        // async (permit) => txHash，permit 模式必填
+};
+
+/**
+ * 合并授权策略（字符串视为 mode）
+ */
+function resolveApprovalPolicy(...policies) {
+  return policies.reduce((merged, policy) => {
+    if (!policy) return merged;
+    if (typeof policy === 'string') return { ...merged, mode: policy };
+    return { ...merged, ...policy };
+  }, { ...DEFAULT_APPROVAL_POLICY });
+}
+
+/**
+ * 计算 approve 金额
+ */
+function approvalAmount(amount, policy) {
+  switch (policy.mode) {
+    case ApprovalMode.EXACT:
+      return amount;
+    case ApprovalMode.UNLIMITED:
+      return ethers.MaxUint256;
+    case ApprovalMode.BUFFERED:
+      return (amount * BigInt(Math.round(policy.buffer * 100))) / 100n;
+    default:
+      throw new Error(`Unknown approval mode: ${policy.mode}`);
+  }
+}
+
+/**
+ * 签名 EIP-2612 permit
+ *
+ * @param {ethers.Contract} token - USDC 合约（需包含 name / version / nonces ABI）
+ * @param {ethers.Signer} signer
+ * @param {string} spender - 被授权地址
+ * @param {bigint} value - 授权金额
+ * @param {number} deadline - 过期时间（unix 秒）
+ * @returns {Promise<Object>} { owner, spender, value, deadline, v, r, s }
+ */
+async function signPermit(token, signer, spender, value, deadline) {
+  const owner = await signer.getAddress();
+  const [name, version, nonce, network] = await Promise.all([
+    token.name(),
+    token.version(),
+    token.nonces(owner),
+    signer.provider.getNetwork()
+  ]);
+
+  const domain = {
+    name,
+    version,
+    chainId: network.chainId,
+    verifyingContract: await token.getAddress()
+  };
+
+  const types = {
+    Permit: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  };
+
+  const message = { owner, spender, value, nonce, deadline };
+  const signature = ethers.Signature.from(await signer.signTypedData(domain, types, message));
+
+  return {
+    owner,
+    spender,
+    value: value.toString(),
+    deadline,
+    v: signature.v,
+    r: signature.r,
+    s: signature.s
+  };
+}
+
+/**
+ * 按策略确保授权额度足够
+ *
+ * @param {Object} params
+ * @param {ethers.Contract} params.token - USDC 合约
+ * @param {ethers.Signer} params.signer
+ * @param {string} params.spender - 被授权地址
+ * @param {bigint} params.amount - 所需额度
+ * @param {Object} params.policy - 授权策略（见 resolveApprovalPolicy）
+ * @param {Function} params.submit - 发送交易 async (action, method, args) => { hash }
+ * @param {Function} [params.onProgress] - 进度回调 (stage, detail)，用于 permit 签名 / 中继阶段
+ * @returns {Promise<{mode: string, hash: string|null, permit?: Object}>} 额度已足够时 hash 为 null
+ */
+async function ensureAllowance({ token, signer, spender, amount, policy, submit, onProgress = () => {} }) {
+  const owner = await signer.getAddress();
+  const allowance = await token.allowance(owner, spender);
+
+  if (allowance >= amount) {
+    return { mode: policy.mode, hash: null };
+  }
+
+  if (policy.mode !== ApprovalMode.PERMIT) {
+    const { hash } = await submit('approve', token.approve, [spender, approvalAmount(amount, policy)]);
+    return { mode: policy.mode, hash };
+  }
+
+  if (typeof policy.relayPermit !== 'function') {
+    throw new X402InsuranceError(
+      ErrorCode.PERMIT_RELAY_REQUIRED,
+      'Permit approval requires a relayPermit function; use "exact" or "buffered" approval to send an approve transaction instead',
+      { context: { action: 'permit', spender } }
+    );
+  }
+
+  const deadline = Math.floor(Date.now() / 1000) + policy.permitDeadline;
+
+  onProgress(TxStage.AWAITING_SIGNATURE, { action: 'permit', required: 1 });
+  const permit = await signPermit(token, signer, spender, amount, deadline);
+
+  // 由中继提交 permit，等待上链
+  const hash = await policy.relayPermit(permit);
+  onProgress(TxStage.SUBMITTED, { action: 'permit', required: 1, hash });
+
+  const receipt = await signer.provider.waitForTransaction(hash);
+  if (!receipt || receipt.status !== 1) {
+    const error = new Error(`Permit relay transaction failed: ${hash}`);
+    onProgress(TxStage.FAILED, { action: 'permit', required: 1, hash, error });
+    throw error;
+  }
+  onProgress(TxStage.CONFIRMED, { action: 'permit', required: 1, hash, receipt, blockNumber: receipt.blockNumber });
+
+  return { mode: policy.mode, hash, permit };
+}
+
+export {
+  ApprovalMode,
+  DEFAULT_APPROVAL_POLICY,
+  resolveApprovalPolicy,
+  signPermit,
+  ensureAllowance
+};
@@ -0,0 +1,189 @@
+/**
+ * X402 索赔 commitment 派生
+ *
+ * commitment 由 x402 支付本身决定，同一次付费请求永远得到同一个 commitment：
+ * 索赔可以追溯到具体请求，重试也不会产生重复索赔。
+ * 编码方式与 services/src/utils.ts 的 calculateRequestCommitment 一致（abi.encode + keccak256）。
+ */
+
+import { ethers } from 'ethers';
+
+const COMMITMENT_TYPES = ['string', 'string', 'string', 'address', 'uint256', 'bytes32'];
+
+/**
+ * 解析 X-PAYMENT 头（base64 JSON，也接受未编码的 JSON 字符串）
+ * @param {string|Object} payment - X-PAYMENT 头或已解析的支付对象
+ * @returns {Object|null}
+ */
+function decodePaymentHeader(payment) {
+  if (payment && typeof payment === 'object') return payment;
+  if (typeof payment !== 'string') return null;
+
+  try {
+    if (payment.trim().startsWith('{')) return JSON.parse(payment);
+    return JSON.parse(ethers.toUtf8String(ethers.decodeBase64(payment)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 从支付载荷中提取收款方、金额与 nonce
+ *
+ * 支持 x402 "exact" 方案（payload.authorization）和示例客户端的旧格式（to/amount/nonce）
+ */
+function extractPaymentFields(payment) {
+  const decoded = decodePaymentHeader(payment);
+  if (!decoded) return {};
+
+  const authorization = decoded.payload && decoded.payload.authorization;
+  if (authorization) {
+    return {
+      payTo: authorization.to,
+      amount: authorization.value,
+      nonce: authorization.nonce
+    };
+  }
+
+  return {
+    payTo: decoded.to,
+    amount: decoded.amount,
+    nonce: decoded.nonce
+  };
+}
+
+/**
+ * 支付载荷的规范字符串（对象按键排序后序列化）
+ */
+function canonicalPayment(payment) {
+  if (typeof payment === 'string') return payment;
+
+  const sortKeys = value => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((sorted, key) => {
+        sorted[key] = sortKeys(value[key]);
+        return sorted;
+      }, {});
+    }
+    return typeof value === 'bigint' ? value.toString() : value;
+  };
+
+  return JSON.stringify(sortKeys(payment));
+}
+
+/**
+ * 规范化请求路径（完整URL只保留 pathname + search）
+ */
+function normalizePath(pathOrUrl) {
+  if (/^https?:\/\//i.test(pathOrUrl)) {
+    const url = new URL(pathOrUrl);
+    return url.pathname + url.search;
+  }
+  return pathOrUrl;
+}
+
+/**
+ * nonce 转 bytes32（EIP-3009 nonce 原样使用，其他值取 keccak256）
+ */
+function normalizeNonce(nonce) {
+  if (ethers.isHexString(nonce, 32)) return nonce;
+  return ethers.id(String(nonce));
+}
+
+/**
+ * 补全收据字段（缺省的 payTo / amount / nonce 从支付载荷中读取）
+ * @private
+ */
+function resolveReceipt(receipt) {
+  const fromPayment = extractPaymentFields(receipt.payment);
+  const resolved = {
+    method: (receipt.method || 'GET').toUpperCase(),
+    path: receipt.path || receipt.url,
+    payment: receipt.payment,
+    payTo: receipt.payTo || fromPayment.payTo,
+    amount: receipt.amount ?? fromPayment.amount,
+    nonce: receipt.nonce ?? fromPayment.nonce
+  };
+
+  for (const field of ['path', 'payment', 'payTo', 'amount', 'nonce']) {
+    if (resolved[field] === undefined || resolved[field] === null || resolved[field] === '') {
+      throw new Error(`Cannot derive commitment: missing ${field}`);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * 从支付收据派生 commitment
+ *
+ * commitment = keccak256(abi.encode(method, path, payment, payTo, amount, nonce))
+ *
+ * @param {Object} receipt
+ * @param {string} [receipt.method='GET'] - HTTP 方法
+ * @param {string} receipt.path - 请求路径或完整URL
+ * @param {string|Object} receipt.payment - X-PAYMENT 头或支付对象
+ * @param {string} [receipt.payTo] - 收款地址（缺省从 payment 读取）
+ * @param {string|bigint} [receipt.amount] - 支付金额，USDC 最小单位（缺省从 payment 读取）
+ * @param {string|number} [receipt.nonce] - 支付 nonce（缺省从 payment 读取）
+ * @returns {string} bytes32 commitment
+ */
+function deriveCommitment(receipt) {
+  const resolved = resolveReceipt(receipt);
+
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(COMMITMENT_TYPES, [
+    resolved.method,
+    normalizePath(resolved.path),
+    canonicalPayment(resolved.payment),
+    ethers.getAddress(resolved.payTo),
+    BigInt(resolved.amount),
+    normalizeNonce(resolved.nonce)
+  ]);
+
+  return ethers.keccak256(encoded);
+}
+
+/**
+ * 创建可保存的支付收据（附带 commitment）
+ * @param {Object} receipt - 同 deriveCommitment
+ * @returns {Object} 收据，可 JSON 序列化
+ */
+function createPaymentReceipt(receipt) {
+  const resolved = resolveReceipt(receipt);
+
+  return {
+    method: resolved.method,
+    path: normalizePath(resolved.path),
+    payment: canonicalPayment(resolved.payment),
+    payTo: ethers.getAddress(resolved.payTo),
+    amount: BigInt(resolved.amount).toString(),
+    nonce: String(resolved.nonce),
+    commitment: deriveCommitment(resolved),
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * 用保存的收据重新计算并校验 commitment
+ * @param {Object} receipt - 保存的收据
+ * @param {string} [commitment] - 待校验的 commitment，缺省使用 receipt.commitment
+ * @returns {boolean}
+ */
+function verifyCommitment(receipt, commitment = receipt.commitment) {
+  if (!commitment) return false;
+
+  try {
+    return deriveCommitment(receipt).toLowerCase() === commitment.toLowerCase();
+  } catch {
+    return false;
+  }
+}
+
+export {
+  deriveCommitment,
+  createPaymentReceipt,
+  verifyCommitment,
+  decodePaymentHeader,
+  extractPaymentFields
+};
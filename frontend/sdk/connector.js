@@ -0,0 +1,240 @@
+/**
+ * X402 钱包连接层
+ *
+ * 支持任意 EIP-1193 Provider（注入钱包、WalletConnect 等）、EIP-6963 多钱包发现，
+ * 以及服务端使用的私钥 / 现成 Signer。切换与添加网络统一在这里处理，适用于 networks.js 中的所有网络。
+ */
+
+import { ethers } from 'ethers';
+import { resolveNetwork, toHexChainId, getAddChainParams } from './networks.js';
+import { ErrorCode, X402InsuranceError, decodeInsuranceError } from './errors.js';
+
+// 钱包未添加该网络（部分移动端钱包以 -32603 + 文案返回）
+const UNRECOGNIZED_CHAIN = 4902;
+
+function isUnrecognizedChain(error) {
+  const code = error && (error.code ?? (error.data && error.data.originalError && error.data.originalError.code));
+  if (code === UNRECOGNIZED_CHAIN) return true;
+  return code === -32603 && /unrecognized chain|add.*chain/i.test(error.message || '');
+}
+
+// ==================== 钱包发现 ====================
+
+/**
+ * 浏览器注入的默认钱包（window.ethereum）
+ * @returns {Object|null} EIP-1193 Provider
+ */
+function getInjectedProvider() {
+  if (typeof window === 'undefined') return null;
+  return window.ethereum || null;
+}
+
+/**
+ * EIP-6963 多钱包发现
+ *
+ * @param {Object} [options]
+ * @param {number} [options.timeout=300] - 等待钱包响应的毫秒数
+ * @returns {Promise<Array<{info: {uuid: string, name: string, icon: string, rdns: string}, provider: Object}>>}
+ */
+async function discoverWallets({ timeout = 300 } = {}) {
+  if (typeof window === 'undefined' || typeof window.addEventListener !== 'function') return [];
+
+  const wallets = new Map();
+  const onAnnounce = event => {
+    const { info, provider } = event.detail || {};
+    if (info && provider && !wallets.has(info.uuid)) {
+      wallets.set(info.uuid, { info, provider });
+    }
+  };
+
+  window.addEventListener('eip6963:announceProvider', onAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  await new Promise(resolve => setTimeout(resolve, timeout));
+  window.removeEventListener('eip6963:announceProvider', onAnnounce);
+
+  return [...wallets.values()];
+}
+
+/**
+ * 选择钱包：rdns 指定的 EIP-6963 钱包 > window.ethereum > 第一个发现的钱包
+ * @private
+ */
+async function resolveWallet({ wallet, rdns, timeout } = {}) {
+  if (wallet) return wallet;
+
+  if (rdns) {
+    const found = (await discoverWallets({ timeout })).find(w => w.info.rdns === rdns);
+    if (!found) {
+      throw new X402InsuranceError(ErrorCode.WALLET_NOT_CONNECTED, `Wallet ${rdns} not found`);
+    }
+    return found.provider;
+  }
+
+  const injected = getInjectedProvider();
+  if (injected) return injected;
+
+  const [first] = await discoverWallets({ timeout });
+  if (first) return first.provider;
+
+  throw new X402InsuranceError(ErrorCode.WALLET_NOT_CONNECTED, 'No EIP-1193 wallet found');
+}
+
+// ==================== 网络切换 ====================
+
+/**
+ * 将网络添加到钱包
+ * @param {Object} wallet - EIP-1193 Provider
+ * @param {string|number|Object} network - 网络名称、chainId 或网络配置
+ */
+async function addChain(wallet, network) {
+  const profile = resolveNetwork(network);
+  if (!profile.rpcUrl) {
+    throw new Error(`Network ${profile.name} has no rpcUrl and cannot be added to the wallet`);
+  }
+
+  await wallet.request({
+    method: 'wallet_addEthereumChain',
+    params: [getAddChainParams(profile)]
+  });
+}
+
+/**
+ * 确保钱包处于目标网络，未添加时自动添加
+ * @param {Object} wallet - EIP-1193 Provider
+ * @param {string|number|Object} network - 网络名称、chainId 或网络配置
+ */
+async function ensureChain(wallet, network) {
+  const profile = resolveNetwork(network);
+  const chainId = toHexChainId(profile.chainId);
+
+  const current = await wallet.request({ method: 'eth_chainId' });
+  if (Number(current) === profile.chainId) return;
+
+  try {
+    await wallet.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  } catch (error) {
+    if (!isUnrecognizedChain(error)) throw error;
+
+    await addChain(wallet, profile);
+    // 部分钱包添加后不会自动切换
+    await wallet.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  }
+}
+
+// ==================== 连接 ====================
+
+/**
+ * 连接 EIP-1193 钱包
+ *
+ * @param {Object} wallet - EIP-1193 Provider
+ * @param {Object} [options]
+ * @param {string|number|Object} [options.network] - 目标网络，默认 Base Sepolia
+ * @param {boolean} [options.switchChain=true] - 是否切换到目标网络
+ * @returns {Promise<{signer, provider, account, network, wallet}>}
+ */
+async function connectEip1193(wallet, { network, switchChain = true } = {}) {
+  const profile = resolveNetwork(network);
+
+  const accounts = await wallet.request({ method: 'eth_requestAccounts' });
+  if (!accounts || accounts.length === 0) {
+    throw new X402InsuranceError(ErrorCode.WALLET_NOT_CONNECTED, 'Wallet returned no accounts');
+  }
+
+  if (switchChain) await ensureChain(wallet, profile);
+
+  // 切换网络后再创建Provider，避免 ethers 检测到网络变化
+  const provider = new ethers.BrowserProvider(wallet);
+  const signer = await provider.getSigner(accounts[0]);
+
+  return { signer, provider, account: await signer.getAddress(), network: profile, wallet };
+}
+
+/**
+ * 使用私钥连接（Node / 服务端）
+ *
+ * @param {string} privateKey
+ * @param {Object} [options]
+ * @param {string|number|Object} [options.network] - 目标网络，默认 Base Sepolia
+ * @param {string} [options.rpcUrl] - 覆盖网络配置中的 RPC
+ * @returns {Promise<{signer, provider, account, network, wallet: null}>}
+ */
+async function connectPrivateKey(privateKey, { network, rpcUrl } = {}) {
+  const profile = resolveNetwork(network);
+  const provider = new ethers.JsonRpcProvider(rpcUrl || profile.rpcUrl, profile.chainId, { staticNetwork: true });
+  const signer = new ethers.Wallet(privateKey, provider);
+
+  return { signer, provider, account: signer.address, network: profile, wallet: null };
+}
+
+/**
+ * 连接钱包（统一入口）
+ *
+ * @param {Object} [options]
+ * @param {string|number|Object} [options.network] - 目标网络，默认 Base Sepolia
+ * @param {ethers.Signer} [options.signer] - 现成的 ethers Signer（需已连接 Provider）
+ * @param {string} [options.privateKey] - 私钥（服务端）
+ * @param {Object} [options.wallet] - EIP-1193 Provider（如 WalletConnect EthereumProvider）
+ * @param {string} [options.rdns] - EIP-6963 钱包标识，如 'io.metamask'、'com.coinbase.wallet'
+ * @param {boolean} [options.switchChain=true] - 是否切换到目标网络（仅 EIP-1193）
+ * @returns {Promise<{signer, provider, account, network, wallet}>}
+ */
+async function connect(options = {}) {
+  const profile = resolveNetwork(options.network);
+
+  try {
+    if (options.signer) {
+      return {
+        signer: options.signer,
+        provider: options.signer.provider,
+        account: await options.signer.getAddress(),
+        network: profile,
+        wallet: null
+      };
+    }
+
+    if (options.privateKey) {
+      return await connectPrivateKey(options.privateKey, { ...options, network: profile });
+    }
+
+    const wallet = await resolveWallet(options);
+    return await connectEip1193(wallet, { ...options, network: profile });
+  } catch (error) {
+    throw decodeInsuranceError(error, { action: 'connect', network: profile.name });
+  }
+}
+
+/**
+ * 监听钱包账户 / 网络 / 断开事件
+ *
+ * @param {Object} wallet - EIP-1193 Provider
+ * @param {Object} handlers - { onAccountsChanged(accounts), onChainChanged(chainId: number), onDisconnect(error) }
+ * @returns {Function} 取消监听
+ */
+function watchWallet(wallet, { onAccountsChanged, onChainChanged, onDisconnect } = {}) {
+  if (!wallet || typeof wallet.on !== 'function') return () => {};
+
+  const listeners = [
+    ['accountsChanged', accounts => onAccountsChanged && onAccountsChanged(accounts)],
+    ['chainChanged', chainId => onChainChanged && onChainChanged(Number(chainId))],
+    ['disconnect', error => onDisconnect && onDisconnect(error)]
+  ];
+
+  for (const [event, listener] of listeners) wallet.on(event, listener);
+
+  return () => {
+    for (const [event, listener] of listeners) {
+      (wallet.removeListener || wallet.off).call(wallet, event, listener);
+    }
+  };
+}
+
+export {
+  getInjectedProvider,
+  discoverWallets,
+  addChain,
+  ensureChain,
+  connectEip1193,
+  connectPrivateKey,
+  connect,
+  watchWallet
+};
@@ -0,0 +1,339 @@
+/**
+ * X402 Insurance V8 错误解析
+ * 把 ethers 抛出的原始错误转换为带稳定错误码的 X402InsuranceError
+ */
+
+import { ethers } from 'ethers';
+
+// 合约常量（与 X402InsuranceV8.sol 保持一致）
+const MIN_POOL_BALANCE = 10n * 10n ** 6n;
+const MAX_POOL_BALANCE = 1000000n * 10n ** 6n;
+const MIN_CLAIM_AMOUNT = 1n * 10n ** 5n;
+const MAX_CLAIM_AMOUNT = 10000n * 10n ** 6n;
+
+// 稳定错误码
+const ErrorCode = {
+  INVALID_USDC_ADDRESS: 'INVALID_USDC_ADDRESS',
+  INSUFFICIENT_INITIAL_DEPOSIT: 'INSUFFICIENT_INITIAL_DEPOSIT',
+  EXCEEDS_MAX_POOL_BALANCE: 'EXCEEDS_MAX_POOL_BALANCE',
+  TRANSFER_FAILED: 'TRANSFER_FAILED',
+  PROVIDER_NOT_ACTIVE: 'PROVIDER_NOT_ACTIVE',
+  INSUFFICIENT_AVAILABLE_BALANCE: 'INSUFFICIENT_AVAILABLE_BALANCE',
+  BELOW_MINIMUM_BALANCE: 'BELOW_MINIMUM_BALANCE',
+  HAS_ACTIVE_CLAIMS: 'HAS_ACTIVE_CLAIMS',
+  INVALID_CLAIM_AMOUNT: 'INVALID_CLAIM_AMOUNT',
+  CLAIM_ALREADY_EXISTS: 'CLAIM_ALREADY_EXISTS',
+  CLAIM_NOT_FOUND: 'CLAIM_NOT_FOUND',
+  INVALID_CLAIM_STATUS: 'INVALID_CLAIM_STATUS',
+  STILL_IN_DISPUTE_PERIOD: 'STILL_IN_DISPUTE_PERIOD',
+  NOT_THE_PROVIDER: 'NOT_THE_PROVIDER',
+  CANNOT_DISPUTE: 'CANNOT_DISPUTE',
+  DISPUTE_PERIOD_ENDED: 'DISPUTE_PERIOD_ENDED',
+  COMPENSATION_TRANSFER_FAILED: 'COMPENSATION_TRANSFER_FAILED',
+  NOT_OWNER: 'NOT_OWNER',
+  INVALID_NEW_OWNER: 'INVALID_NEW_OWNER',
+  APPROVE_FAILED: 'APPROVE_FAILED',
+  INSUFFICIENT_ALLOWANCE: 'INSUFFICIENT_ALLOWANCE',
+  PERMIT_RELAY_REQUIRED: 'PERMIT_RELAY_REQUIRED',
+  INSUFFICIENT_USDC_BALANCE: 'INSUFFICIENT_USDC_BALANCE',
+  USER_REJECTED: 'USER_REJECTED',
+  TRANSACTION_CANCELLED: 'TRANSACTION_CANCELLED',
+  INSUFFICIENT_GAS_FUNDS: 'INSUFFICIENT_GAS_FUNDS',
+  WALLET_NOT_CONNECTED: 'WALLET_NOT_CONNECTED',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  UNKNOWN: 'UNKNOWN'
+};
+
+// X402InsuranceV8.sol 中每条 require 信息 -> 错误码与默认上下文
+const REVERT_REASONS = {
+  'Invalid USDC address': {
+    code: ErrorCode.INVALID_USDC_ADDRESS,
+    message: 'The insurance contract was deployed with an invalid USDC address'
+  },
+  'Insufficient initial deposit': {
+    code: ErrorCode.INSUFFICIENT_INITIAL_DEPOSIT,
+    message: 'Initial deposit is below the minimum pool balance',
+    context: { minPoolBalance: ethers.formatUnits(MIN_POOL_BALANCE, 6) }
+  },
+  'Exceeds maximum pool balance': {
+    code: ErrorCode.EXCEEDS_MAX_POOL_BALANCE,
+    message: 'Deposit would exceed the maximum pool balance',
+    context: { maxPoolBalance: ethers.formatUnits(MAX_POOL_BALANCE, 6) }
+  },
+  'Exceeds maximum': {
+    code: ErrorCode.EXCEEDS_MAX_POOL_BALANCE,
+    message: 'Deposit would exceed the maximum pool balance',
+    context: { maxPoolBalance: ethers.formatUnits(MAX_POOL_BALANCE, 6) }
+  },
+  'Transfer failed': {
+    code: ErrorCode.TRANSFER_FAILED,
+    message: 'USDC transfer failed'
+  },
+  'Provider not active': {
+    code: ErrorCode.PROVIDER_NOT_ACTIVE,
+    message: 'Provider is not registered or has been deactivated'
+  },
+  'Insufficient available balance': {
+    code: ErrorCode.INSUFFICIENT_AVAILABLE_BALANCE,
+    message: 'Withdrawal exceeds the unlocked pool balance'
+  },
+  'Below minimum balance': {
+    code: ErrorCode.BELOW_MINIMUM_BALANCE,
+    message: 'Pool balance would fall below the minimum after withdrawal',
+    context: { minPoolBalance: ethers.formatUnits(MIN_POOL_BALANCE, 6) }
+  },
+  'Has active claims': {
+    code: ErrorCode.HAS_ACTIVE_CLAIMS,
+    message: 'Cannot deactivate while claims are locking pool funds'
+  },
+  'Invalid amount': {
+    code: ErrorCode.INVALID_CLAIM_AMOUNT,
+    message: 'Claim amount is outside the allowed range',
+    context: {
+      minClaimAmount: ethers.formatUnits(MIN_CLAIM_AMOUNT, 6),
+      maxClaimAmount: ethers.formatUnits(MAX_CLAIM_AMOUNT, 6)
+    }
+  },
+  'Claim already exists': {
+    code: ErrorCode.CLAIM_ALREADY_EXISTS,
+    message: 'A claim with this commitment already exists'
+  },
+  'Claim not found': {
+    code: ErrorCode.CLAIM_NOT_FOUND,
+    message: 'No claim exists for this commitment'
+  },
+  'Invalid claim status': {
+    code: ErrorCode.INVALID_CLAIM_STATUS,
+    message: 'Claim has already been executed, disputed or rejected'
+  },
+  'Still in dispute period': {
+    code: ErrorCode.STILL_IN_DISPUTE_PERIOD,
+    message: 'Claim cannot be executed until the dispute period ends'
+  },
+  'Not the provider': {
+    code: ErrorCode.NOT_THE_PROVIDER,
+    message: 'Only the claimed provider can dispute this claim'
+  },
+  'Cannot dispute': {
+    code: ErrorCode.CANNOT_DISPUTE,
+    message: 'Claim is no longer in a disputable state'
+  },
+  'Dispute period ended': {
+    code: ErrorCode.DISPUTE_PERIOD_ENDED,
+    message: 'The dispute period for this claim has ended'
+  },
+  'Compensation transfer failed': {
+    code: ErrorCode.COMPENSATION_TRANSFER_FAILED,
+    message: 'Deferred compensation transfer failed'
+  },
+  // Provider 合约（ProviderContractInterface.sol）与 ProviderFactory.sol
+  'Only owner': {
+    code: ErrorCode.NOT_OWNER,
+    message: 'Only the provider contract owner can call this function'
+  },
+  'New owner is zero address': {
+    code: ErrorCode.INVALID_NEW_OWNER,
+    message: 'New owner cannot be the zero address'
+  },
+  'Approve failed': {
+    code: ErrorCode.APPROVE_FAILED,
+    message: 'Provider contract could not approve USDC to the insurance contract'
+  },
+  'Minimum 10 USDC required': {
+    code: ErrorCode.INSUFFICIENT_INITIAL_DEPOSIT,
+    message: 'Initial deposit is below the minimum pool balance',
+    context: { minPoolBalance: ethers.formatUnits(MIN_POOL_BALANCE, 6) }
+  },
+  'USDC transfer failed': {
+    code: ErrorCode.TRANSFER_FAILED,
+    message: 'USDC transfer failed'
+  },
+  // USDC (FiatToken) 的回滚信息
+  'ERC20: transfer amount exceeds allowance': {
+    code: ErrorCode.INSUFFICIENT_ALLOWANCE,
+    message: 'USDC allowance is too low'
+  },
+  'ERC20: transfer amount exceeds balance': {
+    code: ErrorCode.INSUFFICIENT_USDC_BALANCE,
+    message: 'USDC balance is too low'
+  }
+};
+
+// OpenZeppelin 自定义错误
+const CUSTOM_ERRORS = {
+  OwnableUnauthorizedAccount: {
+    code: ErrorCode.NOT_OWNER,
+    message: 'Only the contract owner can call this function'
+  },
+  ERC20InsufficientAllowance: {
+    code: ErrorCode.INSUFFICIENT_ALLOWANCE,
+    message: 'USDC allowance is too low'
+  },
+  ERC20InsufficientBalance: {
+    code: ErrorCode.INSUFFICIENT_USDC_BALANCE,
+    message: 'USDC balance is too low'
+  }
+};
+
+const CUSTOM_ERROR_ABI = [
+  'error OwnableUnauthorizedAccount(address account)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)'
+];
+
+const customErrorInterface = new ethers.Interface(CUSTOM_ERROR_ABI);
+
+/**
+ * X402 Insurance 错误
+ *
+ * code 为稳定错误码（见 ErrorCode），reason 为合约原始回滚信息，
+ * context 为结构化上下文（如 remainingSeconds、minPoolBalance）
+ */
+class X402InsuranceError extends Error {
+  constructor(code, message, { reason = null, context = {}, cause = null } = {}) {
+    super(message);
+    this.name = 'X402InsuranceError';
+    this.code = code;
+    this.reason = reason;
+    this.context = context;
+    this.cause = cause;
+  }
+}
+
+/**
+ * 沿 ethers 错误链查找回滚信息
+ * @returns {{ reason: string|null, customError: Object|null }}
+ */
+function extractRevert(error) {
+  const seen = new Set();
+  let current = error;
+
+  while (current && typeof current === 'object' && !seen.has(current)) {
+    seen.add(current);
+
+    if (current.revert && current.revert.name && current.revert.name !== 'Error') {
+      return { reason: null, customError: current.revert };
+    }
+    if (typeof current.reason === 'string' && current.reason) {
+      return { reason: current.reason, customError: null };
+    }
+    if (typeof current.data === 'string' && current.data.length > 10) {
+      const decoded = decodeRevertData(current.data);
+      if (decoded) return decoded;
+    }
+
+    const message = current.message || current.shortMessage;
+    if (typeof message === 'string') {
+      const match = message.match(/reverted with reason string '([^']+)'|execution reverted: ([^"\n]+)/);
+      if (match) return { reason: (match[1] || match[2]).trim(), customError: null };
+    }
+
+    current = current.error || (current.info && current.info.error) || current.cause;
+  }
+
+  return { reason: null, customError: null };
+}
+
+/**
+ * 解码原始回滚数据（Error(string) 或已知自定义错误）
+ */
+function decodeRevertData(data) {
+  try {
+    if (data.startsWith('0x08c379a0')) {
+      const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], '0x' + data.slice(10));
+      return { reason, customError: null };
+    }
+    const parsed = customErrorInterface.parseError(data);
+    if (parsed) return { reason: null, customError: parsed };
+  } catch {
+    // 无法解码
+  }
+  return null;
+}
+
+/**
+ * 将任意错误转换为 X402InsuranceError
+ *
+ * @param {Error} error - ethers 抛出的原始错误
+ * @param {Object} [context] - 调用方补充的上下文，会合并到默认上下文之上
+ * @returns {X402InsuranceError}
+ */
+function decodeInsuranceError(error, context = {}) {
+  if (error instanceof X402InsuranceError) {
+    error.context = { ...error.context, ...context };
+    return error;
+  }
+
+  if (error && (error.code === 'ACTION_REJECTED' || error.code === 4001)) {
+    return new X402InsuranceError(
+      ErrorCode.USER_REJECTED,
+      'Transaction was rejected in the wallet',
+      { context, cause: error }
+    );
+  }
+
+  if (error && error.code === 'TRANSACTION_REPLACED') {
+    return new X402InsuranceError(
+      ErrorCode.TRANSACTION_CANCELLED,
+      'Transaction was cancelled or replaced in the wallet',
+      {
+        reason: error.reason,
+        context: { ...context, replacement: error.replacement && error.replacement.hash },
+        cause: error
+      }
+    );
+  }
+
+  if (error && error.code === 'INSUFFICIENT_FUNDS') {
+    return new X402InsuranceError(
+      ErrorCode.INSUFFICIENT_GAS_FUNDS,
+      'Not enough ETH to pay for gas',
+      { context, cause: error }
+    );
+  }
+
+  const { reason, customError } = extractRevert(error);
+
+  if (reason && REVERT_REASONS[reason]) {
+    const known = REVERT_REASONS[reason];
+    return new X402InsuranceError(known.code, known.message, {
+      reason,
+      context: { ...(known.context || {}), ...context },
+      cause: error
+    });
+  }
+
+  if (customError && CUSTOM_ERRORS[customError.name]) {
+    const known = CUSTOM_ERRORS[customError.name];
+    return new X402InsuranceError(known.code, known.message, {
+      reason: customError.name,
+      context: { ...context, args: customError.args ? [...customError.args] : [] },
+      cause: error
+    });
+  }
+
+  if (error && ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR'].includes(error.code)) {
+    return new X402InsuranceError(
+      ErrorCode.NETWORK_ERROR,
+      'Could not reach the RPC endpoint',
+      { context, cause: error }
+    );
+  }
+
+  return new X402InsuranceError(
+    ErrorCode.UNKNOWN,
+    reason || (error && (error.shortMessage || error.message)) || 'Unknown error',
+    { reason, context, cause: error }
+  );
+}
+
+export {
+  ErrorCode,
+  REVERT_REASONS,
+  X402InsuranceError,
+  decodeInsuranceError,
+  MIN_POOL_BALANCE,
+  MAX_POOL_BALANCE,
+  MIN_CLAIM_AMOUNT,
+  MAX_CLAIM_AMOUNT
+};
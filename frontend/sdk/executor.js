@@ -0,0 +1,280 @@
+/**
+ * X402 索赔自动执行器
+ * 等待争议期结束后自动调用 executeClaim，队列持久化，页面刷新或进程重启后可恢复
+ */
+
+import { createDefaultStorage } from './storage.js';
+import { ErrorCode } from './errors.js';
+import { TxStage } from './transactions.js';
+
+// 与 ClaimStatus 保持一致
+const STATUS = {
+  INITIATED: 0,
+  DISPUTED: 1,
+  EXECUTED: 2,
+  REJECTED: 3,
+  PARTIAL: 4
+};
+
+// 执行结果
+const ExecutionOutcome = {
+  EXECUTED: 'executed',   // 本执行器成功执行
+  DISPUTED: 'disputed',   // Provider 在争议期内提出争议
+  REJECTED: 'rejected',   // 索赔被拒绝
+  NOT_FOUND: 'not_found', // 链上不存在该索赔
+  FAILED: 'failed'        // 多次重试后仍失败
+};
+
+class ClaimAutoExecutor {
+  /**
+   * @param {X402InsuranceSDK} sdk - 已连接钱包的SDK实例
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - 队列存储（浏览器默认 localStorage，Node 可用 storage-node.js 的文件存储）
+   * @param {number} [options.pollInterval=30] - 等待期间重新检查索赔状态的间隔（秒）
+   * @param {number} [options.margin=5] - 争议期结束后额外等待的秒数（等待下一个区块）
+   * @param {number} [options.maxAttempts=3] - executeClaim 失败的最大重试次数
+   * @param {Function} [options.onEvent] - 状态回调 (type, detail)，type 为 'scheduled' | 'executing' | 'storage_error' | ExecutionOutcome
+   */
+  constructor(sdk, options = {}) {
+    this.sdk = sdk;
+    this.storage = options.storage || createDefaultStorage();
+    this.pollInterval = options.pollInterval ?? 30;
+    this.margin = options.margin ?? 5;
+    this.maxAttempts = options.maxAttempts ?? 3;
+    this.onEvent = options.onEvent || (() => {});
+    this.queueKey = `x402:executor:${sdk.network.chainId}:${sdk.network.insuranceAddress.toLowerCase()}`;
+
+    this.running = new Map();   // commitment -> Promise
+    this.timers = new Map();    // commitment -> { timer, resolve }
+    this.writes = Promise.resolve();   // 队列写入链
+    this.stopped = false;
+  }
+
+  // ==================== 队列 ====================
+
+  /** @private */
+  async _loadQueue() {
+    return (await this.storage.get(this.queueKey)) || [];
+  }
+
+  /**
+   * 串行执行队列的读改写：所有索赔共用一个存储键，并发的 _run 交错读写会丢失更新（如已提交的 txHash）
+   * @private
+   */
+  _mutateQueue(mutate) {
+    const write = this.writes.then(async () => {
+      const queue = await this._loadQueue();
+      await this.storage.set(this.queueKey, mutate(queue));
+    });
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  /** @private */
+  async _updateEntry(commitment, patch) {
+    await this._mutateQueue(queue => {
+      const index = queue.findIndex(e => e.commitment === commitment);
+      if (index === -1) {
+        queue.push({ commitment, addedAt: new Date().toISOString(), attempts: 0, txHash: null, ...patch });
+      } else {
+        queue[index] = { ...queue[index], ...patch };
+      }
+      return queue;
+    });
+  }
+
+  /** @private */
+  async _removeEntry(commitment) {
+    await this._mutateQueue(queue => queue.filter(e => e.commitment !== commitment));
+  }
+
+  /**
+   * 获取待执行队列
+   */
+  async getPending() {
+    return await this._loadQueue();
+  }
+
+  // ==================== 调度 ====================
+
+  /**
+   * 等待争议期结束并执行索赔
+   *
+   * @param {string} commitment - 索赔ID
+   * @param {Object} [txOptions] - 传给 executeClaim 的 { onProgress, confirmations }
+   * @returns {Promise<{commitment: string, outcome: string, txHash?: string, error?: Error}>}
+   */
+  async watchAndExecute(commitment, txOptions = {}) {
+    commitment = commitment.toLowerCase();
+    if (this.running.has(commitment)) return await this.running.get(commitment);
+
+    await this._updateEntry(commitment, {});
+
+    this.stopped = false;
+    const run = this._run(commitment, txOptions).finally(() => {
+      this.running.delete(commitment);
+    });
+    this.running.set(commitment, run);
+    return await run;
+  }
+
+  /**
+   * 恢复持久化队列中的所有待执行索赔
+   * @returns {Promise<Object[]>} 各索赔的执行结果
+   */
+  async start(txOptions = {}) {
+    this.stopped = false;
+    const queue = await this._loadQueue();
+    return await Promise.all(queue.map(entry => this.watchAndExecute(entry.commitment, txOptions)));
+  }
+
+  /**
+   * 停止所有等待（队列保留，下次 start 时恢复）
+   */
+  stop() {
+    this.stopped = true;
+    for (const { timer, resolve } of this.timers.values()) {
+      clearTimeout(timer);
+      resolve();
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * 从队列中移除索赔（不再自动执行）
+   */
+  async cancel(commitment) {
+    commitment = commitment.toLowerCase();
+    const pending = this.timers.get(commitment);
+    if (pending) {
+      clearTimeout(pending.timer);
+      pending.resolve();
+      this.timers.delete(commitment);
+    }
+    await this._removeEntry(commitment);
+  }
+
+  /** @private */
+  _sleep(commitment, seconds) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.timers.delete(commitment);
+        resolve();
+      }, Math.max(0, seconds) * 1000);
+      this.timers.set(commitment, { timer, resolve });
+    });
+  }
+
+  /**
+   * 链上当前时间（合约以 block.timestamp 判断争议期）
+   * @private
+   */
+  async _chainNow() {
+    const block = await this.sdk.provider.getBlock('latest');
+    return block ? Number(block.timestamp) : Math.floor(Date.now() / 1000);
+  }
+
+  /** @private */
+  async _finish(commitment, outcome, detail = {}) {
+    await this._removeEntry(commitment);
+    const result = { commitment, outcome, ...detail };
+    this.onEvent(outcome, result);
+    return result;
+  }
+
+  /** @private */
+  async _run(commitment, txOptions) {
+    while (!this.stopped) {
+      const entry = (await this._loadQueue()).find(e => e.commitment === commitment);
+      if (!entry) return { commitment, outcome: 'cancelled' };
+
+      // 上次已提交执行交易（如页面在确认前刷新），先确认其结果，避免对 PARTIAL 索赔重复执行
+      if (entry.txHash) {
+        const receipt = await this.sdk.provider.getTransactionReceipt(entry.txHash);
+        if (receipt && receipt.status === 1) {
+          return await this._finish(commitment, ExecutionOutcome.EXECUTED, { txHash: entry.txHash });
+        }
+        if (!receipt) {
+          await this._sleep(commitment, this.pollInterval);
+          continue;
+        }
+        await this._updateEntry(commitment, { txHash: null });
+      }
+
+      const claim = await this.sdk.contract.getClaimInfo(commitment);
+      const status = Number(claim.status);
+
+      if (claim.initiatedAt === 0n) {
+        return await this._finish(commitment, ExecutionOutcome.NOT_FOUND);
+      }
+      if (status === STATUS.DISPUTED) {
+        return await this._finish(commitment, ExecutionOutcome.DISPUTED);
+      }
+      if (status === STATUS.REJECTED) {
+        return await this._finish(commitment, ExecutionOutcome.REJECTED);
+      }
+      if (status === STATUS.EXECUTED) {
+        return await this._finish(commitment, ExecutionOutcome.EXECUTED, { txHash: null });
+      }
+
+      if (status === STATUS.PARTIAL) {
+        // 执行后仍有待补偿的索赔保持 PARTIAL，合约不阻止重复执行，需以 ClaimExecuted 事件为准
+        const execution = await this.sdk.getExecutionState(commitment);
+        if (execution.executed) {
+          return await this._finish(commitment, ExecutionOutcome.EXECUTED, { txHash: execution.transactionHash });
+        }
+      }
+
+      // INITIATED / PARTIAL：等待争议期结束，期间定期复查（Provider可能提出争议）
+      const deadline = Number(claim.disputeDeadline);
+      const remaining = deadline - (await this._chainNow()) + this.margin;
+
+      if (remaining > 0) {
+        this.onEvent('scheduled', { commitment, executeAt: new Date((deadline + this.margin) * 1000) });
+        await this._sleep(commitment, Math.min(remaining, this.pollInterval));
+        continue;
+      }
+
+      this.onEvent('executing', { commitment });
+
+      try {
+        const txHash = await this.sdk.executeClaim(commitment, {
+          ...txOptions,
+          onProgress: (stage, detail) => {
+            if (stage === TxStage.SUBMITTED || stage === TxStage.REPLACED) {
+              // 回调不能 await；写入按队列顺序完成，失败时通过 onEvent 报告
+              this._updateEntry(commitment, { txHash: detail.replacement || detail.hash }).catch(error => {
+                this.onEvent('storage_error', { commitment, error });
+              });
+            }
+            if (txOptions.onProgress) txOptions.onProgress(stage, detail);
+          }
+        });
+        return await this._finish(commitment, ExecutionOutcome.EXECUTED, { txHash });
+      } catch (error) {
+        if (error.code === ErrorCode.STILL_IN_DISPUTE_PERIOD) {
+          // 节点时间略落后，稍后重试
+          await this._sleep(commitment, Math.max(error.context.remainingSeconds || 0, this.margin));
+          continue;
+        }
+        if (error.code === ErrorCode.INVALID_CLAIM_STATUS) {
+          // 状态已变化（争议 / 已被他人执行），回到循环重新读取
+          continue;
+        }
+
+        // 保留已提交的 txHash（交易可能在报错后仍被打包），下一轮先查回执再决定是否重新执行
+        const attempts = (entry.attempts || 0) + 1;
+        await this._updateEntry(commitment, { attempts, lastError: error.message });
+
+        if (error.code === ErrorCode.USER_REJECTED || attempts >= this.maxAttempts) {
+          return await this._finish(commitment, ExecutionOutcome.FAILED, { error });
+        }
+        await this._sleep(commitment, this.pollInterval * attempts);
+      }
+    }
+
+    return { commitment, outcome: 'stopped' };
+  }
+}
+
+export { ClaimAutoExecutor, ExecutionOutcome };
@@ -0,0 +1,438 @@
+/**
+ * X402 Insurance V8 历史事件索引
+ * 分段 queryFilter 扫描合约事件并缓存到本地，支持按 Client / Provider / commitment 分页查询
+ */
+
+import { ethers } from 'ethers';
+import { createDefaultStorage } from './storage.js';
+
+// 与 ClaimStatus 保持一致
+const STATUS = {
+  INITIATED: 0,
+  DISPUTED: 1,
+  EXECUTED: 2,
+  REJECTED: 3,
+  PARTIAL: 4
+};
+
+const CLAIM_EVENTS = ['ClaimInitiated', 'ClaimDisputed', 'ClaimExecuted', 'ClaimRejected', 'CompensationPaid'];
+const PROVIDER_EVENTS = [
+  'ProviderRegistered',
+  'ProviderDeposited',
+  'ProviderWithdrew',
+  'ProviderDeactivated',
+  'AutoCompensationTriggered'
+];
+
+/**
+ * 将解析后的事件日志转换为可 JSON 序列化的记录
+ */
+function normalizeEvent(log) {
+  const args = log.args;
+  const record = {
+    name: log.eventName,
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.index
+  };
+
+  switch (log.eventName) {
+    case 'ProviderRegistered':
+    case 'ProviderDeposited':
+    case 'ProviderWithdrew':
+      record.provider = args.provider;
+      record.amount = ethers.formatUnits(args.amount, 6);
+      break;
+    case 'ProviderDeactivated':
+      record.provider = args.provider;
+      break;
+    case 'ClaimInitiated':
+      record.commitment = args.commitment;
+      record.client = args.client;
+      record.provider = args.provider;
+      record.amount = ethers.formatUnits(args.amount, 6);
+      break;
+    case 'ClaimDisputed':
+      record.commitment = args.commitment;
+      record.provider = args.provider;
+      break;
+    case 'ClaimExecuted':
+      record.commitment = args.commitment;
+      record.paidAmount = ethers.formatUnits(args.paidAmount, 6);
+      record.pendingAmount = ethers.formatUnits(args.pendingAmount, 6);
+      break;
+    case 'ClaimRejected':
+      record.commitment = args.commitment;
+      break;
+    case 'CompensationPaid':
+      record.commitment = args.commitment;
+      record.client = args.client;
+      record.amount = ethers.formatUnits(args.amount, 6);
+      break;
+    case 'AutoCompensationTriggered':
+      record.provider = args.provider;
+      record.totalCompensated = ethers.formatUnits(args.totalCompensated, 6);
+      record.claimsProcessed = Number(args.claimsProcessed);
+      break;
+    default:
+      return null;
+  }
+
+  return record;
+}
+
+/**
+ * 分页（按时间倒序）
+ */
+function paginate(items, { page = 1, pageSize = 20 } = {}) {
+  const total = items.length;
+  const start = (page - 1) * pageSize;
+
+  return {
+    items: items.slice(start, start + pageSize),
+    pagination: {
+      total,
+      page,
+      limit: pageSize,
+      hasNext: start + pageSize < total,
+      hasPrev: page > 1
+    }
+  };
+}
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+const byNewest = (a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex;
+
+class ClaimHistoryIndexer {
+  /**
+   * @param {ethers.Contract} contract - X402InsuranceV8 合约（需包含完整事件ABI）
+   * @param {Object} network - 网络配置（见 networks.js）
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - 存储实现（见 storage.js），默认 localStorage / 内存
+   * @param {number} [options.chunkSize=2000] - 每次 queryFilter 的区块跨度
+   * @param {number} [options.startBlock] - 起始区块，缺省为网络配置的 startBlock 或 V8 部署区块
+   * @param {number} [options.reorgDepth=5] - 每次同步回退重扫的区块数，用于处理链重组
+   * @param {number} [options.shardSize=500] - 每个存储键保存的事件数（缓存按分片写入，避免单键过大）
+   * @param {number} [options.maxEvents=20000] - 本地最多保留的事件数，超出后丢弃最早的分片（查询结果的 truncated 为 true）
+   */
+  constructor(contract, network, options = {}) {
+    this.contract = contract;
+    this.network = network;
+    this.storage = options.storage || createDefaultStorage();
+    this.chunkSize = options.chunkSize || 2000;
+    this.startBlock = options.startBlock ?? network.startBlock ?? null;
+    this.reorgDepth = options.reorgDepth ?? 5;
+    this.shardSize = options.shardSize || 500;
+    this.maxEvents = Math.max(options.maxEvents || 20000, this.shardSize);
+    this.cacheKey = `x402:history:${network.chainId}:${String(network.insuranceAddress).toLowerCase()}`;
+    this.persistent = true;
+    this.syncing = null;
+  }
+
+  // ==================== 同步 ====================
+
+  /**
+   * 解析起始区块：配置值 > V8 部署交易所在区块 > 0
+   * @private
+   */
+  async _resolveStartBlock() {
+    if (this.startBlock !== null) return this.startBlock;
+
+    if (this.network.deploymentTx) {
+      const receipt = await this.contract.runner.provider.getTransactionReceipt(this.network.deploymentTx);
+      if (receipt) {
+        this.startBlock = receipt.blockNumber;
+        return this.startBlock;
+      }
+    }
+
+    this.startBlock = 0;
+    return 0;
+  }
+
+  /**
+   * 增量同步到最新区块（并发调用共享同一次同步）
+   * @param {Function} [onProgress] - 进度回调 ({ fromBlock, toBlock, latestBlock })
+   * @returns {Promise<number>} 已同步到的区块
+   */
+  async sync(onProgress = () => {}) {
+    if (!this.syncing) {
+      this.syncing = this._sync(onProgress).finally(() => {
+        this.syncing = null;
+      });
+    }
+    return await this.syncing;
+  }
+
+  /** @private */
+  async _sync(onProgress) {
+    const cache = await this._load();
+    const provider = this.contract.runner.provider;
+    const latestBlock = await provider.getBlockNumber();
+    const startBlock = await this._resolveStartBlock();
+
+    // 回退 reorgDepth 个区块重扫，丢弃可能被重组的事件
+    let fromBlock = cache.lastBlock === null
+      ? startBlock
+      : Math.max(startBlock, cache.lastBlock + 1 - this.reorgDepth);
+    cache.events = cache.events.filter(e => e.blockNumber < fromBlock);
+    let dirtyFrom = cache.events.length;
+
+    while (fromBlock <= latestBlock) {
+      const toBlock = Math.min(fromBlock + this.chunkSize - 1, latestBlock);
+      const logs = await this.contract.queryFilter('*', fromBlock, toBlock);
+
+      for (const log of logs) {
+        if (!log.eventName) continue;
+        const record = normalizeEvent(log);
+        if (record) cache.events.push(record);
+      }
+
+      cache.lastBlock = toBlock;
+      await this._save(cache, dirtyFrom);
+      dirtyFrom = cache.events.length;
+      onProgress({ fromBlock, toBlock, latestBlock });
+
+      fromBlock = toBlock + 1;
+    }
+
+    return cache.lastBlock;
+  }
+
+  /** @private */
+  _shardKey(index) {
+    return `${this.cacheKey}:${index}`;
+  }
+
+  /**
+   * 读取缓存：主键保存 { lastBlock, shards, truncatedBefore }，事件按分片存于 `${cacheKey}:${i}`
+   * @private
+   */
+  async _load() {
+    if (!this.cache) {
+      const meta = await this.storage.get(this.cacheKey);
+      let cache = { lastBlock: null, events: [], shards: 0, truncatedBefore: null };
+
+      if (meta && Array.isArray(meta.events)) {
+        // 旧版单键格式：下次保存时迁移为分片
+        cache = { ...cache, lastBlock: meta.lastBlock, events: meta.events };
+      } else if (meta) {
+        const shards = [];
+        for (let i = 0; i < meta.shards; i++) {
+          shards.push(await this.storage.get(this._shardKey(i)));
+        }
+        // 分片缺失（被清理或写入中断）时整体重建
+        if (shards.every(Array.isArray)) {
+          cache = {
+            lastBlock: meta.lastBlock,
+            events: shards.flat(),
+            shards: meta.shards,
+            truncatedBefore: meta.truncatedBefore ?? null
+          };
+        }
+      }
+
+      this.cache = cache;
+    }
+    return this.cache;
+  }
+
+  /**
+   * 保存缓存：只重写 dirtyFrom 之后变化的分片；超过 maxEvents 时丢弃最早的事件
+   * @private
+   */
+  async _save(cache, dirtyFrom = 0) {
+    this.cache = cache;
+
+    if (cache.events.length > this.maxEvents) {
+      // 多丢一个分片的量，避免每次同步都整体重写
+      const dropped = cache.events.splice(0, cache.events.length - this.maxEvents + this.shardSize);
+      cache.truncatedBefore = dropped[dropped.length - 1].blockNumber + 1;
+      dirtyFrom = 0;
+    }
+
+    if (!this.persistent) return;
+
+    const shards = Math.ceil(cache.events.length / this.shardSize);
+    try {
+      for (let i = Math.floor(dirtyFrom / this.shardSize); i < shards; i++) {
+        const start = i * this.shardSize;
+        await this.storage.set(this._shardKey(i), cache.events.slice(start, start + this.shardSize));
+      }
+      for (let i = shards; i < cache.shards; i++) {
+        await this.storage.remove(this._shardKey(i));
+      }
+      cache.shards = shards;
+      await this.storage.set(this.cacheKey, {
+        lastBlock: cache.lastBlock,
+        shards,
+        truncatedBefore: cache.truncatedBefore
+      });
+    } catch (error) {
+      // 存储配额不足：清除不完整的持久化数据，本次会话仅保留内存缓存
+      console.warn('History cache exceeds storage quota, keeping it in memory only:', error.message);
+      this.persistent = false;
+      await this._clearStorage(Math.max(shards, cache.shards));
+    }
+  }
+
+  /** @private */
+  async _clearStorage(shards) {
+    try {
+      for (let i = 0; i < shards; i++) {
+        await this.storage.remove(this._shardKey(i));
+      }
+      await this.storage.remove(this.cacheKey);
+    } catch {
+      // 清理失败不影响内存缓存
+    }
+  }
+
+  /**
+   * 清空本地缓存
+   */
+  async reset() {
+    const meta = await this.storage.get(this.cacheKey);
+    const shards = Math.max(this.cache ? this.cache.shards : 0, (meta && meta.shards) || 0);
+    this.cache = null;
+    await this._clearStorage(shards);
+  }
+
+  /**
+   * 获取已缓存的事件（先同步）
+   * @param {Object} [options]
+   * @param {boolean} [options.sync=true] - 查询前是否同步
+   */
+  async getEvents({ sync = true } = {}) {
+    if (sync) await this.sync();
+    const cache = await this._load();
+    return cache.events;
+  }
+
+  // ==================== 查询 ====================
+
+  /**
+   * 缓存是否因 maxEvents 丢弃过最早的事件；truncatedBefore 之前区块的索赔和资金事件不在查询结果中
+   * @private
+   */
+  _truncation() {
+    const truncatedBefore = this.cache ? this.cache.truncatedBefore : null;
+    return { truncated: truncatedBefore !== null, truncatedBefore };
+  }
+
+  /**
+   * 将事件聚合为索赔记录
+   * @private
+   */
+  _buildClaims(events) {
+    const claims = new Map();
+
+    for (const event of [...events].sort((a, b) => -byNewest(a, b))) {
+      if (!CLAIM_EVENTS.includes(event.name)) continue;
+
+      if (event.name === 'ClaimInitiated') {
+        claims.set(event.commitment, {
+          commitment: event.commitment,
+          client: event.client,
+          provider: event.provider,
+          requestedAmount: event.amount,
+          paidAmount: '0.0',
+          pendingAmount: event.amount,
+          compensatedAmount: '0.0',
+          status: STATUS.INITIATED,
+          initiatedBlock: event.blockNumber,
+          transactionHash: event.transactionHash,
+          timeline: [event]
+        });
+        continue;
+      }
+
+      const claim = claims.get(event.commitment);
+      if (!claim) continue;
+      claim.timeline.push(event);
+
+      if (event.name === 'ClaimDisputed') {
+        claim.status = STATUS.DISPUTED;
+      } else if (event.name === 'ClaimRejected') {
+        claim.status = STATUS.REJECTED;
+      } else if (event.name === 'ClaimExecuted') {
+        claim.paidAmount = event.paidAmount;
+        claim.pendingAmount = event.pendingAmount;
+        claim.status = Number(event.pendingAmount) > 0 ? STATUS.PARTIAL : STATUS.EXECUTED;
+      } else if (event.name === 'CompensationPaid') {
+        const compensated = ethers.parseUnits(claim.compensatedAmount, 6) + ethers.parseUnits(event.amount, 6);
+        const pending = ethers.parseUnits(claim.pendingAmount, 6) - ethers.parseUnits(event.amount, 6);
+        claim.compensatedAmount = ethers.formatUnits(compensated, 6);
+        claim.pendingAmount = ethers.formatUnits(pending > 0n ? pending : 0n, 6);
+        if (claim.status === STATUS.PARTIAL && pending <= 0n) claim.status = STATUS.EXECUTED;
+      }
+    }
+
+    return [...claims.values()].sort((a, b) => b.initiatedBlock - a.initiatedBlock);
+  }
+
+  /**
+   * 查询 Client 发起的索赔
+   * @param {string} client - Client地址
+   * @param {Object} [options] - { page, pageSize }
+   * @returns {Promise<{claims: Object[], pagination: Object, truncated: boolean, truncatedBefore: number|null}>}
+   */
+  async getClaimsByClient(client, options = {}) {
+    const claims = this._buildClaims(await this.getEvents(options))
+      .filter(c => sameAddress(c.client, client));
+    const { items, pagination } = paginate(claims, options);
+    return { claims: items, pagination, ...this._truncation() };
+  }
+
+  /**
+   * 查询针对 Provider 的索赔
+   * @param {string} provider - Provider地址
+   * @param {Object} [options] - { page, pageSize }
+   * @returns {Promise<{claims: Object[], pagination: Object, truncated: boolean, truncatedBefore: number|null}>}
+   */
+  async getClaimsByProvider(provider, options = {}) {
+    const claims = this._buildClaims(await this.getEvents(options))
+      .filter(c => sameAddress(c.provider, provider));
+    const { items, pagination } = paginate(claims, options);
+    return { claims: items, pagination, ...this._truncation() };
+  }
+
+  /**
+   * 查询单个索赔的赔付与补偿记录
+   * @param {string} commitment - 索赔ID
+   * @returns {Promise<Object|null>} { claim, executions, compensations, totalCompensated, truncated, truncatedBefore }；
+   *   找不到时为 null（缓存被截断时，索赔可能发起于 truncatedBefore 之前）
+   */
+  async getCompensationHistory(commitment, options = {}) {
+    const events = await this.getEvents(options);
+    const claim = this._buildClaims(events).find(c => c.commitment.toLowerCase() === commitment.toLowerCase());
+    if (!claim) return null;
+
+    const executions = claim.timeline.filter(e => e.name === 'ClaimExecuted');
+    const compensations = claim.timeline.filter(e => e.name === 'CompensationPaid');
+
+    return {
+      claim,
+      executions,
+      compensations,
+      totalCompensated: claim.compensatedAmount,
+      ...this._truncation()
+    };
+  }
+
+  /**
+   * 查询 Provider 的资金事件（注册、追加、提取、停用、自动补偿）
+   * @param {string} provider - Provider地址
+   * @param {Object} [options] - { page, pageSize }
+   * @returns {Promise<{events: Object[], pagination: Object, truncated: boolean, truncatedBefore: number|null}>}
+   */
+  async getProviderHistory(provider, options = {}) {
+    const events = (await this.getEvents(options))
+      .filter(e => PROVIDER_EVENTS.includes(e.name) && sameAddress(e.provider, provider))
+      .sort(byNewest);
+    const { items, pagination } = paginate(events, options);
+    return { events: items, pagination, ...this._truncation() };
+  }
+}
+
+export { ClaimHistoryIndexer, CLAIM_EVENTS, PROVIDER_EVENTS };
@@ -0,0 +1,250 @@
+/**
+ * X402 网络配置
+ * 同一份SDK可在 Anvil / Base Sepolia / Base 主网之间切换
+ */
+
+// ==================== 内置网络 ====================
+
+// Base Sepolia 上的 V8 部署（见 deployments/v8-deployment.json）
+const BASE_SEPOLIA = {
+  name: 'base-sepolia',
+  displayName: 'Base Sepolia',
+  chainId: 84532,
+  rpcUrl: 'https://sepolia.base.org',
+  explorerUrl: 'https://sepolia.basescan.org',
+  insuranceAddress: '0x72486eF40BB3729298369d608de85c612adb223e',
+  usdcAddress: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+  factoryAddress: '0xbed30550aB282bED6A6ED57F23E9C99FAd8b7b76',
+  // 部署记录未含区块号：历史索引首次同步时按该交易回执解析起始区块
+  deploymentTx: '0x053bcd150321fc4a3f79d3bc4d94e2d7e5229108a4def0877706ff837b6b3c49',
+  nativeCurrency: { name: 'Ethereum', symbol: 'ETH', decimals: 18 }
+};
+
+// Base 主网：V8 尚未部署，insuranceAddress 需通过 registerNetwork / deployments 补充
+const BASE_MAINNET = {
+  name: 'base',
+  displayName: 'Base',
+  chainId: 8453,
+  rpcUrl: 'https://mainnet.base.org',
+  explorerUrl: 'https://basescan.org',
+  insuranceAddress: null,
+  usdcAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+  factoryAddress: null,
+  nativeCurrency: { name: 'Ethereum', symbol: 'ETH', decimals: 18 }
+};
+
+// 本地 Anvil（fork Base Sepolia，合约地址与 Base Sepolia 相同）
+const ANVIL = {
+  ...BASE_SEPOLIA,
+  name: 'anvil',
+  displayName: 'Anvil (Base Sepolia fork)',
+  chainId: 31337,
+  rpcUrl: 'http://127.0.0.1:8545',
+  explorerUrl: null
+};
+
+const DEFAULT_NETWORK = 'base-sepolia';
+
+// 已知网络注册表（key 为网络名称）
+const NETWORKS = {
+  [BASE_SEPOLIA.name]: BASE_SEPOLIA,
+  [BASE_MAINNET.name]: BASE_MAINNET,
+  [ANVIL.name]: ANVIL
+};
+
+// ==================== 查询 ====================
+
+/**
+ * 规范化网络名称（"Base Sepolia" -> "base-sepolia"）
+ */
+function normalizeNetworkName(name) {
+  return String(name).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * 按名称或 chainId 查找网络
+ * @param {string|number} nameOrChainId - 网络名称或 chainId
+ * @returns {Object|null} 网络配置
+ */
+function findNetwork(nameOrChainId) {
+  if (typeof nameOrChainId === 'number' || typeof nameOrChainId === 'bigint') {
+    const chainId = Number(nameOrChainId);
+    return Object.values(NETWORKS).find(n => n.chainId === chainId) || null;
+  }
+  if (/^0x[0-9a-f]+$/i.test(String(nameOrChainId))) {
+    return findNetwork(Number(nameOrChainId));
+  }
+  return NETWORKS[normalizeNetworkName(nameOrChainId)] || null;
+}
+
+/**
+ * 获取网络配置，找不到时抛错
+ * @param {string|number} nameOrChainId - 网络名称或 chainId
+ */
+function getNetwork(nameOrChainId = DEFAULT_NETWORK) {
+  const network = findNetwork(nameOrChainId);
+  if (!network) {
+    throw new Error(`Unknown network: ${nameOrChainId}`);
+  }
+  return network;
+}
+
+/**
+ * 解析构造函数传入的网络参数
+ * @param {string|number|Object} network - 网络名称、chainId 或完整网络配置
+ * @returns {Object} 网络配置
+ */
+function resolveNetwork(network = DEFAULT_NETWORK) {
+  if (network && typeof network === 'object') {
+    // 对象形式：以同 chainId 的已知网络为底，覆盖传入字段
+    const base = network.chainId !== undefined ? findNetwork(Number(network.chainId)) : null;
+    return validateNetwork({ ...(base || {}), ...network });
+  }
+  return getNetwork(network);
+}
+
+/**
+ * 列出所有已知网络
+ */
+function listNetworks() {
+  return Object.values(NETWORKS);
+}
+
+// ==================== 注册 ====================
+
+/**
+ * 校验网络配置必填字段
+ */
+function validateNetwork(network) {
+  if (!network.name) throw new Error('Network name is required');
+  if (!Number.isInteger(Number(network.chainId))) {
+    throw new Error(`Invalid chainId for network ${network.name}`);
+  }
+  if (!network.rpcUrl) throw new Error(`rpcUrl is required for network ${network.name}`);
+
+  return {
+    displayName: network.name,
+    explorerUrl: null,
+    insuranceAddress: null,
+    usdcAddress: null,
+    factoryAddress: null,
+    nativeCurrency: { name: 'Ethereum', symbol: 'ETH', decimals: 18 },
+    ...network,
+    name: normalizeNetworkName(network.name),
+    chainId: Number(network.chainId)
+  };
+}
+
+/**
+ * 注册或更新网络（与已有同名网络合并）
+ * @param {Object} network - 网络配置
+ * @returns {Object} 合并后的网络配置
+ */
+function registerNetwork(network) {
+  const name = normalizeNetworkName(network.name);
+  const merged = validateNetwork({ ...(NETWORKS[name] || {}), ...network, name });
+  NETWORKS[name] = merged;
+  return merged;
+}
+
+// ==================== 从 deployments/*.json 加载 ====================
+
+/**
+ * 将 deployments 目录下的部署记录转换为网络配置片段
+ *
+ * 兼容两种格式：
+ * - v8-deployment.json: { network, contractName, contractAddress, usdcToken, transactionHash, blockNumber? }
+ * - provider-factory-deployment.json: { network, chainId, contracts: { insuranceV8, usdc, providerFactory } }
+ *
+ * 非 V8 的部署记录（V5~V7）返回 null
+ */
+function networkFromDeployment(deployment) {
+  if (!deployment || !deployment.network) return null;
+
+  const name = normalizeNetworkName(deployment.network);
+  const known = findNetwork(name);
+  const chainId = deployment.chainId ?? (known && known.chainId);
+  if (chainId === undefined) return null;
+
+  const partial = { name, chainId };
+
+  if (deployment.contracts) {
+    if (deployment.contracts.insuranceV8) partial.insuranceAddress = deployment.contracts.insuranceV8;
+    if (deployment.contracts.usdc) partial.usdcAddress = deployment.contracts.usdc;
+    if (deployment.contracts.providerFactory) partial.factoryAddress = deployment.contracts.providerFactory;
+  } else if (deployment.contractName === 'X402InsuranceV8') {
+    partial.insuranceAddress = deployment.contractAddress;
+    if (deployment.usdcToken) partial.usdcAddress = deployment.usdcToken;
+    if (deployment.transactionHash) partial.deploymentTx = deployment.transactionHash;
+    if (deployment.blockNumber !== undefined) partial.startBlock = Number(deployment.blockNumber);
+  } else {
+    return null;
+  }
+
+  return partial;
+}
+
+/**
+ * 从 deployments/*.json 批量注册网络
+ *
+ * @param {Object[]} deployments - 已解析的部署记录
+ * @returns {Object[]} 受影响的网络配置
+ *
+ * @example
+ * import v8 from '../../deployments/v8-deployment.json';
+ * import factory from '../../deployments/provider-factory-deployment.json';
+ * loadNetworksFromDeployments([v8, factory]);
+ */
+function loadNetworksFromDeployments(deployments) {
+  const updated = new Map();
+
+  for (const deployment of deployments) {
+    const partial = networkFromDeployment(deployment);
+    if (!partial) continue;
+
+    const existing = NETWORKS[partial.name];
+    if (!existing && !partial.rpcUrl) {
+      // 未知网络且没有RPC，无法使用
+      continue;
+    }
+    updated.set(partial.name, registerNetwork(partial));
+  }
+
+  return [...updated.values()];
+}
+
+// ==================== 钱包参数 ====================
+
+/**
+ * chainId 转十六进制（wallet_switchEthereumChain 使用）
+ */
+function toHexChainId(chainId) {
+  return '0x' + Number(chainId).toString(16);
+}
+
+/**
+ * 生成 wallet_addEthereumChain 参数
+ */
+function getAddChainParams(network) {
+  return {
+    chainId: toHexChainId(network.chainId),
+    chainName: network.displayName,
+    nativeCurrency: network.nativeCurrency,
+    rpcUrls: [network.rpcUrl],
+    blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined
+  };
+}
+
+export {
+  NETWORKS,
+  DEFAULT_NETWORK,
+  findNetwork,
+  getNetwork,
+  resolveNetwork,
+  listNetworks,
+  registerNetwork,
+  networkFromDeployment,
+  loadNetworksFromDeployments,
+  toHexChainId,
+  getAddChainParams
+};
@@ -0,0 +1,321 @@
+/**
+ * 工厂创建的 Provider 合约操作句柄
+ * 封装 ProviderContractInterface.sol 的函数，并与 V8 getProviderInfo 合并查询保险状态
+ */
+
+import { ethers } from 'ethers';
+import { sendTransaction, combineProgress } from './transactions.js';
+import { decodeInsuranceError, X402InsuranceError, ErrorCode } from './errors.js';
+import { resolveApprovalPolicy, ensureAllowance } from './approval.js';
+
+const PROVIDER_CONTRACT_ABI = [
+  'function owner() view returns (address)',
+  'function insuranceContract() view returns (address)',
+  'function registerAsProvider(uint256 amount)',
+  'function depositInsurance(uint256 amount)',
+  'function withdrawInsurance(uint256 amount)',
+  'function transferOwnership(address newOwner)',
+  // SimpleProviderContract
+  'function disputeClaim(bytes32 commitment, string evidence)',
+  'function claimDisputes(bytes32 commitment) view returns (bool)',
+  // AutomatedProviderContract
+  'function serviceValidator() view returns (address)',
+  'function autoRefillThreshold() view returns (uint256)',
+  'function autoRefillAmount() view returns (uint256)',
+  'function setAutoRefillParams(uint256 threshold, uint256 amount)',
+  'function depositUSDC(uint256 amount)',
+  'event ClaimReceived(bytes32 indexed commitment, address client, uint256 amount)',
+  'event CompensationReceived(bytes32 indexed commitment, uint256 amount)',
+  'event InsuranceRegistered(uint256 amount)',
+  'event InsuranceDeposited(uint256 amount)'
+];
+
+// Provider 合约类型
+const ProviderContractKind = {
+  SIMPLE: 'simple',         // SimpleProviderContract（工厂默认部署）
+  AUTOMATED: 'automated'    // AutomatedProviderContract
+};
+
+class ProviderContractHandle {
+  /**
+   * @param {string} address - Provider 合约地址
+   * @param {Object} deps
+   * @param {ethers.Signer} deps.signer - 合约 owner 的钱包
+   * @param {X402InsuranceSDK} deps.insurance - 同网络的保险SDK（用于查询 V8 状态）
+   * @param {ethers.Contract} deps.usdc - USDC 合约（需包含 transfer / allowance / approve）
+   * @param {Object} [deps.approval] - depositUSDC 的授权策略，默认 exact
+   */
+  constructor(address, { signer, insurance, usdc, approval }) {
+    this.address = ethers.getAddress(address);
+    this.signer = signer;
+    this.insurance = insurance;
+    this.usdc = usdc;
+    this.approvalPolicy = resolveApprovalPolicy('exact', approval);
+    this.contract = new ethers.Contract(this.address, PROVIDER_CONTRACT_ABI, signer);
+    this.kind = null;
+  }
+
+  // ==================== 查询 ====================
+
+  /**
+   * 合约 owner
+   */
+  async getOwner() {
+    return await this.contract.owner();
+  }
+
+  /**
+   * 当前钱包是否为 owner
+   */
+  async isOwner() {
+    const [owner, address] = await Promise.all([this.getOwner(), this.signer.getAddress()]);
+    return owner.toLowerCase() === address.toLowerCase();
+  }
+
+  /**
+   * 识别合约类型（只有 AutomatedProviderContract 有 autoRefillThreshold）
+   * @returns {Promise<string>} ProviderContractKind
+   */
+  async getKind() {
+    if (!this.kind) {
+      try {
+        await this.contract.autoRefillThreshold();
+        this.kind = ProviderContractKind.AUTOMATED;
+      } catch {
+        this.kind = ProviderContractKind.SIMPLE;
+      }
+    }
+    return this.kind;
+  }
+
+  /**
+   * 合约持有但未存入保险池的 USDC（withdrawInsurance 提取的资金会留在合约内）
+   */
+  async getIdleBalance() {
+    const balance = await this.usdc.balanceOf(this.address);
+    return ethers.formatUnits(balance, 6);
+  }
+
+  /**
+   * 获取合约与保险状态
+   * @returns {Promise<Object>} { address, kind, owner, isOwner, insuranceContract, linked, idleBalance, insurance, autoRefill }
+   */
+  async getStatus() {
+    const [owner, signerAddress, insuranceContract, idleBalance, kind, insurance] = await Promise.all([
+      this.getOwner(),
+      this.signer.getAddress(),
+      this.contract.insuranceContract(),
+      this.getIdleBalance(),
+      this.getKind(),
+      this.insurance.getProviderInfo(this.address)
+    ]);
+
+    let autoRefill = null;
+    if (kind === ProviderContractKind.AUTOMATED) {
+      const [threshold, amount, serviceValidator] = await Promise.all([
+        this.contract.autoRefillThreshold(),
+        this.contract.autoRefillAmount(),
+        this.contract.serviceValidator()
+      ]);
+      autoRefill = {
+        threshold: ethers.formatUnits(threshold, 6),
+        amount: ethers.formatUnits(amount, 6),
+        serviceValidator
+      };
+    }
+
+    return {
+      address: this.address,
+      kind,
+      owner,
+      isOwner: owner.toLowerCase() === signerAddress.toLowerCase(),
+      insuranceContract,
+      // 合约绑定的保险合约是否为当前网络的 V8
+      linked: insuranceContract.toLowerCase() === this.insurance.network.insuranceAddress.toLowerCase(),
+      idleBalance,
+      insurance,
+      autoRefill
+    };
+  }
+
+  /**
+   * 是否已通过本合约对索赔提出争议（SimpleProviderContract）
+   * @param {string} commitment - 索赔ID
+   */
+  async isClaimDisputed(commitment) {
+    return await this.contract.claimDisputes(commitment);
+  }
+
+  // ==================== Owner 操作 ====================
+
+  /*
+   * 所有写操作都接受可选的 options：{ onProgress, confirmations, simulate }，
+   * 与 X402InsuranceSDK 相同，失败时抛出 X402InsuranceError
+   */
+
+  /**
+   * 用合约内的 USDC 注册或重新激活 Provider
+   * @param {string} amount - USDC金额
+   * @param {Object} [options] - { onProgress, confirmations, fund }，fund 见 depositInsurance
+   */
+  async registerAsProvider(amount, options = {}) {
+    const parsedAmount = ethers.parseUnits(amount.toString(), 6);
+    await this._preflightAndFund('registerAsProvider', this.contract.registerAsProvider, parsedAmount, options);
+    return await this._write('registerAsProvider', this.contract.registerAsProvider, [parsedAmount], options);
+  }
+
+  /**
+   * 追加保险金
+   *
+   * 合约从自身 USDC 余额授权给 V8，余额不足时默认先从 owner 钱包转入差额。
+   * 转入前先确认钱包是 owner 并模拟调用，失败时不会转出任何 USDC
+   *
+   * @param {string} amount - USDC金额
+   * @param {Object} [options] - { onProgress, confirmations, fund = true }
+   */
+  async depositInsurance(amount, options = {}) {
+    const parsedAmount = ethers.parseUnits(amount.toString(), 6);
+    await this._preflightAndFund('depositInsurance', this.contract.depositInsurance, parsedAmount, options);
+    return await this._write('depositInsurance', this.contract.depositInsurance, [parsedAmount], options);
+  }
+
+  /**
+   * 从保险池提取资金
+   *
+   * 注意：资金会回到 Provider 合约（而不是 owner 钱包），合约没有转出函数，
+   * 只能通过 depositInsurance / registerAsProvider 再次存入
+   *
+   * @param {string} amount - USDC金额
+   * @param {Object} [options] - { onProgress, confirmations }
+   */
+  async withdrawInsurance(amount, options = {}) {
+    const parsedAmount = ethers.parseUnits(amount.toString(), 6);
+    return await this._write('withdrawInsurance', this.contract.withdrawInsurance, [parsedAmount], options);
+  }
+
+  /**
+   * 争议索赔（仅 SimpleProviderContract）
+   * @param {string} commitment - 索赔ID
+   * @param {string} evidence - 证据说明
+   * @param {Object} [options] - { onProgress, confirmations }
+   */
+  async disputeClaim(commitment, evidence, options = {}) {
+    await this._requireKind(ProviderContractKind.SIMPLE, 'disputeClaim');
+    return await this._write('disputeClaim', this.contract.disputeClaim, [commitment, evidence], options);
+  }
+
+  /**
+   * 设置自动补充参数（仅 AutomatedProviderContract）
+   * @param {string} threshold - 保险池低于该金额时补充（USDC）
+   * @param {string} amount - 每次补充金额（USDC）
+   * @param {Object} [options] - { onProgress, confirmations }
+   */
+  async setAutoRefillParams(threshold, amount, options = {}) {
+    await this._requireKind(ProviderContractKind.AUTOMATED, 'setAutoRefillParams');
+    return await this._write(
+      'setAutoRefillParams',
+      this.contract.setAutoRefillParams,
+      [ethers.parseUnits(threshold.toString(), 6), ethers.parseUnits(amount.toString(), 6)],
+      options
+    );
+  }
+
+  /**
+   * 向合约存入用于自动补充的 USDC（仅 AutomatedProviderContract，先授权给 Provider 合约）
+   * @param {string} amount - USDC金额
+   * @param {Object} [options] - { onProgress, confirmations, approval }
+   */
+  async depositUSDC(amount, options = {}) {
+    await this._requireKind(ProviderContractKind.AUTOMATED, 'depositUSDC');
+
+    const parsedAmount = ethers.parseUnits(amount.toString(), 6);
+    try {
+      await ensureAllowance({
+        token: this.usdc,
+        signer: this.signer,
+        spender: this.address,
+        amount: parsedAmount,
+        policy: resolveApprovalPolicy(this.approvalPolicy, options.approval),
+        submit: (action, method, args) => this._send(action, method, args, options),
+        onProgress: combineProgress(options.onProgress)
+      });
+    } catch (error) {
+      throw decodeInsuranceError(error, { action: 'approve' });
+    }
+
+    return await this._write('depositUSDC', this.contract.depositUSDC, [parsedAmount], options);
+  }
+
+  /**
+   * 转移合约所有权
+   * @param {string} newOwner - 新 owner 地址
+   * @param {Object} [options] - { onProgress, confirmations }
+   */
+  async transferOwnership(newOwner, options = {}) {
+    return await this._write('transferOwnership', this.contract.transferOwnership, [newOwner], options);
+  }
+
+  // ==================== 工具函数 ====================
+
+  /**
+   * 检查 owner 并模拟目标调用，都通过后才在合约 USDC 余额不足时从 owner 钱包转入差额
+   *
+   * 合约没有转出函数，转入后调用失败的 USDC 无法取回。余额不足时模拟必然因
+   * USDC 余额或授权不足回滚，这类错误视为通过；其他回滚（如 Provider not active）直接抛出
+   * @private
+   */
+  async _preflightAndFund(action, method, amount, options) {
+    if (!await this.isOwner()) {
+      throw new X402InsuranceError(ErrorCode.NOT_OWNER, 'Only the provider contract owner can call this function', {
+        context: { action, providerContract: this.address }
+      });
+    }
+
+    const balance = await this.usdc.balanceOf(this.address);
+    const shortfall = balance < amount ? amount - balance : 0n;
+
+    if (options.simulate !== false) {
+      try {
+        await method.staticCall(amount);
+      } catch (error) {
+        const decoded = decodeInsuranceError(error, { action, providerContract: this.address });
+        const fundingError = [
+          ErrorCode.INSUFFICIENT_USDC_BALANCE,
+          ErrorCode.INSUFFICIENT_ALLOWANCE,
+          ErrorCode.TRANSFER_FAILED
+        ].includes(decoded.code);
+        if (shortfall === 0n || !fundingError || options.fund === false) throw decoded;
+      }
+    }
+
+    if (shortfall === 0n || options.fund === false) return;
+    await this._send('fundContract', this.usdc.transfer, [this.address, shortfall], options);
+  }
+
+  /** @private */
+  async _requireKind(kind, action) {
+    if ((await this.getKind()) !== kind) {
+      throw new Error(`${action} is only available on ${kind} provider contracts`);
+    }
+  }
+
+  /** @private */
+  async _send(action, method, args, options = {}) {
+    return await sendTransaction({
+      action,
+      send: () => method(...args),
+      simulate: options.simulate === false ? null : () => method.staticCall(...args),
+      confirmations: options.confirmations ?? 1,
+      onProgress: combineProgress(options.onProgress),
+      mapError: error => decodeInsuranceError(error, { action, providerContract: this.address })
+    });
+  }
+
+  /** @private */
+  async _write(action, method, args, options) {
+    const { hash } = await this._send(action, method, args, options);
+    return hash;
+  }
+}
+
+export { ProviderContractHandle, ProviderContractKind, PROVIDER_CONTRACT_ABI };
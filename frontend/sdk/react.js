@@ -0,0 +1,550 @@
+/**
+ * X402 Insurance React Hooks
+ *
+ * 用法：
+ *
+ * <InsuranceSDKProvider network="base-sepolia">
+ *   <App />
+ * </InsuranceSDKProvider>
+ *
+ * const { sdk, account, connect } = useInsuranceContext();
+ * const { data: provider } = useProviderInfo(account);
+ * const { claim, remainingSeconds } = useClaim(commitment);
+ *
+ * 也可以不使用 InsuranceSDKProvider，直接把 sdk 传给各个 hook：useProviderInfo(address, { sdk })
+ */
+
+import {
+  createContext,
+  createElement,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState
+} from 'react';
+import { ethers } from 'ethers';
+import X402InsuranceSDK, { ClaimStatus } from './X402InsuranceSDK.js';
+import X402ProviderSimpleSDK from './X402ProviderSimpleSDK.js';
+import { resolveNetwork } from './networks.js';
+import { getInjectedProvider, watchWallet } from './connector.js';
+
+const InsuranceSDKContext = createContext(null);
+
+// ==================== 内部工具 ====================
+
+/**
+ * 订阅钱包（EIP-1193）的账户 / 网络变化
+ * @private
+ */
+function useWalletEvents(wallet, onAccountsChanged, onChainChanged) {
+  const handlers = useRef({ onAccountsChanged, onChainChanged });
+  handlers.current = { onAccountsChanged, onChainChanged };
+
+  useEffect(() => watchWallet(wallet, {
+    onAccountsChanged: accounts => handlers.current.onAccountsChanged(accounts),
+    onChainChanged: chainId => handlers.current.onChainChanged(chainId)
+  }), [wallet]);
+}
+
+/**
+ * 订阅合约事件，卸载或依赖变化时取消
+ * @param {ethers.Contract|null} contract
+ * @param {Array<Array>} events - [事件名, ...indexed参数]，如 ['ClaimDisputed', commitment]
+ * @param {Function} onEvent
+ * @private
+ */
+function useContractEvents(contract, events, onEvent) {
+  const handler = useRef(onEvent);
+  handler.current = onEvent;
+
+  // 每次渲染都会传入新数组，按内容（事件名与地址 / commitment）判断是否需要重新订阅
+  const key = JSON.stringify(events);
+
+  useEffect(() => {
+    const specs = JSON.parse(key);
+    if (!contract || specs.length === 0) return undefined;
+
+    const listener = () => handler.current();
+    const filters = specs.map(([name, ...args]) => contract.filters[name](...args));
+
+    for (const filter of filters) {
+      contract.on(filter, listener).catch(() => {
+        // 只读 RPC 不支持订阅时退化为轮询
+      });
+    }
+
+    return () => {
+      for (const filter of filters) {
+        contract.off(filter, listener).catch(() => {});
+      }
+    };
+  }, [contract, key]);
+}
+
+/**
+ * 拉取数据：首次加载、定时轮询、手动刷新，忽略过期响应
+ * @param {Function} fetcher - 由调用方 useCallback 包装，依赖变化时重新拉取
+ * @private
+ */
+function usePolledQuery(fetcher, { enabled = true, pollInterval = 0 } = {}) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestId = useRef(0);
+  const mounted = useRef(true);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
+
+  const refresh = useCallback(async () => {
+    if (!enabled) return null;
+
+    const id = ++requestId.current;
+    setLoading(true);
+    try {
+      const result = await fetcher();
+      if (mounted.current && id === requestId.current) {
+        setData(result);
+        setError(null);
+      }
+      return result;
+    } catch (err) {
+      if (mounted.current && id === requestId.current) setError(err);
+      return null;
+    } finally {
+      if (mounted.current && id === requestId.current) setLoading(false);
+    }
+  }, [enabled, fetcher]);
+
+  useEffect(() => {
+    if (!enabled) {
+      setData(null);
+      return undefined;
+    }
+
+    refresh();
+    if (!pollInterval) return undefined;
+
+    const timer = setInterval(refresh, pollInterval);
+    return () => clearInterval(timer);
+  }, [refresh, enabled, pollInterval]);
+
+  return { data, loading, error, refresh };
+}
+
+/**
+ * hook 参数中的 sdk 优先，否则取 InsuranceSDKProvider 提供的 sdk
+ * @private
+ */
+function useResolvedSDK(sdk) {
+  const context = useContext(InsuranceSDKContext);
+  return sdk || (context && context.sdk) || null;
+}
+
+// ==================== SDK 与钱包 ====================
+
+/**
+ * 创建并维护 SDK 实例
+ *
+ * 未连接钱包时提供只读 SDK；连接后随钱包账户 / 网络变化自动重建，
+ * 断开（账户列表为空）或切到其他网络时退回只读
+ *
+ * @param {Object} [options] - X402InsuranceSDK 构造参数（network、confirmations、onProgress、approval……）
+ * @param {Object} [options.wallet] - EIP-1193 Provider，默认 window.ethereum（connect 时也可指定）
+ * @param {boolean} [options.autoConnect=false] - 钱包已授权时自动连接（不弹窗）
+ * @returns {{sdk, account, chainId, isConnected, wrongNetwork, connecting, error, connect, disconnect}}
+ */
+function useInsuranceSDK(options = {}) {
+  const { autoConnect = false, wallet: initialWallet, ...sdkOptions } = options;
+  // network 可能是每次渲染新建的对象，按内容生成 key，只在配置真正变化时重建 SDK
+  const networkKey = JSON.stringify(sdkOptions.network ?? null);
+  const network = useMemo(() => resolveNetwork(JSON.parse(networkKey) ?? undefined), [networkKey]);
+  const optionsRef = useRef(sdkOptions);
+  optionsRef.current = sdkOptions;
+
+  const readOnly = useMemo(
+    () => new X402InsuranceSDK(null, { ...optionsRef.current, network }),
+    [network]
+  );
+
+  const [sdk, setSdk] = useState(readOnly);
+  const [account, setAccount] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  const [connecting, setConnecting] = useState(false);
+  const [error, setError] = useState(null);
+  const [wallet, setWallet] = useState(() => initialWallet || getInjectedProvider());
+  // 用户是否已连接过钱包（切回正确网络 / 切换账户时据此自动重连）
+  const wanted = useRef(false);
+
+  const reset = useCallback(() => {
+    setSdk(readOnly);
+    setAccount(null);
+  }, [readOnly]);
+
+  useEffect(() => {
+    reset();
+  }, [reset]);
+
+  // 用钱包当前账户重建 SDK（不弹窗）
+  const attach = useCallback(async () => {
+    const browserProvider = new ethers.BrowserProvider(wallet);
+    const [accounts, current] = await Promise.all([
+      browserProvider.send('eth_accounts', []),
+      browserProvider.getNetwork()
+    ]);
+
+    setChainId(Number(current.chainId));
+    if (accounts.length === 0 || Number(current.chainId) !== network.chainId) {
+      reset();
+      return null;
+    }
+
+    const signer = await browserProvider.getSigner(accounts[0]);
+    const instance = new X402InsuranceSDK(signer, { ...optionsRef.current, network });
+    instance.wallet = wallet;
+    wanted.current = true;
+    setSdk(instance);
+    setAccount(await signer.getAddress());
+    return instance;
+  }, [network, reset, wallet]);
+
+  /**
+   * @param {Object} [connectOptions] - { wallet, rdns }，切换到其他 EIP-1193 / EIP-6963 钱包
+   */
+  const connect = useCallback(async (connectOptions = {}) => {
+    setConnecting(true);
+    setError(null);
+    try {
+      const instance = await X402InsuranceSDK.connectWallet(network, {
+        ...optionsRef.current,
+        wallet: connectOptions.wallet || (connectOptions.rdns ? undefined : wallet),
+        rdns: connectOptions.rdns
+      });
+      wanted.current = true;
+      setWallet(instance.wallet);
+      setSdk(instance);
+      setAccount(await instance.getAddress());
+      setChainId(network.chainId);
+      return instance;
+    } catch (err) {
+      setError(err);
+      throw err;
+    } finally {
+      setConnecting(false);
+    }
+  }, [network, wallet]);
+
+  useEffect(() => {
+    if (autoConnect && wallet) {
+      attach().catch(setError);
+    }
+  }, [autoConnect, attach, wallet]);
+
+  useWalletEvents(
+    wallet,
+    accounts => {
+      if (accounts.length === 0) {
+        reset();
+      } else if (wanted.current) {
+        attach().catch(setError);
+      }
+    },
+    newChainId => {
+      setChainId(newChainId);
+      // attach 在网络不匹配时会退回只读
+      if (wanted.current) attach().catch(setError);
+    }
+  );
+
+  const disconnect = useCallback(() => {
+    wanted.current = false;
+    reset();
+  }, [reset]);
+
+  // 卸载或 SDK 替换时停止旧实例的执行器
+  useEffect(() => () => {
+    if (sdk && sdk.executor) sdk.executor.stop();
+  }, [sdk]);
+
+  return {
+    sdk,
+    account,
+    chainId,
+    network,
+    wallet,
+    isConnected: Boolean(account),
+    wrongNetwork: chainId !== null && chainId !== network.chainId,
+    connecting,
+    error,
+    connect,
+    disconnect
+  };
+}
+
+/**
+ * 在组件树中共享 useInsuranceSDK 的结果
+ * @param {Object} props - useInsuranceSDK 的参数 + children
+ */
+function InsuranceSDKProvider({ children, ...options }) {
+  const value = useInsuranceSDK(options);
+  return createElement(InsuranceSDKContext.Provider, { value }, children);
+}
+
+/**
+ * 读取 InsuranceSDKProvider 提供的 { sdk, account, connect, ... }
+ */
+function useInsuranceContext() {
+  const context = useContext(InsuranceSDKContext);
+  if (!context) {
+    throw new Error('useInsuranceContext must be used inside <InsuranceSDKProvider>');
+  }
+  return context;
+}
+
+// ==================== 查询 ====================
+
+/**
+ * Provider 信息：定时轮询 + 相关合约事件触发刷新
+ *
+ * @param {string} address - Provider地址
+ * @param {Object} [options]
+ * @param {X402InsuranceSDK} [options.sdk] - 缺省使用 InsuranceSDKProvider
+ * @param {number} [options.pollInterval=15000] - 轮询间隔（毫秒），0 表示只靠事件刷新
+ * @returns {{data, loading, error, refresh}}
+ */
+function useProviderInfo(address, options = {}) {
+  const sdk = useResolvedSDK(options.sdk);
+  const enabled = Boolean(sdk && address);
+
+  const fetcher = useCallback(() => sdk.getProviderInfo(address), [sdk, address]);
+  const query = usePolledQuery(fetcher, { enabled, pollInterval: options.pollInterval ?? 15000 });
+
+  const events = enabled ? [
+    ['ProviderRegistered', address],
+    ['ProviderDeposited', address],
+    ['ProviderWithdrew', address],
+    ['ProviderDeactivated', address],
+    ['ClaimInitiated', null, null, address],
+    ['ClaimDisputed', null, address],
+    ['AutoCompensationTriggered', address]
+  ] : [];
+
+  useContractEvents(enabled ? sdk.contract : null, events, query.refresh);
+
+  return query;
+}
+
+/**
+ * 索赔状态 + 争议期倒计时
+ *
+ * @param {string} commitment - 索赔ID
+ * @param {Object} [options]
+ * @param {X402InsuranceSDK} [options.sdk] - 缺省使用 InsuranceSDKProvider
+ * @param {number} [options.pollInterval=15000] - 轮询间隔（毫秒）
+ * @returns {{claim, executed, loading, error, refresh, remainingSeconds, canExecute, canDispute}}
+ */
+function useClaim(commitment, options = {}) {
+  const sdk = useResolvedSDK(options.sdk);
+  const enabled = Boolean(sdk && commitment);
+
+  const fetcher = useCallback(async () => {
+    const claim = await sdk.getClaimInfo(commitment);
+    if (claim.initiatedAt.getTime() === 0) return null;
+
+    // PARTIAL 可能已执行过，再次执行会重复赔付，以 ClaimExecuted 事件为准（同 executor.js）
+    const { executed } = claim.status === ClaimStatus.PARTIAL
+      ? await sdk.getExecutionState(commitment)
+      : { executed: claim.status === ClaimStatus.EXECUTED };
+    return { claim, executed };
+  }, [sdk, commitment]);
+  const query = usePolledQuery(fetcher, { enabled, pollInterval: options.pollInterval ?? 15000 });
+  const { refresh: refreshQuery } = query;
+  const refresh = useCallback(async () => {
+    const result = await refreshQuery();
+    return result && result.claim;
+  }, [refreshQuery]);
+
+  const events = enabled ? [
+    ['ClaimInitiated', commitment],
+    ['ClaimDisputed', commitment],
+    ['ClaimExecuted', commitment],
+    ['ClaimRejected', commitment],
+    ['CompensationPaid', commitment]
+  ] : [];
+
+  useContractEvents(enabled ? sdk.contract : null, events, refresh);
+
+  const claim = query.data && query.data.claim;
+  const executed = Boolean(query.data && query.data.executed);
+  // 发起时资金不足的索赔直接为 PARTIAL，同样有争议期
+  const waiting = Boolean(claim) &&
+    (claim.status === ClaimStatus.INITIATED || claim.status === ClaimStatus.PARTIAL);
+  const deadline = claim ? claim.disputeDeadline.getTime() : 0;
+
+  // 争议期内每秒更新倒计时
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!waiting) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [waiting, deadline]);
+
+  const remainingSeconds = waiting ? Math.max(0, Math.ceil((deadline - now) / 1000)) : 0;
+
+  return {
+    claim,
+    executed,
+    loading: query.loading,
+    error: query.error,
+    refresh,
+    remainingSeconds,
+    canExecute: waiting && !executed && remainingSeconds === 0,
+    canDispute: waiting && remainingSeconds > 0
+  };
+}
+
+/**
+ * 全局统计：定时轮询 + 资金相关事件触发刷新
+ *
+ * @param {Object} [options]
+ * @param {X402InsuranceSDK} [options.sdk] - 缺省使用 InsuranceSDKProvider
+ * @param {number} [options.pollInterval=30000] - 轮询间隔（毫秒）
+ * @returns {{data, loading, error, refresh}}
+ */
+function useGlobalStats(options = {}) {
+  const sdk = useResolvedSDK(options.sdk);
+  const enabled = Boolean(sdk);
+
+  const fetcher = useCallback(() => sdk.getGlobalStats(), [sdk]);
+  const query = usePolledQuery(fetcher, { enabled, pollInterval: options.pollInterval ?? 30000 });
+
+  const events = enabled ? [
+    ['ProviderRegistered'],
+    ['ProviderDeposited'],
+    ['ProviderWithdrew'],
+    ['ClaimExecuted'],
+    ['CompensationPaid']
+  ] : [];
+
+  useContractEvents(enabled ? sdk.contract : null, events, query.refresh);
+
+  return query;
+}
+
+// ==================== Provider 接入 ====================
+
+/**
+ * 通过工厂合约成为 Provider
+ *
+ * @param {Object} [options] - X402ProviderSimpleSDK.connect 参数（network、approval、wallet、rdns）
+ * @returns {{sdk, account, loading, error, progress, connect, becomeProvider, becomeProviders, getMyProviders}}
+ */
+function useX402Provider(options = {}) {
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  const [sdk, setSdk] = useState(null);
+  const [account, setAccount] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState({ step: 0, message: '' });
+
+  const connect = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const instance = await X402ProviderSimpleSDK.connect(optionsRef.current);
+      setSdk(instance);
+      setAccount(await instance.getAddress());
+      return instance;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // 钱包切换账户 / 网络后，已连接的实例失效
+  useWalletEvents(
+    sdk ? sdk.wallet : null,
+    async accounts => {
+      if (accounts.length === 0) {
+        setSdk(null);
+        setAccount(null);
+        return;
+      }
+      const signer = await new ethers.BrowserProvider(sdk.wallet).getSigner(accounts[0]);
+      const instance = new X402ProviderSimpleSDK(signer, optionsRef.current);
+      instance.wallet = sdk.wallet;
+      setSdk(instance);
+      setAccount(await signer.getAddress());
+    },
+    () => {
+      setSdk(null);
+      setAccount(null);
+    }
+  );
+
+  const run = useCallback(async action => {
+    if (!sdk) {
+      throw new Error('请先连接钱包');
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      return await action((step, message) => setProgress({ step, message }));
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+      setProgress({ step: 0, message: '' });
+    }
+  }, [sdk]);
+
+  const becomeProvider = useCallback(
+    (amount, callOptions) => run(onProgress => sdk.becomeProvider(amount, onProgress, callOptions)),
+    [run, sdk]
+  );
+
+  const becomeProviders = useCallback(
+    (amounts, callOptions) => run(onProgress => sdk.becomeProviders(amounts, onProgress, callOptions)),
+    [run, sdk]
+  );
+
+  const getMyProviders = useCallback(async () => {
+    if (!sdk) return [];
+    return await sdk.getMyProviders();
+  }, [sdk]);
+
+  return {
+    sdk,
+    account,
+    loading,
+    error,
+    progress,
+    connect,
+    becomeProvider,
+    becomeProviders,
+    getMyProviders
+  };
+}
+
+export {
+  InsuranceSDKProvider,
+  useInsuranceContext,
+  useInsuranceSDK,
+  useProviderInfo,
+  useClaim,
+  useGlobalStats,
+  useX402Provider
+};
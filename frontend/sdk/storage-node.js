@@ -0,0 +1,57 @@
+/**
+ * X402 SDK 文件存储（仅 Node.js）
+ * 与 storage.js 接口一致，数据写入单个 JSON 文件，进程重启后可恢复
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * 创建 JSON 文件存储
+ * @param {string} filePath - 存储文件路径，如 './.x402/state.json'
+ */
+function createFileStorage(filePath) {
+  let data = null;
+  let writing = Promise.resolve();
+
+  const load = async () => {
+    if (data) return data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      data = {};
+    }
+    return data;
+  };
+
+  // 串行写入，先写临时文件再重命名，避免进程中断导致文件损坏
+  const flush = () => {
+    writing = writing.then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+      await fs.rename(tmpPath, filePath);
+    });
+    return writing;
+  };
+
+  return {
+    async get(key) {
+      const store = await load();
+      return key in store ? store[key] : null;
+    },
+    async set(key, value) {
+      const store = await load();
+      store[key] = JSON.parse(JSON.stringify(value));
+      await flush();
+    },
+    async remove(key) {
+      const store = await load();
+      delete store[key];
+      await flush();
+    }
+  };
+}
+
+export { createFileStorage };
@@ -0,0 +1,60 @@
+/**
+ * X402 SDK 本地存储
+ * 统一的异步键值接口：浏览器使用 localStorage，其他环境退回内存
+ */
+
+/**
+ * 内存存储（页面刷新 / 进程重启后丢失）
+ */
+function createMemoryStorage() {
+  const data = new Map();
+
+  return {
+    async get(key) {
+      return data.has(key) ? JSON.parse(data.get(key)) : null;
+    },
+    async set(key, value) {
+      data.set(key, JSON.stringify(value));
+    },
+    async remove(key) {
+      data.delete(key);
+    }
+  };
+}
+
+/**
+ * localStorage 存储
+ * @param {Storage} [storage=window.localStorage]
+ */
+function createLocalStorage(storage = globalThis.localStorage) {
+  if (!storage) throw new Error('localStorage is not available');
+
+  return {
+    async get(key) {
+      const raw = storage.getItem(key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    async set(key, value) {
+      storage.setItem(key, JSON.stringify(value));
+    },
+    async remove(key) {
+      storage.removeItem(key);
+    }
+  };
+}
+
+/**
+ * 根据运行环境选择默认存储
+ */
+function createDefaultStorage() {
+  try {
+    if (typeof globalThis.localStorage !== 'undefined' && globalThis.localStorage) {
+      return createLocalStorage();
+    }
+  } catch {
+    // 部分浏览器隐私模式下访问 localStorage 会抛错
+  }
+  return createMemoryStorage();
+}
+
+export { createMemoryStorage, createLocalStorage, createDefaultStorage };
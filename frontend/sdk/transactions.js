@@ -0,0 +1,143 @@
+/**
+ * X402 交易生命周期
+ * 为SDK的每个写操作提供进度回调：等待签名 -> 已提交 -> 确认中 -> 已确认
+ */
+
+// 进度阶段
+const TxStage = {
+  SIMULATING: 'simulating',                 // 签名前 staticCall 预检
+  AWAITING_SIGNATURE: 'awaiting_signature', // 等待钱包签名
+  SUBMITTED: 'submitted',                   // 已广播
+  CONFIRMING: 'confirming',                 // 已上链，等待更多确认
+  CONFIRMED: 'confirmed',                   // 达到所需确认数
+  REPLACED: 'replaced',                     // 被加速（同一笔交易提高gas后重发）
+  CANCELLED: 'cancelled',                   // 被取消或替换为其他交易
+  FAILED: 'failed'                          // 签名被拒绝或交易回滚
+};
+
+/**
+ * 发送交易并报告每个阶段
+ *
+ * onProgress(stage, detail) 中 detail 包含：
+ * - action: 操作名称（如 'approve'、'registerProvider'）
+ * - hash: 交易哈希（提交后）
+ * - confirmations / required: 当前与所需确认数
+ * - receipt: 交易回执（确认后）
+ * - replacement: 替换交易哈希（REPLACED / CANCELLED）
+ * - error: 错误对象（FAILED / CANCELLED，经 mapError 转换后）
+ *
+ * @param {Object} params
+ * @param {string} params.action - 操作名称
+ * @param {Function} params.send - 发起交易的函数，返回 ethers TransactionResponse
+ * @param {Function} [params.simulate] - 签名前的预检（通常为 staticCall），失败则不弹出钱包
+ * @param {number} [params.confirmations=1] - 所需确认数
+ * @param {Function} [params.onProgress] - 进度回调
+ * @param {Function} [params.mapError] - 错误转换函数 async (error) => Error
+ * @returns {Promise<{hash: string, receipt: Object}>}
+ */
+async function sendTransaction({
+  action,
+  send,
+  simulate = null,
+  confirmations = 1,
+  onProgress = () => {},
+  mapError = async error => error
+}) {
+  const required = Math.max(1, Number(confirmations));
+  const report = (stage, detail = {}) => onProgress(stage, { action, required, ...detail });
+  const fail = async (rawError, detail = {}) => {
+    const error = await mapError(rawError);
+    report(TxStage.FAILED, { ...detail, error });
+    return error;
+  };
+
+  if (simulate) {
+    report(TxStage.SIMULATING);
+    try {
+      await simulate();
+    } catch (error) {
+      throw await fail(error);
+    }
+  }
+
+  report(TxStage.AWAITING_SIGNATURE);
+
+  let tx;
+  try {
+    tx = await send();
+  } catch (error) {
+    throw await fail(error);
+  }
+
+  report(TxStage.SUBMITTED, { hash: tx.hash });
+
+  let receipt;
+  let confirmed = 0;
+
+  while (confirmed < required) {
+    try {
+      receipt = await tx.wait(confirmed + 1);
+    } catch (error) {
+      if (error.code !== 'TRANSACTION_REPLACED') {
+        throw await fail(error, { hash: tx.hash });
+      }
+
+      const replacement = error.replacement;
+
+      if (error.cancelled) {
+        // 被取消或替换为内容不同的交易
+        const mapped = await mapError(error);
+        report(TxStage.CANCELLED, {
+          hash: tx.hash,
+          replacement: replacement && replacement.hash,
+          reason: error.reason,
+          error: mapped
+        });
+        throw mapped;
+      }
+
+      // 加速：同一笔交易以更高gas重发，继续跟踪新交易
+      report(TxStage.REPLACED, { hash: tx.hash, replacement: replacement.hash });
+      tx = replacement;
+      receipt = error.receipt;
+    }
+
+    confirmed = receipt ? await receipt.confirmations() : 0;
+
+    if (confirmed < required) {
+      report(TxStage.CONFIRMING, {
+        hash: tx.hash,
+        confirmations: confirmed,
+        blockNumber: receipt && receipt.blockNumber
+      });
+    }
+  }
+
+  report(TxStage.CONFIRMED, {
+    hash: tx.hash,
+    confirmations: confirmed,
+    blockNumber: receipt.blockNumber,
+    receipt
+  });
+
+  return { hash: tx.hash, receipt };
+}
+
+/**
+ * 合并多个进度回调
+ */
+function combineProgress(...callbacks) {
+  const listeners = callbacks.filter(Boolean);
+  return (stage, detail) => {
+    for (const listener of listeners) {
+      try {
+        listener(stage, detail);
+      } catch (error) {
+        // UI回调出错不应影响交易流程
+        console.error('onProgress callback failed:', error);
+      }
+    }
+  };
+}
+
+export { TxStage, sendTransaction, combineProgress };
@@ -26,6 +26,236 @@ export enum ProviderTier {
   GOLD = 3
 }
 
+// ==================== 网络配置 ====================
+
+export interface NetworkProfile {
+  name: string;                       // 如 'base-sepolia'
+  displayName: string;
+  chainId: number;
+  rpcUrl: string;
+  explorerUrl: string | null;
+  insuranceAddress: string | null;    // X402InsuranceV8
+  usdcAddress: string | null;
+  factoryAddress: string | null;      // ProviderFactory
+  deploymentTx?: string;              // V8 部署交易
+  startBlock?: number;                // 历史索引起始区块（缺省由 deploymentTx 推算）
+  nativeCurrency: {
+    name: string;
+    symbol: string;
+    decimals: number;
+  };
+}
+
+export interface SDKOptions {
+  network?: string | number | Partial<NetworkProfile>;
+  confirmations?: number;
+  onProgress?: TransactionProgressCallback;
+  history?: HistoryOptions;
+  executor?: ExecutorOptions;
+  approval?: ApprovalMode | ApprovalPolicy;
+}
+
+// ==================== 钱包连接 ====================
+
+export interface Eip1193Provider {
+  request(args: { method: string; params?: unknown[] | object }): Promise<any>;
+  on?(event: string, listener: (...args: any[]) => void): void;
+  removeListener?(event: string, listener: (...args: any[]) => void): void;
+}
+
+export interface DiscoveredWallet {
+  info: { uuid: string; name: string; icon: string; rdns: string };
+  provider: Eip1193Provider;
+}
+
+export interface ConnectOptions {
+  network?: string | number | Partial<NetworkProfile>;
+  signer?: any;                 // 现成的 ethers Signer
+  privateKey?: string;          // 服务端
+  wallet?: Eip1193Provider;     // 注入钱包、WalletConnect 等
+  rdns?: string;                // EIP-6963 钱包标识，如 'io.metamask'
+  rpcUrl?: string;              // 私钥连接时覆盖网络 RPC
+  switchChain?: boolean;        // 默认 true
+}
+
+export interface WalletConnection {
+  signer: any;
+  provider: any;
+  account: string;
+  network: NetworkProfile;
+  wallet: Eip1193Provider | null;
+}
+
+// ==================== USDC 授权 ====================
+
+export type ApprovalMode = 'exact' | 'buffered' | 'unlimited' | 'permit';
+
+export interface PermitSignature {
+  owner: string;
+  spender: string;
+  value: string;                // USDC 最小单位
+  deadline: number;             // unix 秒
+  v: number;
+  r: string;
+  s: string;
+}
+
+export interface ApprovalPolicy {
+  mode?: ApprovalMode;
+  buffer?: number;              // buffered 模式倍数，默认 2
+  permitDeadline?: number;      // permit 有效期（秒），默认 1800
+  relayPermit?: (permit: PermitSignature) => Promise<string>;  // 返回中继提交的交易哈希，permit 模式必填
+}
+
+// ==================== Provider 合约 ====================
+
+export type ProviderContractKind = 'simple' | 'automated';
+
+export interface ProviderContractStatus {
+  address: string;
+  kind: ProviderContractKind;
+  owner: string;
+  isOwner: boolean;
+  insuranceContract: string;
+  linked: boolean;              // 是否绑定当前网络的 V8 合约
+  idleBalance: string;          // 合约持有、未存入保险池的 USDC
+  insurance: FormattedProviderInfo;
+  autoRefill: {
+    threshold: string;
+    amount: string;
+    serviceValidator: string;
+  } | null;
+}
+
+export interface ProviderContractTxOptions extends TransactionOptions {
+  fund?: boolean;               // 合约余额不足时从 owner 钱包转入差额，默认 true
+}
+
+export interface CreatedProvider {
+  address: string;
+  initialDeposit: string;
+}
+
+export interface BatchProviderResult {
+  providers: CreatedProvider[];
+  totalDeposit: string;
+  txHashes: string[];
+  batched: boolean;             // false 表示旧版工厂，已逐个 createProvider
+  complete: boolean;            // false 表示逐个创建时中途失败，providers 只含已创建部分
+  error: Error | null;
+}
+
+export interface FactoryStats {
+  factoryAddress: string;
+  totalProviders: number;
+  totalUsers: number | null;    // 工厂没有 totalUsers() 时为 null
+  myProviders: number;
+}
+
+// ==================== 自动执行 ====================
+
+export type ExecutionOutcome = 'executed' | 'disputed' | 'rejected' | 'not_found' | 'failed';
+
+export interface ExecutorOptions {
+  storage?: KeyValueStorage;    // Node 可用 storage-node.js 的 createFileStorage
+  pollInterval?: number;        // 秒
+  margin?: number;              // 秒
+  maxAttempts?: number;
+  onEvent?: (type: 'scheduled' | 'executing' | 'storage_error' | ExecutionOutcome, detail: any) => void;
+}
+
+export interface ExecutionResult {
+  commitment: string;
+  outcome: ExecutionOutcome | 'cancelled' | 'stopped';
+  txHash?: string | null;
+  error?: X402InsuranceError;
+}
+
+// ==================== 历史索引 ====================
+
+export interface KeyValueStorage {
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+  remove(key: string): Promise<void>;
+}
+
+export interface HistoryOptions {
+  storage?: KeyValueStorage;
+  chunkSize?: number;
+  startBlock?: number;
+  reorgDepth?: number;
+  shardSize?: number;           // 每个存储键保存的事件数，默认 500
+  maxEvents?: number;           // 本地最多保留的事件数，默认 20000
+}
+
+export interface HistoryQueryOptions {
+  page?: number;
+  pageSize?: number;
+  sync?: boolean;               // 查询前是否增量同步，默认 true
+}
+
+export interface IndexedEvent {
+  name: string;
+  blockNumber: number;
+  transactionHash: string;
+  logIndex: number;
+  commitment?: string;
+  client?: string;
+  provider?: string;
+  amount?: string;
+  paidAmount?: string;
+  pendingAmount?: string;
+  totalCompensated?: string;
+  claimsProcessed?: number;
+}
+
+export interface IndexedClaim {
+  commitment: string;
+  client: string;
+  provider: string;
+  requestedAmount: string;
+  paidAmount: string;
+  pendingAmount: string;
+  compensatedAmount: string;
+  status: ClaimStatus;          // 由事件推算
+  initiatedBlock: number;
+  transactionHash: string;
+  timeline: IndexedEvent[];
+}
+
+// ==================== 交易生命周期 ====================
+
+export type TxStage =
+  | 'simulating'
+  | 'awaiting_signature'
+  | 'submitted'
+  | 'confirming'
+  | 'confirmed'
+  | 'replaced'
+  | 'cancelled'
+  | 'failed';
+
+export interface TransactionProgress {
+  action: string;               // 'approve' | 'permit' | 'registerProvider' | 'initiateClaim' ...
+  required: number;             // 所需确认数
+  hash?: string;
+  confirmations?: number;
+  blockNumber?: number;
+  receipt?: any;
+  replacement?: string;         // 替换交易哈希
+  reason?: string;              // 'cancelled' | 'replaced'
+  error?: any;
+}
+
+export type TransactionProgressCallback = (stage: TxStage, detail: TransactionProgress) => void;
+
+export interface TransactionOptions {
+  onProgress?: TransactionProgressCallback;
+  confirmations?: number;
+  simulate?: boolean;           // 签名前 staticCall 预检，默认 true
+  approval?: ApprovalMode | ApprovalPolicy;  // 覆盖构造参数的授权策略
+}
+
 // ==================== 数据结构 ====================
 
 export interface ProviderData {
@@ -159,10 +389,22 @@ export interface RegisterProviderParams {
   amount: BigNumberish;
 }
 
+export interface PaymentReceipt {
+  method: string;                // HTTP 方法
+  path: string;                  // 请求路径（pathname + search）
+  payment: string;               // X-PAYMENT 头或规范化的支付 JSON
+  payTo: string;                 // 收款地址（Provider）
+  amount: string;                // USDC 最小单位
+  nonce: string;
+  commitment: string;            // keccak256(abi.encode(method, path, payment, payTo, amount, nonce))
+  createdAt: string;
+}
+
 export interface InitiateClaimParams {
-  commitment?: string;           // 可选，不提供则自动生成
-  provider: string;
-  amount: BigNumberish;
+  receipt?: Partial<PaymentReceipt>;  // 用于派生 commitment
+  commitment?: string;                // 与 receipt 二选一
+  provider?: string;                  // 缺省为 receipt.payTo
+  amount?: BigNumberish;              // 缺省为 receipt.amount
   reason: ClaimReason;
 }
 
@@ -216,6 +458,59 @@ export class InsuranceError extends Error {
   }
 }
 
+export type X402ErrorCode =
+  | 'INVALID_USDC_ADDRESS'
+  | 'INSUFFICIENT_INITIAL_DEPOSIT'
+  | 'EXCEEDS_MAX_POOL_BALANCE'
+  | 'TRANSFER_FAILED'
+  | 'PROVIDER_NOT_ACTIVE'
+  | 'INSUFFICIENT_AVAILABLE_BALANCE'
+  | 'BELOW_MINIMUM_BALANCE'
+  | 'HAS_ACTIVE_CLAIMS'
+  | 'INVALID_CLAIM_AMOUNT'
+  | 'CLAIM_ALREADY_EXISTS'
+  | 'CLAIM_NOT_FOUND'
+  | 'INVALID_CLAIM_STATUS'
+  | 'STILL_IN_DISPUTE_PERIOD'
+  | 'NOT_THE_PROVIDER'
+  | 'CANNOT_DISPUTE'
+  | 'DISPUTE_PERIOD_ENDED'
+  | 'COMPENSATION_TRANSFER_FAILED'
+  | 'NOT_OWNER'
+  | 'INVALID_NEW_OWNER'
+  | 'APPROVE_FAILED'
+  | 'INSUFFICIENT_ALLOWANCE'
+  | 'PERMIT_RELAY_REQUIRED'
+  | 'INSUFFICIENT_USDC_BALANCE'
+  | 'USER_REJECTED'
+  | 'TRANSACTION_CANCELLED'
+  | 'INSUFFICIENT_GAS_FUNDS'
+  | 'WALLET_NOT_CONNECTED'
+  | 'NETWORK_ERROR'
+  | 'UNKNOWN';
+
+// SDK (frontend/sdk/errors.js) 抛出的错误
+export interface X402InsuranceError extends Error {
+  name: 'X402InsuranceError';
+  code: X402ErrorCode;
+  reason: string | null;          // 合约原始回滚信息
+  context: {
+    action?: string;
+    minPoolBalance?: string;
+    maxPoolBalance?: string;
+    minClaimAmount?: string;
+    maxClaimAmount?: string;
+    disputeDeadline?: Date;
+    remainingSeconds?: number;
+    poolBalance?: string;
+    availableBalance?: string;
+    maxWithdrawable?: string;
+    status?: ClaimStatus;
+    [key: string]: any;
+  };
+  cause: any;
+}
+
 export interface TransactionError {
   reason?: string;
   code?: string;
@@ -264,6 +559,7 @@ export interface UseInsuranceReturn {
   // 查询功能
   getProviderInfo: (address: string) => Promise<FormattedProviderInfo>;
   getClaimInfo: (commitment: string) => Promise<FormattedClaimInfo>;
+  getExecutionState: (commitment: string) => Promise<{ executed: boolean; transactionHash: string | null }>;
   getPendingCompensations: (provider: string) => Promise<FormattedPendingCompensations>;
   getGlobalStats: () => Promise<FormattedGlobalStats>;
   canAcceptService: (provider: string, amount: string) => Promise<ServiceCapacity>;
@@ -272,4 +568,53 @@ export interface UseInsuranceReturn {
   connect: () => Promise<void>;
   disconnect: () => void;
   switchNetwork: () => Promise<void>;
-}
\ No newline at end of file
+}
+// frontend/sdk/react.js
+
+export interface UseInsuranceSDKReturn {
+  sdk: any;                     // X402InsuranceSDK，未连接时为只读实例
+  account: string | null;
+  chainId: number | null;
+  network: NetworkProfile;
+  isConnected: boolean;
+  wrongNetwork: boolean;
+  connecting: boolean;
+  error: Error | null;
+  connect: () => Promise<any>;
+  disconnect: () => void;
+}
+
+export interface HookQueryOptions {
+  sdk?: any;                    // 缺省使用 InsuranceSDKProvider
+  pollInterval?: number;        // 毫秒，0 表示只靠事件刷新
+}
+
+export interface UseQueryReturn<T> {
+  data: T | null;
+  loading: boolean;
+  error: Error | null;
+  refresh: () => Promise<T | null>;
+}
+
+export interface UseClaimReturn {
+  claim: FormattedClaimInfo | null;
+  executed: boolean;            // 已有 ClaimExecuted 事件（PARTIAL 索赔据此避免重复执行）
+  loading: boolean;
+  error: Error | null;
+  refresh: () => Promise<FormattedClaimInfo | null>;
+  remainingSeconds: number;     // 争议期剩余秒数
+  canExecute: boolean;
+  canDispute: boolean;
+}
+
+export interface UseX402ProviderReturn {
+  sdk: any;                     // X402ProviderSimpleSDK
+  account: string | null;
+  loading: boolean;
+  error: string | null;
+  progress: { step: number; message: string };
+  connect: () => Promise<any>;
+  becomeProvider: (amount: string, options?: { approval?: ApprovalMode | ApprovalPolicy }) => Promise<CreatedProvider>;
+  becomeProviders: (amounts: string[], options?: { approval?: ApprovalMode | ApprovalPolicy }) => Promise<BatchProviderResult>;
+  getMyProviders: () => Promise<string[]>;
+}
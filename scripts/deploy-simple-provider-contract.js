@@ -21,10 +21,7 @@ const USDC_ABI = [
 ];
 
 // Insurance ABI
-const INSURANCE_ABI = [
-  'function getProviderInfo(address provider) view returns (bool isActive, uint256 poolBalance, uint256 totalLocked, uint256 successfulServices, uint256 failedServices, uint8 tier, uint256 registeredAt)',
-  'function initiateClaim(bytes32 commitment, address provider, uint256 amount, uint8 reason)'
-];
+const { abi: INSURANCE_ABI } = require('../frontend/abi/X402InsuranceV8.json');
 
 async function main() {
   console.log('========================================');
@@ -70,6 +70,7 @@ async function main() {
 
     await contract.waitForDeployment();
     const contractAddress = await contract.getAddress();
+    const receipt = await contract.deploymentTransaction().wait();
 
     console.log('');
     console.log('✅ 合约部署成功！');
@@ -85,6 +86,7 @@ async function main() {
         usdcToken: BASE_SEPOLIA_CONFIG.usdc,
         deployedAt: new Date().toISOString(),
         transactionHash: contract.deploymentTransaction().hash,
+        blockNumber: receipt.blockNumber,   // 事件索引的起始区块
         features: [
             '比例赔付机制 - 资金不足时按比例支付',
             '延迟补偿系统 - 记录未付部分待后续补偿',
@@ -10,12 +10,7 @@ const USDC_ADDRESS = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
 const RPC_URL = 'https://sepolia.base.org';
 
 // ABI
-const INSURANCE_ABI = [
-  'function registerOrReactivate(uint256 amount)',
-  'function getProviderInfo(address provider) view returns (bool isActive, uint256 poolBalance, uint256 totalLocked, uint256 successfulServices, uint256 failedServices, uint8 tier, uint256 registeredAt)',
-  'function initiateClaim(bytes32 commitment, address provider, uint256 amount, uint8 reason)',
-  'function usdcToken() view returns (address)'
-];
+const { abi: INSURANCE_ABI } = require('../frontend/abi/X402InsuranceV8.json');
 
 const USDC_ABI = [
   'function approve(address spender, uint256 amount) returns (bool)',
@@ -18,12 +18,7 @@ const RPC_URL = 'https://sepolia.base.org';
 const PROVIDER_ADDRESS = '0xBfED0E16A8E77b78e05BB1cb16aE2c047efB606d'; // 刚刚创建的 Provider
 
 // ABIs
-const INSURANCE_ABI = [
-  'function initiateClaim(bytes32 commitment, address provider, uint256 amount, uint8 reason)',
-  'function executeClaim(bytes32 commitment)',
-  'function getClaimInfo(bytes32 commitment) view returns (address client, address provider, uint256 amount, uint256 initiatedAt, uint256 executedAt, uint256 paidAmount, uint256 pendingAmount, uint8 status, uint8 reason)',
-  'function getProviderInfo(address provider) view returns (bool isActive, uint256 poolBalance, uint256 totalLocked, uint256 successfulServices, uint256 failedServices, uint8 tier, uint256 registeredAt)'
-];
+const { abi: INSURANCE_ABI } = require('../frontend/abi/X402InsuranceV8.json');
 
 const USDC_ABI = [
   'function balanceOf(address owner) view returns (uint256)'
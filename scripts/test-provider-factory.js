@@ -25,9 +25,7 @@ const USDC_ABI = [
   'function allowance(address owner, address spender) view returns (uint256)'
 ];
 
-const INSURANCE_ABI = [
-  'function getProviderInfo(address provider) view returns (bool isActive, uint256 poolBalance, uint256 totalLocked, uint256 successfulServices, uint256 failedServices, uint8 tier, uint256 registeredAt)'
-];
+const { abi: INSURANCE_ABI } = require('../frontend/abi/X402InsuranceV8.json');
 
 async function main() {
   console.log('========================================');
@@ -26,12 +26,7 @@ const PROVIDER_ABI = [
   'function owner() view returns (address)'
 ];
 
-const INSURANCE_ABI = [
-  'function initiateClaim(bytes32 commitment, address provider, uint256 amount, uint8 reason)',
-  'function executeClaim(bytes32 commitment)',
-  'function getClaimInfo(bytes32 commitment) view returns (address client, address provider, uint256 amount, uint256 initiatedAt, uint256 executedAt, uint256 paidAmount, uint256 pendingAmount, uint8 status, uint8 reason)',
-  'function getProviderInfo(address provider) view returns (bool isActive, uint256 poolBalance, uint256 totalLocked, uint256 successfulServices, uint256 failedServices, uint8 tier, uint256 registeredAt)'
-];
+const { abi: INSURANCE_ABI } = require('../frontend/abi/X402InsuranceV8.json');
 
 const USDC_ABI = [
   'function approve(address spender, uint256 amount) returns (bool)',
@@ -192,7 +187,7 @@ async function main() {
   const claimInfo = await insurance.getClaimInfo(newCommitment);
   console.log('   已支付金额:', ethers.formatUnits(claimInfo.paidAmount, 6), 'USDC');
   console.log('   待补偿金额:', ethers.formatUnits(claimInfo.pendingAmount, 6), 'USDC');
-  console.log('   状态:', ['PENDING', 'EXECUTED', 'DISPUTED'][Number(claimInfo.status)]);
+  console.log('   状态:', ['INITIATED', 'DISPUTED', 'EXECUTED', 'REJECTED', 'PARTIAL'][Number(claimInfo.status)]);
   console.log('');
 
   // 记录执行后的客户余额
@@ -15,12 +15,7 @@ const BASE_SEPOLIA_CONFIG = {
 const INSURANCE_V8_ADDRESS = '0x72486eF40BB3729298369d608de85c612adb223e';
 
 // V8 ABI
-const V8_ABI = [
-    'function registerOrReactivate(uint256 amount)',
-    'function getProviderInfo(address provider) view returns (bool isActive, uint256 poolBalance, uint256 totalLocked, uint256 successfulServices, uint256 failedServices, uint8 tier, uint256 registeredAt)',
-    'function MIN_POOL_BALANCE() view returns (uint256)',
-    'function owner() view returns (address)'
-];
+const { abi: V8_ABI } = require('../frontend/abi/X402InsuranceV8.json');
 
 // USDC ABI
 const USDC_ABI = [
@@ -15,18 +15,7 @@ const BASE_SEPOLIA_CONFIG = {
 const INSURANCE_V8_ADDRESS = '0x72486eF40BB3729298369d608de85c612adb223e';
 
 // V8 ABI
-const V8_ABI = [
-    'function initiateClaim(bytes32 commitment, address provider, uint256 amount, uint8 reason)',
-    'function executeClaim(bytes32 commitment)',
-    'function disputeClaim(bytes32 commitment, string memory evidence)',
-    'function getProviderInfo(address provider) view returns (bool isActive, uint256 poolBalance, uint256 totalLocked, uint256 successfulServices, uint256 failedServices, uint8 tier, uint256 registeredAt)',
-    'function getClaimInfo(bytes32 commitment) view returns (address client, address provider, uint256 requestedAmount, uint256 paidAmount, uint256 pendingAmount, uint256 initiatedAt, uint256 disputeDeadline, uint8 reason, uint8 status)',
-    'function getProviderPendingCompensations(address provider) view returns (bytes32[] memory commitments, uint256[] memory amounts, uint256 totalAmount)',
-    'function totalProviderPools() view returns (uint256)',
-    'function emergencyPool() view returns (uint256)',
-    'function platformInsuranceFund() view returns (uint256)',
-    'function totalPendingCompensations() view returns (uint256)'
-];
+const { abi: V8_ABI } = require('../frontend/abi/X402InsuranceV8.json');
 
 function formatUsdc(amount) {
     return ethers.formatUnits(amount, 6);
@@ -1,59 +1,99 @@
 /**
- * Claim Processing and Monitoring Service
+ * Claim Processing and Monitoring Service (X402InsuranceV8)
  *
  * This service handles:
- * - Zero-gas claim processing (meta-transactions)
- * - Automatic unlocking of expired locks
- * - System health monitoring
+ * - Relayed claim execution (clients initiate, the relayer pays gas to execute
+ *   once the dispute period has passed)
+ * - Automatic execution of claims whose dispute period expired
+ * - System health monitoring, including pending (deferred) compensations
  * - Alert notifications
+ *
+ * Claims and providers are read from the V8 event index (see v8-event-indexer.ts).
  */
 
 import { ethers } from 'ethers';
 import express from 'express';
 import dotenv from 'dotenv';
-import X402InsuranceV3ABI from '../abi/X402InsuranceV3.json';
+import { createV8Indexer, V8EventIndexer } from './v8-event-indexer';
+import {
+  resolveInsuranceConfig,
+  readProviderStatus,
+  successRate,
+  INSURANCE_ABIS,
+  V8_CLAIM_STATUS
+} from './x402-insurance-compat';
 
 dotenv.config();
 
 // ============ Types ============
 
-interface ClaimRequest {
-  commitment: string;
-  client: string;
-  amount: string;
-  deadline: number;
-  v: number;
-  r: string;
-  s: string;
+type ClaimStatusName = typeof V8_CLAIM_STATUS[number];
+
+interface ClaimCheck {
+  success: boolean;
+  status?: ClaimStatusName;
+  shouldExecute: boolean;
+  timeRemaining?: number;
+  requestedAmount?: string;
+  paidAmount?: string;
+  pendingAmount?: string;
+  error?: string;
 }
 
 interface MonitoringStats {
   totalPoolBalance: string;
   totalLockedBalance: string;
+  emergencyPool: string;
+  platformInsuranceFund: string;
+  totalPendingCompensations: string;
   activeProviders: number;
+  totalClaimsInitiated: number;
+  totalClaimsExecuted: number;
   totalTransactions: number;
   totalFailures: number;
   failureRate: number;
-  platformRevenue: string;
-  pendingUnlocks: number;
+  pendingExecutions: number;
+  indexed: boolean;              // false: provider figures unavailable until the index has synced
   criticalProviders: string[];
   warningProviders: string[];
 }
 
+// Provider thresholds (USDC base units)
+const CRITICAL_POOL_BALANCE = 10n * 10n ** 6n;   // V8 MIN_POOL_BALANCE
+const WARNING_POOL_BALANCE = 50n * 10n ** 6n;
+
 // ============ Claim Service Class ============
 
 export class ClaimAndMonitorService {
   private provider: ethers.JsonRpcProvider;
   private signer: ethers.Wallet;
   private insuranceContract: ethers.Contract;
+  readonly indexer: V8EventIndexer;
   private isMonitoring: boolean = false;
   private monitoringInterval?: NodeJS.Timeout;
-  private unlockInterval?: NodeJS.Timeout;
+  private executeInterval?: NodeJS.Timeout;
+  private executing = new Set<string>();
 
-  constructor() {
-    // Initialize provider
+  /**
+   * Resolve the contract (INSURANCE_VERSION / INSURANCE_V8_ADDRESS / deployments) and create the service.
+   * Only V8 is supported: V3 claim locking and meta-claims do not exist on V8.
+   */
+  static async create(options: { indexer?: V8EventIndexer } = {}): Promise<ClaimAndMonitorService> {
     const rpcUrl = process.env.BASE_SEPOLIA_RPC_URL || 'https://sepolia.base.org';
-    this.provider = new ethers.JsonRpcProvider(rpcUrl);
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+
+    const config = await resolveInsuranceConfig(provider);
+    if (config.version !== 'v8') {
+      throw new Error(`Claim & Monitor Service requires X402InsuranceV8, ${config.address} is ${config.version}`);
+    }
+
+    const indexer = options.indexer || createV8Indexer(provider, { contractAddress: config.address });
+    return new ClaimAndMonitorService(provider, config.address, indexer);
+  }
+
+  constructor(provider: ethers.JsonRpcProvider, insuranceAddress: string, indexer: V8EventIndexer) {
+    this.provider = provider;
+    this.indexer = indexer;
 
     // Initialize signer (relayer wallet)
     if (!process.env.RELAYER_PRIVATE_KEY) {
@@ -61,216 +101,210 @@ export class ClaimAndMonitorService {
     }
     this.signer = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, this.provider);
 
-    // Initialize insurance contract
-    if (!process.env.INSURANCE_V3_ADDRESS) {
-      throw new Error('INSURANCE_V3_ADDRESS not configured');
-    }
-    this.insuranceContract = new ethers.Contract(
-      process.env.INSURANCE_V3_ADDRESS,
-      X402InsuranceV3ABI.abi,
-      this.signer
-    );
+    this.insuranceContract = new ethers.Contract(insuranceAddress, INSURANCE_ABIS.v8, this.signer);
 
     console.log(`Claim & Monitor Service initialized`);
+    console.log(`Insurance contract (V8): ${insuranceAddress}`);
     console.log(`Relayer address: ${this.signer.address}`);
   }
 
   // ============ Claim Processing ============
 
   /**
-   * Process meta-transaction claim (zero gas for client)
+   * Check whether a claim can be executed now
+   *
+   * executeClaim accepts INITIATED and PARTIAL claims, but a PARTIAL claim stays PARTIAL
+   * after execution and executing it again pays paidAmount a second time. PARTIAL claims
+   * are therefore only executable when the index shows no ClaimExecuted for them.
    */
-  async processMetaClaim(request: ClaimRequest): Promise<{
-    success: boolean;
-    transactionHash?: string;
-    refundAmount?: string;
-    error?: string;
-  }> {
+  async checkClaim(commitment: string, clientAddress?: string): Promise<ClaimCheck> {
     try {
-      console.log(`Processing claim for commitment: ${request.commitment}`);
-
-      // Verify claim is valid
-      const claimDetails = await this.insuranceContract.getClaimDetails(request.commitment);
+      const claim = await this.insuranceContract.getClaimInfo(commitment);
 
-      if (claimDetails.status !== 1) { // 1 = Locked
-        return {
-          success: false,
-          error: 'Claim is not in locked status'
-        };
+      if (Number(claim.initiatedAt) === 0) {
+        return { success: false, shouldExecute: false, error: 'Claim not found' };
       }
 
-      if (claimDetails.client.toLowerCase() !== request.client.toLowerCase()) {
-        return {
-          success: false,
-          error: 'Client address mismatch'
-        };
+      if (clientAddress && claim.client.toLowerCase() !== clientAddress.toLowerCase()) {
+        return { success: false, shouldExecute: false, error: 'Not your claim' };
       }
 
-      const currentTime = Math.floor(Date.now() / 1000);
-      if (currentTime < Number(claimDetails.unlockAt)) {
-        return {
-          success: false,
-          error: 'Lock period not expired'
-        };
-      }
-
-      // Execute meta-claim
-      const tx = await this.insuranceContract.metaClaimInsurance(
-        request.commitment,
-        request.client,
-        request.amount,
-        request.deadline,
-        request.v,
-        request.r,
-        request.s
-      );
+      const status = V8_CLAIM_STATUS[Number(claim.status)];
+      const result: ClaimCheck = {
+        success: true,
+        status,
+        shouldExecute: false,
+        requestedAmount: ethers.formatUnits(claim.requestedAmount, 6),
+        paidAmount: ethers.formatUnits(claim.paidAmount, 6),
+        pendingAmount: ethers.formatUnits(claim.pendingAmount, 6)
+      };
 
-      const receipt = await tx.wait();
+      if (status === 'PARTIAL') {
+        if (await this.wasExecuted(commitment)) {
+          // Remaining amount is paid by automatic compensation when the provider deposits
+          return result;
+        }
+      } else if (status !== 'INITIATED') {
+        return result;
+      }
 
-      console.log(`✅ Claim processed: ${receipt.hash}`);
-      console.log(`   Refund: ${ethers.formatUnits(request.amount, 6)} USDC to ${request.client}`);
+      const currentTime = Math.floor(Date.now() / 1000);
+      const deadline = Number(claim.disputeDeadline);
 
-      return {
-        success: true,
-        transactionHash: receipt.hash,
-        refundAmount: ethers.formatUnits(request.amount, 6)
-      };
+      if (currentTime > deadline) {
+        result.shouldExecute = true;
+      } else {
+        result.timeRemaining = deadline - currentTime + 1;
+      }
+      return result;
 
     } catch (error: any) {
-      console.error('Claim processing failed:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+      return { success: false, shouldExecute: false, error: error.message };
     }
   }
 
   /**
-   * Process direct claim (client pays gas)
+   * Whether ClaimExecuted was emitted for a claim (unknown counts as executed).
+   * The index stops `confirmations` blocks behind head, so the remaining blocks are queried directly.
+   */
+  private async wasExecuted(commitment: string): Promise<boolean> {
+    const indexed = this.indexer.ready ? this.indexer.getClaim(commitment) : null;
+    if (!indexed) return true;
+    if (indexed.paidAmount !== null) return true;
+
+    const checkpoint = this.indexer.getStatus().checkpoint!;
+    const recent = await this.insuranceContract.queryFilter(
+      this.insuranceContract.filters.ClaimExecuted(commitment),
+      checkpoint + 1,
+      'latest'
+    );
+    return recent.length > 0;
+  }
+
+  /**
+   * Execute a claim on the client's behalf (relayer pays gas, funds go to the claim's client)
    */
-  async processDirectClaim(commitment: string, clientAddress: string): Promise<{
+  async executeClaimFor(commitment: string): Promise<{
     success: boolean;
-    shouldClaim: boolean;
-    timeRemaining?: number;
+    transactionHash?: string;
+    paidAmount?: string;
+    pendingAmount?: string;
     error?: string;
   }> {
+    const key = commitment.toLowerCase();
+    if (this.executing.has(key)) {
+      return { success: false, error: 'Claim execution already in progress' };
+    }
+    this.executing.add(key);
+
     try {
-      const claimDetails = await this.insuranceContract.getClaimDetails(commitment);
+      console.log(`Executing claim for commitment: ${commitment}`);
 
-      if (claimDetails.status !== 1) {
-        return {
-          success: false,
-          shouldClaim: false,
-          error: 'Not in locked status'
-        };
+      const check = await this.checkClaim(commitment);
+      if (!check.success) {
+        return { success: false, error: check.error };
       }
-
-      if (claimDetails.client.toLowerCase() !== clientAddress.toLowerCase()) {
+      if (!check.shouldExecute) {
         return {
           success: false,
-          shouldClaim: false,
-          error: 'Not your claim'
+          error: check.timeRemaining !== undefined ?
+            `Dispute period ends in ${check.timeRemaining}s` :
+            `Claim is ${check.status}, nothing to execute`
         };
       }
 
-      const currentTime = Math.floor(Date.now() / 1000);
-      const unlockTime = Number(claimDetails.unlockAt);
+      const tx = await this.insuranceContract.executeClaim(commitment);
+      const receipt = await tx.wait();
 
-      if (currentTime >= unlockTime) {
-        return {
-          success: true,
-          shouldClaim: true
-        };
-      } else {
-        return {
-          success: true,
-          shouldClaim: false,
-          timeRemaining: unlockTime - currentTime
-        };
+      const claim = await this.insuranceContract.getClaimInfo(commitment);
+      console.log(`✅ Claim executed: ${receipt.hash}`);
+      console.log(`   Paid: ${ethers.formatUnits(claim.paidAmount, 6)} USDC to ${claim.client}`);
+      if (claim.pendingAmount > 0n) {
+        console.log(`   Pending compensation: ${ethers.formatUnits(claim.pendingAmount, 6)} USDC`);
       }
 
+      return {
+        success: true,
+        transactionHash: receipt.hash,
+        paidAmount: ethers.formatUnits(claim.paidAmount, 6),
+        pendingAmount: ethers.formatUnits(claim.pendingAmount, 6)
+      };
+
     } catch (error: any) {
+      console.error('Claim execution failed:', error);
       return {
         success: false,
-        shouldClaim: false,
         error: error.message
       };
+    } finally {
+      this.executing.delete(key);
     }
   }
 
-  // ============ Auto Unlock Service ============
+  // ============ Auto Execute Service ============
 
   /**
-   * Start automatic unlock service
+   * Start automatic execution of claims whose dispute period has passed
    */
-  startAutoUnlockService(intervalMinutes: number = 60) {
-    if (this.unlockInterval) {
-      clearInterval(this.unlockInterval);
+  startAutoExecuteService(intervalMinutes: number = 5) {
+    if (this.executeInterval) {
+      clearInterval(this.executeInterval);
     }
 
-    console.log(`Starting auto-unlock service (every ${intervalMinutes} minutes)`);
+    console.log(`Starting auto-execute service (every ${intervalMinutes} minutes)`);
+    this.indexer.start();
 
-    const checkAndUnlock = async () => {
+    const checkAndExecute = async () => {
       try {
-        console.log('Checking for expired locks...');
-
-        // Get recent InsuranceLocked events
-        const filter = this.insuranceContract.filters.InsuranceLocked();
-        const events = await this.insuranceContract.queryFilter(filter, -5000); // Last 5000 blocks
-
-        let unlockedCount = 0;
-        const currentTime = Math.floor(Date.now() / 1000);
-
-        for (const event of events) {
-          if (!event.args) continue;
-
-          const commitment = event.args[0];
-          const unlockAt = Number(event.args[4]);
-
-          // Check if should auto-unlock (48 hours after lock period)
-          if (currentTime >= unlockAt + (24 * 60 * 60)) {
-            try {
-              const claimDetails = await this.insuranceContract.getClaimDetails(commitment);
-
-              if (claimDetails.status === 1) { // Still locked
-                console.log(`Auto-unlocking commitment: ${commitment}`);
-                const tx = await this.insuranceContract.autoUnlock(commitment);
-                await tx.wait();
-                unlockedCount++;
-                console.log(`✅ Auto-unlocked: ${commitment}`);
-              }
-            } catch (error) {
-              console.error(`Failed to auto-unlock ${commitment}:`, error);
-            }
+        if (!this.indexer.ready) {
+          console.log('Claim index not synced yet, skipping auto-execute');
+          return;
+        }
+
+        console.log('Checking for executable claims...');
+
+        // Claims without a ClaimExecuted event
+        const candidates = this.indexer.listClaims({ status: 'initiated' });
+        let executedCount = 0;
+
+        for (const claim of candidates) {
+          const check = await this.checkClaim(claim.commitment);
+          if (!check.shouldExecute) continue;
+
+          const result = await this.executeClaimFor(claim.commitment);
+          if (result.success) {
+            executedCount++;
+          } else {
+            console.error(`Failed to execute ${claim.commitment}: ${result.error}`);
           }
         }
 
-        if (unlockedCount > 0) {
-          console.log(`✅ Auto-unlocked ${unlockedCount} expired locks`);
+        if (executedCount > 0) {
+          console.log(`✅ Executed ${executedCount} claims`);
         } else {
-          console.log('No expired locks found');
+          console.log('No executable claims found');
         }
 
       } catch (error) {
-        console.error('Auto-unlock service error:', error);
+        console.error('Auto-execute service error:', error);
       }
     };
 
     // Run immediately
-    checkAndUnlock();
+    checkAndExecute();
 
     // Then run periodically
-    this.unlockInterval = setInterval(checkAndUnlock, intervalMinutes * 60 * 1000);
+    this.executeInterval = setInterval(checkAndExecute, intervalMinutes * 60 * 1000);
   }
 
   /**
-   * Stop auto-unlock service
+   * Stop auto-execute service
    */
-  stopAutoUnlockService() {
-    if (this.unlockInterval) {
-      clearInterval(this.unlockInterval);
-      this.unlockInterval = undefined;
-      console.log('Auto-unlock service stopped');
+  stopAutoExecuteService() {
+    if (this.executeInterval) {
+      clearInterval(this.executeInterval);
+      this.executeInterval = undefined;
+      console.log('Auto-execute service stopped');
     }
   }
 
@@ -286,6 +320,7 @@ export class ClaimAndMonitorService {
     }
 
     this.isMonitoring = true;
+    this.indexer.start();
     console.log(`Starting monitoring service (every ${intervalMinutes} minutes)`);
 
     const monitor = async () => {
@@ -317,67 +352,67 @@ export class ClaimAndMonitorService {
   }
 
   /**
-   * Get system statistics
+   * Get system statistics (contract totals plus per-provider figures from the index)
    */
   async getSystemStats(): Promise<MonitoringStats> {
     try {
-      // Get platform stats from contract
-      const platformStats = await this.insuranceContract.getPlatformStats();
-
-      // Get provider warnings
-      const filter = this.insuranceContract.filters.ProviderWarning();
-      const recentWarnings = await this.insuranceContract.queryFilter(filter, -1000);
-
-      const criticalProviders: Set<string> = new Set();
-      const warningProviders: Set<string> = new Set();
-
-      for (const event of recentWarnings) {
-        if (!event.args) continue;
-        const [provider, , level] = event.args;
-
-        if (level === 'CRITICAL') {
-          criticalProviders.add(provider);
-        } else if (level === 'WARNING') {
-          warningProviders.add(provider);
+      const [
+        totalProviderPools,
+        emergencyPool,
+        platformInsuranceFund,
+        totalPendingCompensations,
+        totalClaimsInitiated,
+        totalClaimsExecuted
+      ] = await Promise.all([
+        this.insuranceContract.totalProviderPools(),
+        this.insuranceContract.emergencyPool(),
+        this.insuranceContract.platformInsuranceFund(),
+        this.insuranceContract.totalPendingCompensations(),
+        this.insuranceContract.totalClaimsInitiated(),
+        this.insuranceContract.totalClaimsExecuted()
+      ]);
+
+      const indexed = this.indexer.ready;
+      const providers = indexed ? this.indexer.listProviders().filter(p => p.isActive) : [];
+
+      const criticalProviders: string[] = [];
+      const warningProviders: string[] = [];
+      let totalLocked = 0n;
+      let totalSuccess = 0;
+      let totalFailures = 0;
+
+      for (const provider of providers) {
+        const poolBalance = BigInt(provider.poolBalance);
+        totalLocked += BigInt(provider.totalLocked);
+        totalSuccess += provider.successfulServices;
+        totalFailures += provider.failedServices;
+
+        if (poolBalance < CRITICAL_POOL_BALANCE) {
+          criticalProviders.push(provider.address);
+        } else if (poolBalance < WARNING_POOL_BALANCE || provider.pendingCompensations.count > 0) {
+          warningProviders.push(provider.address);
         }
       }
 
-      // Calculate failure rate
-      const totalTx = Number(platformStats.totalTransactions);
-      const totalFailures = Number(platformStats.totalFailures);
-      const failureRate = totalTx > 0 ? (totalFailures / totalTx) * 100 : 0;
-
-      // Count pending unlocks
-      const lockedFilter = this.insuranceContract.filters.InsuranceLocked();
-      const lockedEvents = await this.insuranceContract.queryFilter(lockedFilter, -5000);
-
-      let pendingUnlocks = 0;
-      const currentTime = Math.floor(Date.now() / 1000);
-
-      for (const event of lockedEvents) {
-        if (!event.args) continue;
-        const commitment = event.args[0];
-        const unlockAt = Number(event.args[4]);
-
-        if (currentTime >= unlockAt) {
-          const details = await this.insuranceContract.getClaimDetails(commitment);
-          if (details.status === 1) { // Still locked
-            pendingUnlocks++;
-          }
-        }
-      }
+      const totalTx = totalSuccess + totalFailures;
+      const rate = successRate(totalSuccess, totalFailures);
 
       return {
-        totalPoolBalance: ethers.formatUnits(platformStats.totalPoolBalance, 6),
-        totalLockedBalance: ethers.formatUnits(platformStats.totalLockedBalance, 6),
-        activeProviders: Number(platformStats.activeProviders),
+        totalPoolBalance: ethers.formatUnits(totalProviderPools, 6),
+        totalLockedBalance: ethers.formatUnits(totalLocked, 6),
+        emergencyPool: ethers.formatUnits(emergencyPool, 6),
+        platformInsuranceFund: ethers.formatUnits(platformInsuranceFund, 6),
+        totalPendingCompensations: ethers.formatUnits(totalPendingCompensations, 6),
+        activeProviders: providers.length,
+        totalClaimsInitiated: Number(totalClaimsInitiated),
+        totalClaimsExecuted: Number(totalClaimsExecuted),
         totalTransactions: totalTx,
-        totalFailures: totalFailures,
-        failureRate: Math.round(failureRate * 100) / 100,
-        platformRevenue: ethers.formatUnits(platformStats.totalPenalties, 6),
-        pendingUnlocks,
-        criticalProviders: Array.from(criticalProviders),
-        warningProviders: Array.from(warningProviders)
+        totalFailures,
+        failureRate: rate === null ? 0 : Math.round((100 - rate) * 100) / 100,
+        pendingExecutions: indexed ? this.indexer.listClaims({ status: 'initiated' }).length : 0,
+        indexed,
+        criticalProviders,
+        warningProviders
       };
 
     } catch (error: any) {
@@ -394,11 +429,18 @@ export class ClaimAndMonitorService {
     console.log('======================');
     console.log(`Total Pool Balance: $${stats.totalPoolBalance}`);
     console.log(`Total Locked: $${stats.totalLockedBalance}`);
+    console.log(`Emergency Pool: $${stats.emergencyPool}`);
+    console.log(`Platform Insurance Fund: $${stats.platformInsuranceFund}`);
+    console.log(`Pending Compensations: $${stats.totalPendingCompensations}`);
     console.log(`Active Providers: ${stats.activeProviders}`);
-    console.log(`Total Transactions: ${stats.totalTransactions}`);
+    console.log(`Claims: ${stats.totalClaimsInitiated} initiated, ${stats.totalClaimsExecuted} executed`);
     console.log(`Failure Rate: ${stats.failureRate}%`);
-    console.log(`Platform Revenue: $${stats.platformRevenue}`);
-    console.log(`Pending Unlocks: ${stats.pendingUnlocks}`);
+    console.log(`Pending Executions: ${stats.pendingExecutions}`);
+
+    if (!stats.indexed) {
+      console.log('\nℹ️  Event index not synced yet, provider checks skipped');
+      return;
+    }
 
     // Check for issues
     const alerts: string[] = [];
@@ -407,6 +449,10 @@ export class ClaimAndMonitorService {
       alerts.push(`⚠️ High failure rate: ${stats.failureRate}%`);
     }
 
+    if (Number(stats.totalPendingCompensations) > 0) {
+      alerts.push(`💸 Pending compensations: $${stats.totalPendingCompensations}`);
+    }
+
     if (stats.criticalProviders.length > 0) {
       alerts.push(`🚨 Critical providers: ${stats.criticalProviders.join(', ')}`);
     }
@@ -415,8 +461,8 @@ export class ClaimAndMonitorService {
       alerts.push(`⚠️ Warning providers: ${stats.warningProviders.join(', ')}`);
     }
 
-    if (stats.pendingUnlocks > 10) {
-      alerts.push(`⏰ High pending unlocks: ${stats.pendingUnlocks}`);
+    if (stats.pendingExecutions > 10) {
+      alerts.push(`⏰ High pending executions: ${stats.pendingExecutions}`);
     }
 
     if (stats.activeProviders < 5) {
@@ -458,18 +504,15 @@ export class ClaimAndMonitorService {
    */
   async getProviderHealth(providerAddress: string): Promise<{
     status: 'HEALTHY' | 'WARNING' | 'CRITICAL' | 'INACTIVE';
+    tier: string;
     poolBalance: string;
     availableBalance: string;
     lockedBalance: string;
-    successRate: number;
+    successRate: number | null;
+    pendingCompensations: { count: number; total: string };
     recommendation?: string;
   }> {
-    const info = await this.insuranceContract.getProviderInfo(providerAddress);
-    const stats = await this.insuranceContract.getProviderStats(providerAddress);
-
-    const poolBalance = Number(info.poolBalance);
-    const availableBalance = Number(info.availableBalance);
-    const lockedBalance = Number(info.lockedBalance);
+    const info = await readProviderStatus(this.insuranceContract, 'v8', providerAddress);
 
     let status: 'HEALTHY' | 'WARNING' | 'CRITICAL' | 'INACTIVE';
     let recommendation;
@@ -477,25 +520,30 @@ export class ClaimAndMonitorService {
     if (!info.isActive) {
       status = 'INACTIVE';
       recommendation = 'Provider needs to deposit funds to reactivate';
-    } else if (poolBalance < 10 * 10**6) {
+    } else if (info.poolBalance < CRITICAL_POOL_BALANCE) {
       status = 'CRITICAL';
       recommendation = 'Immediate deposit required to maintain service';
-    } else if (poolBalance < 50 * 10**6) {
+    } else if (info.pendingCompensations.count > 0) {
+      status = 'WARNING';
+      recommendation = 'Deposit funds to settle pending compensations (paid automatically on deposit)';
+    } else if (info.poolBalance < WARNING_POOL_BALANCE) {
       status = 'WARNING';
       recommendation = 'Consider depositing more funds';
     } else {
       status = 'HEALTHY';
     }
 
-    const totalTx = Number(stats.successCount) + Number(stats.failureCount);
-    const successRate = totalTx > 0 ? (Number(stats.successCount) / totalTx) * 100 : 0;
-
     return {
       status,
-      poolBalance: ethers.formatUnits(poolBalance, 6),
-      availableBalance: ethers.formatUnits(availableBalance, 6),
-      lockedBalance: ethers.formatUnits(lockedBalance, 6),
-      successRate: Math.round(successRate * 100) / 100,
+      tier: info.tierName,
+      poolBalance: ethers.formatUnits(info.poolBalance, 6),
+      availableBalance: ethers.formatUnits(info.available, 6),
+      lockedBalance: ethers.formatUnits(info.locked, 6),
+      successRate: info.successRate,
+      pendingCompensations: {
+        count: info.pendingCompensations.count,
+        total: ethers.formatUnits(info.pendingCompensations.total, 6)
+      },
       recommendation
     };
   }
@@ -509,13 +557,18 @@ export function createClaimAPI(service: ClaimAndMonitorService) {
 
   // Health check
   app.get('/health', (req, res) => {
-    res.json({ status: 'ok', service: 'claim-and-monitor' });
+    res.json({ status: 'ok', service: 'claim-and-monitor', indexer: service.indexer.getStatus() });
   });
 
-  // Process meta-claim
+  // Execute a claim whose dispute period has passed (relayer pays gas)
   app.post('/relay/claim', async (req, res) => {
     try {
-      const result = await service.processMetaClaim(req.body);
+      const { commitment } = req.body;
+      if (!commitment) {
+        return res.status(400).json({ success: false, error: 'Commitment required' });
+      }
+
+      const result = await service.executeClaimFor(commitment);
       res.json(result);
     } catch (error: any) {
       res.status(500).json({ success: false, error: error.message });
@@ -532,7 +585,7 @@ export function createClaimAPI(service: ClaimAndMonitorService) {
         return res.status(400).json({ error: 'Client address required' });
       }
 
-      const result = await service.processDirectClaim(commitment, client as string);
+      const result = await service.checkClaim(commitment, client as string);
       res.json(result);
     } catch (error: any) {
       res.status(500).json({ error: error.message });
@@ -579,15 +632,15 @@ export function createClaimAPI(service: ClaimAndMonitorService) {
     res.json({ message: 'Monitoring stopped' });
   });
 
-  app.post('/admin/unlock/start', (req, res) => {
+  app.post('/admin/execute/start', (req, res) => {
     const { interval } = req.body;
-    service.startAutoUnlockService(interval || 60);
-    res.json({ message: 'Auto-unlock service started' });
+    service.startAutoExecuteService(interval || 5);
+    res.json({ message: 'Auto-execute service started' });
   });
 
-  app.post('/admin/unlock/stop', (req, res) => {
-    service.stopAutoUnlockService();
-    res.json({ message: 'Auto-unlock service stopped' });
+  app.post('/admin/execute/stop', (req, res) => {
+    service.stopAutoExecuteService();
+    res.json({ message: 'Auto-execute service stopped' });
   });
 
   return app;
@@ -595,14 +648,16 @@ export function createClaimAPI(service: ClaimAndMonitorService) {
 
 // ============ Main Entry Point ============
 
-if (require.main === module) {
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
   async function main() {
     try {
       // Create service
-      const service = new ClaimAndMonitorService();
+      const service = await ClaimAndMonitorService.create();
 
-      // Start auto-unlock service
-      service.startAutoUnlockService(60); // Every hour
+      // Start auto-execute service
+      service.startAutoExecuteService(5); // Every 5 minutes
 
       // Start monitoring
       service.startMonitoring(5); // Every 5 minutes
@@ -615,7 +670,7 @@ if (require.main === module) {
         console.log(`\n🚀 Claim & Monitor Service running on port ${PORT}`);
         console.log(`   Health: http://localhost:${PORT}/health`);
         console.log(`   Stats: http://localhost:${PORT}/stats`);
-        console.log(`   Meta-claim: POST http://localhost:${PORT}/relay/claim`);
+        console.log(`   Execute claim: POST http://localhost:${PORT}/relay/claim`);
         console.log('\n   Admin endpoints require X-API-Key header');
       });
 
@@ -626,4 +681,4 @@ if (require.main === module) {
   }
 
   main();
-}
\ No newline at end of file
+}
@@ -11,7 +11,37 @@ import express from 'express';
 import { ethers } from 'ethers';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import X402InsuranceV3ABI from '../abi/X402InsuranceV3.json';
+import { createRegistryStore, RegistryImportError, type RegistryStore, type ServiceInfo } from './registry-store';
+import { DEMO_PROVIDERS } from './registry-fixtures';
+import { createV8Indexer, V8EventIndexer, type ProviderSnapshot } from './v8-event-indexer';
+import {
+    resolveInsuranceConfig,
+    readProviderStatus,
+    successRate,
+    tierName,
+    INSURANCE_ABIS,
+    type InsuranceConfig,
+    type InsuranceVersion,
+    type ProviderStatus
+} from './x402-insurance-compat';
+import {
+    buildRegistrationMessage,
+    verifyRegistration,
+    registrationDomain,
+    RegistrationAuthError,
+    queryChain,
+    REGISTRATION_TYPES,
+    MAX_SIGNATURE_LIFETIME,
+    type RegistrationMessage
+} from './registry-auth';
+import {
+    normalizeServices,
+    parseCatalogQuery,
+    searchCatalog,
+    ServiceCatalogError,
+    type CatalogQuery,
+    type CatalogResult
+} from './service-catalog';
 
 dotenv.config();
 
@@ -19,170 +49,196 @@ dotenv.config();
 
 interface ProviderRegistration {
     address: string;
-    apiEndpoint: string;
+    apiEndpoint: string | null;   // 未在注册表登记API时为 null
     name: string;
     description: string;
-    tier: 'Bronze' | 'Silver' | 'Gold' | 'Platinum';
+    tier: string;             // Bronze / Silver / Gold（V3 还有 Platinum）
+    tierLevel: number;
     poolBalance: string;
-    successRate: number;
+    availableBalance: string;
+    successRate: number;      // 没有服务记录时为 100
+    pendingCompensations: {   // 未付清的延迟补偿（V8）
+        count: number;
+        total: string;
+    };
     isActive: boolean;
     registeredAt: Date;
     services: ServiceInfo[];
+    demo?: boolean;           // 演示数据，仅 demo 模式下出现
 }
 
-interface ServiceInfo {
-    path: string;
-    method: string;
-    price: string;
-    description: string;
+export interface RegistryOptions {
+    store?: RegistryStore;    // 默认 createRegistryStore()（环境变量 REGISTRY_STORE / REGISTRY_DB_PATH）
+    demo?: boolean;           // 附加演示Provider，默认 REGISTRY_DEMO=true
+    chainId?: number;         // EIP-712 domain 的 chainId，默认从 RPC 读取
+    verifyingContract?: string;  // EIP-712 domain 的 verifyingContract，默认 REGISTRY_VERIFYING_CONTRACT / 保险合约地址
+    indexer?: V8EventIndexer | null;  // 默认 createV8Indexer()，REGISTRY_INDEXER=false 或 V3 时不索引
+    insuranceVersion?: InsuranceVersion | 'auto';  // 默认 INSURANCE_VERSION，未配置时探测
+    insuranceAddress?: string;        // 默认 INSURANCE_V8_ADDRESS / 部署文件 / INSURANCE_V3_ADDRESS
 }
 
 // ============ Provider Registry Class ============
 
 export class ProviderRegistry {
     private provider: ethers.JsonRpcProvider;
-    private insuranceContract: ethers.Contract;
-
-    // 本地存储Provider的API信息（实际项目中应该用数据库）
-    private providerDatabase: Map<string, {
-        apiEndpoint: string;
-        name: string;
-        description: string;
-        services: ServiceInfo[];
-    }> = new Map();
+    private insurance: Promise<{ config: InsuranceConfig; contract: ethers.Contract }> | null = null;
+    private insuranceOptions: { version?: InsuranceVersion | 'auto'; address?: string };
+
+    // Provider的API信息（端点、名称、服务），持久化保存
+    readonly store: RegistryStore;
+    readonly demo: boolean;
+    readonly indexer: V8EventIndexer | null;
+    private chainId: number | null;
+    private verifyingContract: string | null;
+
+    constructor(options: RegistryOptions = {}) {
+        this.store = options.store || createRegistryStore();
+        this.demo = options.demo ?? process.env.REGISTRY_DEMO === 'true';
+        this.chainId = options.chainId ?? null;
+        this.verifyingContract = options.verifyingContract || process.env.REGISTRY_VERIFYING_CONTRACT || null;
 
-    constructor() {
         // 初始化区块链连接
         const rpcUrl = process.env.BASE_SEPOLIA_RPC_URL || 'https://sepolia.base.org';
         this.provider = new ethers.JsonRpcProvider(rpcUrl);
 
-        // 初始化保险合约（如果配置了）
-        if (process.env.INSURANCE_V3_ADDRESS) {
-            this.insuranceContract = new ethers.Contract(
-                process.env.INSURANCE_V3_ADDRESS,
-                X402InsuranceV3ABI.abi,
-                this.provider
-            );
-            console.log('✅ Connected to Insurance Contract:', process.env.INSURANCE_V3_ADDRESS);
+        // 保险合约在首次使用时确定版本（见 getInsurance）
+        this.insuranceOptions = { version: options.insuranceVersion, address: options.insuranceAddress };
+        const version = options.insuranceVersion || process.env.INSURANCE_VERSION;
+
+        // V8 事件索引：Provider列表和链上状态从本地读取
+        if (options.indexer !== undefined) {
+            this.indexer = options.indexer;
+        } else if (process.env.REGISTRY_INDEXER === 'false' || version === 'v3') {
+            this.indexer = null;
         } else {
-            console.log('⚠️  Running in demo mode (no contract connected)');
-            // 创建一个mock contract用于演示
-            this.insuranceContract = {
-                filters: {
-                    ProviderRegistered: () => ({})
-                },
-                queryFilter: async () => [],
-                getProviderInfo: async () => ({
-                    isActive: false,
-                    tier: 0,
-                    poolBalance: 0
-                }),
-                getProviderStats: async () => ({
-                    successCount: 0,
-                    failureCount: 0,
-                    registeredAt: 0
-                })
-            } as any;
+            this.indexer = createV8Indexer(this.provider, options.insuranceAddress ? { contractAddress: options.insuranceAddress } : {});
         }
 
-        // 初始化一些测试Provider数据
-        this.initTestProviders();
+        if (this.demo) {
+            console.log(`🧪 Demo mode: ${DEMO_PROVIDERS.length} test providers will be included in results`);
+        }
     }
 
     /**
-     * 初始化测试Provider数据
+     * 演示Provider（链上信息为虚构值）
      */
-    private initTestProviders() {
-        // 测试Provider 1 - 天气API
-        this.providerDatabase.set('0x1111111111111111111111111111111111111111', {
-            apiEndpoint: 'http://localhost:3001',
-            name: 'Weather Data Provider',
-            description: '提供全球天气数据查询服务',
-            services: [
-                {
-                    path: '/api/weather/current',
-                    method: 'GET',
-                    price: '0.1',
-                    description: '获取当前天气'
-                },
-                {
-                    path: '/api/weather/forecast',
-                    method: 'GET',
-                    price: '0.5',
-                    description: '获取7天天气预报'
-                }
-            ]
-        });
+    private demoProviders(): ProviderRegistration[] {
+        if (!this.demo) return [];
+
+        return DEMO_PROVIDERS.map(data => ({
+            address: data.address,
+            apiEndpoint: data.apiEndpoint,
+            name: data.name,
+            description: data.description,
+            tier: 'Silver',
+            tierLevel: 2,
+            poolBalance: '500',
+            availableBalance: '500',
+            successRate: 98.5,
+            pendingCompensations: { count: 0, total: '0' },
+            isActive: true,
+            registeredAt: new Date(),
+            services: data.services,
+            demo: true
+        }));
+    }
 
-        // 测试Provider 2 - 汇率API
-        this.providerDatabase.set('0x2222222222222222222222222222222222222222', {
-            apiEndpoint: 'http://localhost:3003',
-            name: 'Exchange Rate Provider',
-            description: '提供实时汇率数据',
-            services: [
-                {
-                    path: '/api/rate/usd',
-                    method: 'GET',
-                    price: '0.05',
-                    description: 'USD汇率查询'
-                }
-            ]
-        });
+    /**
+     * 保险合约（版本来自配置或探测；失败后下次调用重试）
+     */
+    async getInsurance(): Promise<{ config: InsuranceConfig; contract: ethers.Contract }> {
+        if (!this.insurance) {
+            this.insurance = resolveInsuranceConfig(this.provider, this.insuranceOptions).then(config => {
+                console.log(`✅ Connected to Insurance Contract (${config.version}):`, config.address);
+                return {
+                    config,
+                    contract: new ethers.Contract(config.address, INSURANCE_ABIS[config.version], this.provider)
+                };
+            });
+            this.insurance.catch(() => {
+                this.insurance = null;
+            });
+        }
+        return this.insurance;
+    }
 
-        // 测试Provider 3 - AI服务
-        this.providerDatabase.set('0x3333333333333333333333333333333333333333', {
-            apiEndpoint: 'http://localhost:3004',
-            name: 'AI Service Provider',
-            description: 'AI文本和图像处理服务',
-            services: [
-                {
-                    path: '/api/ai/text',
-                    method: 'POST',
-                    price: '1.0',
-                    description: '文本生成'
-                },
-                {
-                    path: '/api/ai/image',
-                    method: 'POST',
-                    price: '5.0',
-                    description: '图像生成'
-                }
-            ]
-        });
+    /**
+     * EIP-712 domain 使用的 chainId
+     */
+    async getChainId(): Promise<number> {
+        if (this.chainId === null) {
+            this.chainId = Number((await this.provider.getNetwork()).chainId);
+        }
+        return this.chainId;
     }
 
     /**
-     * 注册Provider的API信息
+     * EIP-712 domain：chainId + verifyingContract（未配置时取保险合约地址，签名只对服务该部署的注册表有效）
      */
-    async registerProviderAPI(
-        address: string,
-        apiEndpoint: string,
-        name: string,
-        description: string,
-        services: ServiceInfo[]
-    ): Promise<boolean> {
-        try {
-            // 验证Provider是否在链上注册
-            const info = await this.insuranceContract.getProviderInfo(address);
-            if (!info.isActive) {
-                throw new Error('Provider not registered on chain');
-            }
+    async getDomain() {
+        if (this.verifyingContract === null) {
+            this.verifyingContract = (await this.getInsurance()).config.address;
+        }
+        return registrationDomain(await this.getChainId(), ethers.getAddress(this.verifyingContract));
+    }
 
-            // 保存API信息
-            this.providerDatabase.set(address.toLowerCase(), {
-                apiEndpoint,
-                name,
-                description,
-                services
-            });
+    /**
+     * 验证注册/更新/删除请求的签名（签名者须为Provider或其合约 owner），并消耗 nonce
+     *
+     * @throws {RegistrationAuthError}
+     */
+    async authorize(message: RegistrationMessage, signature: string): Promise<string> {
+        const domain = await queryChain(() => this.getDomain());
+        return await verifyRegistration(message, signature, {
+            chainId: domain.chainId,
+            verifyingContract: domain.verifyingContract,
+            provider: this.provider,
+            store: this.store,
+            factoryAddress: process.env.PROVIDER_FACTORY_ADDRESS
+        });
+    }
 
-            console.log(`✅ Provider API registered: ${name} at ${apiEndpoint}`);
-            return true;
+    /**
+     * Provider须在链上注册且处于激活状态
+     *
+     * @throws {RegistrationAuthError} 地址无效（400）、未在链上激活（403）或链上查询失败（503）
+     */
+    async assertActiveOnChain(address: string): Promise<void> {
+        if (!ethers.isAddress(address)) {
+            throw new RegistrationAuthError('Invalid provider address', 400, 'INVALID_ADDRESS');
+        }
 
+        let info: ProviderStatus | null;
+        try {
+            info = await queryChain(() => this.readChainInfo(address));
         } catch (error) {
-            console.error('Failed to register provider API:', error);
-            return false;
+            if (error instanceof RegistrationAuthError) throw error;
+            throw new RegistrationAuthError('Provider status query reverted', 503, 'CHAIN_UNAVAILABLE');
         }
+        if (!info || !info.isActive) {
+            throw new RegistrationAuthError('Provider not registered on chain', 403, 'PROVIDER_NOT_ACTIVE');
+        }
+    }
+
+    /**
+     * 注册或更新Provider的API信息
+     *
+     * 先确认链上状态再验证签名，未激活的Provider不会消耗 nonce
+     * @throws {RegistrationAuthError | ServiceCatalogError}
+     */
+    async registerProviderAPI(message: RegistrationMessage, signature: string, services: ServiceInfo[]): Promise<void> {
+        await this.assertActiveOnChain(message.provider);
+        await this.authorize(message, signature);
+
+        await this.store.upsert({
+            address: message.provider,
+            apiEndpoint: message.apiEndpoint,
+            name: message.name,
+            description: message.description,
+            services
+        });
+
+        console.log(`✅ Provider API registered: ${message.name} at ${message.apiEndpoint}`);
     }
 
     /**
@@ -191,68 +247,33 @@ export class ProviderRegistry {
     async getAllProviders(): Promise<ProviderRegistration[]> {
         const providers: ProviderRegistration[] = [];
 
-        try {
-            // 从事件中获取所有注册的Provider
-            const filter = this.insuranceContract.filters.ProviderRegistered();
-            const events = await this.insuranceContract.queryFilter(filter, -10000);
-
-            const uniqueProviders = new Set<string>();
+        // 索引中的全部Provider，加上已登记API信息的Provider
+        const uniqueProviders = new Set<string>();
+        if (this.indexer?.ready) {
+            this.indexer.listProviders().forEach(snapshot => uniqueProviders.add(snapshot.address));
+        } else {
+            // 索引未启用或尚未完成首次同步：退回扫描最近的注册事件
+            const { contract } = await this.getInsurance();
+            const events = await contract.queryFilter(contract.filters.ProviderRegistered(), -10000);
             events.forEach(event => {
                 if ('args' in event && event.args) {
                     uniqueProviders.add(event.args[0].toLowerCase());
                 }
             });
+        }
+        for (const record of await this.store.list()) {
+            uniqueProviders.add(record.address);
+        }
 
-            // 查询每个Provider的信息
-            for (const providerAddress of uniqueProviders) {
-                const providerInfo = await this.getProviderInfo(providerAddress);
-                if (providerInfo && providerInfo.isActive) {
-                    providers.push(providerInfo);
-                }
-            }
-
-            // 添加测试数据（如果数据库为空）
-            if (providers.length === 0) {
-                console.log('No providers found, adding test data...');
-
-                // 添加测试Provider
-                for (const [address, data] of this.providerDatabase.entries()) {
-                    providers.push({
-                        address,
-                        apiEndpoint: data.apiEndpoint,
-                        name: data.name,
-                        description: data.description,
-                        tier: 'Silver',
-                        poolBalance: '500',
-                        successRate: 98.5,
-                        isActive: true,
-                        registeredAt: new Date(),
-                        services: data.services
-                    });
-                }
-            }
-
-        } catch (error) {
-            console.error('Failed to get providers:', error);
-
-            // 返回测试数据
-            for (const [address, data] of this.providerDatabase.entries()) {
-                providers.push({
-                    address,
-                    apiEndpoint: data.apiEndpoint,
-                    name: data.name,
-                    description: data.description,
-                    tier: 'Silver',
-                    poolBalance: '500',
-                    successRate: 98.5,
-                    isActive: true,
-                    registeredAt: new Date(),
-                    services: data.services
-                });
+        // 查询每个Provider的信息，只返回链上激活的
+        for (const providerAddress of uniqueProviders) {
+            const providerInfo = await this.getProviderInfo(providerAddress);
+            if (providerInfo && providerInfo.isActive && !providerInfo.demo) {
+                providers.push(providerInfo);
             }
         }
 
-        return providers;
+        return [...providers, ...this.demoProviders()];
     }
 
     /**
@@ -262,81 +283,68 @@ export class ProviderRegistry {
         try {
             const normalizedAddress = address.toLowerCase();
 
-            // 获取链上信息
-            const info = await this.insuranceContract.getProviderInfo(address);
-            const stats = await this.insuranceContract.getProviderStats(address);
+            const fixture = this.demoProviders().find(p => p.address === normalizedAddress);
+            if (fixture) {
+                return fixture;
+            }
 
-            if (!info.isActive) {
+            // 获取链上信息
+            const info = await this.readChainInfo(address);
+            if (!info || !info.isActive) {
                 return null;
             }
 
-            // 获取API信息
-            const apiInfo = this.providerDatabase.get(normalizedAddress) || {
-                apiEndpoint: `http://localhost:${3000 + Math.floor(Math.random() * 100)}`,
-                name: `Provider ${address.slice(0, 8)}`,
-                description: 'X402 Payment Service Provider',
+            // 获取API信息；只在链上存在、未登记API的Provider没有可调用的端点
+            const apiInfo = await this.store.get(normalizedAddress) || {
+                apiEndpoint: null,
+                name: '',
+                description: '',
                 services: []
             };
 
-            // 计算成功率
-            const totalTx = Number(stats.successCount) + Number(stats.failureCount);
-            const successRate = totalTx > 0 ?
-                (Number(stats.successCount) / totalTx) * 100 : 100;
-
-            // 确定等级
-            const tierNames = ['None', 'Bronze', 'Silver', 'Gold', 'Platinum'];
-            const tier = tierNames[Number(info.tier)] as ProviderRegistration['tier'];
-
             return {
                 address,
                 apiEndpoint: apiInfo.apiEndpoint,
                 name: apiInfo.name,
                 description: apiInfo.description,
-                tier,
+                tier: info.tierName,
+                tierLevel: info.tier,
                 poolBalance: ethers.formatUnits(info.poolBalance, 6),
-                successRate: Math.round(successRate * 100) / 100,
+                availableBalance: ethers.formatUnits(info.available, 6),
+                successRate: info.successRate ?? 100,
+                pendingCompensations: {
+                    count: info.pendingCompensations.count,
+                    total: ethers.formatUnits(info.pendingCompensations.total, 6)
+                },
                 isActive: true,
-                registeredAt: new Date(Number(stats.registeredAt) * 1000),
+                registeredAt: new Date(info.registeredAt * 1000),
                 services: apiInfo.services
             };
 
         } catch (error) {
             console.error('Failed to get provider info:', error);
-
-            // 返回测试数据
-            const apiInfo = this.providerDatabase.get(address.toLowerCase());
-            if (apiInfo) {
-                return {
-                    address,
-                    apiEndpoint: apiInfo.apiEndpoint,
-                    name: apiInfo.name,
-                    description: apiInfo.description,
-                    tier: 'Silver',
-                    poolBalance: '500',
-                    successRate: 98.5,
-                    isActive: true,
-                    registeredAt: new Date(),
-                    services: apiInfo.services
-                };
-            }
-
             return null;
         }
     }
 
     /**
-     * 搜索Provider
+     * 链上状态：索引就绪时读本地快照（不在索引中即未在 V8 注册），否则查询合约
+     */
+    private async readChainInfo(address: string): Promise<ProviderStatus | null> {
+        if (this.indexer?.ready) {
+            const snapshot = this.indexer.getProvider(address);
+            return snapshot && statusFromSnapshot(snapshot);
+        }
+
+        const { config, contract } = await this.getInsurance();
+        return readProviderStatus(contract, config.version, address);
+    }
+
+    /**
+     * 按服务目录检索（分类、价格、等级、网络等）
      */
-    async searchProviders(query: string): Promise<ProviderRegistration[]> {
-        const allProviders = await this.getAllProviders();
-        const queryLower = query.toLowerCase();
-
-        return allProviders.filter(p =>
-            p.name.toLowerCase().includes(queryLower) ||
-            p.description.toLowerCase().includes(queryLower) ||
-            p.address.toLowerCase().includes(queryLower) ||
-            p.services.some(s => s.description.toLowerCase().includes(queryLower))
-        );
+    async searchCatalog(query: CatalogQuery): Promise<CatalogResult<ProviderRegistration>> {
+        return searchCatalog(await this.getAllProviders(), query);
     }
 
     /**
@@ -357,6 +365,11 @@ export class ProviderRegistry {
 
             if (balance < 10) {
                 return { status: 'critical', message: 'Balance too low' };
+            } else if (info.pendingCompensations.count > 0) {
+                return {
+                    status: 'warning',
+                    message: `${info.pendingCompensations.total} USDC compensation pending for ${info.pendingCompensations.count} claims`
+                };
             } else if (balance < 50) {
                 return { status: 'warning', message: 'Balance low' };
             } else {
@@ -369,14 +382,82 @@ export class ProviderRegistry {
     }
 }
 
+/**
+ * 索引快照 → ProviderStatus（索引只针对 V8）
+ */
+function statusFromSnapshot(snapshot: ProviderSnapshot): ProviderStatus {
+    const poolBalance = BigInt(snapshot.poolBalance);
+    const locked = BigInt(snapshot.totalLocked);
+
+    return {
+        isActive: snapshot.isActive,
+        tier: snapshot.tier,
+        tierName: tierName('v8', snapshot.tier),
+        poolBalance,
+        locked,
+        available: poolBalance > locked ? poolBalance - locked : 0n,
+        successCount: snapshot.successfulServices,
+        failureCount: snapshot.failedServices,
+        successRate: successRate(snapshot.successfulServices, snapshot.failedServices),
+        registeredAt: snapshot.registeredAt,
+        pendingCompensations: {
+            count: snapshot.pendingCompensations.count,
+            total: BigInt(snapshot.pendingCompensations.total)
+        }
+    };
+}
+
 // ============ API Server ============
 
-export function createRegistryAPI() {
+/**
+ * 签名认证或链上状态校验失败返回对应状态码，服务定义、检索参数或导入数据无效返回 400，其他错误返回 500
+ */
+function sendError(res: express.Response, error: any) {
+    if (error instanceof ServiceCatalogError) {
+        return res.status(400).json({
+            success: false,
+            code: 'INVALID_SERVICE',
+            error: error.message
+        });
+    }
+
+    if (error instanceof RegistryImportError) {
+        return res.status(400).json({
+            success: false,
+            code: 'INVALID_IMPORT',
+            error: error.message
+        });
+    }
+
+    if (error instanceof RegistrationAuthError) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            error: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        error: error.message
+    });
+}
+
+/**
+ * 管理接口的API密钥校验（未配置 REGISTRY_API_KEY 时一律拒绝）
+ */
+function isAuthorized(req: express.Request): boolean {
+    const apiKey = process.env.REGISTRY_API_KEY;
+    return Boolean(apiKey) && req.headers['x-api-key'] === apiKey;
+}
+
+export function createRegistryAPI(options: RegistryOptions = {}) {
     const app = express();
-    app.use(express.json());
+    app.use(express.json({ limit: '5mb' })); // 导入可能较大
     app.use(cors()); // 允许跨域访问
 
-    const registry = new ProviderRegistry();
+    const registry = new ProviderRegistry(options);
+    registry.indexer?.start();
 
     // 获取所有Provider
     app.get('/api/providers', async (req, res) => {
@@ -395,6 +476,38 @@ export function createRegistryAPI() {
         }
     });
 
+    // 按服务检索（每个匹配的服务一条，带所属Provider），支持分页
+    // 参数：q, category, tag, maxPrice, pricingUnit, tier, minTier, network, asset, method, version, sort, limit, offset
+    app.get('/api/services', async (req, res) => {
+        try {
+            const result = await registry.searchCatalog(parseCatalogQuery(req.query));
+            res.json({
+                success: true,
+                total: result.total,
+                count: result.services.length,
+                services: result.services,
+                facets: result.facets
+            });
+        } catch (error: any) {
+            sendError(res, error);
+        }
+    });
+
+    // 搜索Provider（参数同 /api/services，只返回匹配的服务）
+    app.get('/api/providers/search', async (req, res) => {
+        try {
+            const result = await registry.searchCatalog(parseCatalogQuery(req.query));
+            res.json({
+                success: true,
+                count: result.providers.length,
+                providers: result.providers,
+                facets: result.facets
+            });
+        } catch (error: any) {
+            sendError(res, error);
+        }
+    });
+
     // 获取特定Provider
     app.get('/api/providers/:address', async (req, res) => {
         try {
@@ -418,14 +531,13 @@ export function createRegistryAPI() {
         }
     });
 
-    // 搜索Provider
-    app.get('/api/providers/search/:query', async (req, res) => {
+    // 获取Provider健康状态
+    app.get('/api/providers/:address/health', async (req, res) => {
         try {
-            const providers = await registry.searchProviders(req.params.query);
+            const health = await registry.getProviderHealth(req.params.address);
             res.json({
                 success: true,
-                count: providers.length,
-                providers
+                ...health
             });
         } catch (error: any) {
             res.status(500).json({
@@ -435,13 +547,42 @@ export function createRegistryAPI() {
         }
     });
 
-    // 获取Provider健康状态
-    app.get('/api/providers/:address/health', async (req, res) => {
+    // Provider的 V8 事件（来自本地索引）：?name=ClaimInitiated&limit=100
+    app.get('/api/providers/:address/events', (req, res) => {
+        if (!registry.indexer) {
+            return res.status(503).json({
+                success: false,
+                error: 'Event indexer disabled'
+            });
+        }
+
+        const events = registry.indexer.getEvents({
+            address: req.params.address,
+            name: req.query.name as string | undefined,
+            limit: req.query.limit ? Number(req.query.limit) : undefined
+        });
+        const claims = registry.indexer.listClaims({ provider: req.params.address });
+
+        res.json({
+            success: true,
+            checkpoint: registry.indexer.getStatus().checkpoint,
+            count: events.length,
+            events,
+            claims
+        });
+    });
+
+    // 签名所需的 nonce 和 EIP-712 定义
+    app.get('/api/providers/:address/nonce', async (req, res) => {
         try {
-            const health = await registry.getProviderHealth(req.params.address);
+            const nonce = await registry.store.getNonce(req.params.address);
             res.json({
                 success: true,
-                ...health
+                nonce: nonce.toString(),
+                nextNonce: (nonce + 1n).toString(),
+                domain: await registry.getDomain(),
+                types: REGISTRATION_TYPES,
+                maxLifetime: MAX_SIGNATURE_LIFETIME
             });
         } catch (error: any) {
             res.status(500).json({
@@ -451,29 +592,79 @@ export function createRegistryAPI() {
         }
     });
 
-    // 注册Provider API信息
+    // 注册Provider API信息（需Provider或其合约 owner 的 EIP-712 签名）
     app.post('/api/providers/register', async (req, res) => {
         try {
-            const { address, apiEndpoint, name, description, services } = req.body;
+            const { address, services, signature } = req.body;
 
-            // 验证API密钥（简单验证）
-            const apiKey = req.headers['x-api-key'];
-            if (apiKey !== process.env.REGISTRY_API_KEY) {
-                return res.status(401).json({
+            await registry.registerProviderAPI(
+                buildRegistrationMessage(req.body, address, 'register'),
+                signature,
+                normalizeServices(services)
+            );
+
+            res.json({ success: true });
+
+        } catch (error: any) {
+            sendError(res, error);
+        }
+    });
+
+    // 更新Provider API信息（签名同注册，action 为 update）
+    app.put('/api/providers/:address', async (req, res) => {
+        try {
+            const address = req.params.address;
+            const { services, signature } = req.body;
+
+            if (!await registry.store.get(address)) {
+                return res.status(404).json({
                     success: false,
-                    error: 'Unauthorized'
+                    error: 'Provider not registered'
                 });
             }
 
-            const success = await registry.registerProviderAPI(
-                address,
-                apiEndpoint,
-                name,
-                description,
-                services
+            await registry.registerProviderAPI(
+                buildRegistrationMessage(req.body, address, 'update'),
+                signature,
+                normalizeServices(services)
             );
 
-            res.json({ success });
+            res.json({ success: true });
+
+        } catch (error: any) {
+            sendError(res, error);
+        }
+    });
+
+    // 删除Provider API信息（签名 action 为 delete，端点、名称等为空）
+    app.delete('/api/providers/:address', async (req, res) => {
+        try {
+            const address = req.params.address;
+
+            await registry.authorize(buildRegistrationMessage(req.body || {}, address, 'delete'), req.body && req.body.signature);
+
+            const removed = await registry.store.remove(address);
+            res.status(removed ? 200 : 404).json({ success: removed });
+
+        } catch (error: any) {
+            sendError(res, error);
+        }
+    });
+
+    // 导出Provider注册信息（备份 / 迁移到其他实例）
+    app.get('/api/registry/export', async (req, res) => {
+        try {
+            if (!isAuthorized(req)) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Unauthorized'
+                });
+            }
+
+            res.json({
+                success: true,
+                ...await registry.store.export()
+            });
 
         } catch (error: any) {
             res.status(500).json({
@@ -483,11 +674,74 @@ export function createRegistryAPI() {
         }
     });
 
+    // 导入Provider注册信息：{ providers, nonces, mode: 'merge' | 'replace' }，格式同导出
+    app.post('/api/registry/import', async (req, res) => {
+        try {
+            if (!isAuthorized(req)) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Unauthorized'
+                });
+            }
+
+            const { providers, mode = 'merge' } = req.body;
+            if (!Array.isArray(providers) || (mode !== 'merge' && mode !== 'replace')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Expected { providers: [...], mode: "merge" | "replace" }'
+                });
+            }
+
+            const invalid = providers
+                .map((p: any, index: number) => ({ index, p }))
+                .filter(({ p }) => !p || !ethers.isAddress(p.address) || typeof p.apiEndpoint !== 'string' ||
+                    typeof p.name !== 'string' || (p.services !== undefined && !Array.isArray(p.services)))
+                .map(({ index }) => index);
+            if (invalid.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid provider records at index ${invalid.join(', ')}`
+                });
+            }
+
+            const records = providers.map((p: any, index: number) => {
+                try {
+                    return { ...p, services: normalizeServices(p.services) };
+                } catch (error: any) {
+                    throw new ServiceCatalogError(`providers[${index}].${error.message}`);
+                }
+            });
+
+            const result = await registry.store.import(records, mode, req.body.nonces);
+            res.json({
+                success: true,
+                ...result
+            });
+
+        } catch (error: any) {
+            sendError(res, error);
+        }
+    });
+
+    // 索引进度
+    app.get('/api/indexer/status', (req, res) => {
+        res.json({
+            success: true,
+            enabled: Boolean(registry.indexer),
+            ...registry.indexer?.getStatus()
+        });
+    });
+
     // 健康检查
     app.get('/health', (req, res) => {
         res.json({
             status: 'ok',
             service: 'provider-registry',
+            demo: registry.demo,
+            indexer: registry.indexer ? {
+                ready: registry.indexer.ready,
+                checkpoint: registry.indexer.getStatus().checkpoint
+            } : null,
             timestamp: new Date()
         });
     });
@@ -513,9 +767,17 @@ if (isMainModule) {
         console.log('Endpoints:');
         console.log(`  GET  http://localhost:${PORT}/api/providers`);
         console.log(`  GET  http://localhost:${PORT}/api/providers/:address`);
-        console.log(`  GET  http://localhost:${PORT}/api/providers/search/:query`);
+        console.log(`  GET  http://localhost:${PORT}/api/providers/search?category=&maxPrice=&tier=&network=`);
+        console.log(`  GET  http://localhost:${PORT}/api/services`);
         console.log(`  GET  http://localhost:${PORT}/api/providers/:address/health`);
+        console.log(`  GET  http://localhost:${PORT}/api/providers/:address/events`);
+        console.log(`  GET  http://localhost:${PORT}/api/providers/:address/nonce`);
         console.log(`  POST http://localhost:${PORT}/api/providers/register`);
+        console.log(`  PUT  http://localhost:${PORT}/api/providers/:address`);
+        console.log(`  DELETE http://localhost:${PORT}/api/providers/:address`);
+        console.log(`  GET  http://localhost:${PORT}/api/registry/export`);
+        console.log(`  POST http://localhost:${PORT}/api/registry/import`);
+        console.log(`  GET  http://localhost:${PORT}/api/indexer/status`);
         console.log('');
         console.log('Try: curl http://localhost:' + PORT + '/api/providers');
         console.log('========================================');
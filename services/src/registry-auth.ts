@@ -0,0 +1,245 @@
+/**
+ * Provider Registry 签名认证
+ *
+ * 注册、更新和删除Provider的API信息都需要 EIP-712 签名：
+ * - EOA Provider：由Provider地址本身签名
+ * - 合约 Provider（工厂创建）：由合约 owner() 签名
+ * 每次签名带 nonce（必须大于该Provider上次使用的 nonce）和过期时间，防止重放。
+ * 链上查询（合约代码、owner()、工厂记录）的 RPC 失败返回 503，不当作签名或权限错误。
+ */
+
+import { ethers } from 'ethers';
+import type { RegistryStore } from './registry-store';
+import { normalizeServices, schemaHash } from './service-catalog';
+
+// ============ Types ============
+
+export type RegistrationAction = 'register' | 'update' | 'delete';
+
+export interface RegistrationMessage {
+    provider: string;
+    action: RegistrationAction;
+    apiEndpoint: string;
+    name: string;
+    description: string;
+    services: SignedService[];
+    nonce: string;            // uint256，十进制字符串
+    expiry: string;           // Unix 秒
+}
+
+// 签名中的服务：Schema 和 OpenAPI 片段以 schemaHash 表示，SLA 未声明时为 0
+export interface SignedService {
+    path: string;
+    method: string;
+    price: string;
+    description: string;
+    version: string;
+    category: string;
+    tags: string[];
+    pricingUnit: string;
+    networks: string[];
+    assets: string[];
+    slaTimeoutSeconds: number;
+    schemaHash: string;
+}
+
+export interface VerifyContext {
+    chainId: number;
+    verifyingContract: string;     // domain 绑定的地址，区分同链上的不同注册表实例
+    provider: ethers.Provider;     // 查询合约 owner()
+    store: RegistryStore;          // 记录 nonce
+    factoryAddress?: string;       // 配置后合约 Provider 必须由该工厂创建
+}
+
+// ============ EIP-712 ============
+
+export const REGISTRATION_TYPES = {
+    Service: [
+        { name: 'path', type: 'string' },
+        { name: 'method', type: 'string' },
+        { name: 'price', type: 'string' },
+        { name: 'description', type: 'string' },
+        { name: 'version', type: 'string' },
+        { name: 'category', type: 'string' },
+        { name: 'tags', type: 'string[]' },
+        { name: 'pricingUnit', type: 'string' },
+        { name: 'networks', type: 'string[]' },
+        { name: 'assets', type: 'address[]' },
+        { name: 'slaTimeoutSeconds', type: 'uint256' },
+        { name: 'schemaHash', type: 'bytes32' }
+    ],
+    ProviderRegistration: [
+        { name: 'provider', type: 'address' },
+        { name: 'action', type: 'string' },
+        { name: 'apiEndpoint', type: 'string' },
+        { name: 'name', type: 'string' },
+        { name: 'description', type: 'string' },
+        { name: 'services', type: 'Service[]' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'expiry', type: 'uint256' }
+    ]
+};
+
+// 签名最长有效期，避免长期有效的签名被截获后使用
+export const MAX_SIGNATURE_LIFETIME = 24 * 60 * 60;
+
+export function registrationDomain(chainId: number, verifyingContract: string) {
+    return {
+        name: 'X402 Provider Registry',
+        version: '3',       // 2：服务带目录字段；3：domain 带 verifyingContract
+        chainId,
+        verifyingContract
+    };
+}
+
+export class RegistrationAuthError extends Error {
+    constructor(message: string, public status: number, public code: string) {
+        super(message);
+        this.name = 'RegistrationAuthError';
+    }
+}
+
+/**
+ * 执行认证所需的链上查询：合约回滚（CALL_EXCEPTION）原样抛出由调用方判断，
+ * 其他失败（RPC 不可用、超时）转为 503
+ * @throws {RegistrationAuthError}
+ */
+export async function queryChain<T>(query: () => Promise<T>): Promise<T> {
+    try {
+        return await query();
+    } catch (error: any) {
+        if (error instanceof RegistrationAuthError || ethers.isError(error, 'CALL_EXCEPTION')) throw error;
+        throw new RegistrationAuthError(`Chain query failed: ${error.shortMessage || error.message}`, 503, 'CHAIN_UNAVAILABLE');
+    }
+}
+
+/**
+ * 从请求体构造待签名的消息（删除时端点、名称等为空）
+ *
+ * 服务按目录规则规范化后签名，签名者应对补全默认值后的服务签名
+ * @throws {ServiceCatalogError} 服务定义无效
+ */
+export function buildRegistrationMessage(body: any, provider: string, action: RegistrationAction): RegistrationMessage {
+    return {
+        provider,
+        action,
+        apiEndpoint: body.apiEndpoint || '',
+        name: body.name || '',
+        description: body.description || '',
+        services: normalizeServices(body.services).map(s => ({
+            path: s.path,
+            method: s.method,
+            price: s.price,
+            description: s.description,
+            version: s.version,
+            category: s.category || '',
+            tags: s.tags,
+            pricingUnit: s.pricingUnit,
+            networks: s.networks,
+            assets: s.assets,
+            slaTimeoutSeconds: s.slaTimeoutSeconds || 0,
+            schemaHash: schemaHash(s)
+        })),
+        nonce: String(body.nonce ?? ''),
+        expiry: String(body.expiry ?? '')
+    };
+}
+
+/**
+ * 验证签名、签名者权限、过期时间和 nonce
+ *
+ * 校验全部通过后才消耗 nonce；返回签名者地址
+ * @throws {RegistrationAuthError}
+ */
+export async function verifyRegistration(
+    message: RegistrationMessage,
+    signature: string,
+    context: VerifyContext
+): Promise<string> {
+    if (!ethers.isAddress(message.provider)) {
+        throw new RegistrationAuthError('Invalid provider address', 400, 'INVALID_ADDRESS');
+    }
+    if (!signature) {
+        throw new RegistrationAuthError('Missing signature', 401, 'MISSING_SIGNATURE');
+    }
+    if (!/^\d+$/.test(message.nonce) || !/^\d+$/.test(message.expiry)) {
+        throw new RegistrationAuthError('nonce and expiry must be unsigned integers', 400, 'INVALID_NONCE');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const expiry = Number(message.expiry);
+    if (expiry <= now) {
+        throw new RegistrationAuthError('Signature expired', 401, 'SIGNATURE_EXPIRED');
+    }
+    if (expiry > now + MAX_SIGNATURE_LIFETIME) {
+        throw new RegistrationAuthError(`Expiry must be within ${MAX_SIGNATURE_LIFETIME} seconds`, 400, 'EXPIRY_TOO_FAR');
+    }
+
+    // 消息本身无法编码（字段类型不符）是请求错误，与签名无关
+    let digest: string;
+    try {
+        digest = ethers.TypedDataEncoder.hash(registrationDomain(context.chainId, context.verifyingContract), REGISTRATION_TYPES, message);
+    } catch (error: any) {
+        throw new RegistrationAuthError(`Invalid registration message: ${error.shortMessage || error.message}`, 400, 'INVALID_MESSAGE');
+    }
+
+    let signer: string;
+    try {
+        signer = ethers.recoverAddress(digest, signature);
+    } catch {
+        throw new RegistrationAuthError('Invalid signature', 401, 'INVALID_SIGNATURE');
+    }
+
+    await assertCanManage(message.provider, signer, context);
+
+    if (!await context.store.consumeNonce(message.provider, BigInt(message.nonce))) {
+        const last = await context.store.getNonce(message.provider);
+        throw new RegistrationAuthError(`Nonce must be greater than ${last}`, 409, 'NONCE_USED');
+    }
+
+    return signer;
+}
+
+/**
+ * 签名者是否有权管理该Provider：Provider本身，或合约 Provider 的 owner()
+ */
+async function assertCanManage(provider: string, signer: string, context: VerifyContext) {
+    if (signer.toLowerCase() === provider.toLowerCase()) return;
+
+    const code = await queryChain(() => context.provider.getCode(provider));
+    if (code === '0x') {
+        throw new RegistrationAuthError('Signer is not the provider', 403, 'NOT_AUTHORIZED');
+    }
+
+    let owner: string;
+    try {
+        const contract = new ethers.Contract(provider, ['function owner() view returns (address)'], context.provider);
+        owner = await queryChain(() => contract.owner());
+    } catch (error) {
+        if (error instanceof RegistrationAuthError) throw error;
+        throw new RegistrationAuthError('Provider contract has no owner()', 403, 'NOT_AUTHORIZED');
+    }
+
+    if (owner.toLowerCase() !== signer.toLowerCase()) {
+        throw new RegistrationAuthError('Signer is not the provider contract owner', 403, 'NOT_AUTHORIZED');
+    }
+
+    if (context.factoryAddress) {
+        const factory = new ethers.Contract(
+            context.factoryAddress,
+            ['function getAllProviders() view returns (address[])'],
+            context.provider
+        );
+        let created: string[];
+        try {
+            created = await queryChain(() => factory.getAllProviders());
+        } catch (error) {
+            if (error instanceof RegistrationAuthError) throw error;
+            // 工厂调用回滚：PROVIDER_FACTORY_ADDRESS 配置有误，无法完成校验
+            throw new RegistrationAuthError('Provider factory query reverted', 503, 'CHAIN_UNAVAILABLE');
+        }
+        if (!created.some(address => address.toLowerCase() === provider.toLowerCase())) {
+            throw new RegistrationAuthError('Provider contract was not created by the provider factory', 403, 'NOT_FACTORY_PROVIDER');
+        }
+    }
+}
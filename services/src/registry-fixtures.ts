@@ -0,0 +1,105 @@
+/**
+ * Provider Registry 演示数据
+ *
+ * 只在 demo 模式（REGISTRY_DEMO=true 或 new ProviderRegistry({ demo: true })）下返回，
+ * 不写入存储，结果中带有 demo: true 标记。
+ */
+
+import type { ProviderRecord } from './registry-store';
+import { withCatalogDefaults } from './service-catalog';
+
+const BASE_SEPOLIA_USDC = '0x036cbd53842c5426634e7929541ec2318f3dcf7e';
+
+export const DEMO_PROVIDERS: Array<Omit<ProviderRecord, 'createdAt' | 'updatedAt'>> = [
+    // 测试Provider 1 - 天气API
+    {
+        address: '0x1111111111111111111111111111111111111111',
+        apiEndpoint: 'http://localhost:3001',
+        name: 'Weather Data Provider',
+        description: '提供全球天气数据查询服务',
+        services: [
+            {
+                path: '/api/weather/current',
+                method: 'GET',
+                price: '0.1',
+                description: '获取当前天气',
+                category: 'weather',
+                tags: ['realtime'],
+                networks: ['base-sepolia'],
+                assets: [BASE_SEPOLIA_USDC],
+                slaTimeoutSeconds: 5,
+                requestSchema: {
+                    type: 'object',
+                    properties: { city: { type: 'string' } },
+                    required: ['city']
+                }
+            },
+            {
+                path: '/api/weather/forecast',
+                method: 'GET',
+                price: '0.5',
+                description: '获取7天天气预报',
+                category: 'weather',
+                tags: ['forecast'],
+                networks: ['base-sepolia'],
+                assets: [BASE_SEPOLIA_USDC],
+                slaTimeoutSeconds: 10
+            }
+        ].map(withCatalogDefaults)
+    },
+
+    // 测试Provider 2 - 汇率API
+    {
+        address: '0x2222222222222222222222222222222222222222',
+        apiEndpoint: 'http://localhost:3003',
+        name: 'Exchange Rate Provider',
+        description: '提供实时汇率数据',
+        services: [
+            {
+                path: '/api/rate/usd',
+                method: 'GET',
+                price: '0.05',
+                description: 'USD汇率查询',
+                category: 'finance',
+                tags: ['fx', 'realtime'],
+                networks: ['base-sepolia'],
+                assets: [BASE_SEPOLIA_USDC],
+                slaTimeoutSeconds: 3
+            }
+        ].map(withCatalogDefaults)
+    },
+
+    // 测试Provider 3 - AI服务
+    {
+        address: '0x3333333333333333333333333333333333333333',
+        apiEndpoint: 'http://localhost:3004',
+        name: 'AI Service Provider',
+        description: 'AI文本和图像处理服务',
+        services: [
+            {
+                path: '/api/ai/text',
+                method: 'POST',
+                price: '0.00002',
+                description: '文本生成',
+                version: '2.0.0',
+                category: 'ai',
+                tags: ['llm', 'text'],
+                pricingUnit: 'token' as const,
+                networks: ['base-sepolia'],
+                assets: [BASE_SEPOLIA_USDC],
+                slaTimeoutSeconds: 60
+            },
+            {
+                path: '/api/ai/image',
+                method: 'POST',
+                price: '5.0',
+                description: '图像生成',
+                category: 'ai',
+                tags: ['image'],
+                networks: ['base-sepolia'],
+                assets: [BASE_SEPOLIA_USDC],
+                slaTimeoutSeconds: 120
+            }
+        ].map(withCatalogDefaults)
+    }
+];
@@ -0,0 +1,496 @@
+/**
+ * Provider Registry 存储
+ *
+ * 保存Provider在链下登记的API信息（端点、名称、服务列表），重启后不丢失。
+ * 后端：
+ * - json：单个 JSON 文件（默认，无额外依赖）
+ * - sqlite：需要 npm install better-sqlite3
+ * - memory：仅进程内（测试用）
+ *
+ * 两种持久化后端都带 schema 版本号，打开时按顺序执行未应用的迁移。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { withCatalogDefaults, type ServiceInfo } from './service-catalog';
+
+export type { ServiceInfo };
+
+// ============ Types ============
+
+export interface ProviderRecord {
+    address: string;          // 小写
+    apiEndpoint: string;
+    name: string;
+    description: string;
+    services: ServiceInfo[];
+    createdAt: string;        // ISO 时间
+    updatedAt: string;
+}
+
+export interface RegistryExport {
+    schemaVersion: number;
+    exportedAt: string;
+    providers: ProviderRecord[];
+    nonces: Record<string, string>;    // 地址 → 最后使用的签名 nonce
+}
+
+export interface ImportResult {
+    imported: number;
+    removed: number;
+}
+
+export interface RegistryStore {
+    get(address: string): Promise<ProviderRecord | null>;
+    list(): Promise<ProviderRecord[]>;
+    /** 新增或更新，保留原 createdAt */
+    upsert(record: Omit<ProviderRecord, 'createdAt' | 'updatedAt'>): Promise<ProviderRecord>;
+    remove(address: string): Promise<boolean>;
+    /** mode 为 replace 时先清空Provider；nonces 取较大值合并，避免迁移后签名被重放 */
+    import(records: ProviderRecord[], mode?: 'merge' | 'replace', nonces?: Record<string, string>): Promise<ImportResult>;
+    export(): Promise<RegistryExport>;
+    /** 最后使用的签名 nonce，未使用过为 0 */
+    getNonce(address: string): Promise<bigint>;
+    /** nonce 大于最后使用的值时记录并返回 true，否则返回 false（重放或过期签名） */
+    consumeNonce(address: string, nonce: bigint): Promise<boolean>;
+    close(): Promise<void>;
+}
+
+export interface RegistryStoreConfig {
+    type?: 'json' | 'sqlite' | 'memory';
+    path?: string;
+}
+
+// 当前 schema 版本（= 迁移数量），修改存储格式时追加迁移并加一
+export const REGISTRY_SCHEMA_VERSION = 3;
+
+// ============ 通用工具 ============
+
+/**
+ * 补全时间戳、统一地址大小写，服务补全目录字段
+ */
+function normalizeRecord(record: Partial<ProviderRecord>, existing?: ProviderRecord | null): ProviderRecord {
+    const now = new Date().toISOString();
+    return {
+        address: String(record.address).toLowerCase(),
+        apiEndpoint: record.apiEndpoint,
+        name: record.name,
+        description: record.description || '',
+        services: (record.services || []).map(withCatalogDefaults),
+        createdAt: existing ? existing.createdAt : record.createdAt || now,
+        updatedAt: record.updatedAt && !existing ? record.updatedAt : now
+    };
+}
+
+/**
+ * 导入数据无效（在修改存储之前抛出）
+ */
+export class RegistryImportError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'RegistryImportError';
+    }
+}
+
+/**
+ * 导入前先完整校验并规范化全部记录和 nonce，任何一项无效时不修改存储
+ * @throws {RegistryImportError}
+ */
+function prepareImport(records: ProviderRecord[], nonces: Record<string, string> = {}) {
+    const normalized = records.map((record, index) => {
+        try {
+            return normalizeRecord(record);
+        } catch (error: any) {
+            throw new RegistryImportError(`providers[${index}]: ${error.message}`);
+        }
+    });
+
+    if (nonces === null || typeof nonces !== 'object' || Array.isArray(nonces)) {
+        throw new RegistryImportError('nonces must be an object of address → nonce');
+    }
+    const parsed = Object.entries(nonces).map(([address, nonce]): [string, bigint] => {
+        if (!/^\d+$/.test(String(nonce))) {
+            throw new RegistryImportError(`Invalid nonce for ${address}: ${nonce}`);
+        }
+        return [address.toLowerCase(), BigInt(nonce)];
+    });
+
+    return { records: normalized, nonces: parsed };
+}
+
+// ============ 内存 ============
+
+export class MemoryRegistryStore implements RegistryStore {
+    protected records = new Map<string, ProviderRecord>();
+    protected nonces = new Map<string, bigint>();
+
+    async get(address: string) {
+        return this.records.get(address.toLowerCase()) || null;
+    }
+
+    async list() {
+        return [...this.records.values()];
+    }
+
+    async upsert(record: Omit<ProviderRecord, 'createdAt' | 'updatedAt'>) {
+        const saved = normalizeRecord(record, await this.get(record.address));
+        this.records.set(saved.address, saved);
+        await this.persist();
+        return saved;
+    }
+
+    async remove(address: string) {
+        const removed = this.records.delete(address.toLowerCase());
+        if (removed) await this.persist();
+        return removed;
+    }
+
+    async import(records: ProviderRecord[], mode: 'merge' | 'replace' = 'merge', nonces: Record<string, string> = {}) {
+        const prepared = prepareImport(records, nonces);
+
+        const removed = mode === 'replace' ? this.records.size : 0;
+        if (mode === 'replace') this.records.clear();
+
+        for (const record of prepared.records) {
+            this.records.set(record.address, record);
+        }
+        for (const [address, nonce] of prepared.nonces) {
+            if (nonce > (this.nonces.get(address) || 0n)) this.nonces.set(address, nonce);
+        }
+        await this.persist();
+        return { imported: prepared.records.length, removed };
+    }
+
+    async export(): Promise<RegistryExport> {
+        return {
+            schemaVersion: REGISTRY_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            providers: await this.list(),
+            nonces: Object.fromEntries([...this.nonces].map(([address, nonce]) => [address, nonce.toString()]))
+        };
+    }
+
+    async getNonce(address: string) {
+        return this.nonces.get(address.toLowerCase()) || 0n;
+    }
+
+    async consumeNonce(address: string, nonce: bigint) {
+        const key = address.toLowerCase();
+        if (nonce <= (this.nonces.get(key) || 0n)) return false;
+
+        this.nonces.set(key, nonce);
+        await this.persist();
+        return true;
+    }
+
+    async close() {}
+
+    protected async persist() {}
+}
+
+// ============ JSON 文件 ============
+
+/**
+ * JSON 文件迁移：JSON_MIGRATIONS[i] 把版本 i 的文件内容升级到 i + 1
+ */
+const JSON_MIGRATIONS: Array<(data: any) => any> = [
+    // 0 → 1：未标注版本的文件，补全时间戳、地址小写
+    data => ({
+        providers: (data.providers || []).map((record: any) => normalizeRecord(record))
+    }),
+    // 1 → 2：签名注册的 nonce
+    data => ({ ...data, nonces: {} }),
+    // 2 → 3：服务目录字段（版本、分类、计价单位等）
+    data => ({
+        ...data,
+        providers: data.providers.map((record: any) => ({ ...record, services: record.services.map(withCatalogDefaults) }))
+    })
+];
+
+export class JsonRegistryStore extends MemoryRegistryStore {
+    private loading: Promise<void> | null = null;
+    private writing: Promise<void> = Promise.resolve();
+
+    constructor(private filePath: string) {
+        super();
+    }
+
+    async get(address: string) {
+        await this.load();
+        return super.get(address);
+    }
+
+    async list() {
+        await this.load();
+        return super.list();
+    }
+
+    async remove(address: string) {
+        await this.load();
+        return super.remove(address);
+    }
+
+    async import(records: ProviderRecord[], mode: 'merge' | 'replace' = 'merge', nonces?: Record<string, string>) {
+        await this.load();
+        return super.import(records, mode, nonces);
+    }
+
+    async getNonce(address: string) {
+        await this.load();
+        return super.getNonce(address);
+    }
+
+    async consumeNonce(address: string, nonce: bigint) {
+        await this.load();
+        return super.consumeNonce(address, nonce);
+    }
+
+    async close() {
+        // 写入失败已报告给对应的调用方
+        await this.writing.catch(() => {});
+    }
+
+    /**
+     * 首次访问时读取文件（并发调用共享同一次读取）
+     */
+    private load(): Promise<void> {
+        if (!this.loading) this.loading = this.read();
+        return this.loading;
+    }
+
+    /**
+     * 读取文件并执行迁移（迁移后立即写回）
+     */
+    private async read() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        let data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        let version = Number(data.schemaVersion || 0);
+
+        if (version > REGISTRY_SCHEMA_VERSION) {
+            throw new Error(`Registry file ${this.filePath} has schema version ${version}, newer than supported ${REGISTRY_SCHEMA_VERSION}`);
+        }
+
+        const migrated = version < REGISTRY_SCHEMA_VERSION;
+        for (; version < REGISTRY_SCHEMA_VERSION; version++) {
+            data = JSON_MIGRATIONS[version](data);
+            console.log(`🗄️  Registry store migrated to schema v${version + 1}`);
+        }
+
+        for (const record of data.providers as ProviderRecord[]) {
+            this.records.set(record.address, record);
+        }
+        for (const [address, nonce] of Object.entries(data.nonces as Record<string, string>)) {
+            this.nonces.set(address, BigInt(nonce));
+        }
+        if (migrated) await this.persist();
+    }
+
+    /**
+     * 写入临时文件后重命名，避免进程中断时损坏文件
+     *
+     * 写入按顺序排队；前一次写入失败不影响后续写入（每次都写完整状态）
+     */
+    protected persist() {
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            const tmp = `${this.filePath}.tmp`;
+            const data = {
+                schemaVersion: REGISTRY_SCHEMA_VERSION,
+                providers: [...this.records.values()],
+                nonces: Object.fromEntries([...this.nonces].map(([address, nonce]) => [address, nonce.toString()]))
+            };
+
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+            await fs.promises.rename(tmp, this.filePath);
+        });
+        return this.writing;
+    }
+}
+
+// ============ SQLite ============
+
+/**
+ * SQLite 迁移：SQLITE_MIGRATIONS[i] 把版本 i 升级到 i + 1，版本记录在 user_version
+ * （SQL 语句，或需要改写数据时用函数）
+ */
+const SQLITE_MIGRATIONS: Array<string | ((db: any) => void)> = [
+    `CREATE TABLE providers (
+        address TEXT PRIMARY KEY,
+        api_endpoint TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        services TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    )`,
+    // nonce 以十进制字符串保存（uint256）
+    `CREATE TABLE registration_nonces (
+        address TEXT PRIMARY KEY,
+        nonce TEXT NOT NULL
+    )`,
+    // 服务目录字段（版本、分类、计价单位等）
+    db => {
+        const update = db.prepare('UPDATE providers SET services = ? WHERE address = ?');
+        for (const row of db.prepare('SELECT address, services FROM providers').all()) {
+            update.run(JSON.stringify(JSON.parse(row.services).map(withCatalogDefaults)), row.address);
+        }
+    }
+];
+
+export class SqliteRegistryStore implements RegistryStore {
+    private db: any;
+
+    constructor(filePath: string) {
+        let Database: any;
+        try {
+            Database = createRequire(import.meta.url)('better-sqlite3');
+        } catch {
+            throw new Error('SQLite registry store requires better-sqlite3: npm install better-sqlite3');
+        }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.migrate();
+    }
+
+    async get(address: string) {
+        const row = this.db.prepare('SELECT * FROM providers WHERE address = ?').get(address.toLowerCase());
+        return row ? this.toRecord(row) : null;
+    }
+
+    async list() {
+        return this.db.prepare('SELECT * FROM providers ORDER BY created_at').all().map((row: any) => this.toRecord(row));
+    }
+
+    async upsert(record: Omit<ProviderRecord, 'createdAt' | 'updatedAt'>) {
+        const saved = normalizeRecord(record, await this.get(record.address));
+        this.write(saved);
+        return saved;
+    }
+
+    async remove(address: string) {
+        return this.db.prepare('DELETE FROM providers WHERE address = ?').run(address.toLowerCase()).changes > 0;
+    }
+
+    async import(records: ProviderRecord[], mode: 'merge' | 'replace' = 'merge', nonces: Record<string, string> = {}) {
+        const prepared = prepareImport(records, nonces);
+
+        let removed = 0;
+        this.db.transaction(() => {
+            if (mode === 'replace') removed = this.db.prepare('DELETE FROM providers').run().changes;
+            for (const record of prepared.records) this.write(record);
+            for (const [address, nonce] of prepared.nonces) this.raiseNonce(address, nonce);
+        })();
+        return { imported: prepared.records.length, removed };
+    }
+
+    async export(): Promise<RegistryExport> {
+        const nonces = this.db.prepare('SELECT address, nonce FROM registration_nonces').all();
+        return {
+            schemaVersion: REGISTRY_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            providers: await this.list(),
+            nonces: Object.fromEntries(nonces.map((row: any) => [row.address, row.nonce]))
+        };
+    }
+
+    async getNonce(address: string) {
+        const row = this.db.prepare('SELECT nonce FROM registration_nonces WHERE address = ?').get(address.toLowerCase());
+        return row ? BigInt(row.nonce) : 0n;
+    }
+
+    async consumeNonce(address: string, nonce: bigint) {
+        return this.db.transaction(() => this.raiseNonce(address.toLowerCase(), nonce))();
+    }
+
+    /**
+     * nonce 大于已记录的值时更新（SQLite 无法直接比较 uint256，在事务内读出比较）
+     */
+    private raiseNonce(address: string, nonce: bigint): boolean {
+        const row = this.db.prepare('SELECT nonce FROM registration_nonces WHERE address = ?').get(address);
+        if (row && nonce <= BigInt(row.nonce)) return false;
+
+        this.db.prepare(`
+            INSERT INTO registration_nonces (address, nonce) VALUES (?, ?)
+            ON CONFLICT (address) DO UPDATE SET nonce = excluded.nonce
+        `).run(address, nonce.toString());
+        return true;
+    }
+
+    async close() {
+        this.db.close();
+    }
+
+    /**
+     * 按 user_version 执行未应用的迁移（每个迁移一个事务）
+     */
+    private migrate() {
+        const current = this.db.pragma('user_version', { simple: true }) as number;
+
+        if (current > REGISTRY_SCHEMA_VERSION) {
+            throw new Error(`Registry database has schema version ${current}, newer than supported ${REGISTRY_SCHEMA_VERSION}`);
+        }
+
+        for (let version = current; version < REGISTRY_SCHEMA_VERSION; version++) {
+            const migration = SQLITE_MIGRATIONS[version];
+            this.db.transaction(() => {
+                if (typeof migration === 'string') {
+                    this.db.exec(migration);
+                } else {
+                    migration(this.db);
+                }
+                this.db.pragma(`user_version = ${version + 1}`);
+            })();
+            console.log(`🗄️  Registry store migrated to schema v${version + 1}`);
+        }
+    }
+
+    private write(record: ProviderRecord) {
+        this.db.prepare(`
+            INSERT INTO providers (address, api_endpoint, name, description, services, created_at, updated_at)
+            VALUES (@address, @apiEndpoint, @name, @description, @services, @createdAt, @updatedAt)
+            ON CONFLICT (address) DO UPDATE SET
+                api_endpoint = excluded.api_endpoint,
+                name = excluded.name,
+                description = excluded.description,
+                services = excluded.services,
+                updated_at = excluded.updated_at
+        `).run({ ...record, services: JSON.stringify(record.services) });
+    }
+
+    private toRecord(row: any): ProviderRecord {
+        return {
+            address: row.address,
+            apiEndpoint: row.api_endpoint,
+            name: row.name,
+            description: row.description,
+            services: JSON.parse(row.services),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+// ============ 工厂 ============
+
+/**
+ * 创建存储，默认读取环境变量 REGISTRY_STORE（json | sqlite | memory）和 REGISTRY_DB_PATH
+ */
+export function createRegistryStore(config: RegistryStoreConfig = {}): RegistryStore {
+    const type = config.type || (process.env.REGISTRY_STORE as RegistryStoreConfig['type']) || 'json';
+    const filePath = config.path || process.env.REGISTRY_DB_PATH;
+
+    switch (type) {
+        case 'json':
+            return new JsonRegistryStore(filePath || './data/provider-registry.json');
+        case 'sqlite':
+            return new SqliteRegistryStore(filePath || './data/provider-registry.db');
+        case 'memory':
+            return new MemoryRegistryStore();
+        default:
+            throw new Error(`Unknown registry store type: ${type}`);
+    }
+}
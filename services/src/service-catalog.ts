@@ -0,0 +1,319 @@
+/**
+ * Provider服务目录
+ *
+ * 每个服务除路径、方法、价格外，还登记分类/标签、计价单位（按次、按 token、按 KB）、
+ * 支持的网络和代币、SLA 超时、版本，以及请求/响应 JSON Schema 或 OpenAPI 片段。
+ * 检索支持按分类、标签、最高价格、计价单位、等级、网络等过滤，并返回各维度的分面计数。
+ */
+
+import { ethers } from 'ethers';
+
+// ============ Types ============
+
+export type PricingUnit = 'call' | 'token' | 'kb';
+
+export interface ServiceInfo {
+    path: string;
+    method: string;                     // 大写
+    price: string;                      // 每个计价单位的价格（USDC）
+    description: string;
+    version: string;                    // semver，默认 1.0.0
+    category: string | null;            // 小写，如 weather
+    tags: string[];                     // 小写
+    pricingUnit: PricingUnit;
+    networks: string[];                 // x402 网络名，如 base-sepolia
+    assets: string[];                   // 支付代币地址（小写）
+    slaTimeoutSeconds: number | null;   // 承诺的最长响应时间
+    requestSchema: object | null;       // JSON Schema
+    responseSchema: object | null;
+    openapi: object | null;             // OpenAPI Operation 片段
+}
+
+export interface CatalogQuery {
+    q?: string;                 // 名称、描述、路径、标签的子串
+    categories?: string[];
+    tags?: string[];            // 需全部包含
+    maxPrice?: number;          // 按服务自身的计价单位比较，通常与 pricingUnit 一起使用
+    pricingUnit?: PricingUnit;
+    tiers?: string[];           // 等级名，如 Gold
+    minTier?: number;
+    networks?: string[];        // 支持其中任一网络
+    asset?: string;
+    method?: string;
+    version?: string;           // 前缀匹配，如 2 或 2.1
+    sort?: 'price' | 'tier' | 'successRate';
+    limit?: number;
+    offset?: number;
+}
+
+// 参与检索的Provider字段（ProviderRegistration 的子集）
+export interface CatalogProvider {
+    address: string;
+    name: string;
+    description: string;
+    tier: string;
+    tierLevel: number;
+    successRate: number;
+    services: ServiceInfo[];
+}
+
+export interface CatalogFacets {
+    categories: Record<string, number>;
+    tags: Record<string, number>;
+    networks: Record<string, number>;
+    pricingUnits: Record<string, number>;
+    tiers: Record<string, number>;
+}
+
+export interface CatalogEntry<P extends CatalogProvider> {
+    provider: Omit<P, 'services'>;
+    service: ServiceInfo;
+}
+
+export interface CatalogResult<P extends CatalogProvider> {
+    total: number;
+    services: CatalogEntry<P>[];    // 按 limit/offset 分页
+    providers: P[];                 // 只保留匹配的服务，不分页
+    facets: CatalogFacets;
+}
+
+export const PRICING_UNITS: PricingUnit[] = ['call', 'token', 'kb'];
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const SORTS = ['price', 'tier', 'successRate'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+export class ServiceCatalogError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'ServiceCatalogError';
+    }
+}
+
+// ============ 服务定义 ============
+
+/**
+ * 补全目录字段的默认值，不做校验（存储迁移和读取旧数据用）
+ */
+export function withCatalogDefaults(service: Partial<ServiceInfo> & { path: string }): ServiceInfo {
+    return {
+        path: service.path,
+        method: (service.method || 'GET').toUpperCase(),
+        price: String(service.price ?? '0'),
+        description: service.description || '',
+        version: service.version || '1.0.0',
+        category: service.category ? service.category.toLowerCase() : null,
+        tags: (service.tags || []).map(tag => tag.toLowerCase()),
+        pricingUnit: service.pricingUnit || 'call',
+        networks: service.networks || [],
+        assets: (service.assets || []).map(asset => asset.toLowerCase()),
+        slaTimeoutSeconds: service.slaTimeoutSeconds ?? null,
+        requestSchema: service.requestSchema ?? null,
+        responseSchema: service.responseSchema ?? null,
+        openapi: service.openapi ?? null
+    };
+}
+
+/**
+ * 校验并规范化Provider提交的服务列表
+ * @throws {ServiceCatalogError}
+ */
+export function normalizeServices(input: any): ServiceInfo[] {
+    if (input === undefined || input === null) return [];
+    if (!Array.isArray(input)) {
+        throw new ServiceCatalogError('services must be an array');
+    }
+
+    const services = input.map((service, index) => normalizeService(service, index));
+    const seen = new Set<string>();
+    for (const service of services) {
+        const key = `${service.method} ${service.path} ${service.version}`;
+        if (seen.has(key)) {
+            throw new ServiceCatalogError(`Duplicate service ${key}`);
+        }
+        seen.add(key);
+    }
+    return services;
+}
+
+function normalizeService(input: any, index: number): ServiceInfo {
+    const fail = (message: string): never => {
+        throw new ServiceCatalogError(`services[${index}]: ${message}`);
+    };
+
+    if (!input || typeof input !== 'object') fail('must be an object');
+    if (typeof input.path !== 'string' || !input.path.startsWith('/')) fail('path must start with /');
+    for (const field of ['method', 'description', 'version', 'category', 'pricingUnit'] as const) {
+        if (input[field] !== undefined && input[field] !== null && typeof input[field] !== 'string') fail(`${field} must be a string`);
+    }
+
+    const service = withCatalogDefaults({
+        ...input,
+        tags: optionalStrings(input.tags, 'tags', fail),
+        networks: optionalStrings(input.networks, 'networks', fail),
+        assets: optionalStrings(input.assets, 'assets', fail)
+    });
+
+    if (!METHODS.includes(service.method)) fail(`method must be one of ${METHODS.join(', ')}`);
+    if (!/^\d+(\.\d+)?$/.test(service.price)) fail('price must be a non-negative decimal string');
+    if (!PRICING_UNITS.includes(service.pricingUnit)) fail(`pricingUnit must be one of ${PRICING_UNITS.join(', ')}`);
+    if (!/^\d+\.\d+\.\d+([-+][0-9A-Za-z.-]+)?$/.test(service.version)) fail('version must be semver (e.g. 1.2.0)');
+    if (service.assets.some(asset => !ethers.isAddress(asset))) fail('assets must be token addresses');
+    if (service.slaTimeoutSeconds !== null &&
+        (!Number.isInteger(service.slaTimeoutSeconds) || service.slaTimeoutSeconds <= 0)) {
+        fail('slaTimeoutSeconds must be a positive integer');
+    }
+    for (const field of ['requestSchema', 'responseSchema', 'openapi'] as const) {
+        const value = service[field];
+        if (value !== null && (typeof value !== 'object' || Array.isArray(value))) fail(`${field} must be an object`);
+    }
+
+    return service;
+}
+
+function optionalStrings(value: any, field: string, fail: (message: string) => never): string[] | undefined {
+    if (value === undefined || value === null) return undefined;
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+        fail(`${field} must be an array of strings`);
+    }
+    return value;
+}
+
+/**
+ * 请求/响应 Schema 和 OpenAPI 片段的摘要（键排序后的 JSON 的 keccak256），用于签名
+ */
+export function schemaHash(service: ServiceInfo): string {
+    return ethers.id(canonicalJson({
+        requestSchema: service.requestSchema,
+        responseSchema: service.responseSchema,
+        openapi: service.openapi
+    }));
+}
+
+function canonicalJson(value: any): string {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// ============ 检索 ============
+
+/**
+ * 解析查询参数（列表参数可重复或逗号分隔，如 ?network=base,base-sepolia）
+ * @throws {ServiceCatalogError}
+ */
+export function parseCatalogQuery(params: Record<string, any>): CatalogQuery {
+    const list = (value: any) => value === undefined ? undefined :
+        ([] as string[]).concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+    const number = (name: string, value: any) => {
+        if (value === undefined) return undefined;
+        const parsed = Number(value);
+        if (!Number.isFinite(parsed) || parsed < 0) {
+            throw new ServiceCatalogError(`${name} must be a non-negative number`);
+        }
+        return parsed;
+    };
+
+    const query: CatalogQuery = {
+        q: params.q ? String(params.q) : undefined,
+        categories: list(params.category)?.map(item => item.toLowerCase()),
+        tags: list(params.tag)?.map(item => item.toLowerCase()),
+        maxPrice: number('maxPrice', params.maxPrice),
+        pricingUnit: params.pricingUnit,
+        tiers: list(params.tier)?.map(item => item.toLowerCase()),
+        minTier: number('minTier', params.minTier),
+        networks: list(params.network),
+        asset: params.asset ? String(params.asset).toLowerCase() : undefined,
+        method: params.method ? String(params.method).toUpperCase() : undefined,
+        version: params.version ? String(params.version) : undefined,
+        sort: params.sort,
+        limit: Math.min(number('limit', params.limit) ?? DEFAULT_LIMIT, MAX_LIMIT),
+        offset: number('offset', params.offset) ?? 0
+    };
+
+    if (query.pricingUnit && !PRICING_UNITS.includes(query.pricingUnit)) {
+        throw new ServiceCatalogError(`pricingUnit must be one of ${PRICING_UNITS.join(', ')}`);
+    }
+    if (query.sort && !SORTS.includes(query.sort)) {
+        throw new ServiceCatalogError(`sort must be one of ${SORTS.join(', ')}`);
+    }
+    return query;
+}
+
+/**
+ * 按服务检索目录，分面计数基于全部匹配结果（分页前）
+ */
+export function searchCatalog<P extends CatalogProvider>(providers: P[], query: CatalogQuery): CatalogResult<P> {
+    const matches: CatalogEntry<P>[] = [];
+    for (const provider of providers) {
+        const { services, ...info } = provider;
+        for (const service of services) {
+            if (matchesService(provider, service, query)) matches.push({ provider: info, service });
+        }
+    }
+
+    if (query.sort === 'price') {
+        matches.sort((a, b) => Number(a.service.price) - Number(b.service.price));
+    } else if (query.sort === 'tier') {
+        matches.sort((a, b) => b.provider.tierLevel - a.provider.tierLevel);
+    } else if (query.sort === 'successRate') {
+        matches.sort((a, b) => b.provider.successRate - a.provider.successRate);
+    }
+
+    // Provider顺序取其第一个匹配服务在排序结果中的位置
+    const grouped = new Map<string, P>();
+    for (const { provider, service } of matches) {
+        const existing = grouped.get(provider.address);
+        if (existing) {
+            existing.services.push(service);
+        } else {
+            grouped.set(provider.address, { ...provider, services: [service] } as P);
+        }
+    }
+
+    const offset = query.offset ?? 0;
+    return {
+        total: matches.length,
+        services: matches.slice(offset, offset + (query.limit ?? DEFAULT_LIMIT)),
+        providers: [...grouped.values()],
+        facets: buildFacets(matches)
+    };
+}
+
+function matchesService(provider: Omit<CatalogProvider, 'services'>, service: ServiceInfo, query: CatalogQuery): boolean {
+    if (query.q) {
+        const q = query.q.toLowerCase();
+        const text = [provider.name, provider.description, provider.address, service.path, service.description, ...service.tags];
+        if (!text.some(value => value.toLowerCase().includes(q))) return false;
+    }
+    if (query.categories && !query.categories.includes(service.category ?? '')) return false;
+    if (query.tags && !query.tags.every(tag => service.tags.includes(tag))) return false;
+    if (query.maxPrice !== undefined && Number(service.price) > query.maxPrice) return false;
+    if (query.pricingUnit && service.pricingUnit !== query.pricingUnit) return false;
+    if (query.tiers && !query.tiers.includes(provider.tier.toLowerCase())) return false;
+    if (query.minTier !== undefined && provider.tierLevel < query.minTier) return false;
+    if (query.networks && !query.networks.some(network => service.networks.includes(network))) return false;
+    if (query.asset && !service.assets.includes(query.asset)) return false;
+    if (query.method && service.method !== query.method) return false;
+    if (query.version && service.version !== query.version && !service.version.startsWith(`${query.version}.`)) return false;
+    return true;
+}
+
+function buildFacets<P extends CatalogProvider>(entries: CatalogEntry<P>[]): CatalogFacets {
+    const facets: CatalogFacets = { categories: {}, tags: {}, networks: {}, pricingUnits: {}, tiers: {} };
+    const count = (facet: Record<string, number>, key: string) => {
+        facet[key] = (facet[key] || 0) + 1;
+    };
+
+    for (const { provider, service } of entries) {
+        if (service.category) count(facets.categories, service.category);
+        service.tags.forEach(tag => count(facets.tags, tag));
+        service.networks.forEach(network => count(facets.networks, network));
+        count(facets.pricingUnits, service.pricingUnit);
+        count(facets.tiers, provider.tier);
+    }
+    return facets;
+}
@@ -0,0 +1,581 @@
+/**
+ * X402InsuranceV8 事件索引
+ *
+ * 后台从 V8 部署区块开始增量扫描合约的全部事件（注册、充值、提取、停用、索赔、补偿），
+ * 保存到本地并记录检查点，重启后从检查点继续。
+ * - 只索引到 head - confirmations，并保存最近已处理区块的哈希；
+ *   哈希与链上不一致时回退到共同祖先，删除之后的事件后重新扫描（reorg）
+ * - 事件涉及的Provider标记为 dirty，每轮同步结束后用 getProviderInfo / getProviderPendingCompensations 刷新一次快照
+ * - 同步过程中最多每 persistInterval 写一次文件，每轮同步结束时写入；
+ *   中途退出只会丢失最近的进度（下次从文件中的检查点重新扫描）
+ * - 索引是链上数据的派生，文件版本或合约地址不一致时直接重建
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import X402InsuranceV8ABI from '../abi/X402InsuranceV8.json';
+import { loadV8Deployment } from './x402-insurance-compat';
+
+// ============ Types ============
+
+export interface IndexedEvent {
+    name: string;
+    blockNumber: number;
+    blockHash: string;
+    transactionHash: string;
+    logIndex: number;
+    args: Record<string, string>;    // 地址小写，uint256 为十进制字符串
+}
+
+export interface ProviderSnapshot {
+    address: string;                 // 小写
+    isActive: boolean;
+    poolBalance: string;             // USDC 最小单位
+    totalLocked: string;
+    successfulServices: number;
+    failedServices: number;
+    tier: number;                    // 1-3
+    registeredAt: number;            // Unix 秒
+    pendingCompensations: {
+        count: number;
+        total: string;               // USDC 最小单位
+    };
+    blockNumber: number;             // 快照所在区块
+}
+
+export type IndexedClaimStatus = 'initiated' | 'disputed' | 'executed' | 'partial' | 'rejected';
+
+export interface IndexedClaim {
+    commitment: string;
+    client: string;
+    provider: string;
+    amount: string;                  // 请求赔付金额
+    status: IndexedClaimStatus;
+    paidAmount: string | null;       // ClaimExecuted 之后才可知
+    pendingAmount: string | null;
+    compensated: string;             // CompensationPaid 累计
+    initiatedBlock: number;
+    updatedBlock: number;
+}
+
+export interface IndexerConfig {
+    contractAddress: string;
+    startBlock?: number;             // 不设置时从 deploymentTx 的回执读取
+    deploymentTx?: string;
+    statePath?: string | null;       // null：只保存在内存
+    confirmations?: number;          // 只索引到 head - confirmations
+    batchSize?: number;              // 每次 getLogs 的区块数
+    pollInterval?: number;           // 毫秒
+    reorgDepth?: number;             // 保留多少个区块内的哈希用于检测 reorg
+    persistInterval?: number;        // 毫秒，同步过程中两次写文件的最小间隔
+}
+
+export const DEFAULT_INDEXER = {
+    confirmations: 5,
+    batchSize: 2000,
+    pollInterval: 15000,
+    reorgDepth: 64,
+    persistInterval: 30000
+};
+
+// 2：快照增加待补偿
+const INDEX_SCHEMA_VERSION = 2;
+
+interface IndexState {
+    schemaVersion: number;
+    contract: string;
+    startBlock: number | null;
+    checkpoint: number | null;               // 最后处理完的区块
+    blockHashes: Record<string, string>;     // 区块号 → 哈希（最近 reorgDepth 个区块内）
+    events: IndexedEvent[];
+    providers: Record<string, ProviderSnapshot>;
+    claims: Record<string, IndexedClaim>;
+    dirty: string[];                         // 待刷新快照的Provider
+}
+
+// ============ Indexer ============
+
+export class V8EventIndexer {
+    readonly config: Required<Omit<IndexerConfig, 'startBlock' | 'deploymentTx'>> & Pick<IndexerConfig, 'startBlock' | 'deploymentTx'>;
+    private contract: ethers.Contract;
+    private state: IndexState;
+    private loaded = false;
+    private timer: NodeJS.Timeout | null = null;
+    private running = false;
+    private syncing: Promise<number> | null = null;
+    private writing: Promise<void> = Promise.resolve();
+    private unsaved = false;
+    private lastPersistAt = 0;
+    private lastError: string | null = null;
+    private lastSyncAt: Date | null = null;
+    private head: number | null = null;
+
+    constructor(private provider: ethers.Provider, config: IndexerConfig) {
+        // 未设置的项（undefined）使用默认值
+        const defined = Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+        this.config = {
+            ...DEFAULT_INDEXER,
+            statePath: null,
+            ...defined,
+            contractAddress: ethers.getAddress(config.contractAddress)
+        };
+        this.contract = new ethers.Contract(this.config.contractAddress, X402InsuranceV8ABI.abi, provider);
+        this.state = this.emptyState();
+    }
+
+    /**
+     * 后台轮询（重复调用无效）
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        const tick = async () => {
+            try {
+                const count = await this.sync();
+                if (count > 0) console.log(`📇 Indexed ${count} V8 events up to block ${this.state.checkpoint}`);
+            } catch (error: any) {
+                this.lastError = error.message;
+                console.error('V8 indexer sync failed:', error.message);
+            }
+            if (this.running) {
+                this.timer = setTimeout(tick, this.config.pollInterval);
+                this.timer.unref();
+            }
+        };
+        tick();
+    }
+
+    async stop() {
+        this.running = false;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+        await this.syncing?.catch(() => {});
+        await this.flush().catch(error => console.error('Failed to save V8 index:', error.message));
+    }
+
+    /**
+     * 同步到当前安全区块（并发调用共用同一次同步）
+     * @returns 新索引的事件数
+     */
+    sync(): Promise<number> {
+        if (!this.syncing) {
+            this.syncing = this.runSync().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    /** 本进程是否已完成过一次同步（之前的索引可能还没追上链上） */
+    get ready(): boolean {
+        return this.lastSyncAt !== null;
+    }
+
+    getStatus() {
+        this.load();
+        return {
+            contract: this.config.contractAddress,
+            startBlock: this.state.startBlock,
+            checkpoint: this.state.checkpoint,
+            head: this.head,
+            lag: this.head !== null && this.state.checkpoint !== null ? this.head - this.state.checkpoint : null,
+            events: this.state.events.length,
+            providers: Object.keys(this.state.providers).length,
+            claims: Object.keys(this.state.claims).length,
+            running: this.running,
+            lastSyncAt: this.lastSyncAt,
+            lastError: this.lastError
+        };
+    }
+
+    getProvider(address: string): ProviderSnapshot | null {
+        this.load();
+        return this.state.providers[address.toLowerCase()] || null;
+    }
+
+    listProviders(): ProviderSnapshot[] {
+        this.load();
+        return Object.values(this.state.providers);
+    }
+
+    getClaim(commitment: string): IndexedClaim | null {
+        this.load();
+        return this.state.claims[commitment.toLowerCase()] || null;
+    }
+
+    listClaims(filter: { provider?: string; client?: string; status?: IndexedClaimStatus } = {}): IndexedClaim[] {
+        this.load();
+        return Object.values(this.state.claims).filter(claim =>
+            (!filter.provider || claim.provider === filter.provider.toLowerCase()) &&
+            (!filter.client || claim.client === filter.client.toLowerCase()) &&
+            (!filter.status || claim.status === filter.status));
+    }
+
+    /**
+     * 查询事件（最新的在前）
+     * @param filter.address - 匹配事件中的Provider，包括按 commitment 关联到该Provider的索赔事件
+     */
+    getEvents(filter: { address?: string; name?: string; fromBlock?: number; limit?: number } = {}): IndexedEvent[] {
+        this.load();
+        const address = filter.address?.toLowerCase();
+        const limit = filter.limit ?? 100;
+
+        return this.state.events
+            .filter(event =>
+                (!address || this.providerOf(event) === address) &&
+                (!filter.name || event.name === filter.name) &&
+                (filter.fromBlock === undefined || event.blockNumber >= filter.fromBlock))
+            .slice(-limit)
+            .reverse();
+    }
+
+    // ============ 同步 ============
+
+    private async runSync(): Promise<number> {
+        this.load();
+
+        if (this.state.startBlock === null) {
+            this.state.startBlock = await this.resolveStartBlock();
+        }
+
+        this.head = await this.provider.getBlockNumber();
+        const safeBlock = this.head - this.config.confirmations;
+
+        await this.handleReorg();
+
+        let count = 0;
+        let from = (this.state.checkpoint ?? this.state.startBlock - 1) + 1;
+
+        while (from <= safeBlock) {
+            const to = Math.min(from + this.config.batchSize - 1, safeBlock);
+            const logs = await this.provider.getLogs({
+                address: this.config.contractAddress,
+                fromBlock: from,
+                toBlock: to
+            });
+            const block = await this.provider.getBlock(to);
+
+            for (const log of logs) {
+                if (this.apply(log)) count++;
+            }
+            if (block) this.state.blockHashes[to] = block.hash!;
+
+            this.state.checkpoint = to;
+            this.trimBlockHashes();
+            this.unsaved = true;
+            if (Date.now() - this.lastPersistAt >= this.config.persistInterval) await this.persist();
+
+            from = to + 1;
+        }
+
+        await this.refreshDirty();
+        await this.flush();
+
+        this.lastError = null;
+        this.lastSyncAt = new Date();
+        return count;
+    }
+
+    /**
+     * 起始区块：配置值，否则部署交易所在区块
+     */
+    private async resolveStartBlock(): Promise<number> {
+        if (this.config.startBlock !== undefined) return this.config.startBlock;
+
+        if (this.config.deploymentTx) {
+            const receipt = await this.provider.getTransactionReceipt(this.config.deploymentTx);
+            if (receipt) return receipt.blockNumber;
+        }
+
+        console.warn('⚠️  V8 deployment block unknown (set INDEXER_START_BLOCK), indexing from block 0');
+        return 0;
+    }
+
+    /**
+     * 从最新的已记录区块往回比对哈希，找到共同祖先后回退
+     */
+    private async handleReorg() {
+        const recorded = Object.keys(this.state.blockHashes).map(Number).sort((a, b) => b - a);
+        if (recorded.length === 0) return;
+
+        let ancestor: number | null = null;
+        for (const blockNumber of recorded) {
+            const block = await this.provider.getBlock(blockNumber);
+            if (block && block.hash === this.state.blockHashes[blockNumber]) {
+                ancestor = blockNumber;
+                break;
+            }
+        }
+
+        if (ancestor === recorded[0]) return;
+
+        // 记录的哈希全部失效：回退到最早记录之前
+        const rollbackTo = ancestor ?? recorded[recorded.length - 1] - 1;
+        console.warn(`⚠️  Reorg detected, rolling V8 index back to block ${rollbackTo}`);
+        this.rollback(rollbackTo);
+        await this.persist();
+    }
+
+    /**
+     * 删除 blockNumber 之后的事件，按剩余事件重建索赔，受影响的Provider重新刷新
+     */
+    private rollback(blockNumber: number) {
+        const removed = this.state.events.filter(event => event.blockNumber > blockNumber);
+        const affected = new Set(removed.map(event => this.providerOf(event)).filter(Boolean) as string[]);
+
+        this.state.events = this.state.events.filter(event => event.blockNumber <= blockNumber);
+        this.state.claims = {};
+        for (const event of this.state.events) {
+            this.applyClaim(event);
+        }
+
+        for (const key of Object.keys(this.state.blockHashes)) {
+            if (Number(key) > blockNumber) delete this.state.blockHashes[key];
+        }
+        this.state.checkpoint = blockNumber;
+        this.markDirty(...affected);
+    }
+
+    private apply(log: ethers.Log): boolean {
+        let parsed: ethers.LogDescription | null;
+        try {
+            parsed = this.contract.interface.parseLog(log);
+        } catch {
+            parsed = null;
+        }
+        if (!parsed) return false;
+
+        const args: Record<string, string> = {};
+        parsed.fragment.inputs.forEach((input, i) => {
+            const value = parsed!.args[i];
+            args[input.name] = input.type === 'address' ? String(value).toLowerCase() : String(value);
+        });
+
+        const event: IndexedEvent = {
+            name: parsed.name,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+            args
+        };
+
+        this.state.events.push(event);
+        this.state.blockHashes[log.blockNumber] = log.blockHash;
+        this.applyClaim(event);
+
+        const provider = this.providerOf(event);
+        if (provider) this.markDirty(provider);
+        return true;
+    }
+
+    /**
+     * 用事件更新索赔状态
+     */
+    private applyClaim(event: IndexedEvent) {
+        const { args } = event;
+        const commitment = args.commitment?.toLowerCase();
+        if (!commitment) return;
+
+        if (event.name === 'ClaimInitiated') {
+            this.state.claims[commitment] = {
+                commitment,
+                client: args.client,
+                provider: args.provider,
+                amount: args.amount,
+                status: 'initiated',
+                paidAmount: null,
+                pendingAmount: null,
+                compensated: '0',
+                initiatedBlock: event.blockNumber,
+                updatedBlock: event.blockNumber
+            };
+            return;
+        }
+
+        const claim = this.state.claims[commitment];
+        if (!claim) return;
+        claim.updatedBlock = event.blockNumber;
+
+        switch (event.name) {
+            case 'ClaimDisputed':
+                claim.status = 'disputed';
+                break;
+            case 'ClaimRejected':
+                claim.status = 'rejected';
+                break;
+            case 'ClaimExecuted':
+                claim.paidAmount = args.paidAmount;
+                claim.pendingAmount = args.pendingAmount;
+                claim.status = BigInt(args.pendingAmount) > 0n ? 'partial' : 'executed';
+                break;
+            case 'CompensationPaid': {
+                const amount = BigInt(args.amount);
+                claim.compensated = (BigInt(claim.compensated) + amount).toString();
+                // 执行之后的补偿才需要调整；执行前的补偿已包含在 ClaimExecuted 的金额里
+                if (claim.pendingAmount !== null) {
+                    claim.paidAmount = (BigInt(claim.paidAmount!) + amount).toString();
+                    claim.pendingAmount = (BigInt(claim.pendingAmount) - amount).toString();
+                    if (BigInt(claim.pendingAmount) === 0n) claim.status = 'executed';
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * 事件关联的Provider（索赔后续事件通过 commitment 查找）
+     */
+    private providerOf(event: IndexedEvent): string | null {
+        if (event.args.provider) return event.args.provider;
+
+        const commitment = event.args.commitment?.toLowerCase();
+        return commitment ? this.state.claims[commitment]?.provider || null : null;
+    }
+
+    private markDirty(...addresses: string[]) {
+        const dirty = new Set(this.state.dirty);
+        addresses.forEach(address => dirty.add(address));
+        this.state.dirty = [...dirty];
+    }
+
+    /**
+     * 按检查点区块读取 dirty Provider 的链上状态
+     */
+    private async refreshDirty() {
+        if (this.state.dirty.length === 0 || this.state.checkpoint === null) return;
+
+        const blockTag = this.state.checkpoint;
+        for (const address of [...this.state.dirty]) {
+            const [info, pending] = await Promise.all([
+                this.contract.getProviderInfo(address, { blockTag }),
+                this.contract.getProviderPendingCompensations(address, { blockTag })
+            ]);
+
+            if (Number(info.registeredAt) === 0) {
+                // reorg 后不再存在的注册
+                delete this.state.providers[address];
+            } else {
+                this.state.providers[address] = {
+                    address,
+                    isActive: info.isActive,
+                    poolBalance: info.poolBalance.toString(),
+                    totalLocked: info.totalLocked.toString(),
+                    successfulServices: Number(info.successfulServices),
+                    failedServices: Number(info.failedServices),
+                    tier: Number(info.tier),
+                    registeredAt: Number(info.registeredAt),
+                    pendingCompensations: {
+                        count: pending.commitments.length,
+                        total: pending.totalAmount.toString()
+                    },
+                    blockNumber: blockTag
+                };
+            }
+            this.state.dirty = this.state.dirty.filter(item => item !== address);
+            this.unsaved = true;
+        }
+    }
+
+    private trimBlockHashes() {
+        const oldest = this.state.checkpoint! - this.config.reorgDepth;
+        for (const key of Object.keys(this.state.blockHashes)) {
+            if (Number(key) <= oldest) delete this.state.blockHashes[key];
+        }
+    }
+
+    // ============ 持久化 ============
+
+    private emptyState(): IndexState {
+        return {
+            schemaVersion: INDEX_SCHEMA_VERSION,
+            contract: this.config.contractAddress.toLowerCase(),
+            startBlock: null,
+            checkpoint: null,
+            blockHashes: {},
+            events: [],
+            providers: {},
+            claims: {},
+            dirty: []
+        };
+    }
+
+    private load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        const file = this.config.statePath;
+        if (!file || !fs.existsSync(file)) return;
+
+        const data: IndexState = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (data.schemaVersion !== INDEX_SCHEMA_VERSION || data.contract !== this.state.contract) {
+            console.log('🗄️  V8 index is for another schema or contract, rebuilding');
+            return;
+        }
+        this.state = data;
+    }
+
+    private flush() {
+        return this.unsaved ? this.persist() : this.writing.catch(() => {});
+    }
+
+    /**
+     * 写入临时文件后重命名，避免进程中断时损坏文件
+     * 写入失败只让本次调用失败，状态保持未保存，之后的写入照常进行
+     */
+    private persist() {
+        this.unsaved = false;
+        this.lastPersistAt = Date.now();
+
+        const file = this.config.statePath;
+        if (!file) return this.writing;
+
+        const data = JSON.stringify(this.state);
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            const tmp = `${file}.tmp`;
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(tmp, data);
+            await fs.promises.rename(tmp, file);
+        }).catch(error => {
+            this.unsaved = true;
+            throw error;
+        });
+        return this.writing;
+    }
+}
+
+// ============ 工厂 ============
+
+/**
+ * 按 deployments/v8-deployment.json 和环境变量创建索引器
+ *
+ * 环境变量：INSURANCE_V8_ADDRESS、INDEXER_START_BLOCK、INDEXER_STATE_PATH、
+ * INDEXER_CONFIRMATIONS、INDEXER_BATCH_SIZE、INDEXER_POLL_INTERVAL、INDEXER_PERSIST_INTERVAL、V8_DEPLOYMENT_PATH
+ */
+export function createV8Indexer(provider: ethers.Provider, config: Partial<IndexerConfig> = {}): V8EventIndexer {
+    const deployment = loadV8Deployment();
+
+    const contractAddress = config.contractAddress || process.env.INSURANCE_V8_ADDRESS || deployment.contractAddress;
+    if (!contractAddress) {
+        throw new Error('No V8 contract address (INSURANCE_V8_ADDRESS or deployments/v8-deployment.json)');
+    }
+
+    // 部署文件只描述它自己的合约
+    const isDeployed = deployment.contractAddress &&
+        deployment.contractAddress.toLowerCase() === contractAddress.toLowerCase();
+    const envNumber = (name: string) => process.env[name] ? Number(process.env[name]) : undefined;
+
+    return new V8EventIndexer(provider, {
+        contractAddress,
+        startBlock: envNumber('INDEXER_START_BLOCK') ?? (isDeployed ? deployment.blockNumber : undefined),
+        deploymentTx: isDeployed ? deployment.transactionHash : undefined,
+        statePath: process.env.INDEXER_STATE_PATH || './data/v8-index.json',
+        confirmations: envNumber('INDEXER_CONFIRMATIONS'),
+        batchSize: envNumber('INDEXER_BATCH_SIZE'),
+        pollInterval: envNumber('INDEXER_POLL_INTERVAL'),
+        persistInterval: envNumber('INDEXER_PERSIST_INTERVAL'),
+        ...config
+    });
+}
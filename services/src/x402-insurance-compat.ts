@@ -0,0 +1,196 @@
+/**
+ * X402Insurance 合约版本兼容
+ *
+ * 服务默认对接已部署的 V8（deployments/v8-deployment.json）。
+ * 版本来自 INSURANCE_VERSION（v3 | v8）；未配置或为 auto 时按合约上存在的函数探测。
+ * Provider状态统一为 ProviderStatus，调用方不需要区分 V3 的 getProviderStats
+ * 和 V8 的 getProviderPendingCompensations。
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import X402InsuranceV3ABI from '../abi/X402InsuranceV3.json';
+import X402InsuranceV8ABI from '../abi/X402InsuranceV8.json';
+
+// ============ Types ============
+
+export type InsuranceVersion = 'v3' | 'v8';
+
+export interface InsuranceConfig {
+    version: InsuranceVersion;
+    address: string;
+}
+
+export interface ProviderStatus {
+    isActive: boolean;
+    tier: number;
+    tierName: string;
+    poolBalance: bigint;          // USDC 最小单位
+    locked: bigint;
+    available: bigint;
+    successCount: number;
+    failureCount: number;
+    successRate: number | null;   // 百分比（两位小数），没有记录时为 null
+    registeredAt: number;         // Unix 秒
+    pendingCompensations: {       // V3 没有延迟补偿，恒为空
+        count: number;
+        total: bigint;
+    };
+}
+
+export const INSURANCE_ABIS: Record<InsuranceVersion, ethers.InterfaceAbi> = {
+    v3: X402InsuranceV3ABI.abi as ethers.InterfaceAbi,
+    v8: X402InsuranceV8ABI.abi as ethers.InterfaceAbi
+};
+
+// 等级编号 → 名称（V8 只有 1-3）
+export const TIER_NAMES: Record<InsuranceVersion, string[]> = {
+    v3: ['None', 'Bronze', 'Silver', 'Gold', 'Platinum'],
+    v8: ['None', 'Bronze', 'Silver', 'Gold']
+};
+
+// V8 ClaimStatus 枚举
+export const V8_CLAIM_STATUS = ['INITIATED', 'DISPUTED', 'EXECUTED', 'REJECTED', 'PARTIAL'] as const;
+
+// ============ Helpers ============
+
+export function tierName(version: InsuranceVersion, tier: number): string {
+    return TIER_NAMES[version][tier] || 'Unknown';
+}
+
+/**
+ * 成功率（V8 为 successfulServices / (successfulServices + failedServices)）
+ */
+export function successRate(successCount: number, failureCount: number): number | null {
+    const total = successCount + failureCount;
+    return total > 0 ? Math.round((successCount / total) * 10000) / 100 : null;
+}
+
+/**
+ * 读取 V8 部署信息（V8_DEPLOYMENT_PATH，默认 deployments/v8-deployment.json），不存在时返回空对象
+ */
+export function loadV8Deployment(): { contractAddress?: string; transactionHash?: string; blockNumber?: number } {
+    const deploymentPath = process.env.V8_DEPLOYMENT_PATH ||
+        fileURLToPath(new URL('../../deployments/v8-deployment.json', import.meta.url));
+    return fs.existsSync(deploymentPath) ? JSON.parse(fs.readFileSync(deploymentPath, 'utf8')) : {};
+}
+
+/**
+ * 按合约上存在的只读函数判断版本：V8 有 totalPendingCompensations()，V3 有 getPlatformStats()
+ */
+export async function detectInsuranceVersion(provider: ethers.Provider, address: string): Promise<InsuranceVersion> {
+    if (await provider.getCode(address) === '0x') {
+        throw new Error(`No contract deployed at ${address}`);
+    }
+
+    const probes: Array<[InsuranceVersion, string]> = [
+        ['v8', 'totalPendingCompensations'],
+        ['v3', 'getPlatformStats']
+    ];
+    for (const [version, method] of probes) {
+        try {
+            await new ethers.Contract(address, INSURANCE_ABIS[version], provider)[method]();
+            return version;
+        } catch {
+            // 函数不存在时 revert，继续尝试下一个版本
+        }
+    }
+
+    throw new Error(`Unrecognized insurance contract at ${address}`);
+}
+
+/**
+ * 确定合约版本和地址
+ *
+ * - version：参数 > INSURANCE_VERSION > auto（探测）
+ * - V8 地址：参数 > INSURANCE_V8_ADDRESS > 部署文件；V3 地址：参数 > INSURANCE_V3_ADDRESS
+ * - auto 时依次使用参数、INSURANCE_V8_ADDRESS、部署文件、INSURANCE_V3_ADDRESS 中的第一个地址
+ */
+export async function resolveInsuranceConfig(
+    provider: ethers.Provider,
+    options: { version?: InsuranceVersion | 'auto'; address?: string } = {}
+): Promise<InsuranceConfig> {
+    const requested = options.version || process.env.INSURANCE_VERSION || 'auto';
+    const v8Address = options.address || process.env.INSURANCE_V8_ADDRESS || loadV8Deployment().contractAddress;
+
+    let address: string | undefined;
+    switch (requested) {
+        case 'v8':
+            address = v8Address;
+            break;
+        case 'v3':
+            address = options.address || process.env.INSURANCE_V3_ADDRESS;
+            break;
+        case 'auto':
+            address = v8Address || process.env.INSURANCE_V3_ADDRESS;
+            break;
+        default:
+            throw new Error(`Unknown INSURANCE_VERSION: ${requested}`);
+    }
+
+    if (!address || !ethers.isAddress(address)) {
+        throw new Error(`No ${requested === 'auto' ? '' : requested.toUpperCase() + ' '}insurance contract address configured`);
+    }
+
+    const version = requested === 'auto' ? await detectInsuranceVersion(provider, address) : requested as InsuranceVersion;
+    return { version, address: ethers.getAddress(address) };
+}
+
+/**
+ * 读取Provider状态并统一字段
+ */
+export async function readProviderStatus(
+    contract: ethers.Contract,
+    version: InsuranceVersion,
+    address: string
+): Promise<ProviderStatus> {
+    if (version === 'v8') {
+        const [info, pending] = await Promise.all([
+            contract.getProviderInfo(address),
+            contract.getProviderPendingCompensations(address)
+        ]);
+        const poolBalance: bigint = info.poolBalance;
+        const locked: bigint = info.totalLocked;
+        const successCount = Number(info.successfulServices);
+        const failureCount = Number(info.failedServices);
+
+        return {
+            isActive: info.isActive,
+            tier: Number(info.tier),
+            tierName: tierName(version, Number(info.tier)),
+            poolBalance,
+            locked,
+            available: poolBalance > locked ? poolBalance - locked : 0n,
+            successCount,
+            failureCount,
+            successRate: successRate(successCount, failureCount),
+            registeredAt: Number(info.registeredAt),
+            pendingCompensations: {
+                count: pending.commitments.length,
+                total: pending.totalAmount
+            }
+        };
+    }
+
+    const [info, stats] = await Promise.all([
+        contract.getProviderInfo(address),
+        contract.getProviderStats(address)
+    ]);
+    const successCount = Number(stats.successCount);
+    const failureCount = Number(stats.failureCount);
+
+    return {
+        isActive: info.isActive,
+        tier: Number(info.tier),
+        tierName: tierName(version, Number(info.tier)),
+        poolBalance: info.poolBalance,
+        locked: info.lockedBalance,
+        available: info.availableBalance,
+        successCount,
+        failureCount,
+        successRate: successRate(successCount, failureCount),
+        registeredAt: Number(stats.registeredAt),
+        pendingCompensations: { count: 0, total: 0n }
+    };
+}
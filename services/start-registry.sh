@@ -25,6 +25,9 @@ export BASE_SEPOLIA_RPC_URL=${BASE_SEPOLIA_RPC_URL:-"https://sepolia.base.org"}
 echo "Configuration:"
 echo "  Registry Port: $REGISTRY_PORT"
 echo "  RPC URL: $BASE_SEPOLIA_RPC_URL"
+echo "  Store: ${REGISTRY_STORE:-json} (${REGISTRY_DB_PATH:-default path})"
+echo "  Demo providers: ${REGISTRY_DEMO:-false}"
+echo "  V8 indexer: ${REGISTRY_INDEXER:-true} (${INDEXER_STATE_PATH:-./data/v8-index.json})"
 echo ""
 
 # 编译TypeScript
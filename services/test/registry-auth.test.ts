@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+    buildRegistrationMessage,
+    verifyRegistration,
+    registrationDomain,
+    RegistrationAuthError,
+    REGISTRATION_TYPES,
+    MAX_SIGNATURE_LIFETIME,
+    type RegistrationMessage,
+    type VerifyContext
+} from '../src/registry-auth';
+import { MemoryRegistryStore } from '../src/registry-store';
+
+const CHAIN_ID = 84532;
+const REGISTRY = '0x72486eF40BB3729298369d608de85c612adb223e';
+
+const wallet = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+
+function message(overrides: Partial<Record<string, any>> = {}, provider = wallet.address): RegistrationMessage {
+    return buildRegistrationMessage({
+        apiEndpoint: 'http://localhost:4000',
+        name: 'Weather',
+        services: [{ path: '/weather', price: '0.01' }],
+        nonce: 1,
+        expiry: Math.floor(Date.now() / 1000) + 600,
+        ...overrides
+    }, provider, 'register');
+}
+
+function sign(signer: ethers.Wallet, msg: RegistrationMessage, verifyingContract = REGISTRY) {
+    return signer.signTypedData(registrationDomain(CHAIN_ID, verifyingContract), REGISTRATION_TYPES, msg);
+}
+
+function context(provider: Partial<ethers.Provider> = {}): VerifyContext {
+    return {
+        chainId: CHAIN_ID,
+        verifyingContract: REGISTRY,
+        provider: provider as ethers.Provider,
+        store: new MemoryRegistryStore()
+    };
+}
+
+async function rejectsWith(promise: Promise<unknown>, status: number, code: string) {
+    await assert.rejects(promise, (error: any) => {
+        assert.ok(error instanceof RegistrationAuthError, error.message);
+        assert.equal(error.code, code);
+        assert.equal(error.status, status);
+        return true;
+    });
+}
+
+test('accepts a valid signature and consumes its nonce', async () => {
+    const ctx = context();
+    const msg = message();
+
+    assert.equal(await verifyRegistration(msg, await sign(wallet, msg), ctx), wallet.address);
+    assert.equal(await ctx.store.getNonce(wallet.address), 1n);
+});
+
+test('rejects a replayed or lower nonce', async () => {
+    const ctx = context();
+    const first = message({ nonce: 5 });
+    await verifyRegistration(first, await sign(wallet, first), ctx);
+
+    await rejectsWith(verifyRegistration(first, await sign(wallet, first), ctx), 409, 'NONCE_USED');
+
+    const lower = message({ nonce: 4 });
+    await rejectsWith(verifyRegistration(lower, await sign(wallet, lower), ctx), 409, 'NONCE_USED');
+    assert.equal(await ctx.store.getNonce(wallet.address), 5n);
+});
+
+test('rejects expired signatures and expiries beyond the maximum lifetime', async () => {
+    const ctx = context();
+    const now = Math.floor(Date.now() / 1000);
+
+    const expired = message({ expiry: now - 1 });
+    await rejectsWith(verifyRegistration(expired, await sign(wallet, expired), ctx), 401, 'SIGNATURE_EXPIRED');
+
+    const tooFar = message({ expiry: now + MAX_SIGNATURE_LIFETIME + 60 });
+    await rejectsWith(verifyRegistration(tooFar, await sign(wallet, tooFar), ctx), 400, 'EXPIRY_TOO_FAR');
+
+    assert.equal(await ctx.store.getNonce(wallet.address), 0n);
+});
+
+test('rejects signatures bound to another registry or tampered messages', async () => {
+    const ctx = context({ getCode: async () => '0x' });
+    const msg = message();
+
+    // 另一个注册表实例的签名恢复出其他地址
+    const otherRegistry = await sign(wallet, msg, '0x0000000000000000000000000000000000000001');
+    await rejectsWith(verifyRegistration(msg, otherRegistry, ctx), 403, 'NOT_AUTHORIZED');
+
+    const signature = await sign(wallet, msg);
+    await rejectsWith(verifyRegistration({ ...msg, apiEndpoint: 'http://evil.example' }, signature, ctx), 403, 'NOT_AUTHORIZED');
+    await rejectsWith(verifyRegistration(msg, '0x1234', ctx), 401, 'INVALID_SIGNATURE');
+
+    assert.equal(await ctx.store.getNonce(wallet.address), 0n);
+});
+
+test('does not consume the nonce when the signer may not manage the provider', async () => {
+    const ctx = context({ getCode: async () => '0x' });
+    const msg = message();
+
+    await rejectsWith(verifyRegistration(msg, await sign(stranger, msg), ctx), 403, 'NOT_AUTHORIZED');
+    assert.equal(await ctx.store.getNonce(wallet.address), 0n);
+
+    // 同一 nonce 仍可由Provider本身使用
+    await verifyRegistration(msg, await sign(wallet, msg), ctx);
+    assert.equal(await ctx.store.getNonce(wallet.address), 1n);
+});
+
+test('reports RPC failures as 503 without consuming the nonce', async () => {
+    const ctx = context({
+        getCode: async () => {
+            throw ethers.makeError('request timeout', 'TIMEOUT');
+        }
+    });
+    const msg = message();
+
+    await rejectsWith(verifyRegistration(msg, await sign(stranger, msg), ctx), 503, 'CHAIN_UNAVAILABLE');
+    assert.equal(await ctx.store.getNonce(wallet.address), 0n);
+});
+
+test('reports unencodable messages as 400', async () => {
+    const msg = message();
+    const invalid = { ...msg, services: [{ ...msg.services[0], assets: ['not-an-address'] }] };
+
+    await rejectsWith(verifyRegistration(invalid, await sign(wallet, msg), context()), 400, 'INVALID_MESSAGE');
+});
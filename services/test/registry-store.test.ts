@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    MemoryRegistryStore,
+    JsonRegistryStore,
+    RegistryImportError,
+    REGISTRY_SCHEMA_VERSION,
+    type ProviderRecord
+} from '../src/registry-store';
+
+const PROVIDER_A = '0x00000000000000000000000000000000000000aa';
+const PROVIDER_B = '0x00000000000000000000000000000000000000bb';
+
+function record(address: string): ProviderRecord {
+    return {
+        address,
+        apiEndpoint: 'http://localhost:4000',
+        name: 'Weather',
+        description: '',
+        services: [],
+        createdAt: '2026-01-01T00:00:00.000Z',
+        updatedAt: '2026-01-01T00:00:00.000Z'
+    };
+}
+
+function tempFile(name: string) {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'registry-store-')), name);
+}
+
+test('consumeNonce only accepts increasing nonces', async () => {
+    const store = new MemoryRegistryStore();
+
+    assert.equal(await store.consumeNonce(PROVIDER_A, 5n), true);
+    assert.equal(await store.consumeNonce(PROVIDER_A, 5n), false);
+    assert.equal(await store.consumeNonce(PROVIDER_A, 4n), false);
+    assert.equal(await store.consumeNonce('0x00000000000000000000000000000000000000AA', 6n), true);
+    assert.equal(await store.getNonce(PROVIDER_A), 6n);
+    assert.equal(await store.getNonce(PROVIDER_B), 0n);
+});
+
+test('import rejects invalid nonces before touching existing records', async () => {
+    const store = new MemoryRegistryStore();
+    await store.upsert(record(PROVIDER_A));
+
+    await assert.rejects(
+        store.import([record(PROVIDER_B)], 'replace', { [PROVIDER_B]: 'abc' }),
+        RegistryImportError
+    );
+    assert.deepEqual((await store.list()).map(r => r.address), [PROVIDER_A]);
+
+    await store.import([record(PROVIDER_B)], 'replace', { [PROVIDER_B]: '7' });
+    assert.deepEqual((await store.list()).map(r => r.address), [PROVIDER_B]);
+    assert.equal(await store.getNonce(PROVIDER_B), 7n);
+});
+
+test('import keeps the larger nonce so exported signatures cannot be replayed', async () => {
+    const store = new MemoryRegistryStore();
+    await store.consumeNonce(PROVIDER_A, 10n);
+
+    await store.import([], 'merge', { [PROVIDER_A]: '3' });
+    assert.equal(await store.getNonce(PROVIDER_A), 10n);
+});
+
+test('JSON store migrates an unversioned (v0) file to the current schema', async () => {
+    const file = tempFile('registry.json');
+    fs.writeFileSync(file, JSON.stringify({
+        providers: [{
+            address: '0x00000000000000000000000000000000000000CC',
+            apiEndpoint: 'http://localhost:4001',
+            name: 'Legacy',
+            services: [{ path: '/weather', method: 'get', price: '0.01', description: 'Weather' }]
+        }]
+    }));
+
+    const store = new JsonRegistryStore(file);
+    const [migrated] = await store.list();
+    assert.equal(migrated.address, '0x00000000000000000000000000000000000000cc');
+    assert.equal(migrated.description, '');
+    assert.ok(migrated.createdAt);
+    assert.equal(migrated.services[0].method, 'GET');
+    assert.equal(migrated.services[0].version, '1.0.0');
+    assert.equal(migrated.services[0].pricingUnit, 'call');
+    assert.equal(await store.getNonce(migrated.address), 0n);
+    await store.close();
+
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.equal(saved.schemaVersion, REGISTRY_SCHEMA_VERSION);
+    assert.deepEqual(saved.nonces, {});
+});
+
+test('JSON store refuses files from a newer schema', async () => {
+    const file = tempFile('registry.json');
+    fs.writeFileSync(file, JSON.stringify({ schemaVersion: REGISTRY_SCHEMA_VERSION + 1, providers: [], nonces: {} }));
+
+    await assert.rejects(new JsonRegistryStore(file).list(), /newer than supported/);
+});
+
+test('JSON store keeps writing after a failed write', async () => {
+    const dir = path.dirname(tempFile('unused'));
+    const blocker = path.join(dir, 'blocker');
+    fs.writeFileSync(blocker, '');
+    const file = path.join(blocker, 'registry.json');
+
+    // 父目录是普通文件，第一次写入失败
+    const store = new JsonRegistryStore(file);
+    await assert.rejects(store.upsert(record(PROVIDER_A)));
+
+    fs.rmSync(blocker);
+    await store.consumeNonce(PROVIDER_A, 1n);
+    await store.close();
+
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual(saved.providers.map((r: ProviderRecord) => r.address), [PROVIDER_A]);
+    assert.deepEqual(saved.nonces, { [PROVIDER_A]: '1' });
+});
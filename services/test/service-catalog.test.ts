@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeServices,
+    parseCatalogQuery,
+    searchCatalog,
+    schemaHash,
+    ServiceCatalogError,
+    type CatalogProvider
+} from '../src/service-catalog';
+
+const USDC = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+
+function provider(address: string, tier: string, tierLevel: number, services: any[]): CatalogProvider {
+    return { address, name: `Provider ${address}`, description: '', tier, tierLevel, successRate: 100, services: normalizeServices(services) };
+}
+
+const providers = [
+    provider('0xaa', 'Gold', 3, [
+        { path: '/weather', price: '0.02', category: 'Weather', tags: ['forecast'], networks: ['base-sepolia'], assets: [USDC] },
+        { path: '/chat', price: '0.0001', pricingUnit: 'token', category: 'ai', networks: ['base'] }
+    ]),
+    provider('0xbb', 'Bronze', 1, [
+        { path: '/weather', price: '0.01', category: 'weather', tags: ['forecast', 'hourly'], networks: ['base-sepolia'], version: '2.1.0' }
+    ])
+];
+
+test('normalizeServices fills catalog defaults and rejects invalid definitions', () => {
+    const [service] = normalizeServices([{ path: '/weather', method: 'get', price: '1', tags: ['Forecast'], assets: [USDC] }]);
+    assert.equal(service.method, 'GET');
+    assert.equal(service.version, '1.0.0');
+    assert.equal(service.pricingUnit, 'call');
+    assert.deepEqual(service.tags, ['forecast']);
+    assert.deepEqual(service.assets, [USDC.toLowerCase()]);
+
+    assert.throws(() => normalizeServices([{ path: 'weather', price: '1' }]), ServiceCatalogError);
+    assert.throws(() => normalizeServices([{ path: '/a', price: '-1' }]), ServiceCatalogError);
+    assert.throws(() => normalizeServices([{ path: '/a', price: '1', assets: ['usdc'] }]), ServiceCatalogError);
+    assert.throws(() => normalizeServices([{ path: '/a', price: '1' }, { path: '/a', price: '2' }]), /Duplicate service/);
+});
+
+test('schemaHash does not depend on key order', () => {
+    const [a] = normalizeServices([{ path: '/a', price: '1', requestSchema: { type: 'object', required: ['city'] } }]);
+    const [b] = normalizeServices([{ path: '/a', price: '1', requestSchema: { required: ['city'], type: 'object' } }]);
+    assert.equal(schemaHash(a), schemaHash(b));
+});
+
+test('filters services and groups them by provider', () => {
+    const result = searchCatalog(providers, parseCatalogQuery({ category: 'weather', maxPrice: '0.015' }));
+
+    assert.equal(result.total, 1);
+    assert.deepEqual(result.providers.map(p => p.address), ['0xbb']);
+    assert.deepEqual(result.services.map(entry => entry.service.path), ['/weather']);
+});
+
+test('supports list parameters, version prefixes and tier filters', () => {
+    const byNetwork = searchCatalog(providers, parseCatalogQuery({ network: 'base,polygon' }));
+    assert.deepEqual(byNetwork.services.map(entry => entry.service.path), ['/chat']);
+
+    const byVersion = searchCatalog(providers, parseCatalogQuery({ version: '2' }));
+    assert.deepEqual(byVersion.providers.map(p => p.address), ['0xbb']);
+
+    const byTier = searchCatalog(providers, parseCatalogQuery({ tier: 'gold', tag: 'forecast' }));
+    assert.deepEqual(byTier.providers.map(p => p.address), ['0xaa']);
+});
+
+test('sorts by price and counts facets before pagination', () => {
+    const result = searchCatalog(providers, parseCatalogQuery({ category: 'weather', sort: 'price', limit: '1' }));
+
+    assert.equal(result.total, 2);
+    assert.equal(result.services.length, 1);
+    assert.equal(result.services[0].provider.address, '0xbb');
+    assert.deepEqual(result.facets.categories, { weather: 2 });
+    assert.deepEqual(result.facets.tags, { forecast: 2, hourly: 1 });
+    assert.deepEqual(result.facets.tiers, { Gold: 1, Bronze: 1 });
+});
+
+test('rejects invalid query parameters', () => {
+    assert.throws(() => parseCatalogQuery({ maxPrice: 'cheap' }), ServiceCatalogError);
+    assert.throws(() => parseCatalogQuery({ pricingUnit: 'month' }), ServiceCatalogError);
+    assert.throws(() => parseCatalogQuery({ sort: 'name' }), ServiceCatalogError);
+});
@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import X402InsuranceV8ABI from '../abi/X402InsuranceV8.json';
+import { V8EventIndexer } from '../src/v8-event-indexer';
+
+const CONTRACT = '0x72486eF40BB3729298369d608de85c612adb223e';
+const PROVIDER = '0x00000000000000000000000000000000000000aa';
+const CLIENT = '0x00000000000000000000000000000000000000cc';
+const COMMITMENT = ethers.id('claim-1');
+
+const iface = new ethers.Interface(X402InsuranceV8ABI.abi);
+
+/**
+ * 内存中的链：每个区块一个哈希，reorg 时替换某区块之后的哈希和日志
+ */
+class FakeChain {
+    head = 0;
+    private hashes = new Map<number, string>();
+    private logs: ethers.Log[] = [];
+    private fork = 0;
+
+    mine(count: number) {
+        for (let i = 0; i < count; i++) {
+            this.head++;
+            this.hashes.set(this.head, ethers.id(`block-${this.head}-${this.fork}`));
+        }
+    }
+
+    emit(blockNumber: number, name: string, args: any[]) {
+        const { data, topics } = iface.encodeEventLog(name, args);
+        this.logs.push({
+            address: CONTRACT,
+            blockNumber,
+            blockHash: this.hashes.get(blockNumber)!,
+            transactionHash: ethers.id(`tx-${blockNumber}-${this.logs.length}-${this.fork}`),
+            index: 0,
+            topics,
+            data
+        } as unknown as ethers.Log);
+    }
+
+    /** 丢弃 fromBlock 及之后的区块，换成同样高度的新分叉 */
+    reorg(fromBlock: number) {
+        this.fork++;
+        const head = this.head;
+        this.logs = this.logs.filter(log => log.blockNumber < fromBlock);
+        this.head = fromBlock - 1;
+        this.mine(head - this.head);
+    }
+
+    provider(): ethers.Provider {
+        const chain = this;
+        return {
+            getBlockNumber: async () => chain.head,
+            getBlock: async (blockNumber: number) => {
+                const hash = chain.hashes.get(blockNumber);
+                return blockNumber <= chain.head && hash ? { number: blockNumber, hash } : null;
+            },
+            getLogs: async ({ fromBlock, toBlock }: ethers.Filter) =>
+                chain.logs.filter(log => log.blockNumber >= Number(fromBlock) && log.blockNumber <= Number(toBlock)),
+            call: async (tx: ethers.TransactionRequest) => {
+                const fn = iface.parseTransaction({ data: tx.data as string })!;
+                if (fn.name === 'getProviderPendingCompensations') {
+                    return iface.encodeFunctionResult(fn.fragment, [[], [], 0n]);
+                }
+                const registered = chain.logs.some(log => iface.parseLog(log)?.name === 'ProviderRegistered');
+                return iface.encodeFunctionResult(fn.fragment, [registered, registered ? 100_000_000n : 0n, 0n, 0n, 0n, 1, registered ? 1 : 0]);
+            }
+        } as unknown as ethers.Provider;
+    }
+}
+
+function createIndexer(chain: FakeChain, statePath: string | null = null) {
+    return new V8EventIndexer(chain.provider(), {
+        contractAddress: CONTRACT,
+        startBlock: 1,
+        statePath,
+        confirmations: 0,
+        batchSize: 5
+    });
+}
+
+test('indexes events in batches and tracks claims and provider snapshots', async () => {
+    const chain = new FakeChain();
+    chain.mine(12);
+    chain.emit(2, 'ProviderRegistered', [PROVIDER, 100_000_000n]);
+    chain.emit(6, 'ClaimInitiated', [COMMITMENT, CLIENT, PROVIDER, 5_000_000n]);
+    chain.emit(11, 'ClaimExecuted', [COMMITMENT, 5_000_000n, 0n]);
+
+    const indexer = createIndexer(chain);
+    assert.equal(await indexer.sync(), 3);
+
+    assert.equal(indexer.getStatus().checkpoint, 12);
+    assert.equal(indexer.getClaim(COMMITMENT)!.status, 'executed');
+    assert.equal(indexer.getProvider(PROVIDER)!.poolBalance, '100000000');
+    assert.deepEqual(indexer.getEvents({ address: PROVIDER }).map(event => event.name),
+        ['ClaimExecuted', 'ClaimInitiated', 'ProviderRegistered']);
+});
+
+test('rolls back events from reorganized blocks and rescans the new fork', async () => {
+    const chain = new FakeChain();
+    chain.mine(12);
+    chain.emit(2, 'ProviderRegistered', [PROVIDER, 100_000_000n]);
+    chain.emit(6, 'ClaimInitiated', [COMMITMENT, CLIENT, PROVIDER, 5_000_000n]);
+    chain.emit(11, 'ClaimExecuted', [COMMITMENT, 5_000_000n, 0n]);
+
+    const indexer = createIndexer(chain);
+    await indexer.sync();
+
+    // 区块 9 之后被重组：执行交易没有进入新分叉，改为 Provider 提出争议
+    chain.reorg(9);
+    chain.emit(10, 'ClaimDisputed', [COMMITMENT, PROVIDER]);
+    chain.mine(1);
+
+    await indexer.sync();
+
+    const claim = indexer.getClaim(COMMITMENT)!;
+    assert.equal(claim.status, 'disputed');
+    assert.equal(claim.paidAmount, null);
+    assert.equal(indexer.getStatus().checkpoint, 13);
+    assert.deepEqual(indexer.getEvents().map(event => [event.name, event.blockNumber]),
+        [['ClaimDisputed', 10], ['ClaimInitiated', 6], ['ProviderRegistered', 2]]);
+});
+
+test('resumes from the saved checkpoint after a restart', async () => {
+    const statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'v8-index-')), 'index.json');
+    const chain = new FakeChain();
+    chain.mine(8);
+    chain.emit(2, 'ProviderRegistered', [PROVIDER, 100_000_000n]);
+
+    const first = createIndexer(chain, statePath);
+    await first.sync();
+    await first.stop();
+
+    chain.mine(3);
+    chain.emit(10, 'ClaimInitiated', [COMMITMENT, CLIENT, PROVIDER, 5_000_000n]);
+
+    const second = createIndexer(chain, statePath);
+    assert.equal(second.getStatus().checkpoint, 8);
+    assert.equal(await second.sync(), 1);
+    assert.equal(second.getStatus().events, 2);
+    assert.equal(second.getClaim(COMMITMENT)!.status, 'initiated');
+    await second.stop();
+});